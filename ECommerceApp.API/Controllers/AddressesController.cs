@@ -0,0 +1,276 @@
+using System.Text.RegularExpressions;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using ECommerceApp.API.Data;
+using ECommerceApp.API.Models;
+using ECommerceApp.API.DTOs;
+using System.Security.Claims;
+
+namespace ECommerceApp.API.Controllers
+{
+    [Route("api/[controller]")]
+    [ApiController]
+    [Authorize]
+    public class AddressesController : ControllerBase
+    {
+        private readonly ApplicationDbContext _context;
+        private readonly ILogger<AddressesController> _logger;
+
+        public AddressesController(ApplicationDbContext context, ILogger<AddressesController> logger)
+        {
+            _context = context;
+            _logger = logger;
+        }
+
+        private int GetUserId()
+        {
+            var userIdClaim = User.FindFirst("userId") ?? User.FindFirst(ClaimTypes.NameIdentifier);
+            return int.Parse(userIdClaim?.Value ?? "0");
+        }
+
+        // GET: api/addresses
+        [HttpGet]
+        public async Task<ActionResult<IEnumerable<AddressDto>>> GetAddresses()
+        {
+            try
+            {
+                var userId = GetUserId();
+                if (userId == 0)
+                {
+                    return Unauthorized(new { message = "User not authenticated" });
+                }
+
+                var addresses = await _context.Addresses
+                    .Where(a => a.UserId == userId)
+                    .OrderByDescending(a => a.IsDefault)
+                    .ThenByDescending(a => a.UpdatedAt)
+                    .ToListAsync();
+
+                return Ok(addresses.Select(ToDto).ToList());
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error fetching addresses");
+                return StatusCode(500, new { message = "Error fetching addresses" });
+            }
+        }
+
+        // POST: api/addresses
+        [HttpPost]
+        public async Task<ActionResult<AddressDto>> CreateAddress(SaveAddressDto dto)
+        {
+            try
+            {
+                var userId = GetUserId();
+                if (userId == 0)
+                {
+                    return Unauthorized(new { message = "User not authenticated" });
+                }
+
+                var address = new Address { UserId = userId };
+                var error = Apply(address, dto);
+                if (error != null)
+                {
+                    return BadRequest(new { message = error });
+                }
+
+                // The first address becomes the default so checkout always has one to preselect
+                var hasAddresses = await _context.Addresses.AnyAsync(a => a.UserId == userId);
+                address.IsDefault = dto.IsDefault || !hasAddresses;
+                if (address.IsDefault)
+                {
+                    await ClearDefaultAsync(userId);
+                }
+
+                _context.Addresses.Add(address);
+                await _context.SaveChangesAsync();
+
+                return CreatedAtAction(nameof(GetAddresses), null, ToDto(address));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error creating address");
+                return StatusCode(500, new { message = "Error creating address" });
+            }
+        }
+
+        // PUT: api/addresses/5
+        [HttpPut("{id}")]
+        public async Task<ActionResult<AddressDto>> UpdateAddress(int id, SaveAddressDto dto)
+        {
+            try
+            {
+                var userId = GetUserId();
+                if (userId == 0)
+                {
+                    return Unauthorized(new { message = "User not authenticated" });
+                }
+
+                var address = await _context.Addresses.FirstOrDefaultAsync(a => a.Id == id && a.UserId == userId);
+                if (address == null)
+                {
+                    return NotFound(new { message = "Address not found" });
+                }
+
+                var error = Apply(address, dto);
+                if (error != null)
+                {
+                    return BadRequest(new { message = error });
+                }
+
+                // The default can be moved to another address but not simply switched off
+                if (dto.IsDefault && !address.IsDefault)
+                {
+                    await ClearDefaultAsync(userId);
+                    address.IsDefault = true;
+                }
+
+                address.UpdatedAt = DateTime.UtcNow;
+                await _context.SaveChangesAsync();
+
+                return Ok(ToDto(address));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error updating address");
+                return StatusCode(500, new { message = "Error updating address" });
+            }
+        }
+
+        // DELETE: api/addresses/5
+        [HttpDelete("{id}")]
+        public async Task<IActionResult> DeleteAddress(int id)
+        {
+            try
+            {
+                var userId = GetUserId();
+                if (userId == 0)
+                {
+                    return Unauthorized(new { message = "User not authenticated" });
+                }
+
+                var address = await _context.Addresses.FirstOrDefaultAsync(a => a.Id == id && a.UserId == userId);
+                if (address == null)
+                {
+                    return NotFound(new { message = "Address not found" });
+                }
+
+                _context.Addresses.Remove(address);
+
+                // Hand the default over to the most recently used remaining address
+                if (address.IsDefault)
+                {
+                    var next = await _context.Addresses
+                        .Where(a => a.UserId == userId && a.Id != id)
+                        .OrderByDescending(a => a.UpdatedAt)
+                        .FirstOrDefaultAsync();
+                    if (next != null)
+                    {
+                        next.IsDefault = true;
+                    }
+                }
+
+                // Orders keep their own copy of the address, so nothing else changes
+                await _context.SaveChangesAsync();
+
+                return NoContent();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error deleting address");
+                return StatusCode(500, new { message = "Error deleting address" });
+            }
+        }
+
+        private async Task ClearDefaultAsync(int userId)
+        {
+            var defaults = await _context.Addresses
+                .Where(a => a.UserId == userId && a.IsDefault)
+                .ToListAsync();
+            foreach (var other in defaults)
+            {
+                other.IsDefault = false;
+            }
+        }
+
+        // Validates the DTO and copies it onto the entity; returns an error message when invalid
+        private static string? Apply(Address address, SaveAddressDto dto)
+        {
+            var fullName = dto.FullName?.Trim() ?? string.Empty;
+            if (string.IsNullOrEmpty(fullName) || fullName.Length > 100)
+            {
+                return "Full name is required and must be at most 100 characters";
+            }
+
+            var line1 = dto.Line1?.Trim() ?? string.Empty;
+            if (string.IsNullOrEmpty(line1) || line1.Length > 200)
+            {
+                return "Address line 1 is required and must be at most 200 characters";
+            }
+
+            var line2 = dto.Line2?.Trim();
+            if (line2?.Length > 200)
+            {
+                return "Address line 2 must be at most 200 characters";
+            }
+
+            var city = dto.City?.Trim() ?? string.Empty;
+            if (string.IsNullOrEmpty(city) || city.Length > 100)
+            {
+                return "City is required and must be at most 100 characters";
+            }
+
+            var state = dto.State?.Trim();
+            if (state?.Length > 100)
+            {
+                return "State / province must be at most 100 characters";
+            }
+
+            var postalCode = dto.PostalCode?.Trim().ToUpperInvariant() ?? string.Empty;
+            if (!Regex.IsMatch(postalCode, @"^[A-Z0-9][A-Z0-9 \-]{1,18}[A-Z0-9]$"))
+            {
+                return "Postal code must be 3-20 letters, digits, spaces or dashes";
+            }
+
+            var country = dto.Country?.Trim().ToUpperInvariant() ?? string.Empty;
+            if (!Regex.IsMatch(country, @"^[A-Z]{2}$"))
+            {
+                return "Country must be a two-letter country code (e.g. US)";
+            }
+
+            var phone = dto.Phone?.Trim();
+            if (!string.IsNullOrEmpty(phone) && !Regex.IsMatch(phone, @"^(?=.{5,30}$)\+?[0-9 ().\-]+$"))
+            {
+                return "Phone number may only contain digits, spaces and + ( ) . -";
+            }
+
+            address.FullName = fullName;
+            address.Line1 = line1;
+            address.Line2 = string.IsNullOrEmpty(line2) ? null : line2;
+            address.City = city;
+            address.State = string.IsNullOrEmpty(state) ? null : state;
+            address.PostalCode = postalCode;
+            address.Country = country;
+            address.Phone = string.IsNullOrEmpty(phone) ? null : phone;
+            return null;
+        }
+
+        private static AddressDto ToDto(Address address)
+        {
+            return new AddressDto
+            {
+                Id = address.Id,
+                FullName = address.FullName,
+                Line1 = address.Line1,
+                Line2 = address.Line2,
+                City = address.City,
+                State = address.State,
+                PostalCode = address.PostalCode,
+                Country = address.Country,
+                Phone = address.Phone,
+                IsDefault = address.IsDefault
+            };
+        }
+    }
+}
@@ -0,0 +1,380 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using ECommerceApp.API.Data;
+using ECommerceApp.API.Models;
+using ECommerceApp.API.DTOs;
+using ECommerceApp.API.Services;
+using System.Security.Claims;
+
+namespace ECommerceApp.API.Controllers
+{
+    [Route("api/[controller]")]
+    [ApiController]
+    [Authorize(Roles = UserRoles.Admin)]
+    public class AdminController : ControllerBase
+    {
+        private const int MaxTrackingNumberLength = 100;
+
+        private readonly ApplicationDbContext _context;
+        private readonly IOrderStatusService _orderStatus;
+        private readonly IShippingService _shipping;
+        private readonly ILogger<AdminController> _logger;
+
+        public AdminController(
+            ApplicationDbContext context,
+            IOrderStatusService orderStatus,
+            IShippingService shipping,
+            ILogger<AdminController> logger)
+        {
+            _context = context;
+            _orderStatus = orderStatus;
+            _shipping = shipping;
+            _logger = logger;
+        }
+
+        private int GetUserId()
+        {
+            var userIdClaim = User.FindFirst("userId") ?? User.FindFirst(ClaimTypes.NameIdentifier);
+            return int.Parse(userIdClaim?.Value ?? "0");
+        }
+
+        // GET: api/admin/users
+        [HttpGet("users")]
+        public async Task<ActionResult<IEnumerable<AdminUserDto>>> GetUsers()
+        {
+            try
+            {
+                var users = await _context.Users
+                    .OrderBy(u => u.Email)
+                    .Select(u => new AdminUserDto
+                    {
+                        Id = u.Id,
+                        Email = u.Email,
+                        FullName = u.FullName,
+                        Role = u.Role,
+                        OrderCount = u.Orders.Count,
+                        CreatedAt = u.CreatedAt
+                    })
+                    .ToListAsync();
+
+                return Ok(users);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error fetching users");
+                return StatusCode(500, new { message = "Error fetching users" });
+            }
+        }
+
+        // PUT: api/admin/users/{id}/role
+        [HttpPut("users/{id}/role")]
+        public async Task<IActionResult> UpdateUserRole(int id, UpdateUserRoleDto dto)
+        {
+            try
+            {
+                var role = dto.Role?.ToLower() ?? string.Empty;
+                if (role != UserRoles.Customer && role != UserRoles.Admin)
+                {
+                    return BadRequest(new { message = "Invalid role. Must be 'customer' or 'admin'" });
+                }
+
+                if (id == GetUserId() && role != UserRoles.Admin)
+                {
+                    return BadRequest(new { message = "You cannot remove your own admin role" });
+                }
+
+                var user = await _context.Users.FindAsync(id);
+                if (user == null)
+                {
+                    return NotFound(new { message = "User not found" });
+                }
+
+                user.Role = role;
+                user.UpdatedAt = DateTime.UtcNow;
+                await _context.SaveChangesAsync();
+
+                _logger.LogInformation("User {UserId} role changed to {Role}", user.Id, role);
+
+                return NoContent();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error updating user role");
+                return StatusCode(500, new { message = "Error updating user role" });
+            }
+        }
+
+        // GET: api/admin/orders?status=&paymentMethod=&from=&to=&search=&page=&pageSize=
+        [HttpGet("orders")]
+        public async Task<ActionResult<PagedResultDto<AdminOrderDto>>> GetOrders([FromQuery] AdminOrderQueryParameters parameters)
+        {
+            try
+            {
+                var orders = _context.Orders.AsQueryable();
+
+                if (!string.IsNullOrWhiteSpace(parameters.Status))
+                {
+                    var status = parameters.Status.Trim().ToLower();
+                    if (!OrderStatuses.IsValid(status))
+                    {
+                        return BadRequest(new { message = $"Invalid status. Must be one of: {string.Join(", ", OrderStatuses.All)}" });
+                    }
+                    orders = orders.Where(o => o.Status == status);
+                }
+
+                if (!string.IsNullOrWhiteSpace(parameters.PaymentMethod))
+                {
+                    var paymentMethod = parameters.PaymentMethod.Trim().ToLower();
+                    if (paymentMethod != "cash" && paymentMethod != "stripe")
+                    {
+                        return BadRequest(new { message = "Invalid payment method. Must be 'cash' or 'stripe'" });
+                    }
+                    orders = orders.Where(o => o.PaymentMethod == paymentMethod);
+                }
+
+                // Query string dates bind as local time; timestamps are stored in UTC
+                var from = parameters.From?.ToUniversalTime();
+                var to = parameters.To?.ToUniversalTime();
+                if (from.HasValue && to.HasValue && from > to)
+                {
+                    return BadRequest(new { message = "The start date cannot be after the end date" });
+                }
+
+                if (from.HasValue)
+                {
+                    orders = orders.Where(o => o.CreatedAt >= from.Value);
+                }
+
+                if (to.HasValue)
+                {
+                    orders = orders.Where(o => o.CreatedAt <= to.Value);
+                }
+
+                if (!string.IsNullOrWhiteSpace(parameters.Search))
+                {
+                    var term = parameters.Search.Trim().TrimStart('#').ToLower();
+                    int? orderId = int.TryParse(term, out var id) ? id : null;
+                    orders = orders.Where(o => o.Id == orderId
+                        || o.User.Email.ToLower().Contains(term)
+                        || (o.User.FullName != null && o.User.FullName.ToLower().Contains(term)));
+                }
+
+                var page = Math.Max(parameters.Page, 1);
+                var pageSize = Math.Clamp(parameters.PageSize, 1, AdminOrderQueryParameters.MaxPageSize);
+
+                var totalCount = await orders.CountAsync();
+                var items = await IncludeDetails(orders)
+                    .OrderByDescending(o => o.CreatedAt)
+                    .ThenByDescending(o => o.Id)
+                    .Skip((page - 1) * pageSize)
+                    .Take(pageSize)
+                    .ToListAsync();
+
+                return new PagedResultDto<AdminOrderDto>
+                {
+                    Items = items.Select(ToAdminOrderDto).ToList(),
+                    Page = page,
+                    PageSize = pageSize,
+                    TotalCount = totalCount,
+                    TotalPages = (int)Math.Ceiling(totalCount / (double)pageSize)
+                };
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error fetching orders for admin");
+                return StatusCode(500, new { message = "Error fetching orders" });
+            }
+        }
+
+        // GET: api/admin/orders/{id}
+        [HttpGet("orders/{id}")]
+        public async Task<ActionResult<AdminOrderDto>> GetOrder(int id)
+        {
+            try
+            {
+                var order = await IncludeDetails(_context.Orders).FirstOrDefaultAsync(o => o.Id == id);
+                if (order == null)
+                {
+                    return NotFound(new { message = "Order not found" });
+                }
+
+                return Ok(ToAdminOrderDto(order));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error fetching order for admin");
+                return StatusCode(500, new { message = "Error fetching order" });
+            }
+        }
+
+        // POST: api/admin/orders/bulk-status
+        // Every order goes through the same checks as PUT api/orders/{id}/status; one failing doesn't stop the rest
+        [HttpPost("orders/bulk-status")]
+        public async Task<ActionResult<BulkUpdateOrderStatusResultDto>> BulkUpdateOrderStatus(BulkUpdateOrderStatusDto dto)
+        {
+            try
+            {
+                var orderIds = (dto.OrderIds ?? new List<int>()).Distinct().ToList();
+                if (orderIds.Count == 0)
+                {
+                    return BadRequest(new { message = "Select at least one order" });
+                }
+
+                if (orderIds.Count > BulkUpdateOrderStatusDto.MaxOrders)
+                {
+                    return BadRequest(new { message = $"At most {BulkUpdateOrderStatusDto.MaxOrders} orders can be updated at once" });
+                }
+
+                var status = dto.Status?.Trim().ToLower() ?? string.Empty;
+                if (!OrderStatuses.IsValid(status))
+                {
+                    return BadRequest(new { message = $"Invalid status. Must be one of: {string.Join(", ", OrderStatuses.All)}" });
+                }
+
+                var userId = GetUserId();
+                var result = new BulkUpdateOrderStatusResultDto();
+                foreach (var orderId in orderIds)
+                {
+                    var change = await _orderStatus.ChangeStatusAsync(new ChangeOrderStatusRequest
+                    {
+                        OrderId = orderId,
+                        Status = status,
+                        ChangedByUserId = userId,
+                        Note = dto.Note
+                    });
+
+                    if (change.Outcome == ChangeOrderStatusOutcome.Changed)
+                    {
+                        result.Updated.Add(orderId);
+                    }
+                    else
+                    {
+                        result.Failed.Add(new BulkOrderStatusFailureDto { OrderId = orderId, Message = change.Message });
+                    }
+                }
+
+                _logger.LogInformation("User {UserId} moved {Updated} orders to {Status} ({Failed} failed)",
+                    userId, result.Updated.Count, status, result.Failed.Count);
+
+                return Ok(result);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error updating order statuses");
+                return StatusCode(500, new { message = "Error updating order statuses" });
+            }
+        }
+
+        // PUT: api/admin/orders/{id}/shipment
+        // Carrier, tracking number and estimated delivery date shown to the customer
+        [HttpPut("orders/{id}/shipment")]
+        public async Task<ActionResult<AdminOrderDto>> UpdateShipment(int id, UpdateShipmentDto dto)
+        {
+            try
+            {
+                string? carrier = null;
+                if (!string.IsNullOrWhiteSpace(dto.Carrier))
+                {
+                    carrier = _shipping.GetCarrier(dto.Carrier.Trim())?.Code;
+                    if (carrier == null)
+                    {
+                        var codes = _shipping.GetCarriers().Select(c => c.Code);
+                        return BadRequest(new { message = $"Unknown carrier. Must be one of: {string.Join(", ", codes)}" });
+                    }
+                }
+
+                var trackingNumber = string.IsNullOrWhiteSpace(dto.TrackingNumber) ? null : dto.TrackingNumber.Trim();
+                if (trackingNumber?.Length > MaxTrackingNumberLength)
+                {
+                    return BadRequest(new { message = $"Tracking number must be at most {MaxTrackingNumberLength} characters" });
+                }
+
+                var order = await IncludeDetails(_context.Orders).FirstOrDefaultAsync(o => o.Id == id);
+                if (order == null)
+                {
+                    return NotFound(new { message = "Order not found" });
+                }
+
+                var hasShipment = carrier != null || trackingNumber != null || dto.EstimatedDeliveryDate.HasValue;
+                if (hasShipment && order.Status == OrderStatuses.Cancelled)
+                {
+                    return BadRequest(new { message = "Cancelled orders aren't shipped, so they can't have shipment details" });
+                }
+
+                if (dto.EstimatedDeliveryDate < DateOnly.FromDateTime(order.CreatedAt))
+                {
+                    return BadRequest(new { message = "The estimated delivery date cannot be before the order was placed" });
+                }
+
+                order.Carrier = carrier;
+                order.TrackingNumber = trackingNumber;
+                order.EstimatedDeliveryDate = dto.EstimatedDeliveryDate;
+                order.UpdatedAt = DateTime.UtcNow;
+                await _context.SaveChangesAsync();
+
+                return Ok(ToAdminOrderDto(order));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error updating shipment");
+                return StatusCode(500, new { message = "Error updating shipment" });
+            }
+        }
+
+        private static IQueryable<Order> IncludeDetails(IQueryable<Order> orders) => orders
+            .Include(o => o.OrderItems)
+            .Include(o => o.TaxLines)
+            .Include(o => o.StatusHistory).ThenInclude(h => h.ChangedByUser)
+            .Include(o => o.User);
+
+        private AdminOrderDto ToAdminOrderDto(Order o) => new AdminOrderDto
+        {
+            Id = o.Id,
+            UserId = o.UserId,
+            UserEmail = o.User.Email,
+            UserFullName = o.User.FullName,
+            Subtotal = o.OrderItems.Sum(oi => oi.Price * oi.Quantity),
+            ShippingCost = o.ShippingCost,
+            ShippingMethod = o.ShippingMethod,
+            ShippingMethodName = o.ShippingMethodName,
+            DiscountAmount = o.DiscountAmount,
+            CouponCode = o.CouponCode,
+            TaxAmount = o.TaxAmount,
+            TaxIncluded = o.TaxIncluded,
+            TaxLines = o.TaxLines.Select(tl => new TaxLineDto
+            {
+                Name = tl.Name,
+                Rate = tl.Rate,
+                Amount = tl.Amount
+            }).ToList(),
+            TotalAmount = o.TotalAmount,
+            Status = o.Status,
+            NextStatuses = OrderStatuses.NextStatuses(o.Status).ToList(),
+            PaymentMethod = o.PaymentMethod,
+            PaymentIntentId = o.PaymentIntentId,
+            CancelledAt = o.CancelledAt,
+            RefundStatus = o.RefundStatus,
+            RefundAmount = o.RefundAmount,
+            Carrier = o.Carrier,
+            CarrierName = _shipping.GetCarrier(o.Carrier)?.Name ?? o.Carrier,
+            TrackingNumber = o.TrackingNumber,
+            TrackingUrl = _shipping.GetTrackingUrl(o.Carrier, o.TrackingNumber),
+            EstimatedDeliveryDate = o.EstimatedDeliveryDate,
+            ShippingAddress = ShippingAddressDto.FromOrder(o),
+            CreatedAt = o.CreatedAt,
+            Items = o.OrderItems.Select(oi => new OrderItemDto
+            {
+                Id = oi.Id,
+                ProductId = oi.ProductId,
+                ProductName = oi.ProductName,
+                VariantName = oi.VariantName,
+                Sku = oi.Sku,
+                Price = oi.Price,
+                Quantity = oi.Quantity,
+                Subtotal = oi.Price * oi.Quantity
+            }).ToList(),
+            StatusHistory = OrderStatusHistoryDto.FromOrder(o, includeEmails: true)
+        };
+    }
+}
@@ -28,6 +28,69 @@ namespace ECommerceApp.API.Controllers
             _logger = logger;
         }
 
+        private async Task<AuthResponseDto> IssueTokensAsync(User user)
+        {
+            var (refreshToken, refreshTokenEntity) = CreateRefreshToken(user);
+            _context.RefreshTokens.Add(refreshTokenEntity);
+            await _context.SaveChangesAsync();
+
+            return CreateAuthResponse(user, refreshToken, refreshTokenEntity);
+        }
+
+        // Rotation: the presented refresh token can only be used once. Returns null when a
+        // concurrent request presenting the same token rotated it first.
+        private async Task<AuthResponseDto?> RotateTokensAsync(RefreshToken replacing)
+        {
+            var (refreshToken, refreshTokenEntity) = CreateRefreshToken(replacing.User);
+
+            await using var transaction = await _context.Database.BeginTransactionAsync();
+
+            // Conditional UPDATE, so of two requests racing with the same token only one gets a new pair
+            var revokedAt = DateTime.UtcNow;
+            var revoked = await _context.RefreshTokens
+                .Where(rt => rt.Id == replacing.Id && rt.RevokedAt == null)
+                .ExecuteUpdateAsync(s => s
+                    .SetProperty(rt => rt.RevokedAt, revokedAt)
+                    .SetProperty(rt => rt.ReplacedByTokenHash, refreshTokenEntity.TokenHash));
+            if (revoked == 0)
+            {
+                await transaction.RollbackAsync();
+                return null;
+            }
+
+            _context.RefreshTokens.Add(refreshTokenEntity);
+            await _context.SaveChangesAsync();
+            await transaction.CommitAsync();
+
+            return CreateAuthResponse(replacing.User, refreshToken, refreshTokenEntity);
+        }
+
+        private (string RefreshToken, RefreshToken Entity) CreateRefreshToken(User user)
+        {
+            var refreshToken = _tokenService.GenerateRefreshToken();
+            return (refreshToken, new RefreshToken
+            {
+                UserId = user.Id,
+                TokenHash = _tokenService.HashRefreshToken(refreshToken),
+                ExpiresAt = _tokenService.GetRefreshTokenExpiry(),
+                CreatedAt = DateTime.UtcNow
+            });
+        }
+
+        private AuthResponseDto CreateAuthResponse(User user, string refreshToken, RefreshToken refreshTokenEntity)
+        {
+            return new AuthResponseDto
+            {
+                Token = _tokenService.GenerateToken(user),
+                RefreshToken = refreshToken,
+                RefreshTokenExpiresAt = refreshTokenEntity.ExpiresAt,
+                UserId = user.Id,
+                Email = user.Email,
+                FullName = user.FullName,
+                Role = user.Role
+            };
+        }
+
         // POST: api/auth/register
         [HttpPost("register")]
         public async Task<ActionResult<AuthResponseDto>> Register(RegisterDto dto)
@@ -53,6 +116,7 @@ namespace ECommerceApp.API.Controllers
                     Email = dto.Email,
                     PasswordHash = _passwordHasher.HashPassword(dto.Password),
                     FullName = dto.FullName,
+                    Role = UserRoles.Customer,
                     CreatedAt = DateTime.UtcNow,
                     UpdatedAt = DateTime.UtcNow
                 };
@@ -70,16 +134,8 @@ namespace ECommerceApp.API.Controllers
                 _context.Carts.Add(cart);
                 await _context.SaveChangesAsync();
 
-                // Generate JWT token
-                var token = _tokenService.GenerateToken(user);
-
-                return Ok(new AuthResponseDto
-                {
-                    Token = token,
-                    UserId = user.Id,
-                    Email = user.Email,
-                    FullName = user.FullName
-                });
+                // Generate JWT and refresh token
+                return Ok(await IssueTokensAsync(user));
             }
             catch (Exception ex)
             {
@@ -113,16 +169,8 @@ namespace ECommerceApp.API.Controllers
                     return Unauthorized(new { message = "Invalid email or password" });
                 }
 
-                // Generate JWT token
-                var token = _tokenService.GenerateToken(user);
-
-                return Ok(new AuthResponseDto
-                {
-                    Token = token,
-                    UserId = user.Id,
-                    Email = user.Email,
-                    FullName = user.FullName
-                });
+                // Generate JWT and refresh token
+                return Ok(await IssueTokensAsync(user));
             }
             catch (Exception ex)
             {
@@ -131,11 +179,85 @@ namespace ECommerceApp.API.Controllers
             }
         }
 
-        // POST: api/auth/logout (client-side logout, just returns success)
+        // POST: api/auth/refresh
+        [HttpPost("refresh")]
+        public async Task<ActionResult<AuthResponseDto>> Refresh(RefreshTokenDto dto)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(dto.RefreshToken))
+                {
+                    return BadRequest(new { message = "Refresh token is required" });
+                }
+
+                var tokenHash = _tokenService.HashRefreshToken(dto.RefreshToken);
+                var storedToken = await _context.RefreshTokens
+                    .Include(rt => rt.User)
+                    .FirstOrDefaultAsync(rt => rt.TokenHash == tokenHash);
+
+                if (storedToken == null)
+                {
+                    return Unauthorized(new { message = "Invalid refresh token" });
+                }
+
+                if (storedToken.RevokedAt != null && storedToken.ReplacedByTokenHash == null)
+                {
+                    // Revoked by logging out: just no longer valid
+                    return Unauthorized(new { message = "Invalid refresh token" });
+                }
+
+                if (storedToken.RevokedAt != null)
+                {
+                    // A rotated token being replayed means it leaked: end every session for this user
+                    _logger.LogWarning("Revoked refresh token reused for user {UserId}; revoking all sessions", storedToken.UserId);
+                    var activeTokens = await _context.RefreshTokens
+                        .Where(rt => rt.UserId == storedToken.UserId && rt.RevokedAt == null)
+                        .ToListAsync();
+                    foreach (var activeToken in activeTokens)
+                    {
+                        activeToken.RevokedAt = DateTime.UtcNow;
+                    }
+                    await _context.SaveChangesAsync();
+
+                    return Unauthorized(new { message = "Invalid refresh token" });
+                }
+
+                if (storedToken.ExpiresAt <= DateTime.UtcNow)
+                {
+                    return Unauthorized(new { message = "Refresh token has expired" });
+                }
+
+                var rotated = await RotateTokensAsync(storedToken);
+                if (rotated == null)
+                {
+                    // Lost the race to a concurrent refresh with the same token, which already got the new pair
+                    return Unauthorized(new { message = "Refresh token has already been used" });
+                }
+
+                return Ok(rotated);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error refreshing token");
+                return StatusCode(500, new { message = "An error occurred while refreshing the session" });
+            }
+        }
+
+        // POST: api/auth/logout
         [HttpPost("logout")]
-        public IActionResult Logout()
+        public async Task<IActionResult> Logout(RefreshTokenDto? dto)
         {
-            // In JWT authentication, logout is handled client-side by removing the token
+            // The access token simply expires; revoke the refresh token so the session can't be renewed
+            if (!string.IsNullOrWhiteSpace(dto?.RefreshToken))
+            {
+                // Conditional like rotation, so a token rotated meanwhile keeps its revocation record
+                var tokenHash = _tokenService.HashRefreshToken(dto.RefreshToken);
+                var revokedAt = DateTime.UtcNow;
+                await _context.RefreshTokens
+                    .Where(rt => rt.TokenHash == tokenHash && rt.RevokedAt == null)
+                    .ExecuteUpdateAsync(s => s.SetProperty(rt => rt.RevokedAt, revokedAt));
+            }
+
             return Ok(new { message = "Logged out successfully" });
         }
     }
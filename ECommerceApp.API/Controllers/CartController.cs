@@ -4,6 +4,7 @@ using Microsoft.EntityFrameworkCore;
 using ECommerceApp.API.Data;
 using ECommerceApp.API.Models;
 using ECommerceApp.API.DTOs;
+using ECommerceApp.API.Services;
 using System.Security.Claims;
 
 namespace ECommerceApp.API.Controllers
@@ -14,11 +15,19 @@ namespace ECommerceApp.API.Controllers
     public class CartController : ControllerBase
     {
         private readonly ApplicationDbContext _context;
+        private readonly IOrderPricingService _pricing;
+        private readonly ICouponService _coupons;
         private readonly ILogger<CartController> _logger;
 
-        public CartController(ApplicationDbContext context, ILogger<CartController> logger)
+        public CartController(
+            ApplicationDbContext context,
+            IOrderPricingService pricing,
+            ICouponService coupons,
+            ILogger<CartController> logger)
         {
             _context = context;
+            _pricing = pricing;
+            _coupons = coupons;
             _logger = logger;
         }
 
@@ -33,6 +42,10 @@ namespace ECommerceApp.API.Controllers
             var cart = await _context.Carts
                 .Include(c => c.CartItems)
                 .ThenInclude(ci => ci.Product)
+                .ThenInclude(p => p.Options)
+                .Include(c => c.CartItems)
+                .ThenInclude(ci => ci.Variant)
+                .Include(c => c.Coupon)
                 .FirstOrDefaultAsync(c => c.UserId == userId);
 
             if (cart == null)
@@ -50,6 +63,32 @@ namespace ECommerceApp.API.Controllers
             return cart;
         }
 
+        // The address tax is estimated for when checkout hasn't picked one yet
+        private Task<Address?> GetDefaultAddressAsync(int userId) =>
+            _context.Addresses
+                .AsNoTracking()
+                .FirstOrDefaultAsync(a => a.UserId == userId && a.IsDefault);
+
+        // The applied coupon stays on the cart while it doesn't apply, so it kicks in again
+        // once e.g. the minimum spend is reached; null when no coupon is applied
+        private async Task<CouponCheck?> CheckCartCouponAsync(Cart cart)
+        {
+            if (cart.Coupon == null)
+            {
+                return null;
+            }
+
+            var subtotal = cart.CartItems.Sum(ci => ci.UnitPrice * ci.Quantity);
+            return await _coupons.CheckAsync(cart.Coupon, cart.UserId, subtotal);
+        }
+
+        private static string StockMessage(string name, int stockQuantity)
+        {
+            return stockQuantity == 0
+                ? $"{name} is out of stock"
+                : $"Only {stockQuantity} of {name} left in stock";
+        }
+
         // GET: api/cart
         [HttpGet]
         public async Task<ActionResult<CartDto>> GetCart()
@@ -63,6 +102,11 @@ namespace ECommerceApp.API.Controllers
                 }
 
                 var cart = await GetOrCreateCartAsync(userId);
+                var address = await GetDefaultAddressAsync(userId);
+                var couponCheck = await CheckCartCouponAsync(cart);
+                var pricing = _pricing.Price(
+                    cart.CartItems, null, address?.Country, address?.State,
+                    couponCheck?.IsValid == true ? cart.Coupon : null);
 
                 var cartDto = new CartDto
                 {
@@ -74,12 +118,24 @@ namespace ECommerceApp.API.Controllers
                         ProductId = ci.ProductId,
                         ProductName = ci.Product.Name,
                         ProductDescription = ci.Product.Description,
-                        Price = ci.Product.Price,
-                        ImageUrl = ci.Product.ImageUrl,
+                        VariantId = ci.ProductVariantId,
+                        VariantName = ci.Variant?.Describe(ci.Product.Options),
+                        Sku = ci.Variant?.Sku,
+                        Price = ci.UnitPrice,
+                        ImageUrl = ci.Variant?.ImageUrl ?? ci.Product.ImageUrl,
                         Quantity = ci.Quantity,
-                        Subtotal = ci.Product.Price * ci.Quantity
+                        StockQuantity = ci.AvailableStock,
+                        Subtotal = ci.UnitPrice * ci.Quantity
                     }).ToList(),
-                    TotalAmount = cart.CartItems.Sum(ci => ci.Product.Price * ci.Quantity)
+                    TotalAmount = pricing.Subtotal,
+                    CouponCode = cart.Coupon?.Code,
+                    CouponDescription = cart.Coupon?.Description,
+                    CouponError = couponCheck?.Error,
+                    DiscountAmount = pricing.Discount,
+                    TaxLines = pricing.Tax.Lines,
+                    TaxAmount = pricing.Tax.TaxAmount,
+                    TaxIncluded = pricing.Tax.PricesIncludeTax,
+                    TaxRegion = pricing.Tax.Region
                 };
 
                 return Ok(cartDto);
@@ -91,6 +147,133 @@ namespace ECommerceApp.API.Controllers
             }
         }
 
+        // GET: api/cart/totals?addressId=3&shippingMethod=express
+        // Both parameters are optional; without an address the default one is used
+        [HttpGet("totals")]
+        public async Task<ActionResult<CartTotalsDto>> GetCartTotals([FromQuery] int? addressId, [FromQuery] string? shippingMethod)
+        {
+            try
+            {
+                var userId = GetUserId();
+                if (userId == 0)
+                {
+                    return Unauthorized(new { message = "User not authenticated" });
+                }
+
+                Address? address;
+                if (addressId.HasValue)
+                {
+                    address = await _context.Addresses
+                        .AsNoTracking()
+                        .FirstOrDefaultAsync(a => a.Id == addressId.Value && a.UserId == userId);
+                    if (address == null)
+                    {
+                        return BadRequest(new { message = "Shipping address not found" });
+                    }
+                }
+                else
+                {
+                    address = await GetDefaultAddressAsync(userId);
+                }
+
+                var cart = await GetOrCreateCartAsync(userId);
+                var couponCheck = await CheckCartCouponAsync(cart);
+                var pricing = _pricing.Price(
+                    cart.CartItems, shippingMethod, address?.Country, address?.State,
+                    couponCheck?.IsValid == true ? cart.Coupon : null);
+                if (!string.IsNullOrWhiteSpace(shippingMethod) && pricing.Shipping == null)
+                {
+                    return BadRequest(new { message = $"Shipping method '{shippingMethod}' is not available" });
+                }
+
+                return Ok(new CartTotalsDto
+                {
+                    Subtotal = pricing.Subtotal,
+                    CouponCode = cart.Coupon?.Code,
+                    CouponError = couponCheck?.Error,
+                    DiscountAmount = pricing.Discount,
+                    ShippingMethod = pricing.Shipping?.Code,
+                    ShippingCost = pricing.Shipping?.Cost ?? 0m,
+                    TaxLines = pricing.Tax.Lines,
+                    TaxAmount = pricing.Tax.TaxAmount,
+                    TaxIncluded = pricing.Tax.PricesIncludeTax,
+                    TaxRegion = pricing.Tax.Region,
+                    TotalAmount = pricing.Total
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error calculating cart totals");
+                return StatusCode(500, new { message = "Error calculating cart totals" });
+            }
+        }
+
+        // POST: api/cart/coupon
+        [HttpPost("coupon")]
+        public async Task<ActionResult<CartDto>> ApplyCoupon(ApplyCouponDto dto)
+        {
+            try
+            {
+                var userId = GetUserId();
+                if (userId == 0)
+                {
+                    return Unauthorized(new { message = "User not authenticated" });
+                }
+
+                if (string.IsNullOrWhiteSpace(dto.Code))
+                {
+                    return BadRequest(new { message = "Please enter a promo code" });
+                }
+
+                var cart = await GetOrCreateCartAsync(userId);
+                var subtotal = cart.CartItems.Sum(ci => ci.UnitPrice * ci.Quantity);
+                var couponCheck = await _coupons.CheckCodeAsync(dto.Code, userId, subtotal);
+                if (!couponCheck.IsValid)
+                {
+                    return BadRequest(new { message = couponCheck.Error });
+                }
+
+                // One code per cart; applying another replaces it
+                cart.CouponId = couponCheck.Coupon!.Id;
+                cart.UpdatedAt = DateTime.UtcNow;
+                await _context.SaveChangesAsync();
+
+                return await GetCart();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error applying coupon");
+                return StatusCode(500, new { message = "Error applying promo code" });
+            }
+        }
+
+        // DELETE: api/cart/coupon
+        [HttpDelete("coupon")]
+        public async Task<ActionResult<CartDto>> RemoveCoupon()
+        {
+            try
+            {
+                var userId = GetUserId();
+                if (userId == 0)
+                {
+                    return Unauthorized(new { message = "User not authenticated" });
+                }
+
+                var cart = await GetOrCreateCartAsync(userId);
+                cart.Coupon = null;
+                cart.CouponId = null;
+                cart.UpdatedAt = DateTime.UtcNow;
+                await _context.SaveChangesAsync();
+
+                return await GetCart();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error removing coupon");
+                return StatusCode(500, new { message = "Error removing promo code" });
+            }
+        }
+
         // POST: api/cart/items
         [HttpPost("items")]
         public async Task<ActionResult<CartDto>> AddToCart(AddToCartDto dto)
@@ -104,7 +287,10 @@ namespace ECommerceApp.API.Controllers
                 }
 
                 // Validate product exists
-                var product = await _context.Products.FindAsync(dto.ProductId);
+                var product = await _context.Products
+                    .Include(p => p.Options.OrderBy(o => o.SortOrder))
+                    .Include(p => p.Variants)
+                    .FirstOrDefaultAsync(p => p.Id == dto.ProductId);
                 if (product == null)
                 {
                     return NotFound(new { message = "Product not found" });
@@ -115,10 +301,39 @@ namespace ECommerceApp.API.Controllers
                     return BadRequest(new { message = "Quantity must be greater than 0" });
                 }
 
+                // Products with variants are bought as one of their variants
+                ProductVariant? variant = null;
+                if (product.Variants.Count > 0)
+                {
+                    variant = product.Variants.FirstOrDefault(v => v.Id == dto.VariantId);
+                    if (variant == null)
+                    {
+                        return BadRequest(new
+                        {
+                            message = dto.VariantId.HasValue
+                                ? "The selected option is no longer available"
+                                : $"Please choose {string.Join(" and ", product.Options.Select(o => o.Name.ToLower()))}"
+                        });
+                    }
+                }
+                else if (dto.VariantId.HasValue)
+                {
+                    return BadRequest(new { message = $"{product.Name} has no options to choose from" });
+                }
+
                 var cart = await GetOrCreateCartAsync(userId);
 
                 // Check if item already exists in cart
-                var existingItem = cart.CartItems.FirstOrDefault(ci => ci.ProductId == dto.ProductId);
+                var existingItem = cart.CartItems.FirstOrDefault(ci =>
+                    ci.ProductId == dto.ProductId && ci.ProductVariantId == variant?.Id);
+
+                // The cart may not hold more than is currently in stock
+                var stockQuantity = variant?.StockQuantity ?? product.StockQuantity;
+                if ((existingItem?.Quantity ?? 0) + dto.Quantity > stockQuantity)
+                {
+                    return BadRequest(new { message = StockMessage(product.DescribeVariant(variant), stockQuantity) });
+                }
+
                 if (existingItem != null)
                 {
                     existingItem.Quantity += dto.Quantity;
@@ -129,6 +344,7 @@ namespace ECommerceApp.API.Controllers
                     {
                         CartId = cart.Id,
                         ProductId = dto.ProductId,
+                        ProductVariantId = variant?.Id,
                         Quantity = dto.Quantity,
                         CreatedAt = DateTime.UtcNow
                     };
@@ -148,6 +364,78 @@ namespace ECommerceApp.API.Controllers
             }
         }
 
+        // POST: api/cart/merge
+        [HttpPost("merge")]
+        public async Task<ActionResult<CartDto>> MergeCart(MergeCartDto dto)
+        {
+            try
+            {
+                var userId = GetUserId();
+                if (userId == 0)
+                {
+                    return Unauthorized(new { message = "User not authenticated" });
+                }
+
+                var cart = await GetOrCreateCartAsync(userId);
+
+                var productIds = dto.Items.Select(i => i.ProductId).Distinct().ToList();
+                var products = await _context.Products
+                    .Include(p => p.Variants)
+                    .Where(p => productIds.Contains(p.Id))
+                    .ToDictionaryAsync(p => p.Id);
+
+                foreach (var item in dto.Items.Where(i => i.Quantity > 0))
+                {
+                    // Products deleted since they were added to the guest cart are dropped
+                    if (!products.TryGetValue(item.ProductId, out var product))
+                    {
+                        continue;
+                    }
+
+                    // So are lines whose variant has since been removed
+                    var variant = product.Variants.FirstOrDefault(v => v.Id == item.VariantId);
+                    if (product.Variants.Count > 0 && variant == null)
+                    {
+                        continue;
+                    }
+
+                    // Quantities are summed but capped at the stock on hand; an existing line is never reduced
+                    var existingItem = cart.CartItems.FirstOrDefault(ci =>
+                        ci.ProductId == item.ProductId && ci.ProductVariantId == variant?.Id);
+                    var currentQuantity = existingItem?.Quantity ?? 0;
+                    var stockQuantity = variant?.StockQuantity ?? product.StockQuantity;
+                    var mergedQuantity = Math.Max(currentQuantity, Math.Min(currentQuantity + item.Quantity, stockQuantity));
+
+                    if (existingItem != null)
+                    {
+                        existingItem.Quantity = mergedQuantity;
+                    }
+                    else if (mergedQuantity > 0)
+                    {
+                        var cartItem = new CartItem
+                        {
+                            CartId = cart.Id,
+                            ProductId = item.ProductId,
+                            ProductVariantId = variant?.Id,
+                            Quantity = mergedQuantity,
+                            CreatedAt = DateTime.UtcNow
+                        };
+                        cart.CartItems.Add(cartItem);
+                    }
+                }
+
+                cart.UpdatedAt = DateTime.UtcNow;
+                await _context.SaveChangesAsync();
+
+                return await GetCart();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error merging guest cart");
+                return StatusCode(500, new { message = "Error merging guest cart" });
+            }
+        }
+
         // PUT: api/cart/items/{id}
         [HttpPut("items/{id}")]
         public async Task<ActionResult<CartDto>> UpdateCartItem(int id, UpdateCartItemDto dto)
@@ -162,6 +450,9 @@ namespace ECommerceApp.API.Controllers
 
                 var cartItem = await _context.CartItems
                     .Include(ci => ci.Cart)
+                    .Include(ci => ci.Product)
+                    .ThenInclude(p => p.Options)
+                    .Include(ci => ci.Variant)
                     .FirstOrDefaultAsync(ci => ci.Id == id && ci.Cart.UserId == userId);
 
                 if (cartItem == null)
@@ -174,6 +465,12 @@ namespace ECommerceApp.API.Controllers
                     return BadRequest(new { message = "Quantity must be greater than 0" });
                 }
 
+                // Lowering the quantity is always allowed, even if stock has since dropped below it
+                if (dto.Quantity > cartItem.Quantity && dto.Quantity > cartItem.AvailableStock)
+                {
+                    return BadRequest(new { message = StockMessage(cartItem.DisplayName, cartItem.AvailableStock) });
+                }
+
                 cartItem.Quantity = dto.Quantity;
                 cartItem.Cart.UpdatedAt = DateTime.UtcNow;
                 await _context.SaveChangesAsync();
@@ -221,6 +518,134 @@ namespace ECommerceApp.API.Controllers
             }
         }
 
+        // POST: api/cart/items/{id}/save-for-later - moves the line (variant and quantity) to the wishlist
+        [HttpPost("items/{id}/save-for-later")]
+        public async Task<ActionResult<CartDto>> SaveForLater(int id)
+        {
+            try
+            {
+                var userId = GetUserId();
+                if (userId == 0)
+                {
+                    return Unauthorized(new { message = "User not authenticated" });
+                }
+
+                var cartItem = await _context.CartItems
+                    .Include(ci => ci.Cart)
+                    .FirstOrDefaultAsync(ci => ci.Id == id && ci.Cart.UserId == userId);
+
+                if (cartItem == null)
+                {
+                    return NotFound(new { message = "Cart item not found" });
+                }
+
+                // Saving something already on the wishlist updates its quantity instead of duplicating it
+                var wishlistItem = await _context.WishlistItems.FirstOrDefaultAsync(w =>
+                    w.UserId == userId && w.ProductId == cartItem.ProductId && w.ProductVariantId == cartItem.ProductVariantId);
+                if (wishlistItem != null)
+                {
+                    wishlistItem.Quantity = cartItem.Quantity;
+                }
+                else
+                {
+                    _context.WishlistItems.Add(new WishlistItem
+                    {
+                        UserId = userId,
+                        ProductId = cartItem.ProductId,
+                        ProductVariantId = cartItem.ProductVariantId,
+                        Quantity = cartItem.Quantity,
+                        CreatedAt = DateTime.UtcNow
+                    });
+                }
+
+                _context.CartItems.Remove(cartItem);
+                cartItem.Cart.UpdatedAt = DateTime.UtcNow;
+                await _context.SaveChangesAsync();
+
+                return await GetCart();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error saving cart item for later");
+                return StatusCode(500, new { message = "Error saving item for later" });
+            }
+        }
+
+        // POST: api/cart/items/from-wishlist/{wishlistItemId} - adds the wishlist item's quantity to the
+        // cart and takes it off the wishlist
+        [HttpPost("items/from-wishlist/{wishlistItemId}")]
+        public async Task<ActionResult<CartDto>> MoveFromWishlist(int wishlistItemId)
+        {
+            try
+            {
+                var userId = GetUserId();
+                if (userId == 0)
+                {
+                    return Unauthorized(new { message = "User not authenticated" });
+                }
+
+                var wishlistItem = await _context.WishlistItems
+                    .Include(w => w.Product)
+                    .ThenInclude(p => p.Options.OrderBy(o => o.SortOrder))
+                    .Include(w => w.Product)
+                    .ThenInclude(p => p.Variants)
+                    .Include(w => w.Variant)
+                    .FirstOrDefaultAsync(w => w.Id == wishlistItemId && w.UserId == userId);
+
+                if (wishlistItem == null)
+                {
+                    return NotFound(new { message = "Wishlist item not found" });
+                }
+
+                var product = wishlistItem.Product;
+                var variant = wishlistItem.Variant;
+                if (variant == null && product.Variants.Count > 0)
+                {
+                    return BadRequest(new
+                    {
+                        message = $"Please choose {string.Join(" and ", product.Options.Select(o => o.Name.ToLower()))}"
+                    });
+                }
+
+                var cart = await GetOrCreateCartAsync(userId);
+                var existingItem = cart.CartItems.FirstOrDefault(ci =>
+                    ci.ProductId == product.Id && ci.ProductVariantId == variant?.Id);
+
+                var stockQuantity = variant?.StockQuantity ?? product.StockQuantity;
+                if ((existingItem?.Quantity ?? 0) + wishlistItem.Quantity > stockQuantity)
+                {
+                    return BadRequest(new { message = StockMessage(product.DescribeVariant(variant), stockQuantity) });
+                }
+
+                if (existingItem != null)
+                {
+                    existingItem.Quantity += wishlistItem.Quantity;
+                }
+                else
+                {
+                    _context.CartItems.Add(new CartItem
+                    {
+                        CartId = cart.Id,
+                        ProductId = product.Id,
+                        ProductVariantId = variant?.Id,
+                        Quantity = wishlistItem.Quantity,
+                        CreatedAt = DateTime.UtcNow
+                    });
+                }
+
+                _context.WishlistItems.Remove(wishlistItem);
+                cart.UpdatedAt = DateTime.UtcNow;
+                await _context.SaveChangesAsync();
+
+                return await GetCart();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error moving wishlist item to cart");
+                return StatusCode(500, new { message = "Error moving item to cart" });
+            }
+        }
+
         // DELETE: api/cart/clear
         [HttpDelete("clear")]
         public async Task<IActionResult> ClearCart()
@@ -0,0 +1,213 @@
+using System.Text.RegularExpressions;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using ECommerceApp.API.Data;
+using ECommerceApp.API.Models;
+using ECommerceApp.API.DTOs;
+
+namespace ECommerceApp.API.Controllers
+{
+    [Route("api/[controller]")]
+    [ApiController]
+    public class CategoriesController : ControllerBase
+    {
+        private readonly ApplicationDbContext _context;
+        private readonly ILogger<CategoriesController> _logger;
+
+        public CategoriesController(ApplicationDbContext context, ILogger<CategoriesController> logger)
+        {
+            _context = context;
+            _logger = logger;
+        }
+
+        private static string Slugify(string value)
+        {
+            var slug = Regex.Replace(value.Trim().ToLowerInvariant(), @"[^a-z0-9]+", "-");
+            return slug.Trim('-');
+        }
+
+        // GET: api/categories (public - no auth required)
+        [HttpGet]
+        [AllowAnonymous]
+        public async Task<ActionResult<IEnumerable<CategoryDto>>> GetCategories()
+        {
+            try
+            {
+                var categories = await _context.Categories
+                    .OrderBy(c => c.Name)
+                    .Select(c => new CategoryDto
+                    {
+                        Id = c.Id,
+                        Name = c.Name,
+                        Slug = c.Slug,
+                        Description = c.Description,
+                        ParentId = c.ParentId,
+                        ProductCount = c.Products.Count
+                    })
+                    .ToListAsync();
+
+                return Ok(categories);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error fetching categories");
+                return StatusCode(500, new { message = "Error fetching categories" });
+            }
+        }
+
+        // POST: api/categories (admin only)
+        [HttpPost]
+        [Authorize(Roles = UserRoles.Admin)]
+        public async Task<ActionResult<CategoryDto>> CreateCategory(SaveCategoryDto dto)
+        {
+            try
+            {
+                var category = new Category();
+                var error = await ApplyAsync(category, dto);
+                if (error != null)
+                {
+                    return BadRequest(new { message = error });
+                }
+
+                _context.Categories.Add(category);
+                await _context.SaveChangesAsync();
+
+                return CreatedAtAction(nameof(GetCategories), null, ToDto(category, 0));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error creating category");
+                return StatusCode(500, new { message = "Error creating category" });
+            }
+        }
+
+        // PUT: api/categories/5 (admin only)
+        [HttpPut("{id}")]
+        [Authorize(Roles = UserRoles.Admin)]
+        public async Task<ActionResult<CategoryDto>> UpdateCategory(int id, SaveCategoryDto dto)
+        {
+            try
+            {
+                var category = await _context.Categories.FindAsync(id);
+                if (category == null)
+                {
+                    return NotFound(new { message = "Category not found" });
+                }
+
+                var error = await ApplyAsync(category, dto);
+                if (error != null)
+                {
+                    return BadRequest(new { message = error });
+                }
+
+                category.UpdatedAt = DateTime.UtcNow;
+                await _context.SaveChangesAsync();
+
+                var productCount = await _context.Products.CountAsync(p => p.CategoryId == id);
+                return Ok(ToDto(category, productCount));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error updating category");
+                return StatusCode(500, new { message = "Error updating category" });
+            }
+        }
+
+        // DELETE: api/categories/5 (admin only)
+        [HttpDelete("{id}")]
+        [Authorize(Roles = UserRoles.Admin)]
+        public async Task<IActionResult> DeleteCategory(int id)
+        {
+            try
+            {
+                var category = await _context.Categories.FindAsync(id);
+                if (category == null)
+                {
+                    return NotFound(new { message = "Category not found" });
+                }
+
+                if (await _context.Categories.AnyAsync(c => c.ParentId == id))
+                {
+                    return BadRequest(new { message = "Move or delete the subcategories first" });
+                }
+
+                // Products in the category become uncategorized (FK is ON DELETE SET NULL)
+                _context.Categories.Remove(category);
+                await _context.SaveChangesAsync();
+
+                return NoContent();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error deleting category");
+                return StatusCode(500, new { message = "Error deleting category" });
+            }
+        }
+
+        // Validates the DTO and copies it onto the entity; returns an error message when invalid
+        private async Task<string?> ApplyAsync(Category category, SaveCategoryDto dto)
+        {
+            var name = dto.Name?.Trim() ?? string.Empty;
+            if (string.IsNullOrEmpty(name) || name.Length > 100)
+            {
+                return "Name is required and must be at most 100 characters";
+            }
+
+            var slug = Slugify(string.IsNullOrWhiteSpace(dto.Slug) ? name : dto.Slug);
+            if (string.IsNullOrEmpty(slug) || slug.Length > 120)
+            {
+                return "Slug must contain letters or digits and be at most 120 characters";
+            }
+
+            if (dto.Description?.Trim().Length > 500)
+            {
+                return "Description must be at most 500 characters";
+            }
+
+            if (await _context.Categories.AnyAsync(c => c.Slug == slug && c.Id != category.Id))
+            {
+                return $"A category with the slug '{slug}' already exists";
+            }
+
+            if (dto.ParentId.HasValue)
+            {
+                var parents = await _context.Categories.ToDictionaryAsync(c => c.Id, c => c.ParentId);
+                if (!parents.ContainsKey(dto.ParentId.Value))
+                {
+                    return "Parent category not found";
+                }
+
+                // Walk up from the new parent; meeting this category means the move would create a cycle
+                int? ancestorId = dto.ParentId;
+                while (ancestorId.HasValue)
+                {
+                    if (ancestorId.Value == category.Id)
+                    {
+                        return "A category cannot be moved under itself or one of its subcategories";
+                    }
+                    ancestorId = parents.GetValueOrDefault(ancestorId.Value);
+                }
+            }
+
+            category.Name = name;
+            category.Slug = slug;
+            category.Description = string.IsNullOrWhiteSpace(dto.Description) ? null : dto.Description.Trim();
+            category.ParentId = dto.ParentId;
+            return null;
+        }
+
+        private static CategoryDto ToDto(Category category, int productCount)
+        {
+            return new CategoryDto
+            {
+                Id = category.Id,
+                Name = category.Name,
+                Slug = category.Slug,
+                Description = category.Description,
+                ParentId = category.ParentId,
+                ProductCount = productCount
+            };
+        }
+    }
+}
@@ -0,0 +1,211 @@
+using System.Text.RegularExpressions;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using ECommerceApp.API.Data;
+using ECommerceApp.API.Models;
+using ECommerceApp.API.DTOs;
+using ECommerceApp.API.Services;
+
+namespace ECommerceApp.API.Controllers
+{
+    [Route("api/[controller]")]
+    [ApiController]
+    [Authorize(Roles = UserRoles.Admin)]
+    public class CouponsController : ControllerBase
+    {
+        private readonly ApplicationDbContext _context;
+        private readonly ILogger<CouponsController> _logger;
+
+        public CouponsController(ApplicationDbContext context, ILogger<CouponsController> logger)
+        {
+            _context = context;
+            _logger = logger;
+        }
+
+        // GET: api/coupons
+        [HttpGet]
+        public async Task<ActionResult<IEnumerable<CouponDto>>> GetCoupons()
+        {
+            try
+            {
+                var coupons = await _context.Coupons
+                    .OrderByDescending(c => c.CreatedAt)
+                    .ToListAsync();
+
+                return Ok(coupons.Select(ToDto).ToList());
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error fetching coupons");
+                return StatusCode(500, new { message = "Error fetching coupons" });
+            }
+        }
+
+        // POST: api/coupons
+        [HttpPost]
+        public async Task<ActionResult<CouponDto>> CreateCoupon(SaveCouponDto dto)
+        {
+            try
+            {
+                var coupon = new Coupon();
+                var error = await ApplyAsync(coupon, dto);
+                if (error != null)
+                {
+                    return BadRequest(new { message = error });
+                }
+
+                _context.Coupons.Add(coupon);
+                await _context.SaveChangesAsync();
+
+                return CreatedAtAction(nameof(GetCoupons), null, ToDto(coupon));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error creating coupon");
+                return StatusCode(500, new { message = "Error creating coupon" });
+            }
+        }
+
+        // PUT: api/coupons/5
+        [HttpPut("{id}")]
+        public async Task<ActionResult<CouponDto>> UpdateCoupon(int id, SaveCouponDto dto)
+        {
+            try
+            {
+                var coupon = await _context.Coupons.FindAsync(id);
+                if (coupon == null)
+                {
+                    return NotFound(new { message = "Coupon not found" });
+                }
+
+                var error = await ApplyAsync(coupon, dto);
+                if (error != null)
+                {
+                    return BadRequest(new { message = error });
+                }
+
+                coupon.UpdatedAt = DateTime.UtcNow;
+                await _context.SaveChangesAsync();
+
+                return Ok(ToDto(coupon));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error updating coupon");
+                return StatusCode(500, new { message = "Error updating coupon" });
+            }
+        }
+
+        // DELETE: api/coupons/5
+        [HttpDelete("{id}")]
+        public async Task<IActionResult> DeleteCoupon(int id)
+        {
+            try
+            {
+                var coupon = await _context.Coupons.FindAsync(id);
+                if (coupon == null)
+                {
+                    return NotFound(new { message = "Coupon not found" });
+                }
+
+                // Carts drop the code and past orders keep their copy of it (FKs are ON DELETE SET NULL)
+                _context.Coupons.Remove(coupon);
+                await _context.SaveChangesAsync();
+
+                return NoContent();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error deleting coupon");
+                return StatusCode(500, new { message = "Error deleting coupon" });
+            }
+        }
+
+        // Validates the DTO and copies it onto the entity; returns an error message when invalid
+        private async Task<string?> ApplyAsync(Coupon coupon, SaveCouponDto dto)
+        {
+            var code = CouponService.NormalizeCode(dto.Code ?? string.Empty);
+            if (!Regex.IsMatch(code, @"^[A-Z0-9][A-Z0-9_\-]{2,49}$"))
+            {
+                return "Code must be 3-50 letters, digits, dashes or underscores";
+            }
+
+            if (dto.Description?.Trim().Length > 200)
+            {
+                return "Description must be at most 200 characters";
+            }
+
+            if (dto.DiscountType == CouponTypes.Percentage)
+            {
+                if (dto.Value <= 0 || dto.Value > 100)
+                {
+                    return "A percentage discount must be greater than 0 and at most 100";
+                }
+            }
+            else if (dto.DiscountType == CouponTypes.Fixed)
+            {
+                if (dto.Value <= 0)
+                {
+                    return "A fixed discount must be greater than 0";
+                }
+            }
+            else
+            {
+                return "Discount type must be 'percentage' or 'fixed'";
+            }
+
+            if (dto.MinimumSubtotal < 0)
+            {
+                return "Minimum subtotal cannot be negative";
+            }
+
+            if (dto.StartsAt.HasValue && dto.ExpiresAt.HasValue && dto.ExpiresAt.Value <= dto.StartsAt.Value)
+            {
+                return "Expiry date must be after the start date";
+            }
+
+            if (dto.MaxUses < 1 || dto.MaxUsesPerUser < 1)
+            {
+                return "Usage limits must be at least 1 when set";
+            }
+
+            if (await _context.Coupons.AnyAsync(c => c.Code == code && c.Id != coupon.Id))
+            {
+                return $"A coupon with the code '{code}' already exists";
+            }
+
+            coupon.Code = code;
+            coupon.Description = string.IsNullOrWhiteSpace(dto.Description) ? null : dto.Description.Trim();
+            coupon.DiscountType = dto.DiscountType;
+            coupon.Value = dto.Value;
+            coupon.MinimumSubtotal = dto.MinimumSubtotal;
+            coupon.StartsAt = dto.StartsAt?.ToUniversalTime();
+            coupon.ExpiresAt = dto.ExpiresAt?.ToUniversalTime();
+            coupon.MaxUses = dto.MaxUses;
+            coupon.MaxUsesPerUser = dto.MaxUsesPerUser;
+            coupon.IsActive = dto.IsActive;
+            return null;
+        }
+
+        private static CouponDto ToDto(Coupon coupon)
+        {
+            return new CouponDto
+            {
+                Id = coupon.Id,
+                Code = coupon.Code,
+                Description = coupon.Description,
+                DiscountType = coupon.DiscountType,
+                Value = coupon.Value,
+                MinimumSubtotal = coupon.MinimumSubtotal,
+                StartsAt = coupon.StartsAt,
+                ExpiresAt = coupon.ExpiresAt,
+                MaxUses = coupon.MaxUses,
+                MaxUsesPerUser = coupon.MaxUsesPerUser,
+                TimesUsed = coupon.TimesUsed,
+                IsActive = coupon.IsActive,
+                CreatedAt = coupon.CreatedAt
+            };
+        }
+    }
+}
@@ -4,6 +4,7 @@ using Microsoft.EntityFrameworkCore;
 using ECommerceApp.API.Data;
 using ECommerceApp.API.Models;
 using ECommerceApp.API.DTOs;
+using ECommerceApp.API.Services;
 using System.Security.Claims;
 
 namespace ECommerceApp.API.Controllers
@@ -14,11 +15,25 @@ namespace ECommerceApp.API.Controllers
     public class OrdersController : ControllerBase
     {
         private readonly ApplicationDbContext _context;
+        private readonly IOrderPlacementService _orderPlacement;
+        private readonly IOrderCancellationService _orderCancellation;
+        private readonly IOrderStatusService _orderStatus;
+        private readonly IShippingService _shipping;
         private readonly ILogger<OrdersController> _logger;
 
-        public OrdersController(ApplicationDbContext context, ILogger<OrdersController> logger)
+        public OrdersController(
+            ApplicationDbContext context,
+            IOrderPlacementService orderPlacement,
+            IOrderCancellationService orderCancellation,
+            IOrderStatusService orderStatus,
+            IShippingService shipping,
+            ILogger<OrdersController> logger)
         {
             _context = context;
+            _orderPlacement = orderPlacement;
+            _orderCancellation = orderCancellation;
+            _orderStatus = orderStatus;
+            _shipping = shipping;
             _logger = logger;
         }
 
@@ -28,6 +43,52 @@ namespace ECommerceApp.API.Controllers
             return int.Parse(userIdClaim?.Value ?? "0");
         }
 
+        private OrderDto ToOrderDto(Order order) => new OrderDto
+        {
+            Id = order.Id,
+            UserId = order.UserId,
+            Subtotal = order.OrderItems.Sum(oi => oi.Price * oi.Quantity),
+            ShippingCost = order.ShippingCost,
+            ShippingMethod = order.ShippingMethod,
+            ShippingMethodName = order.ShippingMethodName,
+            DiscountAmount = order.DiscountAmount,
+            CouponCode = order.CouponCode,
+            TaxAmount = order.TaxAmount,
+            TaxIncluded = order.TaxIncluded,
+            TaxLines = order.TaxLines.Select(tl => new TaxLineDto
+            {
+                Name = tl.Name,
+                Rate = tl.Rate,
+                Amount = tl.Amount
+            }).ToList(),
+            TotalAmount = order.TotalAmount,
+            Status = order.Status,
+            PaymentMethod = order.PaymentMethod,
+            PaymentIntentId = order.PaymentIntentId,
+            CancelledAt = order.CancelledAt,
+            RefundStatus = order.RefundStatus,
+            RefundAmount = order.RefundAmount,
+            Carrier = order.Carrier,
+            CarrierName = _shipping.GetCarrier(order.Carrier)?.Name ?? order.Carrier,
+            TrackingNumber = order.TrackingNumber,
+            TrackingUrl = _shipping.GetTrackingUrl(order.Carrier, order.TrackingNumber),
+            EstimatedDeliveryDate = order.EstimatedDeliveryDate,
+            ShippingAddress = ShippingAddressDto.FromOrder(order),
+            CreatedAt = order.CreatedAt,
+            Items = order.OrderItems.Select(oi => new OrderItemDto
+            {
+                Id = oi.Id,
+                ProductId = oi.ProductId,
+                ProductName = oi.ProductName,
+                VariantName = oi.VariantName,
+                Sku = oi.Sku,
+                Price = oi.Price,
+                Quantity = oi.Quantity,
+                Subtotal = oi.Price * oi.Quantity
+            }).ToList(),
+            StatusHistory = OrderStatusHistoryDto.FromOrder(order)
+        };
+
         // GET: api/orders
         [HttpGet]
         public async Task<ActionResult<IEnumerable<OrderDto>>> GetOrders()
@@ -42,31 +103,13 @@ namespace ECommerceApp.API.Controllers
 
                 var orders = await _context.Orders
                     .Include(o => o.OrderItems)
+                    .Include(o => o.TaxLines)
+                    .Include(o => o.StatusHistory)
                     .Where(o => o.UserId == userId)
                     .OrderByDescending(o => o.CreatedAt)
                     .ToListAsync();
 
-                var orderDtos = orders.Select(o => new OrderDto
-                {
-                    Id = o.Id,
-                    UserId = o.UserId,
-                    TotalAmount = o.TotalAmount,
-                    Status = o.Status,
-                    PaymentMethod = o.PaymentMethod,
-                    PaymentIntentId = o.PaymentIntentId,
-                    CreatedAt = o.CreatedAt,
-                    Items = o.OrderItems.Select(oi => new OrderItemDto
-                    {
-                        Id = oi.Id,
-                        ProductId = oi.ProductId,
-                        ProductName = oi.ProductName,
-                        Price = oi.Price,
-                        Quantity = oi.Quantity,
-                        Subtotal = oi.Price * oi.Quantity
-                    }).ToList()
-                }).ToList();
-
-                return Ok(orderDtos);
+                return Ok(orders.Select(ToOrderDto).ToList());
             }
             catch (Exception ex)
             {
@@ -89,6 +132,8 @@ namespace ECommerceApp.API.Controllers
 
                 var order = await _context.Orders
                     .Include(o => o.OrderItems)
+                    .Include(o => o.TaxLines)
+                    .Include(o => o.StatusHistory)
                     .FirstOrDefaultAsync(o => o.Id == id && o.UserId == userId);
 
                 if (order == null)
@@ -96,38 +141,80 @@ namespace ECommerceApp.API.Controllers
                     return NotFound(new { message = "Order not found" });
                 }
 
-                var orderDto = new OrderDto
+                return Ok(ToOrderDto(order));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error fetching order");
+                return StatusCode(500, new { message = "Error fetching order" });
+            }
+        }
+
+        // GET: api/orders/by-payment-intent/{paymentIntentId}
+        // Card orders are created by the Stripe webhook; the payment success page polls this until it appears.
+        // 409 once the webhook has given up on placing the order and refunded the payment.
+        [HttpGet("by-payment-intent/{paymentIntentId}")]
+        public async Task<ActionResult<OrderDto>> GetOrderByPaymentIntent(string paymentIntentId)
+        {
+            try
+            {
+                var userId = GetUserId();
+                if (userId == 0)
                 {
-                    Id = order.Id,
-                    UserId = order.UserId,
-                    TotalAmount = order.TotalAmount,
-                    Status = order.Status,
-                    PaymentMethod = order.PaymentMethod,
-                    PaymentIntentId = order.PaymentIntentId,
-                    CreatedAt = order.CreatedAt,
-                    Items = order.OrderItems.Select(oi => new OrderItemDto
+                    return Unauthorized(new { message = "User not authenticated" });
+                }
+
+                var order = await _context.Orders
+                    .Include(o => o.OrderItems)
+                    .Include(o => o.TaxLines)
+                    .Include(o => o.StatusHistory)
+                    .FirstOrDefaultAsync(o => o.PaymentIntentId == paymentIntentId && o.UserId == userId);
+
+                if (order == null)
+                {
+                    var checkout = await _context.PaymentCheckouts
+                        .AsNoTracking()
+                        .FirstOrDefaultAsync(c => c.PaymentIntentId == paymentIntentId && c.UserId == userId);
+                    if (checkout?.Status == PaymentCheckoutStatuses.Failed)
                     {
-                        Id = oi.Id,
-                        ProductId = oi.ProductId,
-                        ProductName = oi.ProductName,
-                        Price = oi.Price,
-                        Quantity = oi.Quantity,
-                        Subtotal = oi.Price * oi.Quantity
-                    }).ToList()
-                };
-
-                return Ok(orderDto);
+                        var refundNote = checkout.RefundId != null
+                            ? "The full amount has been refunded to your card; it can take 5-10 business days to appear."
+                            : "Your payment will be refunded in full.";
+                        return Conflict(new
+                        {
+                            message = $"Your payment went through but your order couldn't be placed: {checkout.FailureReason} {refundNote}",
+                            failureReason = checkout.FailureReason,
+                            refundStatus = checkout.RefundStatus
+                        });
+                    }
+
+                    return NotFound(new { message = "Order not found" });
+                }
+
+                return Ok(ToOrderDto(order));
             }
             catch (Exception ex)
             {
-                _logger.LogError(ex, "Error fetching order");
+                _logger.LogError(ex, "Error fetching order by payment intent");
                 return StatusCode(500, new { message = "Error fetching order" });
             }
         }
 
+        // The order a previous request with the same Idempotency-Key already placed, if any
+        private Task<Order?> FindOrderByIdempotencyKeyAsync(int userId, string idempotencyKey) =>
+            _context.Orders
+                .Include(o => o.OrderItems)
+                .Include(o => o.TaxLines)
+                .Include(o => o.StatusHistory)
+                .FirstOrDefaultAsync(o => o.UserId == userId && o.IdempotencyKey == idempotencyKey);
+
         // POST: api/orders
+        // Only cash on delivery orders are placed directly; card orders are finalized by the Stripe webhook.
+        // With an Idempotency-Key header, repeating the request returns the order the first one placed.
         [HttpPost]
-        public async Task<ActionResult<OrderDto>> CreateOrder(CreateOrderDto dto)
+        public async Task<ActionResult<OrderDto>> CreateOrder(
+            CreateOrderDto dto,
+            [FromHeader(Name = IdempotencyKeys.Header)] string? idempotencyKey)
         {
             try
             {
@@ -137,88 +224,97 @@ namespace ECommerceApp.API.Controllers
                     return Unauthorized(new { message = "User not authenticated" });
                 }
 
-                // Get user's cart
-                var cart = await _context.Carts
-                    .Include(c => c.CartItems)
-                    .ThenInclude(ci => ci.Product)
-                    .FirstOrDefaultAsync(c => c.UserId == userId);
-
-                if (cart == null || !cart.CartItems.Any())
+                if (idempotencyKey != null && (idempotencyKey.Length == 0 || idempotencyKey.Length > IdempotencyKeys.MaxLength))
                 {
-                    return BadRequest(new { message = "Cart is empty" });
+                    return BadRequest(new { message = $"Idempotency-Key must be between 1 and {IdempotencyKeys.MaxLength} characters" });
                 }
 
-                // Calculate total
-                var totalAmount = cart.CartItems.Sum(ci => ci.Product.Price * ci.Quantity);
+                // Checked before the cart, which the first request already emptied
+                if (idempotencyKey != null)
+                {
+                    var previous = await FindOrderByIdempotencyKeyAsync(userId, idempotencyKey);
+                    if (previous != null)
+                    {
+                        return Ok(ToOrderDto(previous));
+                    }
+                }
 
                 // Validate payment method
                 var paymentMethod = dto.PaymentMethod?.ToLower() ?? "cash";
-                if (paymentMethod != "cash" && paymentMethod != "stripe")
+                if (paymentMethod == "stripe")
                 {
-                    return BadRequest(new { message = "Invalid payment method. Must be 'cash' or 'stripe'" });
+                    return BadRequest(new { message = "Card orders are created automatically once the payment is confirmed" });
                 }
-
-                // Create order
-                var order = new Order
+                if (paymentMethod != "cash")
                 {
-                    UserId = userId,
-                    TotalAmount = totalAmount,
-                    Status = "pending", // Will be updated to "paid" by webhook for Stripe
-                    PaymentMethod = paymentMethod,
-                    CreatedAt = DateTime.UtcNow,
-                    UpdatedAt = DateTime.UtcNow
-                };
-
-                _context.Orders.Add(order);
-                await _context.SaveChangesAsync();
-
-                // Create order items from cart items
-                foreach (var cartItem in cart.CartItems)
+                    return BadRequest(new { message = "Invalid payment method. Must be 'cash'" });
+                }
+
+                if (!dto.AddressId.HasValue)
                 {
-                    var orderItem = new OrderItem
-                    {
-                        OrderId = order.Id,
-                        ProductId = cartItem.ProductId,
-                        ProductName = cartItem.Product.Name,
-                        Price = cartItem.Product.Price,
-                        Quantity = cartItem.Quantity
-                    };
-                    _context.OrderItems.Add(orderItem);
+                    return BadRequest(new { message = "Please choose a shipping address" });
                 }
 
-                await _context.SaveChangesAsync();
+                if (string.IsNullOrWhiteSpace(dto.ShippingMethod))
+                {
+                    return BadRequest(new { message = "Please choose a shipping method" });
+                }
 
-                // Clear cart
-                _context.CartItems.RemoveRange(cart.CartItems);
-                cart.UpdatedAt = DateTime.UtcNow;
-                await _context.SaveChangesAsync();
+                var address = await _context.Addresses
+                    .AsNoTracking()
+                    .FirstOrDefaultAsync(a => a.Id == dto.AddressId.Value && a.UserId == userId);
+                if (address == null)
+                {
+                    return BadRequest(new { message = "Shipping address not found" });
+                }
 
-                // Reload order with items
-                var createdOrder = await _context.Orders
-                    .Include(o => o.OrderItems)
-                    .FirstAsync(o => o.Id == order.Id);
+                PlaceOrderResult result;
+                try
+                {
+                    result = await _orderPlacement.PlaceOrderFromCartAsync(new PlaceOrderRequest
+                    {
+                        UserId = userId,
+                        PaymentMethod = paymentMethod,
+                        Status = OrderStatuses.Pending,
+                        ShippingAddress = ShippingAddressDto.FromAddress(address),
+                        ShippingMethod = dto.ShippingMethod,
+                        IdempotencyKey = idempotencyKey
+                    });
+                }
+                catch (DbUpdateException) when (idempotencyKey != null)
+                {
+                    // A concurrent request with the same key won the race
+                    var placed = await FindOrderByIdempotencyKeyAsync(userId, idempotencyKey);
+                    if (placed == null)
+                    {
+                        throw;
+                    }
+                    return Ok(ToOrderDto(placed));
+                }
 
-                var orderDto = new OrderDto
+                // The cart can also be empty because a concurrent request with the same key just placed the order
+                if (result.Outcome == PlaceOrderOutcome.EmptyCart && idempotencyKey != null)
                 {
-                    Id = createdOrder.Id,
-                    UserId = createdOrder.UserId,
-                    TotalAmount = createdOrder.TotalAmount,
-                    Status = createdOrder.Status,
-                    PaymentMethod = createdOrder.PaymentMethod,
-                    PaymentIntentId = createdOrder.PaymentIntentId,
-                    CreatedAt = createdOrder.CreatedAt,
-                    Items = createdOrder.OrderItems.Select(oi => new OrderItemDto
+                    var placed = await FindOrderByIdempotencyKeyAsync(userId, idempotencyKey);
+                    if (placed != null)
                     {
-                        Id = oi.Id,
-                        ProductId = oi.ProductId,
-                        ProductName = oi.ProductName,
-                        Price = oi.Price,
-                        Quantity = oi.Quantity,
-                        Subtotal = oi.Price * oi.Quantity
-                    }).ToList()
-                };
-
-                return CreatedAtAction(nameof(GetOrder), new { id = order.Id }, orderDto);
+                        return Ok(ToOrderDto(placed));
+                    }
+                }
+
+                switch (result.Outcome)
+                {
+                    case PlaceOrderOutcome.EmptyCart:
+                    case PlaceOrderOutcome.ShippingUnavailable:
+                        return BadRequest(new { message = result.Message });
+                    case PlaceOrderOutcome.OutOfStock:
+                        return Conflict(new { message = result.Message, items = result.Shortages });
+                    case PlaceOrderOutcome.CouponUnavailable:
+                        return Conflict(new { message = result.Message });
+                }
+
+                var order = result.Order!;
+                return CreatedAtAction(nameof(GetOrder), new { id = order.Id }, ToOrderDto(order));
             }
             catch (Exception ex)
             {
@@ -227,9 +323,10 @@ namespace ECommerceApp.API.Controllers
             }
         }
 
-        // PUT: api/orders/{id}
-        [HttpPut("{id}")]
-        public async Task<IActionResult> UpdateOrder(int id, [FromBody] UpdateOrderDto dto)
+        // POST: api/orders/{id}/cancel
+        // Customers can cancel until the order ships; card payments are refunded in full
+        [HttpPost("{id}/cancel")]
+        public async Task<ActionResult<OrderDto>> CancelOrder(int id)
         {
             try
             {
@@ -239,63 +336,63 @@ namespace ECommerceApp.API.Controllers
                     return Unauthorized(new { message = "User not authenticated" });
                 }
 
-                var order = await _context.Orders
-                    .FirstOrDefaultAsync(o => o.Id == id && o.UserId == userId);
-
-                if (order == null)
+                var result = await _orderCancellation.CancelOrderAsync(new CancelOrderRequest
                 {
-                    return NotFound(new { message = "Order not found" });
-                }
-
-                if (!string.IsNullOrEmpty(dto.PaymentIntentId))
+                    OrderId = id,
+                    CustomerId = userId,
+                    ChangedByUserId = userId
+                });
+                switch (result.Outcome)
                 {
-                    order.PaymentIntentId = dto.PaymentIntentId;
+                    case CancelOrderOutcome.NotFound:
+                        return NotFound(new { message = result.Message });
+                    case CancelOrderOutcome.NotCancellable:
+                        return Conflict(new { message = result.Message });
+                    case CancelOrderOutcome.RefundFailed:
+                        return StatusCode(502, new { message = result.Message });
                 }
 
-                order.UpdatedAt = DateTime.UtcNow;
-                await _context.SaveChangesAsync();
-
-                return NoContent();
+                _logger.LogInformation($"Order {id} cancelled by user {userId}");
+                return Ok(ToOrderDto(result.Order!));
             }
             catch (Exception ex)
             {
-                _logger.LogError(ex, "Error updating order");
-                return StatusCode(500, new { message = "Error updating order" });
+                _logger.LogError(ex, "Error cancelling order");
+                return StatusCode(500, new { message = "Error cancelling order" });
             }
         }
 
         // PUT: api/orders/{id}/status
+        // Customers never set order status themselves; card payments are marked paid by the Stripe webhook.
+        // Only the transitions in OrderStatuses are accepted, and each change is recorded in the order's history.
         [HttpPut("{id}/status")]
-        public async Task<IActionResult> UpdateOrderStatus(int id, [FromBody] string status)
+        [Authorize(Roles = UserRoles.Admin)]
+        public async Task<ActionResult<OrderDto>> UpdateOrderStatus(int id, UpdateOrderStatusDto dto)
         {
             try
             {
-                var userId = GetUserId();
-                if (userId == 0)
+                var result = await _orderStatus.ChangeStatusAsync(new ChangeOrderStatusRequest
                 {
-                    return Unauthorized(new { message = "User not authenticated" });
-                }
+                    OrderId = id,
+                    Status = dto.Status,
+                    ChangedByUserId = GetUserId(),
+                    Note = dto.Note
+                });
 
-                var order = await _context.Orders
-                    .FirstOrDefaultAsync(o => o.Id == id && o.UserId == userId);
-
-                if (order == null)
+                switch (result.Outcome)
                 {
-                    return NotFound(new { message = "Order not found" });
+                    case ChangeOrderStatusOutcome.NotFound:
+                        return NotFound(new { message = result.Message });
+                    case ChangeOrderStatusOutcome.InvalidStatus:
+                    case ChangeOrderStatusOutcome.InvalidTransition:
+                        return BadRequest(new { message = result.Message });
+                    case ChangeOrderStatusOutcome.Conflict:
+                        return Conflict(new { message = result.Message });
+                    case ChangeOrderStatusOutcome.RefundFailed:
+                        return StatusCode(502, new { message = result.Message });
                 }
 
-                // Validate status
-                var validStatuses = new[] { "pending", "paid", "shipped", "delivered", "cancelled" };
-                if (!validStatuses.Contains(status.ToLower()))
-                {
-                    return BadRequest(new { message = "Invalid status" });
-                }
-
-                order.Status = status.ToLower();
-                order.UpdatedAt = DateTime.UtcNow;
-                await _context.SaveChangesAsync();
-
-                return NoContent();
+                return Ok(ToOrderDto(result.Order!));
             }
             catch (Exception ex)
             {
@@ -3,6 +3,9 @@ using Microsoft.AspNetCore.Mvc;
 using Microsoft.EntityFrameworkCore;
 using Stripe;
 using ECommerceApp.API.Data;
+using ECommerceApp.API.DTOs;
+using ECommerceApp.API.Models;
+using ECommerceApp.API.Services;
 using System.Security.Claims;
 
 namespace ECommerceApp.API.Controllers;
@@ -13,16 +16,34 @@ namespace ECommerceApp.API.Controllers;
 public class PaymentController : ControllerBase
 {
     private readonly ApplicationDbContext _context;
+    private readonly IOrderPlacementService _orderPlacement;
+    private readonly IOrderPricingService _pricing;
+    private readonly ICouponService _coupons;
+    private readonly IPaymentRefundService _refunds;
     private readonly ILogger<PaymentController> _logger;
 
-    public PaymentController(ApplicationDbContext context, ILogger<PaymentController> logger)
+    public PaymentController(
+        ApplicationDbContext context,
+        IOrderPlacementService orderPlacement,
+        IOrderPricingService pricing,
+        ICouponService coupons,
+        IPaymentRefundService refunds,
+        ILogger<PaymentController> logger)
     {
         _context = context;
+        _orderPlacement = orderPlacement;
+        _pricing = pricing;
+        _coupons = coupons;
+        _refunds = refunds;
         _logger = logger;
     }
 
+    // With an Idempotency-Key header, repeating the request returns the same payment intent;
+    // the key is handed to Stripe, which replays its original response for 24 hours
     [HttpPost("create-payment-intent")]
-    public async Task<IActionResult> CreatePaymentIntent()
+    public async Task<IActionResult> CreatePaymentIntent(
+        CreatePaymentIntentDto dto,
+        [FromHeader(Name = IdempotencyKeys.Header)] string? idempotencyKey)
     {
         try
         {
@@ -32,16 +53,37 @@ public class PaymentController : ControllerBase
                 return Unauthorized(new { message = "User not authenticated" });
             }
 
+            if (idempotencyKey != null && (idempotencyKey.Length == 0 || idempotencyKey.Length > IdempotencyKeys.MaxLength))
+            {
+                return BadRequest(new { message = $"Idempotency-Key must be between 1 and {IdempotencyKeys.MaxLength} characters" });
+            }
+
             var user = await _context.Users.FirstOrDefaultAsync(u => u.Email == userEmail);
             if (user == null)
             {
                 return NotFound(new { message = "User not found" });
             }
 
+            if (!dto.AddressId.HasValue)
+            {
+                return BadRequest(new { message = "Please choose a shipping address" });
+            }
+
+            var address = await _context.Addresses
+                .FirstOrDefaultAsync(a => a.Id == dto.AddressId.Value && a.UserId == user.Id);
+            if (address == null)
+            {
+                return BadRequest(new { message = "Shipping address not found" });
+            }
+
             // Get user's cart
             var cart = await _context.Carts
                 .Include(c => c.CartItems)
                 .ThenInclude(ci => ci.Product)
+                .ThenInclude(p => p.Options)
+                .Include(c => c.CartItems)
+                .ThenInclude(ci => ci.Variant)
+                .Include(c => c.Coupon)
                 .FirstOrDefaultAsync(c => c.UserId == user.Id);
 
             if (cart == null || cart.CartItems == null || !cart.CartItems.Any())
@@ -49,8 +91,35 @@ public class PaymentController : ControllerBase
                 return BadRequest(new { message = "Cart is empty" });
             }
 
+            // Don't take payment for items that can't be fulfilled; stock is reserved when the order is created
+            var unavailable = cart.CartItems.Where(item => item.Quantity > item.AvailableStock).ToList();
+            if (unavailable.Any())
+            {
+                var names = string.Join(", ", unavailable.Select(item => item.DisplayName));
+                return Conflict(new { message = $"Not enough stock for: {names}. Please update your cart and try again." });
+            }
+
+            // Don't charge the discounted amount for a code the order would then be refused for
+            if (cart.Coupon != null)
+            {
+                var couponCheck = await _coupons.CheckAsync(
+                    cart.Coupon, user.Id, cart.CartItems.Sum(item => item.Quantity * item.UnitPrice));
+                if (!couponCheck.IsValid)
+                {
+                    return Conflict(new { message = $"{couponCheck.Error}. Remove the promo code from your cart to continue." });
+                }
+            }
+
+            // Priced exactly like the order the webhook will place, so the amounts match
+            var pricing = _pricing.Price(cart.CartItems, dto.ShippingMethod, address.Country, address.State, cart.Coupon);
+            var shippingQuote = pricing.Shipping;
+            if (shippingQuote == null)
+            {
+                return BadRequest(new { message = "Please choose a shipping method" });
+            }
+
             // Calculate total amount in cents (Stripe requires smallest currency unit)
-            var totalAmount = cart.CartItems.Sum(item => item.Quantity * item.Product.Price);
+            var totalAmount = pricing.Total;
             var amountInCents = (long)(totalAmount * 100);
 
             // Create Stripe PaymentIntent
@@ -60,27 +129,61 @@ public class PaymentController : ControllerBase
                 Currency = "usd",
                 // Only allow card payments (remove AutomaticPaymentMethods when specifying PaymentMethodTypes)
                 PaymentMethodTypes = new List<string> { "card" },
+                // The webhook copies this onto the order, so later address book edits don't matter
+                Shipping = new ChargeShippingOptions
+                {
+                    Name = address.FullName,
+                    Phone = address.Phone,
+                    Address = new AddressOptions
+                    {
+                        Line1 = address.Line1,
+                        Line2 = address.Line2,
+                        City = address.City,
+                        State = address.State,
+                        PostalCode = address.PostalCode,
+                        Country = address.Country
+                    }
+                },
                 Metadata = new Dictionary<string, string>
                 {
                     { "user_id", user.Id.ToString() },
                     { "user_email", user.Email },
-                    { "cart_id", cart.Id.ToString() }
+                    { "cart_id", cart.Id.ToString() },
+                    { "address_id", address.Id.ToString() },
+                    { "shipping_method", shippingQuote.Code },
+                    { "coupon_code", cart.Coupon?.Code ?? string.Empty }
                 }
             };
 
+            // Scoped to the user so two accounts can never share a Stripe idempotency key
+            var requestOptions = idempotencyKey != null
+                ? new RequestOptions { IdempotencyKey = $"payment-intent-{user.Id}-{idempotencyKey}" }
+                : null;
+
             var service = new PaymentIntentService();
-            var paymentIntent = await service.CreateAsync(options);
+            var paymentIntent = await service.CreateAsync(options, requestOptions);
 
             _logger.LogInformation($"Payment intent created for user {userEmail}: {paymentIntent.Id}");
 
+            await SaveCheckoutAsync(paymentIntent, user.Id, cart, shippingQuote.Code);
+
             return Ok(new
             {
                 clientSecret = paymentIntent.ClientSecret,
                 paymentIntentId = paymentIntent.Id,
                 amount = totalAmount,
+                shippingCost = shippingQuote.Cost,
+                taxAmount = pricing.Tax.TaxAmount,
+                discountAmount = pricing.Discount,
                 currency = "usd"
             });
         }
+        catch (StripeException ex) when (ex.StripeError?.Type == "idempotency_error")
+        {
+            // Same key, different request: the cart changed without the client starting a new attempt
+            _logger.LogWarning(ex, "Idempotency key reused with a different cart");
+            return Conflict(new { message = "Your cart changed during checkout. Please reload the page and try again." });
+        }
         catch (StripeException ex)
         {
             _logger.LogError(ex, "Stripe error creating payment intent");
@@ -116,23 +219,15 @@ public class PaymentController : ControllerBase
                 if (paymentIntent != null)
                 {
                     _logger.LogInformation($"Payment succeeded for intent: {paymentIntent.Id}");
-                    
-                    // Find order by payment intent ID and mark as paid
-                    var order = await _context.Orders
-                        .Where(o => o.PaymentIntentId == paymentIntent.Id)
-                        .FirstOrDefaultAsync();
-
-                    if (order != null)
-                    {
-                        order.Status = "paid";
-                        order.UpdatedAt = DateTime.UtcNow;
-                        await _context.SaveChangesAsync();
-                        _logger.LogInformation($"Order {order.Id} marked as paid via webhook");
-                    }
-                    else
-                    {
-                        _logger.LogWarning($"No order found for payment intent: {paymentIntent.Id}");
-                    }
+                    await FinalizeOrderAsync(paymentIntent);
+                }
+            }
+            else if (stripeEvent.Type == "refund.updated" || stripeEvent.Type == "refund.failed" || stripeEvent.Type == "charge.refund.updated")
+            {
+                // Card refunds usually start out pending; these events report how they end
+                if (stripeEvent.Data.Object is Refund refund)
+                {
+                    await UpdateRefundStatusAsync(refund);
                 }
             }
 
@@ -143,5 +238,262 @@ public class PaymentController : ControllerBase
             _logger.LogError(ex, "Stripe webhook error");
             return BadRequest();
         }
+        catch (Exception ex)
+        {
+            // A non-2xx response makes Stripe redeliver the event later
+            _logger.LogError(ex, "Error handling Stripe webhook");
+            return StatusCode(500, new { message = "Error handling webhook" });
+        }
+    }
+
+    // Records what the payment intent is for, so the webhook places the order for exactly these
+    // lines. A replayed request returns the same intent, which keeps the checkout saved the first time.
+    private async Task SaveCheckoutAsync(PaymentIntent paymentIntent, int userId, Cart cart, string shippingMethod)
+    {
+        if (await _context.PaymentCheckouts.AnyAsync(c => c.PaymentIntentId == paymentIntent.Id))
+        {
+            return;
+        }
+
+        var checkout = new PaymentCheckout
+        {
+            PaymentIntentId = paymentIntent.Id,
+            UserId = userId,
+            CouponId = cart.Coupon?.Id,
+            ShippingMethod = shippingMethod,
+            AmountInCents = paymentIntent.Amount,
+            CreatedAt = DateTime.UtcNow,
+            UpdatedAt = DateTime.UtcNow
+        };
+        foreach (var item in cart.CartItems)
+        {
+            checkout.Items.Add(new PaymentCheckoutItem
+            {
+                ProductId = item.ProductId,
+                ProductVariantId = item.ProductVariantId,
+                Quantity = item.Quantity
+            });
+        }
+        _context.PaymentCheckouts.Add(checkout);
+
+        try
+        {
+            await _context.SaveChangesAsync();
+        }
+        catch (DbUpdateException)
+        {
+            // Only a concurrent replay of the same request, caught by the unique index, is harmless
+            if (!await _context.PaymentCheckouts.AsNoTracking().AnyAsync(c => c.PaymentIntentId == paymentIntent.Id))
+            {
+                throw;
+            }
+        }
+    }
+
+    // Creates the order for a succeeded payment from the checkout saved with its payment intent. Stripe
+    // may deliver the same event more than once (or concurrently), so the payment intent id is the
+    // idempotency key: an existing order for it is only marked paid, and the unique index on
+    // Orders.PaymentIntentId turns a racing duplicate into a no-op. A payment that can't become an
+    // order is refunded, and the payment success page shows why.
+    private async Task FinalizeOrderAsync(PaymentIntent paymentIntent)
+    {
+        var existing = await _context.Orders.FirstOrDefaultAsync(o => o.PaymentIntentId == paymentIntent.Id);
+        if (existing != null)
+        {
+            if (existing.Status == OrderStatuses.Pending)
+            {
+                existing.Status = OrderStatuses.Paid;
+                existing.UpdatedAt = DateTime.UtcNow;
+                OrderStatusService.RecordStatusChange(existing, OrderStatuses.Pending, null, "Card payment confirmed");
+                await _context.SaveChangesAsync();
+                _logger.LogInformation($"Order {existing.Id} marked as paid via webhook");
+            }
+            else
+            {
+                _logger.LogInformation($"Order {existing.Id} already finalized for payment intent: {paymentIntent.Id}");
+            }
+            return;
+        }
+
+        if (paymentIntent.Metadata == null
+            || !paymentIntent.Metadata.TryGetValue("user_id", out var userIdValue)
+            || !int.TryParse(userIdValue, out var userId))
+        {
+            _logger.LogError($"Payment intent {paymentIntent.Id} has no user_id metadata; cannot create order");
+            return;
+        }
+
+        var checkout = await _context.PaymentCheckouts
+            .Include(c => c.Items)
+            .FirstOrDefaultAsync(c => c.PaymentIntentId == paymentIntent.Id);
+
+        if (checkout == null)
+        {
+            // Without the checkout there's no telling what the payment was for
+            paymentIntent.Metadata.TryGetValue("shipping_method", out var shippingMethod);
+            checkout = new PaymentCheckout
+            {
+                PaymentIntentId = paymentIntent.Id,
+                UserId = userId,
+                ShippingMethod = shippingMethod ?? string.Empty,
+                AmountInCents = paymentIntent.Amount,
+                CreatedAt = DateTime.UtcNow
+            };
+            _context.PaymentCheckouts.Add(checkout);
+            await FailCheckoutAsync(checkout, "The details of this checkout could not be found.");
+            return;
+        }
+
+        if (checkout.Status == PaymentCheckoutStatuses.Failed)
+        {
+            // A redelivery after the refund itself failed; the idempotency key makes retrying safe
+            if (checkout.RefundId == null)
+            {
+                await RefundCheckoutAsync(checkout);
+            }
+            return;
+        }
+
+        PlaceOrderResult result;
+        try
+        {
+            result = await _orderPlacement.PlaceOrderFromCheckoutAsync(new PlaceOrderRequest
+            {
+                UserId = checkout.UserId,
+                PaymentMethod = "stripe",
+                Status = OrderStatuses.Paid,
+                ShippingAddress = ToShippingAddress(paymentIntent.Shipping),
+                ShippingMethod = checkout.ShippingMethod,
+                PaymentIntentId = paymentIntent.Id,
+                ExpectedAmountInCents = paymentIntent.Amount
+            }, checkout);
+        }
+        catch (DbUpdateException)
+        {
+            if (!await _context.Orders.AsNoTracking().AnyAsync(o => o.PaymentIntentId == paymentIntent.Id))
+            {
+                throw;
+            }
+            _logger.LogInformation($"Order for payment intent {paymentIntent.Id} was created by a concurrent delivery");
+            return;
+        }
+
+        if (result.Outcome == PlaceOrderOutcome.Placed)
+        {
+            _logger.LogInformation($"Order {result.Order!.Id} created and marked as paid via webhook for intent: {paymentIntent.Id}");
+        }
+        else
+        {
+            // Redelivery won't fix these (stock, coupon, price changes), so the customer gets their money back
+            _logger.LogWarning($"Payment {paymentIntent.Id} succeeded but no order could be created for user {checkout.UserId}: {result.Message}");
+            await FailCheckoutAsync(checkout, result.Message);
+        }
+    }
+
+    private async Task FailCheckoutAsync(PaymentCheckout checkout, string reason)
+    {
+        // Saved before refunding, so the customer is told even while a refund is being retried
+        checkout.Status = PaymentCheckoutStatuses.Failed;
+        checkout.FailureReason = reason.Length > 500 ? reason[..500] : reason;
+        checkout.UpdatedAt = DateTime.UtcNow;
+        await _context.SaveChangesAsync();
+
+        await RefundCheckoutAsync(checkout);
+    }
+
+    private async Task RefundCheckoutAsync(PaymentCheckout checkout)
+    {
+        var refund = await _refunds.RefundPaymentAsync(checkout.PaymentIntentId, checkout.FailureReason ?? string.Empty);
+        if (!refund.Succeeded)
+        {
+            // Failing the webhook makes Stripe redeliver the event, which retries the refund
+            throw new InvalidOperationException($"Refund for payment {checkout.PaymentIntentId} failed: {refund.Error}");
+        }
+
+        checkout.RefundId = refund.RefundId;
+        checkout.RefundStatus = refund.Status;
+        checkout.UpdatedAt = DateTime.UtcNow;
+        await _context.SaveChangesAsync();
+
+        _logger.LogInformation($"Refund {refund.RefundId} ({refund.Status}) issued for payment {checkout.PaymentIntentId}, which has no order");
+    }
+
+    private async Task UpdateRefundStatusAsync(Refund refund)
+    {
+        var order = await _context.Orders.FirstOrDefaultAsync(o => o.RefundId == refund.Id);
+        if (order == null)
+        {
+            await UpdateCheckoutRefundStatusAsync(refund);
+            return;
+        }
+
+        if (order.RefundStatus == refund.Status)
+        {
+            return;
+        }
+
+        order.RefundStatus = refund.Status;
+        order.UpdatedAt = DateTime.UtcNow;
+        await _context.SaveChangesAsync();
+
+        if (refund.Status == "failed")
+        {
+            // Needs manual follow-up: the order is cancelled and restocked but the money wasn't returned
+            _logger.LogError($"Refund {refund.Id} for order {order.Id} failed: {refund.FailureReason}");
+        }
+        else
+        {
+            _logger.LogInformation($"Refund {refund.Id} for order {order.Id} is now {refund.Status}");
+        }
+    }
+
+    // Refunds of payments that never became an order
+    private async Task UpdateCheckoutRefundStatusAsync(Refund refund)
+    {
+        var checkout = await _context.PaymentCheckouts.FirstOrDefaultAsync(c => c.RefundId == refund.Id);
+        if (checkout == null)
+        {
+            _logger.LogWarning($"Refund {refund.Id} does not belong to a cancelled order or a failed checkout");
+            return;
+        }
+
+        if (checkout.RefundStatus == refund.Status)
+        {
+            return;
+        }
+
+        checkout.RefundStatus = refund.Status;
+        checkout.UpdatedAt = DateTime.UtcNow;
+        await _context.SaveChangesAsync();
+
+        if (refund.Status == "failed")
+        {
+            // Needs manual follow-up: the customer was charged for an order that doesn't exist
+            _logger.LogError($"Refund {refund.Id} for payment {checkout.PaymentIntentId} failed: {refund.FailureReason}");
+        }
+        else
+        {
+            _logger.LogInformation($"Refund {refund.Id} for payment {checkout.PaymentIntentId} is now {refund.Status}");
+        }
+    }
+
+    private static ShippingAddressDto? ToShippingAddress(Shipping? shipping)
+    {
+        if (shipping?.Address == null)
+        {
+            return null;
+        }
+
+        return new ShippingAddressDto
+        {
+            FullName = shipping.Name,
+            Line1 = shipping.Address.Line1,
+            Line2 = shipping.Address.Line2,
+            City = shipping.Address.City,
+            State = shipping.Address.State,
+            PostalCode = shipping.Address.PostalCode,
+            Country = shipping.Address.Country,
+            Phone = shipping.Phone
+        };
     }
 }
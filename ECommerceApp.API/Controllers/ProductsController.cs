@@ -3,6 +3,8 @@ using Microsoft.AspNetCore.Mvc;
 using Microsoft.EntityFrameworkCore;
 using ECommerceApp.API.Data;
 using ECommerceApp.API.Models;
+using ECommerceApp.API.DTOs;
+using ECommerceApp.API.Services;
 
 namespace ECommerceApp.API.Controllers
 {
@@ -10,19 +12,92 @@ namespace ECommerceApp.API.Controllers
     [ApiController]
     public class ProductsController : ControllerBase
     {
+        private const int MaxImages = 10;
+        private const int MaxVariants = 100;
+
         private readonly ApplicationDbContext _context;
+        private readonly IProductImageService _images;
 
-        public ProductsController(ApplicationDbContext context)
+        public ProductsController(ApplicationDbContext context, IProductImageService images)
         {
             _context = context;
+            _images = images;
         }
 
-        // GET: api/products (public - no auth required)
+        // GET: api/products?query=&category=&minPrice=&maxPrice=&sort=&page=&pageSize= (public - no auth required)
         [HttpGet]
         [AllowAnonymous]
-        public async Task<ActionResult<IEnumerable<Product>>> GetProducts()
+        public async Task<ActionResult<PagedResultDto<Product>>> GetProducts([FromQuery] ProductQueryParameters parameters)
         {
-            return await _context.Products.OrderByDescending(p => p.CreatedAt).ToListAsync();
+            var sort = string.IsNullOrWhiteSpace(parameters.Sort) ? ProductSortOptions.Newest : parameters.Sort.ToLower();
+            if (!ProductSortOptions.All.Contains(sort))
+            {
+                return BadRequest(new { message = $"Invalid sort. Must be one of: {string.Join(", ", ProductSortOptions.All)}" });
+            }
+
+            if (parameters.MinPrice.HasValue && parameters.MaxPrice.HasValue && parameters.MinPrice > parameters.MaxPrice)
+            {
+                return BadRequest(new { message = "Minimum price cannot be greater than maximum price" });
+            }
+
+            var page = Math.Max(parameters.Page, 1);
+            var pageSize = Math.Clamp(parameters.PageSize, 1, ProductQueryParameters.MaxPageSize);
+
+            var products = _context.Products.AsQueryable();
+
+            if (!string.IsNullOrWhiteSpace(parameters.Query))
+            {
+                var term = parameters.Query.Trim().ToLower();
+                products = products.Where(p => p.Name.ToLower().Contains(term) || p.Description.ToLower().Contains(term));
+            }
+
+            if (!string.IsNullOrWhiteSpace(parameters.Category))
+            {
+                var categoryIds = await GetCategoryWithDescendantIdsAsync(parameters.Category.Trim().ToLower());
+                if (categoryIds == null)
+                {
+                    return NotFound(new { message = "Category not found" });
+                }
+                products = products.Where(p => p.CategoryId.HasValue && categoryIds.Contains(p.CategoryId.Value));
+            }
+
+            if (parameters.MinPrice.HasValue)
+            {
+                products = products.Where(p => p.Price >= parameters.MinPrice.Value);
+            }
+
+            if (parameters.MaxPrice.HasValue)
+            {
+                products = products.Where(p => p.Price <= parameters.MaxPrice.Value);
+            }
+
+            products = sort switch
+            {
+                ProductSortOptions.PriceAsc => products.OrderBy(p => p.Price).ThenBy(p => p.Id),
+                ProductSortOptions.PriceDesc => products.OrderByDescending(p => p.Price).ThenBy(p => p.Id),
+                ProductSortOptions.NameAsc => products.OrderBy(p => p.Name).ThenBy(p => p.Id),
+                ProductSortOptions.NameDesc => products.OrderByDescending(p => p.Name).ThenBy(p => p.Id),
+                _ => products.OrderByDescending(p => p.CreatedAt).ThenByDescending(p => p.Id)
+            };
+
+            var totalCount = await products.CountAsync();
+            var items = await products
+                .Include(p => p.Images.OrderBy(i => i.SortOrder))
+                .Include(p => p.Options.OrderBy(o => o.SortOrder))
+                .Include(p => p.Variants.OrderBy(v => v.SortOrder))
+                .AsSplitQuery()
+                .Skip((page - 1) * pageSize)
+                .Take(pageSize)
+                .ToListAsync();
+
+            return new PagedResultDto<Product>
+            {
+                Items = items,
+                Page = page,
+                PageSize = pageSize,
+                TotalCount = totalCount,
+                TotalPages = (int)Math.Ceiling(totalCount / (double)pageSize)
+            };
         }
 
         // GET: api/products/5 (public - no auth required)
@@ -30,7 +105,12 @@ namespace ECommerceApp.API.Controllers
         [AllowAnonymous]
         public async Task<ActionResult<Product>> GetProduct(int id)
         {
-            var product = await _context.Products.FindAsync(id);
+            var product = await _context.Products
+                .Include(p => p.Images.OrderBy(i => i.SortOrder))
+                .Include(p => p.Options.OrderBy(o => o.SortOrder))
+                .Include(p => p.Variants.OrderBy(v => v.SortOrder))
+                .AsSplitQuery()
+                .FirstOrDefaultAsync(p => p.Id == id);
 
             if (product == null)
             {
@@ -40,11 +120,48 @@ namespace ECommerceApp.API.Controllers
             return product;
         }
 
-        // POST: api/products (requires authentication)
+        // POST: api/products (admin only)
         [HttpPost]
-        [Authorize]
+        [Authorize(Roles = UserRoles.Admin)]
         public async Task<ActionResult<Product>> PostProduct(Product product)
         {
+            if (product.StockQuantity < 0)
+            {
+                return BadRequest(new { message = "Stock quantity cannot be negative" });
+            }
+
+            if (!await CategoryIsValidAsync(product.CategoryId))
+            {
+                return BadRequest(new { message = "Category not found" });
+            }
+
+            var imageUrls = GetImageUrls(product);
+            if (imageUrls.Count > MaxImages)
+            {
+                return BadRequest(new { message = $"A product can have at most {MaxImages} images" });
+            }
+
+            var variantError = await NormalizeVariantsAsync(product, imageUrls);
+            if (variantError != null)
+            {
+                return BadRequest(new { message = variantError });
+            }
+
+            // Options and variants are always created with the product
+            product.Options.ForEach(o => o.Id = 0);
+            product.Variants.ForEach(v => v.Id = 0);
+            if (product.Variants.Count > 0)
+            {
+                product.StockQuantity = product.Variants.Sum(v => v.StockQuantity);
+            }
+
+            product.Images = imageUrls
+                .Select((url, index) => new ProductImage { Url = url, SortOrder = index })
+                .ToList();
+            product.ImageUrl = imageUrls.FirstOrDefault();
+            // Only reviews change the rating summary
+            product.AverageRating = 0;
+            product.ReviewCount = 0;
             product.CreatedAt = DateTime.UtcNow;
             product.UpdatedAt = DateTime.UtcNow;
 
@@ -54,9 +171,9 @@ namespace ECommerceApp.API.Controllers
             return CreatedAtAction(nameof(GetProduct), new { id = product.Id }, product);
         }
 
-        // PUT: api/products/5 (requires authentication)
+        // PUT: api/products/5 (admin only)
         [HttpPut("{id}")]
-        [Authorize]
+        [Authorize(Roles = UserRoles.Admin)]
         public async Task<IActionResult> PutProduct(int id, Product product)
         {
             if (id != product.Id)
@@ -64,8 +181,76 @@ namespace ECommerceApp.API.Controllers
                 return BadRequest();
             }
 
-            product.UpdatedAt = DateTime.UtcNow;
-            _context.Entry(product).State = EntityState.Modified;
+            if (product.StockQuantity < 0)
+            {
+                return BadRequest(new { message = "Stock quantity cannot be negative" });
+            }
+
+            if (!await CategoryIsValidAsync(product.CategoryId))
+            {
+                return BadRequest(new { message = "Category not found" });
+            }
+
+            var imageUrls = GetImageUrls(product);
+            if (imageUrls.Count > MaxImages)
+            {
+                return BadRequest(new { message = $"A product can have at most {MaxImages} images" });
+            }
+
+            var variantError = await NormalizeVariantsAsync(product, imageUrls);
+            if (variantError != null)
+            {
+                return BadRequest(new { message = variantError });
+            }
+
+            var existing = await _context.Products
+                .Include(p => p.Images)
+                .Include(p => p.Options)
+                .Include(p => p.Variants)
+                .AsSplitQuery()
+                .FirstOrDefaultAsync(p => p.Id == id);
+            if (existing == null)
+            {
+                return NotFound();
+            }
+
+            existing.Name = product.Name;
+            existing.Description = product.Description;
+            existing.Price = product.Price;
+            existing.StockQuantity = product.StockQuantity;
+            existing.CategoryId = product.CategoryId;
+            existing.UpdatedAt = DateTime.UtcNow;
+
+            // Keep the rows of images that stay so only genuinely new ones are inserted
+            var removedImages = existing.Images.Where(i => !imageUrls.Contains(i.Url)).ToList();
+            _context.ProductImages.RemoveRange(removedImages);
+            for (var i = 0; i < imageUrls.Count; i++)
+            {
+                var image = existing.Images.FirstOrDefault(img => img.Url == imageUrls[i]);
+                if (image == null)
+                {
+                    existing.Images.Add(new ProductImage { Url = imageUrls[i], SortOrder = i });
+                }
+                else
+                {
+                    image.SortOrder = i;
+                }
+            }
+            existing.ImageUrl = imageUrls.FirstOrDefault();
+
+            SyncOptions(existing, product.Options);
+            SyncVariants(existing, product.Variants);
+            if (existing.Variants.Count > 0)
+            {
+                existing.StockQuantity = existing.Variants.Sum(v => v.StockQuantity);
+
+                // Lines added before the product had variants can no longer be bought as they are;
+                // removed through the change tracker so they go in the same SaveChanges as the product
+                var unbuyableLines = await _context.CartItems
+                    .Where(ci => ci.ProductId == id && ci.ProductVariantId == null)
+                    .ToListAsync();
+                _context.CartItems.RemoveRange(unbuyableLines);
+            }
 
             try
             {
@@ -83,15 +268,22 @@ namespace ECommerceApp.API.Controllers
                 }
             }
 
+            foreach (var image in removedImages)
+            {
+                _images.Delete(image.Url);
+            }
+
             return NoContent();
         }
 
-        // DELETE: api/products/5 (requires authentication)
+        // DELETE: api/products/5 (admin only)
         [HttpDelete("{id}")]
-        [Authorize]
+        [Authorize(Roles = UserRoles.Admin)]
         public async Task<IActionResult> DeleteProduct(int id)
         {
-            var product = await _context.Products.FindAsync(id);
+            var product = await _context.Products
+                .Include(p => p.Images)
+                .FirstOrDefaultAsync(p => p.Id == id);
             if (product == null)
             {
                 return NotFound();
@@ -100,12 +292,230 @@ namespace ECommerceApp.API.Controllers
             _context.Products.Remove(product);
             await _context.SaveChangesAsync();
 
+            foreach (var image in product.Images)
+            {
+                _images.Delete(image.Url);
+            }
+
             return NoContent();
         }
 
+        // POST: api/products/images (admin only) - multipart form with a "file" field
+        [HttpPost("images")]
+        [Authorize(Roles = UserRoles.Admin)]
+        [RequestSizeLimit(ProductImages.MaxFileSizeBytes + 64 * 1024)]
+        public async Task<ActionResult<ProductImageUploadDto>> UploadImage(IFormFile file)
+        {
+            var result = await _images.SaveAsync(file);
+            if (result.Outcome != ProductImageUploadOutcome.Saved)
+            {
+                return BadRequest(new { message = result.Message });
+            }
+
+            return Ok(result.Image);
+        }
+
+        // The posted gallery order is authoritative and its first image becomes the primary one.
+        // Clients that only send ImageUrl get a single-image gallery.
+        private static List<string> GetImageUrls(Product product)
+        {
+            var urls = product.Images
+                .Select(i => i.Url.Trim())
+                .Where(url => url.Length > 0)
+                .Distinct()
+                .ToList();
+
+            if (urls.Count == 0 && !string.IsNullOrWhiteSpace(product.ImageUrl))
+            {
+                urls.Add(product.ImageUrl.Trim());
+            }
+
+            return urls;
+        }
+
+        // Trims the posted options and variants, numbers them in the posted order and checks that
+        // the variants cover distinct combinations of the options. Returns an error message, or
+        // null when they're valid.
+        private async Task<string?> NormalizeVariantsAsync(Product product, List<string> imageUrls)
+        {
+            if (product.Options.Count > Product.MaxOptions)
+            {
+                return $"A product can have at most {Product.MaxOptions} options";
+            }
+
+            if (product.Variants.Count > MaxVariants)
+            {
+                return $"A product can have at most {MaxVariants} variants";
+            }
+
+            var optionNames = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+            for (var i = 0; i < product.Options.Count; i++)
+            {
+                var option = product.Options[i];
+                option.Name = option.Name.Trim();
+                option.SortOrder = i;
+                if (option.Name.Length == 0)
+                {
+                    return "Option names cannot be empty";
+                }
+                if (!optionNames.Add(option.Name))
+                {
+                    return $"The option \"{option.Name}\" is listed more than once";
+                }
+            }
+
+            if (product.Options.Count > 0 && product.Variants.Count == 0)
+            {
+                return "Add at least one variant for the product's options";
+            }
+
+            if (product.Variants.Count > 0 && product.Options.Count == 0)
+            {
+                return "Variants need at least one option, such as Size or Color";
+            }
+
+            var combinations = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+            var skus = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+            for (var i = 0; i < product.Variants.Count; i++)
+            {
+                var variant = product.Variants[i];
+                var values = variant.OptionValues
+                    .Select(v => string.IsNullOrWhiteSpace(v) ? null : v.Trim())
+                    .ToArray();
+                if (values.Take(product.Options.Count).Any(v => v == null)
+                    || values.Skip(product.Options.Count).Any(v => v != null))
+                {
+                    return "Every variant needs a value for each option";
+                }
+
+                variant.Option1 = values[0];
+                variant.Option2 = values[1];
+                variant.Option3 = values[2];
+                variant.SortOrder = i;
+
+                if (!combinations.Add(string.Join("\n", values.Take(product.Options.Count))))
+                {
+                    return $"The variant {variant.Describe(product.Options)} is listed more than once";
+                }
+
+                if (variant.StockQuantity < 0)
+                {
+                    return "Variant stock cannot be negative";
+                }
+
+                if (variant.Price.HasValue && variant.Price <= 0)
+                {
+                    return "Variant prices must be greater than zero";
+                }
+
+                variant.Sku = string.IsNullOrWhiteSpace(variant.Sku) ? null : variant.Sku.Trim();
+                if (variant.Sku != null && !skus.Add(variant.Sku))
+                {
+                    return $"SKU {variant.Sku} is used by more than one variant";
+                }
+
+                variant.ImageUrl = string.IsNullOrWhiteSpace(variant.ImageUrl) ? null : variant.ImageUrl.Trim();
+                if (variant.ImageUrl != null && !imageUrls.Contains(variant.ImageUrl))
+                {
+                    return "A variant's image must be one of the product's images";
+                }
+            }
+
+            if (skus.Count > 0)
+            {
+                var takenSku = await _context.ProductVariants
+                    .Where(v => v.ProductId != product.Id && v.Sku != null && skus.Contains(v.Sku))
+                    .Select(v => v.Sku)
+                    .FirstOrDefaultAsync();
+                if (takenSku != null)
+                {
+                    return $"SKU {takenSku} is already used by another product";
+                }
+            }
+
+            return null;
+        }
+
+        // Options and variants are matched on Id so variants that stay keep the rows carts and
+        // orders point at; anything not posted back is removed
+        private void SyncOptions(Product existing, List<ProductOption> options)
+        {
+            var postedIds = options.Select(o => o.Id).ToHashSet();
+            var removed = existing.Options.Where(o => !postedIds.Contains(o.Id)).ToList();
+            _context.ProductOptions.RemoveRange(removed);
+            existing.Options.RemoveAll(removed.Contains);
+
+            foreach (var option in options)
+            {
+                var current = existing.Options.FirstOrDefault(o => o.Id != 0 && o.Id == option.Id);
+                if (current == null)
+                {
+                    existing.Options.Add(new ProductOption { Name = option.Name, SortOrder = option.SortOrder });
+                }
+                else
+                {
+                    current.Name = option.Name;
+                    current.SortOrder = option.SortOrder;
+                }
+            }
+        }
+
+        private void SyncVariants(Product existing, List<ProductVariant> variants)
+        {
+            var postedIds = variants.Select(v => v.Id).ToHashSet();
+            var removed = existing.Variants.Where(v => !postedIds.Contains(v.Id)).ToList();
+            _context.ProductVariants.RemoveRange(removed);
+            existing.Variants.RemoveAll(removed.Contains);
+
+            foreach (var variant in variants)
+            {
+                var current = existing.Variants.FirstOrDefault(v => v.Id != 0 && v.Id == variant.Id);
+                if (current == null)
+                {
+                    current = new ProductVariant();
+                    existing.Variants.Add(current);
+                }
+
+                current.Sku = variant.Sku;
+                current.Option1 = variant.Option1;
+                current.Option2 = variant.Option2;
+                current.Option3 = variant.Option3;
+                current.Price = variant.Price;
+                current.StockQuantity = variant.StockQuantity;
+                current.ImageUrl = variant.ImageUrl;
+                current.SortOrder = variant.SortOrder;
+            }
+        }
+
         private bool ProductExists(int id)
         {
             return _context.Products.Any(e => e.Id == id);
         }
+
+        private async Task<bool> CategoryIsValidAsync(int? categoryId)
+        {
+            return !categoryId.HasValue || await _context.Categories.AnyAsync(c => c.Id == categoryId.Value);
+        }
+
+        // Ids of the category with the given slug and everything below it, or null if the slug is unknown
+        private async Task<List<int>?> GetCategoryWithDescendantIdsAsync(string slug)
+        {
+            var categories = await _context.Categories
+                .Select(c => new { c.Id, c.ParentId, c.Slug })
+                .ToListAsync();
+
+            var root = categories.FirstOrDefault(c => c.Slug == slug);
+            if (root == null)
+            {
+                return null;
+            }
+
+            var ids = new List<int> { root.Id };
+            for (var i = 0; i < ids.Count; i++)
+            {
+                ids.AddRange(categories.Where(c => c.ParentId == ids[i]).Select(c => c.Id));
+            }
+            return ids;
+        }
     }
 }
\ No newline at end of file
@@ -0,0 +1,346 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using ECommerceApp.API.Data;
+using ECommerceApp.API.Models;
+using ECommerceApp.API.DTOs;
+using System.Security.Claims;
+
+namespace ECommerceApp.API.Controllers
+{
+    [Route("api/products/{productId:int}/reviews")]
+    [ApiController]
+    [Authorize]
+    public class ReviewsController : ControllerBase
+    {
+        private const int MaxTitleLength = 100;
+        private const int MaxBodyLength = 2000;
+
+        private readonly ApplicationDbContext _context;
+        private readonly ILogger<ReviewsController> _logger;
+
+        public ReviewsController(ApplicationDbContext context, ILogger<ReviewsController> logger)
+        {
+            _context = context;
+            _logger = logger;
+        }
+
+        private int GetUserId()
+        {
+            var userIdClaim = User.FindFirst("userId") ?? User.FindFirst(ClaimTypes.NameIdentifier);
+            return int.Parse(userIdClaim?.Value ?? "0");
+        }
+
+        // GET: api/products/5/reviews?sort=newest&page=1&pageSize=10 (public - no auth required)
+        [HttpGet]
+        [AllowAnonymous]
+        public async Task<ActionResult<ProductReviewsDto>> GetReviews(int productId, [FromQuery] ReviewQueryParameters parameters)
+        {
+            try
+            {
+                var sort = string.IsNullOrWhiteSpace(parameters.Sort) ? ReviewSortOptions.Newest : parameters.Sort.ToLower();
+                if (!ReviewSortOptions.All.Contains(sort))
+                {
+                    return BadRequest(new { message = $"Invalid sort. Must be one of: {string.Join(", ", ReviewSortOptions.All)}" });
+                }
+
+                var product = await _context.Products
+                    .Where(p => p.Id == productId)
+                    .Select(p => new { p.AverageRating, p.ReviewCount })
+                    .FirstOrDefaultAsync();
+                if (product == null)
+                {
+                    return NotFound(new { message = "Product not found" });
+                }
+
+                var page = Math.Max(parameters.Page, 1);
+                var pageSize = Math.Clamp(parameters.PageSize, 1, ReviewQueryParameters.MaxPageSize);
+
+                var reviews = _context.Reviews.Where(r => r.ProductId == productId);
+                reviews = sort switch
+                {
+                    ReviewSortOptions.Highest => reviews.OrderByDescending(r => r.Rating).ThenByDescending(r => r.CreatedAt),
+                    ReviewSortOptions.Lowest => reviews.OrderBy(r => r.Rating).ThenByDescending(r => r.CreatedAt),
+                    _ => reviews.OrderByDescending(r => r.CreatedAt).ThenByDescending(r => r.Id)
+                };
+
+                var totalCount = await reviews.CountAsync();
+                var items = await reviews
+                    .Include(r => r.User)
+                    .Skip((page - 1) * pageSize)
+                    .Take(pageSize)
+                    .ToListAsync();
+
+                // Signed-in visitors are recognised so their own review can be marked
+                var userId = GetUserId();
+                return new ProductReviewsDto
+                {
+                    Items = items.Select(r => ToDto(r, userId)).ToList(),
+                    Page = page,
+                    PageSize = pageSize,
+                    TotalCount = totalCount,
+                    TotalPages = (int)Math.Ceiling(totalCount / (double)pageSize),
+                    AverageRating = product.AverageRating,
+                    ReviewCount = product.ReviewCount
+                };
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error fetching reviews");
+                return StatusCode(500, new { message = "Error fetching reviews" });
+            }
+        }
+
+        // GET: api/products/5/reviews/mine
+        [HttpGet("mine")]
+        public async Task<ActionResult<ReviewEligibilityDto>> GetMyReview(int productId)
+        {
+            try
+            {
+                var userId = GetUserId();
+                if (userId == 0)
+                {
+                    return Unauthorized(new { message = "User not authenticated" });
+                }
+
+                var review = await _context.Reviews
+                    .Include(r => r.User)
+                    .FirstOrDefaultAsync(r => r.ProductId == productId && r.UserId == userId);
+                if (review != null)
+                {
+                    return Ok(new ReviewEligibilityDto { Review = ToDto(review, userId) });
+                }
+
+                var canReview = await HasReceivedProductAsync(userId, productId);
+                return Ok(new ReviewEligibilityDto
+                {
+                    CanReview = canReview,
+                    Reason = canReview ? null : "Only customers who have received this product can review it"
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error checking review eligibility");
+                return StatusCode(500, new { message = "Error checking whether you can review this product" });
+            }
+        }
+
+        // POST: api/products/5/reviews
+        [HttpPost]
+        public async Task<ActionResult<ReviewDto>> CreateReview(int productId, SaveReviewDto dto)
+        {
+            try
+            {
+                var userId = GetUserId();
+                if (userId == 0)
+                {
+                    return Unauthorized(new { message = "User not authenticated" });
+                }
+
+                var error = Validate(dto);
+                if (error != null)
+                {
+                    return BadRequest(new { message = error });
+                }
+
+                if (!await _context.Products.AnyAsync(p => p.Id == productId))
+                {
+                    return NotFound(new { message = "Product not found" });
+                }
+
+                if (!await HasReceivedProductAsync(userId, productId))
+                {
+                    return StatusCode(403, new { message = "Only customers who have received this product can review it" });
+                }
+
+                if (await _context.Reviews.AnyAsync(r => r.ProductId == productId && r.UserId == userId))
+                {
+                    return Conflict(new { message = "You have already reviewed this product. Edit your review instead." });
+                }
+
+                var review = new Review
+                {
+                    ProductId = productId,
+                    UserId = userId,
+                    Rating = dto.Rating,
+                    Title = dto.Title.Trim(),
+                    Body = dto.Body.Trim(),
+                    CreatedAt = DateTime.UtcNow,
+                    UpdatedAt = DateTime.UtcNow
+                };
+                _context.Reviews.Add(review);
+
+                try
+                {
+                    await _context.SaveChangesAsync();
+                }
+                catch (DbUpdateException)
+                {
+                    // The unique (ProductId, UserId) index caught a concurrent duplicate
+                    return Conflict(new { message = "You have already reviewed this product. Edit your review instead." });
+                }
+
+                await UpdateProductRatingAsync(productId);
+
+                await _context.Entry(review).Reference(r => r.User).LoadAsync();
+                return CreatedAtAction(nameof(GetMyReview), new { productId }, ToDto(review, userId));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error creating review");
+                return StatusCode(500, new { message = "Error saving your review" });
+            }
+        }
+
+        // PUT: api/products/5/reviews/3 (author only)
+        [HttpPut("{id:int}")]
+        public async Task<ActionResult<ReviewDto>> UpdateReview(int productId, int id, SaveReviewDto dto)
+        {
+            try
+            {
+                var userId = GetUserId();
+                if (userId == 0)
+                {
+                    return Unauthorized(new { message = "User not authenticated" });
+                }
+
+                var error = Validate(dto);
+                if (error != null)
+                {
+                    return BadRequest(new { message = error });
+                }
+
+                var review = await _context.Reviews
+                    .Include(r => r.User)
+                    .FirstOrDefaultAsync(r => r.Id == id && r.ProductId == productId && r.UserId == userId);
+                if (review == null)
+                {
+                    return NotFound(new { message = "Review not found" });
+                }
+
+                review.Rating = dto.Rating;
+                review.Title = dto.Title.Trim();
+                review.Body = dto.Body.Trim();
+                review.UpdatedAt = DateTime.UtcNow;
+                await _context.SaveChangesAsync();
+
+                await UpdateProductRatingAsync(productId);
+
+                return Ok(ToDto(review, userId));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error updating review");
+                return StatusCode(500, new { message = "Error saving your review" });
+            }
+        }
+
+        // DELETE: api/products/5/reviews/3 (author only)
+        [HttpDelete("{id:int}")]
+        public async Task<IActionResult> DeleteReview(int productId, int id)
+        {
+            try
+            {
+                var userId = GetUserId();
+                if (userId == 0)
+                {
+                    return Unauthorized(new { message = "User not authenticated" });
+                }
+
+                var review = await _context.Reviews
+                    .FirstOrDefaultAsync(r => r.Id == id && r.ProductId == productId && r.UserId == userId);
+                if (review == null)
+                {
+                    return NotFound(new { message = "Review not found" });
+                }
+
+                _context.Reviews.Remove(review);
+                await _context.SaveChangesAsync();
+
+                await UpdateProductRatingAsync(productId);
+
+                return NoContent();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error deleting review");
+                return StatusCode(500, new { message = "Error deleting your review" });
+            }
+        }
+
+        // Reviews are limited to customers with a delivered order containing the product
+        private Task<bool> HasReceivedProductAsync(int userId, int productId) =>
+            _context.OrderItems.AnyAsync(oi =>
+                oi.ProductId == productId
+                && oi.Order.UserId == userId
+                && oi.Order.Status == OrderStatuses.Delivered);
+
+        // Recalculated from the reviews rather than adjusted, so concurrent changes can't drift
+        private async Task UpdateProductRatingAsync(int productId)
+        {
+            var summary = await _context.Reviews
+                .Where(r => r.ProductId == productId)
+                .GroupBy(r => r.ProductId)
+                .Select(g => new { Count = g.Count(), Average = g.Average(r => (decimal)r.Rating) })
+                .FirstOrDefaultAsync();
+
+            var count = summary?.Count ?? 0;
+            var average = Math.Round(summary?.Average ?? 0m, 2);
+            await _context.Products
+                .Where(p => p.Id == productId)
+                .ExecuteUpdateAsync(s => s
+                    .SetProperty(p => p.ReviewCount, count)
+                    .SetProperty(p => p.AverageRating, average));
+        }
+
+        private static string? Validate(SaveReviewDto dto)
+        {
+            if (dto.Rating < 1 || dto.Rating > 5)
+            {
+                return "Please choose a rating from 1 to 5 stars";
+            }
+
+            if (string.IsNullOrWhiteSpace(dto.Title) || string.IsNullOrWhiteSpace(dto.Body))
+            {
+                return "Please give your review a title and some text";
+            }
+
+            if (dto.Title.Trim().Length > MaxTitleLength)
+            {
+                return $"Titles can be at most {MaxTitleLength} characters";
+            }
+
+            if (dto.Body.Trim().Length > MaxBodyLength)
+            {
+                return $"Reviews can be at most {MaxBodyLength} characters";
+            }
+
+            return null;
+        }
+
+        // Reviews show "Jane D." rather than the full name or email
+        private static string GetAuthorName(User user)
+        {
+            var parts = (user.FullName ?? string.Empty).Split(' ', StringSplitOptions.RemoveEmptyEntries);
+            return parts.Length switch
+            {
+                0 => "Verified customer",
+                1 => parts[0],
+                _ => $"{parts[0]} {char.ToUpper(parts[^1][0])}."
+            };
+        }
+
+        private static ReviewDto ToDto(Review review, int currentUserId) => new()
+        {
+            Id = review.Id,
+            ProductId = review.ProductId,
+            Rating = review.Rating,
+            Title = review.Title,
+            Body = review.Body,
+            AuthorName = GetAuthorName(review.User),
+            IsOwn = review.UserId == currentUserId,
+            CreatedAt = review.CreatedAt,
+            UpdatedAt = review.UpdatedAt
+        };
+    }
+}
@@ -0,0 +1,42 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using ECommerceApp.API.DTOs;
+using ECommerceApp.API.Models;
+using ECommerceApp.API.Services;
+
+namespace ECommerceApp.API.Controllers
+{
+    [Route("api/[controller]")]
+    [ApiController]
+    public class ShippingController : ControllerBase
+    {
+        private readonly IShippingService _shipping;
+
+        public ShippingController(IShippingService shipping)
+        {
+            _shipping = shipping;
+        }
+
+        // GET: api/shipping/quotes?subtotal=42.50&itemCount=3 (public - guests see estimates in their cart)
+        // Only an estimate: orders are priced again from the cart when they are placed
+        [HttpGet("quotes")]
+        [AllowAnonymous]
+        public ActionResult<IEnumerable<ShippingQuoteDto>> GetQuotes([FromQuery] decimal subtotal, [FromQuery] int itemCount)
+        {
+            if (subtotal < 0 || itemCount < 0)
+            {
+                return BadRequest(new { message = "Subtotal and item count cannot be negative" });
+            }
+
+            return Ok(_shipping.GetQuotes(subtotal, itemCount));
+        }
+
+        // GET: api/shipping/carriers (admin only - for entering shipments)
+        [HttpGet("carriers")]
+        [Authorize(Roles = UserRoles.Admin)]
+        public ActionResult<IEnumerable<ShippingCarrierDto>> GetCarriers()
+        {
+            return Ok(_shipping.GetCarriers());
+        }
+    }
+}
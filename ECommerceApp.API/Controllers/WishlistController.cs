@@ -0,0 +1,204 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using ECommerceApp.API.Data;
+using ECommerceApp.API.Models;
+using ECommerceApp.API.DTOs;
+using System.Security.Claims;
+
+namespace ECommerceApp.API.Controllers
+{
+    // Moving items between the wishlist and the cart lives on CartController, which owns the cart rules
+    [Route("api/[controller]")]
+    [ApiController]
+    [Authorize]
+    public class WishlistController : ControllerBase
+    {
+        private readonly ApplicationDbContext _context;
+        private readonly ILogger<WishlistController> _logger;
+
+        public WishlistController(ApplicationDbContext context, ILogger<WishlistController> logger)
+        {
+            _context = context;
+            _logger = logger;
+        }
+
+        private int GetUserId()
+        {
+            var userIdClaim = User.FindFirst("userId") ?? User.FindFirst(ClaimTypes.NameIdentifier);
+            return int.Parse(userIdClaim?.Value ?? "0");
+        }
+
+        // GET: api/wishlist - newest first
+        [HttpGet]
+        public async Task<ActionResult<List<WishlistItemDto>>> GetWishlist()
+        {
+            try
+            {
+                var userId = GetUserId();
+                if (userId == 0)
+                {
+                    return Unauthorized(new { message = "User not authenticated" });
+                }
+
+                var items = await _context.WishlistItems
+                    .AsNoTracking()
+                    .AsSplitQuery()
+                    .Include(w => w.Product)
+                    .ThenInclude(p => p.Options)
+                    .Include(w => w.Product)
+                    .ThenInclude(p => p.Variants)
+                    .Include(w => w.Variant)
+                    .Where(w => w.UserId == userId)
+                    .OrderByDescending(w => w.CreatedAt)
+                    .ThenByDescending(w => w.Id)
+                    .ToListAsync();
+
+                return Ok(items.Select(ToDto).ToList());
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error fetching wishlist");
+                return StatusCode(500, new { message = "Error fetching wishlist" });
+            }
+        }
+
+        // POST: api/wishlist/items - adding something already on the wishlist is a no-op
+        [HttpPost("items")]
+        public async Task<ActionResult<List<WishlistItemDto>>> AddToWishlist(AddToWishlistDto dto)
+        {
+            try
+            {
+                var userId = GetUserId();
+                if (userId == 0)
+                {
+                    return Unauthorized(new { message = "User not authenticated" });
+                }
+
+                var product = await _context.Products
+                    .Include(p => p.Variants)
+                    .FirstOrDefaultAsync(p => p.Id == dto.ProductId);
+                if (product == null)
+                {
+                    return NotFound(new { message = "Product not found" });
+                }
+
+                // Unlike the cart, a product with variants may be saved without choosing one
+                if (dto.VariantId.HasValue && !product.Variants.Any(v => v.Id == dto.VariantId))
+                {
+                    return BadRequest(new { message = "The selected option is no longer available" });
+                }
+
+                var exists = await _context.WishlistItems.AnyAsync(w =>
+                    w.UserId == userId && w.ProductId == dto.ProductId && w.ProductVariantId == dto.VariantId);
+                if (!exists)
+                {
+                    _context.WishlistItems.Add(new WishlistItem
+                    {
+                        UserId = userId,
+                        ProductId = dto.ProductId,
+                        ProductVariantId = dto.VariantId,
+                        Quantity = 1,
+                        CreatedAt = DateTime.UtcNow
+                    });
+                    try
+                    {
+                        await _context.SaveChangesAsync();
+                    }
+                    catch (DbUpdateException) when (dto.VariantId.HasValue)
+                    {
+                        // The unique index caught a concurrent save of the same variant
+                    }
+                }
+
+                return await GetWishlist();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error adding item to wishlist");
+                return StatusCode(500, new { message = "Error adding item to wishlist" });
+            }
+        }
+
+        // DELETE: api/wishlist/items/{id}
+        [HttpDelete("items/{id}")]
+        public async Task<ActionResult<List<WishlistItemDto>>> RemoveFromWishlist(int id)
+        {
+            try
+            {
+                var userId = GetUserId();
+                if (userId == 0)
+                {
+                    return Unauthorized(new { message = "User not authenticated" });
+                }
+
+                var deleted = await _context.WishlistItems
+                    .Where(w => w.Id == id && w.UserId == userId)
+                    .ExecuteDeleteAsync();
+                if (deleted == 0)
+                {
+                    return NotFound(new { message = "Wishlist item not found" });
+                }
+
+                return await GetWishlist();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error removing item from wishlist");
+                return StatusCode(500, new { message = "Error removing item from wishlist" });
+            }
+        }
+
+        // DELETE: api/wishlist/products/{productId} - the heart toggle; removes every variant saved
+        [HttpDelete("products/{productId}")]
+        public async Task<ActionResult<List<WishlistItemDto>>> RemoveProductFromWishlist(int productId)
+        {
+            try
+            {
+                var userId = GetUserId();
+                if (userId == 0)
+                {
+                    return Unauthorized(new { message = "User not authenticated" });
+                }
+
+                await _context.WishlistItems
+                    .Where(w => w.ProductId == productId && w.UserId == userId)
+                    .ExecuteDeleteAsync();
+
+                return await GetWishlist();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error removing product from wishlist");
+                return StatusCode(500, new { message = "Error removing product from wishlist" });
+            }
+        }
+
+        private static WishlistItemDto ToDto(WishlistItem item)
+        {
+            var product = item.Product;
+            var requiresOptions = item.Variant == null && product.Variants.Count > 0;
+            var price = item.Variant?.Price ?? product.Price;
+            if (requiresOptions)
+            {
+                price = product.Variants.Min(v => v.Price ?? product.Price);
+            }
+
+            return new WishlistItemDto
+            {
+                Id = item.Id,
+                ProductId = item.ProductId,
+                ProductName = product.Name,
+                VariantId = item.ProductVariantId,
+                VariantName = item.Variant?.Describe(product.Options),
+                Sku = item.Variant?.Sku,
+                Price = price,
+                ImageUrl = item.Variant?.ImageUrl ?? product.ImageUrl,
+                Quantity = item.Quantity,
+                StockQuantity = item.Variant?.StockQuantity ?? product.StockQuantity,
+                RequiresOptions = requiresOptions,
+                CreatedAt = item.CreatedAt
+            };
+        }
+    }
+}
@@ -0,0 +1,64 @@
+using ECommerceApp.API.Models;
+
+namespace ECommerceApp.API.DTOs
+{
+    // The address fields on their own, as entered by the user and as snapshotted on an order
+    public class ShippingAddressDto
+    {
+        public string FullName { get; set; } = string.Empty;
+        public string Line1 { get; set; } = string.Empty;
+        public string? Line2 { get; set; }
+        public string City { get; set; } = string.Empty;
+        public string? State { get; set; }
+        public string PostalCode { get; set; } = string.Empty;
+        public string Country { get; set; } = string.Empty;
+        public string? Phone { get; set; }
+
+        public static ShippingAddressDto FromAddress(Address address)
+        {
+            return new ShippingAddressDto
+            {
+                FullName = address.FullName,
+                Line1 = address.Line1,
+                Line2 = address.Line2,
+                City = address.City,
+                State = address.State,
+                PostalCode = address.PostalCode,
+                Country = address.Country,
+                Phone = address.Phone
+            };
+        }
+
+        // Null for orders placed before shipping addresses were recorded
+        public static ShippingAddressDto? FromOrder(Order order)
+        {
+            if (order.ShippingLine1 == null)
+            {
+                return null;
+            }
+
+            return new ShippingAddressDto
+            {
+                FullName = order.ShippingFullName ?? string.Empty,
+                Line1 = order.ShippingLine1,
+                Line2 = order.ShippingLine2,
+                City = order.ShippingCity ?? string.Empty,
+                State = order.ShippingState,
+                PostalCode = order.ShippingPostalCode ?? string.Empty,
+                Country = order.ShippingCountry ?? string.Empty,
+                Phone = order.ShippingPhone
+            };
+        }
+    }
+
+    public class AddressDto : ShippingAddressDto
+    {
+        public int Id { get; set; }
+        public bool IsDefault { get; set; }
+    }
+
+    public class SaveAddressDto : ShippingAddressDto
+    {
+        public bool IsDefault { get; set; }
+    }
+}
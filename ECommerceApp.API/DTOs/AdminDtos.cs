@@ -0,0 +1,68 @@
+namespace ECommerceApp.API.DTOs
+{
+    public class AdminUserDto
+    {
+        public int Id { get; set; }
+        public string Email { get; set; } = string.Empty;
+        public string? FullName { get; set; }
+        public string Role { get; set; } = string.Empty;
+        public int OrderCount { get; set; }
+        public DateTime CreatedAt { get; set; }
+    }
+    
+    public class UpdateUserRoleDto
+    {
+        public string Role { get; set; } = string.Empty;
+    }
+    
+    public class AdminOrderDto : OrderDto
+    {
+        public string UserEmail { get; set; } = string.Empty;
+        public string? UserFullName { get; set; }
+        public List<string> NextStatuses { get; set; } = new(); // Statuses the order can be moved to from here
+    }
+
+    public class AdminOrderQueryParameters
+    {
+        public const int MaxPageSize = 100;
+
+        public string? Status { get; set; }
+        public string? PaymentMethod { get; set; } // cash, stripe
+        public DateTime? From { get; set; } // Placed at or after
+        public DateTime? To { get; set; } // Placed at or before
+        // Order number (with or without a leading #), or part of the customer's email or name
+        public string? Search { get; set; }
+        public int Page { get; set; } = 1;
+        public int PageSize { get; set; } = 25;
+    }
+
+    public class BulkUpdateOrderStatusDto
+    {
+        public const int MaxOrders = 100;
+
+        public List<int> OrderIds { get; set; } = new();
+        public string Status { get; set; } = string.Empty;
+        public string? Note { get; set; }
+    }
+
+    // Each order is changed on its own, so some can succeed while others fail
+    public class BulkUpdateOrderStatusResultDto
+    {
+        public List<int> Updated { get; set; } = new();
+        public List<BulkOrderStatusFailureDto> Failed { get; set; } = new();
+    }
+
+    public class BulkOrderStatusFailureDto
+    {
+        public int OrderId { get; set; }
+        public string Message { get; set; } = string.Empty;
+    }
+
+    // Replaces the order's shipment details; empty values clear them
+    public class UpdateShipmentDto
+    {
+        public string? Carrier { get; set; } // Code from GET api/shipping/carriers
+        public string? TrackingNumber { get; set; }
+        public DateOnly? EstimatedDeliveryDate { get; set; }
+    }
+}
@@ -16,8 +16,16 @@ namespace ECommerceApp.API.DTOs
     public class AuthResponseDto
     {
         public string Token { get; set; } = string.Empty;
+        public string RefreshToken { get; set; } = string.Empty;
+        public DateTime RefreshTokenExpiresAt { get; set; }
         public int UserId { get; set; }
         public string Email { get; set; } = string.Empty;
         public string? FullName { get; set; }
+        public string Role { get; set; } = string.Empty;
+    }
+
+    public class RefreshTokenDto
+    {
+        public string RefreshToken { get; set; } = string.Empty;
     }
 }
@@ -5,6 +5,32 @@ namespace ECommerceApp.API.DTOs
         public int Id { get; set; }
         public int UserId { get; set; }
         public List<CartItemDto> Items { get; set; } = new();
+        public decimal TotalAmount { get; set; } // Sum of the items, before discount, shipping and tax
+        public string? CouponCode { get; set; }
+        public string? CouponDescription { get; set; }
+        // Set when the applied code doesn't currently apply (e.g. subtotal below its minimum); DiscountAmount is then 0
+        public string? CouponError { get; set; }
+        public decimal DiscountAmount { get; set; }
+        // Estimated for the default address (or the store's default region when there is none)
+        public List<TaxLineDto> TaxLines { get; set; } = new();
+        public decimal TaxAmount { get; set; }
+        public bool TaxIncluded { get; set; }
+        public string TaxRegion { get; set; } = string.Empty;
+    }
+
+    // What checkout would charge for the cart with a given address and shipping method
+    public class CartTotalsDto
+    {
+        public decimal Subtotal { get; set; }
+        public string? CouponCode { get; set; }
+        public string? CouponError { get; set; }
+        public decimal DiscountAmount { get; set; }
+        public string? ShippingMethod { get; set; }
+        public decimal ShippingCost { get; set; }
+        public List<TaxLineDto> TaxLines { get; set; } = new();
+        public decimal TaxAmount { get; set; }
+        public bool TaxIncluded { get; set; }
+        public string TaxRegion { get; set; } = string.Empty;
         public decimal TotalAmount { get; set; }
     }
     
@@ -14,15 +40,22 @@ namespace ECommerceApp.API.DTOs
         public int ProductId { get; set; }
         public string ProductName { get; set; } = string.Empty;
         public string ProductDescription { get; set; } = string.Empty;
+        public int? VariantId { get; set; }
+        // e.g. "Size: M, Color: Red"
+        public string? VariantName { get; set; }
+        public string? Sku { get; set; }
         public decimal Price { get; set; }
         public string? ImageUrl { get; set; }
         public int Quantity { get; set; }
+        public int StockQuantity { get; set; }
         public decimal Subtotal { get; set; }
     }
     
     public class AddToCartDto
     {
         public int ProductId { get; set; }
+        // Required when the product has variants
+        public int? VariantId { get; set; }
         public int Quantity { get; set; } = 1;
     }
     
@@ -30,4 +63,15 @@ namespace ECommerceApp.API.DTOs
     {
         public int Quantity { get; set; }
     }
+
+    public class ApplyCouponDto
+    {
+        public string Code { get; set; } = string.Empty;
+    }
+
+    // Guest cart kept in the browser, merged into the user's cart after login
+    public class MergeCartDto
+    {
+        public List<AddToCartDto> Items { get; set; } = new();
+    }
 }
@@ -0,0 +1,22 @@
+namespace ECommerceApp.API.DTOs
+{
+    // Categories are returned as a flat list; ParentId links them into a tree on the client
+    public class CategoryDto
+    {
+        public int Id { get; set; }
+        public string Name { get; set; } = string.Empty;
+        public string Slug { get; set; } = string.Empty;
+        public string? Description { get; set; }
+        public int? ParentId { get; set; }
+        public int ProductCount { get; set; }
+    }
+
+    public class SaveCategoryDto
+    {
+        public string Name { get; set; } = string.Empty;
+        // Generated from Name when left empty
+        public string? Slug { get; set; }
+        public string? Description { get; set; }
+        public int? ParentId { get; set; }
+    }
+}
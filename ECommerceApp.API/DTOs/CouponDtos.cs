@@ -0,0 +1,34 @@
+namespace ECommerceApp.API.DTOs
+{
+    public class CouponDto
+    {
+        public int Id { get; set; }
+        public string Code { get; set; } = string.Empty;
+        public string? Description { get; set; }
+        public string DiscountType { get; set; } = string.Empty;
+        public decimal Value { get; set; }
+        public decimal? MinimumSubtotal { get; set; }
+        public DateTime? StartsAt { get; set; }
+        public DateTime? ExpiresAt { get; set; }
+        public int? MaxUses { get; set; }
+        public int? MaxUsesPerUser { get; set; }
+        public int TimesUsed { get; set; }
+        public bool IsActive { get; set; }
+        public DateTime CreatedAt { get; set; }
+    }
+
+    public class SaveCouponDto
+    {
+        public string Code { get; set; } = string.Empty;
+        public string? Description { get; set; }
+        // percentage or fixed
+        public string DiscountType { get; set; } = string.Empty;
+        public decimal Value { get; set; }
+        public decimal? MinimumSubtotal { get; set; }
+        public DateTime? StartsAt { get; set; }
+        public DateTime? ExpiresAt { get; set; }
+        public int? MaxUses { get; set; }
+        public int? MaxUsesPerUser { get; set; }
+        public bool IsActive { get; set; } = true;
+    }
+}
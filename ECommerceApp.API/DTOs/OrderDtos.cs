@@ -1,15 +1,71 @@
+using ECommerceApp.API.Models;
+
 namespace ECommerceApp.API.DTOs
 {
     public class OrderDto
     {
         public int Id { get; set; }
         public int UserId { get; set; }
+        public decimal Subtotal { get; set; } // Sum of the items
+        public decimal DiscountAmount { get; set; }
+        public string? CouponCode { get; set; }
+        public decimal ShippingCost { get; set; }
+        public string? ShippingMethod { get; set; } // null on orders placed before shipping methods existed
+        public string? ShippingMethodName { get; set; }
+        public decimal TaxAmount { get; set; }
+        public bool TaxIncluded { get; set; } // Tax was part of the prices and isn't added on top
+        public List<TaxLineDto> TaxLines { get; set; } = new();
         public decimal TotalAmount { get; set; }
         public string Status { get; set; } = string.Empty;
         public string PaymentMethod { get; set; } = string.Empty;
         public string? PaymentIntentId { get; set; }
+        public DateTime? CancelledAt { get; set; }
+        public string? RefundStatus { get; set; } // Only set on cancelled card orders
+        public decimal? RefundAmount { get; set; }
+        public string? Carrier { get; set; } // Carrier code, see GET api/shipping/carriers
+        public string? CarrierName { get; set; }
+        public string? TrackingNumber { get; set; }
+        public string? TrackingUrl { get; set; } // The carrier's tracking page, when it has one configured
+        public DateOnly? EstimatedDeliveryDate { get; set; }
+        public ShippingAddressDto? ShippingAddress { get; set; }
         public DateTime CreatedAt { get; set; }
         public List<OrderItemDto> Items { get; set; } = new();
+        public List<OrderStatusHistoryDto> StatusHistory { get; set; } = new(); // Oldest first
+    }
+
+    public class OrderStatusHistoryDto
+    {
+        public string? FromStatus { get; set; }
+        public string ToStatus { get; set; } = string.Empty;
+        // customer, staff or system; staff accounts aren't named to customers
+        public string ChangedBy { get; set; } = string.Empty;
+        public string? ChangedByEmail { get; set; } // Admin views only; needs ChangedByUser loaded
+        public string? Note { get; set; }
+        public DateTime ChangedAt { get; set; }
+
+        public static List<OrderStatusHistoryDto> FromOrder(Order order, bool includeEmails = false)
+        {
+            return order.StatusHistory
+                .OrderBy(h => h.CreatedAt)
+                .ThenBy(h => h.Id)
+                .Select(h => new OrderStatusHistoryDto
+                {
+                    FromStatus = h.FromStatus,
+                    ToStatus = h.ToStatus,
+                    ChangedBy = h.ChangedByUserId == null ? "system" : h.ChangedByUserId == order.UserId ? "customer" : "staff",
+                    ChangedByEmail = includeEmails ? h.ChangedByUser?.Email : null,
+                    Note = h.Note,
+                    ChangedAt = h.CreatedAt
+                })
+                .ToList();
+        }
+    }
+
+    public class UpdateOrderStatusDto
+    {
+        public string Status { get; set; } = string.Empty;
+        // Shown in the order's history, e.g. why it was refunded
+        public string? Note { get; set; }
     }
     
     public class OrderItemDto
@@ -17,18 +73,28 @@ namespace ECommerceApp.API.DTOs
         public int Id { get; set; }
         public int ProductId { get; set; }
         public string ProductName { get; set; } = string.Empty;
+        public string? VariantName { get; set; }
+        public string? Sku { get; set; }
         public decimal Price { get; set; }
         public int Quantity { get; set; }
         public decimal Subtotal { get; set; }
     }
     
-    public class CreateOrderDto
+    // Returned with 409 Conflict when stock ran out between adding to cart and checking out
+    public class StockShortageDto
     {
-        public string PaymentMethod { get; set; } = "cash"; // "cash" or "stripe"
+        public int ProductId { get; set; }
+        public int? VariantId { get; set; }
+        // Includes the variant, e.g. "T-Shirt (Size: M)"
+        public string ProductName { get; set; } = string.Empty;
+        public int Requested { get; set; }
+        public int Available { get; set; }
     }
 
-    public class UpdateOrderDto
+    public class CreateOrderDto
     {
-        public string? PaymentIntentId { get; set; }
+        public string PaymentMethod { get; set; } = "cash"; // only "cash"; card orders come from the Stripe webhook
+        public int? AddressId { get; set; } // Saved address to ship to (required)
+        public string? ShippingMethod { get; set; } // Code from GET api/shipping/quotes (required)
     }
 }
@@ -0,0 +1,11 @@
+namespace ECommerceApp.API.DTOs
+{
+    public class CreatePaymentIntentDto
+    {
+        // Saved address the order ships to; sent to Stripe as the payment's shipping details
+        public int? AddressId { get; set; }
+
+        // Code from GET api/shipping/quotes; its cost is included in the amount charged
+        public string? ShippingMethod { get; set; }
+    }
+}
@@ -0,0 +1,49 @@
+namespace ECommerceApp.API.DTOs
+{
+    public static class ProductSortOptions
+    {
+        public const string Newest = "newest";
+        public const string PriceAsc = "price_asc";
+        public const string PriceDesc = "price_desc";
+        public const string NameAsc = "name_asc";
+        public const string NameDesc = "name_desc";
+
+        public static readonly string[] All = { Newest, PriceAsc, PriceDesc, NameAsc, NameDesc };
+    }
+
+    public class ProductQueryParameters
+    {
+        public const int MaxPageSize = 100;
+
+        public string? Query { get; set; }
+        // Category slug; products in its subcategories are included
+        public string? Category { get; set; }
+        public decimal? MinPrice { get; set; }
+        public decimal? MaxPrice { get; set; }
+        public string? Sort { get; set; }
+        public int Page { get; set; } = 1;
+        public int PageSize { get; set; } = 12;
+    }
+
+    public class PagedResultDto<T>
+    {
+        public List<T> Items { get; set; } = new();
+        public int Page { get; set; }
+        public int PageSize { get; set; }
+        public int TotalCount { get; set; }
+        public int TotalPages { get; set; }
+    }
+
+    public class ProductImageSizeDto
+    {
+        public int Width { get; set; }
+        public string Url { get; set; } = string.Empty;
+    }
+
+    // Returned by POST api/products/images; ImageUrl goes on the product, the sizes are for srcset
+    public class ProductImageUploadDto
+    {
+        public string ImageUrl { get; set; } = string.Empty;
+        public List<ProductImageSizeDto> Sizes { get; set; } = new();
+    }
+}
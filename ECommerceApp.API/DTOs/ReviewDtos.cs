@@ -0,0 +1,57 @@
+namespace ECommerceApp.API.DTOs
+{
+    public static class ReviewSortOptions
+    {
+        public const string Newest = "newest";
+        public const string Highest = "highest";
+        public const string Lowest = "lowest";
+
+        public static readonly string[] All = { Newest, Highest, Lowest };
+    }
+
+    public class ReviewQueryParameters
+    {
+        public const int MaxPageSize = 50;
+
+        public string? Sort { get; set; }
+        public int Page { get; set; } = 1;
+        public int PageSize { get; set; } = 10;
+    }
+
+    public class ReviewDto
+    {
+        public int Id { get; set; }
+        public int ProductId { get; set; }
+        public int Rating { get; set; }
+        public string Title { get; set; } = string.Empty;
+        public string Body { get; set; } = string.Empty;
+        // First name and last initial, e.g. "Jane D."
+        public string AuthorName { get; set; } = string.Empty;
+        // Written by the signed-in user, who may edit or delete it
+        public bool IsOwn { get; set; }
+        public DateTime CreatedAt { get; set; }
+        public DateTime UpdatedAt { get; set; }
+    }
+
+    // A page of reviews along with the product's current rating summary
+    public class ProductReviewsDto : PagedResultDto<ReviewDto>
+    {
+        public decimal AverageRating { get; set; }
+        public int ReviewCount { get; set; }
+    }
+
+    public class SaveReviewDto
+    {
+        public int Rating { get; set; }
+        public string Title { get; set; } = string.Empty;
+        public string Body { get; set; } = string.Empty;
+    }
+
+    // Whether the signed-in user may review a product, and their review if they already have
+    public class ReviewEligibilityDto
+    {
+        public bool CanReview { get; set; }
+        public string? Reason { get; set; }
+        public ReviewDto? Review { get; set; }
+    }
+}
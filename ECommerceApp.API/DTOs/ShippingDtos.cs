@@ -0,0 +1,19 @@
+namespace ECommerceApp.API.DTOs
+{
+    // A shipping method priced for a particular cart
+    public class ShippingQuoteDto
+    {
+        public string Code { get; set; } = string.Empty;
+        public string Name { get; set; } = string.Empty;
+        public string? EstimatedDelivery { get; set; }
+        public decimal Cost { get; set; }
+        // Lets the client tell the customer how far they are from free shipping
+        public decimal? FreeOverSubtotal { get; set; }
+    }
+
+    public class ShippingCarrierDto
+    {
+        public string Code { get; set; } = string.Empty;
+        public string Name { get; set; } = string.Empty;
+    }
+}
@@ -0,0 +1,10 @@
+namespace ECommerceApp.API.DTOs
+{
+    // One tax applied to a cart or order, e.g. "California Sales Tax" at 0.0725
+    public class TaxLineDto
+    {
+        public string Name { get; set; } = string.Empty;
+        public decimal Rate { get; set; }
+        public decimal Amount { get; set; }
+    }
+}
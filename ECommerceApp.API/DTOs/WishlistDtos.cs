@@ -0,0 +1,28 @@
+namespace ECommerceApp.API.DTOs
+{
+    public class WishlistItemDto
+    {
+        public int Id { get; set; }
+        public int ProductId { get; set; }
+        public string ProductName { get; set; } = string.Empty;
+        public int? VariantId { get; set; }
+        // e.g. "Size: M, Color: Red"; null for products without variants or when none was chosen
+        public string? VariantName { get; set; }
+        public string? Sku { get; set; }
+        // The variant's price, or the product price (the lowest variant price when none was chosen)
+        public decimal Price { get; set; }
+        public string? ImageUrl { get; set; }
+        // Units that "Move to cart" adds; kept from the cart line for items saved for later
+        public int Quantity { get; set; }
+        public int StockQuantity { get; set; }
+        // The product has variants but none was chosen, so it can't go straight into the cart
+        public bool RequiresOptions { get; set; }
+        public DateTime CreatedAt { get; set; }
+    }
+
+    public class AddToWishlistDto
+    {
+        public int ProductId { get; set; }
+        public int? VariantId { get; set; }
+    }
+}
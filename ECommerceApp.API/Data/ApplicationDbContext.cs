@@ -11,11 +11,24 @@ namespace ECommerceApp.API.Data
         }
 
         public DbSet<Product> Products { get; set; }
+        public DbSet<ProductImage> ProductImages { get; set; }
+        public DbSet<ProductOption> ProductOptions { get; set; }
+        public DbSet<ProductVariant> ProductVariants { get; set; }
+        public DbSet<Category> Categories { get; set; }
         public DbSet<User> Users { get; set; }
         public DbSet<Cart> Carts { get; set; }
         public DbSet<CartItem> CartItems { get; set; }
         public DbSet<Order> Orders { get; set; }
         public DbSet<OrderItem> OrderItems { get; set; }
+        public DbSet<OrderTaxLine> OrderTaxLines { get; set; }
+        public DbSet<OrderStatusHistory> OrderStatusHistory { get; set; }
+        public DbSet<PaymentCheckout> PaymentCheckouts { get; set; }
+        public DbSet<PaymentCheckoutItem> PaymentCheckoutItems { get; set; }
+        public DbSet<RefreshToken> RefreshTokens { get; set; }
+        public DbSet<Address> Addresses { get; set; }
+        public DbSet<Coupon> Coupons { get; set; }
+        public DbSet<Review> Reviews { get; set; }
+        public DbSet<WishlistItem> WishlistItems { get; set; }
 
         protected override void OnModelCreating(ModelBuilder modelBuilder)
         {
@@ -27,6 +40,71 @@ namespace ECommerceApp.API.Data
                 entity.Property(e => e.Description).IsRequired().HasMaxLength(1000);
                 entity.Property(e => e.Price).HasColumnType("decimal(10,2)");
                 entity.Property(e => e.ImageUrl).HasMaxLength(500);
+                entity.Property(e => e.AverageRating).HasColumnType("decimal(3,2)");
+                // Last line of defence against overselling; order creation also checks before decrementing
+                entity.ToTable(t => t.HasCheckConstraint("CK_Products_StockQuantity", "\"StockQuantity\" >= 0"));
+                entity.HasOne(e => e.Category)
+                    .WithMany(c => c.Products)
+                    .HasForeignKey(e => e.CategoryId)
+                    .OnDelete(DeleteBehavior.SetNull);
+            });
+
+            // ProductImage configuration
+            modelBuilder.Entity<ProductImage>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.Property(e => e.Url).IsRequired().HasMaxLength(500);
+                entity.HasIndex(e => new { e.ProductId, e.SortOrder });
+                entity.HasOne(e => e.Product)
+                    .WithMany(p => p.Images)
+                    .HasForeignKey(e => e.ProductId)
+                    .OnDelete(DeleteBehavior.Cascade);
+            });
+
+            // ProductOption configuration
+            modelBuilder.Entity<ProductOption>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.Property(e => e.Name).IsRequired().HasMaxLength(50);
+                entity.HasIndex(e => new { e.ProductId, e.SortOrder });
+                entity.HasOne(e => e.Product)
+                    .WithMany(p => p.Options)
+                    .HasForeignKey(e => e.ProductId)
+                    .OnDelete(DeleteBehavior.Cascade);
+            });
+
+            // ProductVariant configuration
+            modelBuilder.Entity<ProductVariant>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.Property(e => e.Sku).HasMaxLength(64);
+                entity.HasIndex(e => e.Sku).IsUnique().HasFilter("\"Sku\" IS NOT NULL");
+                entity.Property(e => e.Option1).HasMaxLength(100);
+                entity.Property(e => e.Option2).HasMaxLength(100);
+                entity.Property(e => e.Option3).HasMaxLength(100);
+                entity.Property(e => e.Price).HasColumnType("decimal(10,2)");
+                entity.Property(e => e.ImageUrl).HasMaxLength(500);
+                entity.Ignore(e => e.OptionValues);
+                entity.ToTable(t => t.HasCheckConstraint("CK_ProductVariants_StockQuantity", "\"StockQuantity\" >= 0"));
+                entity.HasIndex(e => new { e.ProductId, e.SortOrder });
+                entity.HasOne(e => e.Product)
+                    .WithMany(p => p.Variants)
+                    .HasForeignKey(e => e.ProductId)
+                    .OnDelete(DeleteBehavior.Cascade);
+            });
+
+            // Category configuration
+            modelBuilder.Entity<Category>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.HasIndex(e => e.Slug).IsUnique();
+                entity.Property(e => e.Name).IsRequired().HasMaxLength(100);
+                entity.Property(e => e.Slug).IsRequired().HasMaxLength(120);
+                entity.Property(e => e.Description).HasMaxLength(500);
+                entity.HasOne(e => e.Parent)
+                    .WithMany(c => c.Children)
+                    .HasForeignKey(e => e.ParentId)
+                    .OnDelete(DeleteBehavior.Restrict);
             });
 
             // User configuration
@@ -37,6 +115,7 @@ namespace ECommerceApp.API.Data
                 entity.Property(e => e.Email).IsRequired().HasMaxLength(255);
                 entity.Property(e => e.PasswordHash).IsRequired().HasMaxLength(255);
                 entity.Property(e => e.FullName).HasMaxLength(100);
+                entity.Property(e => e.Role).IsRequired().HasMaxLength(20).HasDefaultValue(UserRoles.Customer);
             });
 
             // Cart configuration
@@ -47,6 +126,10 @@ namespace ECommerceApp.API.Data
                     .WithMany(u => u.Carts)
                     .HasForeignKey(e => e.UserId)
                     .OnDelete(DeleteBehavior.Cascade);
+                entity.HasOne(e => e.Coupon)
+                    .WithMany()
+                    .HasForeignKey(e => e.CouponId)
+                    .OnDelete(DeleteBehavior.SetNull);
             });
 
             // CartItem configuration
@@ -61,6 +144,14 @@ namespace ECommerceApp.API.Data
                     .WithMany()
                     .HasForeignKey(e => e.ProductId)
                     .OnDelete(DeleteBehavior.Restrict);
+                // A variant removed from the product drops out of carts with it
+                entity.HasOne(e => e.Variant)
+                    .WithMany()
+                    .HasForeignKey(e => e.ProductVariantId)
+                    .OnDelete(DeleteBehavior.Cascade);
+                entity.Ignore(e => e.UnitPrice);
+                entity.Ignore(e => e.AvailableStock);
+                entity.Ignore(e => e.DisplayName);
             });
 
             // Order configuration
@@ -68,11 +159,37 @@ namespace ECommerceApp.API.Data
             {
                 entity.HasKey(e => e.Id);
                 entity.Property(e => e.TotalAmount).HasColumnType("decimal(10,2)");
+                entity.Property(e => e.ShippingCost).HasColumnType("decimal(10,2)");
+                entity.Property(e => e.TaxAmount).HasColumnType("decimal(10,2)");
+                entity.Property(e => e.DiscountAmount).HasColumnType("decimal(10,2)");
+                entity.Property(e => e.RefundAmount).HasColumnType("decimal(10,2)");
+                entity.Property(e => e.CouponCode).HasMaxLength(50);
                 entity.Property(e => e.Status).IsRequired().HasMaxLength(50);
+                // One order per Stripe payment; makes webhook redeliveries idempotent
+                entity.HasIndex(e => e.PaymentIntentId).IsUnique();
+                entity.HasIndex(e => new { e.UserId, e.IdempotencyKey }).IsUnique();
+                entity.Property(e => e.IdempotencyKey).HasMaxLength(IdempotencyKeys.MaxLength);
                 entity.HasOne(e => e.User)
                     .WithMany(u => u.Orders)
                     .HasForeignKey(e => e.UserId)
                     .OnDelete(DeleteBehavior.Cascade);
+                // Orders keep CouponCode when a coupon is deleted
+                entity.HasOne(e => e.Coupon)
+                    .WithMany(c => c.Orders)
+                    .HasForeignKey(e => e.CouponId)
+                    .OnDelete(DeleteBehavior.SetNull);
+            });
+
+            // Coupon configuration
+            modelBuilder.Entity<Coupon>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.HasIndex(e => e.Code).IsUnique();
+                entity.Property(e => e.Code).IsRequired().HasMaxLength(50);
+                entity.Property(e => e.Description).HasMaxLength(200);
+                entity.Property(e => e.DiscountType).IsRequired().HasMaxLength(20);
+                entity.Property(e => e.Value).HasColumnType("decimal(10,2)");
+                entity.Property(e => e.MinimumSubtotal).HasColumnType("decimal(10,2)");
             });
 
             // OrderItem configuration
@@ -80,6 +197,8 @@ namespace ECommerceApp.API.Data
             {
                 entity.HasKey(e => e.Id);
                 entity.Property(e => e.ProductName).IsRequired().HasMaxLength(200);
+                entity.Property(e => e.VariantName).HasMaxLength(200);
+                entity.Property(e => e.Sku).HasMaxLength(64);
                 entity.Property(e => e.Price).HasColumnType("decimal(10,2)");
                 entity.HasOne(e => e.Order)
                     .WithMany(o => o.OrderItems)
@@ -89,6 +208,148 @@ namespace ECommerceApp.API.Data
                     .WithMany()
                     .HasForeignKey(e => e.ProductId)
                     .OnDelete(DeleteBehavior.Restrict);
+                // Orders keep the copied variant name and SKU
+                entity.HasOne(e => e.Variant)
+                    .WithMany()
+                    .HasForeignKey(e => e.ProductVariantId)
+                    .OnDelete(DeleteBehavior.SetNull);
+            });
+
+            // OrderTaxLine configuration
+            modelBuilder.Entity<OrderTaxLine>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.Property(e => e.Name).IsRequired().HasMaxLength(100);
+                entity.Property(e => e.Rate).HasColumnType("decimal(7,5)");
+                entity.Property(e => e.Amount).HasColumnType("decimal(10,2)");
+                entity.HasOne(e => e.Order)
+                    .WithMany(o => o.TaxLines)
+                    .HasForeignKey(e => e.OrderId)
+                    .OnDelete(DeleteBehavior.Cascade);
+            });
+
+            // OrderStatusHistory configuration
+            modelBuilder.Entity<OrderStatusHistory>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.Property(e => e.FromStatus).HasMaxLength(50);
+                entity.Property(e => e.ToStatus).IsRequired().HasMaxLength(50);
+                entity.Property(e => e.Note).HasMaxLength(500);
+                entity.HasOne(e => e.Order)
+                    .WithMany(o => o.StatusHistory)
+                    .HasForeignKey(e => e.OrderId)
+                    .OnDelete(DeleteBehavior.Cascade);
+                // History outlives the staff account that made the change
+                entity.HasOne(e => e.ChangedByUser)
+                    .WithMany()
+                    .HasForeignKey(e => e.ChangedByUserId)
+                    .OnDelete(DeleteBehavior.SetNull);
+            });
+
+            // PaymentCheckout configuration
+            modelBuilder.Entity<PaymentCheckout>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.Property(e => e.PaymentIntentId).IsRequired().HasMaxLength(200);
+                entity.Property(e => e.ShippingMethod).IsRequired().HasMaxLength(50);
+                entity.Property(e => e.Status).IsRequired().HasMaxLength(20);
+                entity.Property(e => e.FailureReason).HasMaxLength(500);
+                entity.Property(e => e.RefundId).HasMaxLength(100);
+                entity.Property(e => e.RefundStatus).HasMaxLength(30);
+                // A replayed create-payment-intent request returns the same intent, which keeps its first snapshot
+                entity.HasIndex(e => e.PaymentIntentId).IsUnique();
+                entity.HasIndex(e => e.RefundId);
+                entity.HasOne(e => e.User)
+                    .WithMany()
+                    .HasForeignKey(e => e.UserId)
+                    .OnDelete(DeleteBehavior.Cascade);
+                entity.HasOne(e => e.Coupon)
+                    .WithMany()
+                    .HasForeignKey(e => e.CouponId)
+                    .OnDelete(DeleteBehavior.SetNull);
+            });
+
+            // PaymentCheckoutItem configuration
+            modelBuilder.Entity<PaymentCheckoutItem>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                // Product and variant ids are kept without foreign keys, so old checkouts never block
+                // deleting either. Until the webhook runs the lines are normally still in the cart,
+                // which holds on to the product (its key is restricted) but not to a variant removed
+                // from it; a missing one means the order can't be placed and the payment is refunded
+                entity.HasOne(e => e.PaymentCheckout)
+                    .WithMany(c => c.Items)
+                    .HasForeignKey(e => e.PaymentCheckoutId)
+                    .OnDelete(DeleteBehavior.Cascade);
+            });
+
+            // RefreshToken configuration
+            modelBuilder.Entity<RefreshToken>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.HasIndex(e => e.TokenHash).IsUnique();
+                entity.Property(e => e.TokenHash).IsRequired().HasMaxLength(128);
+                entity.Property(e => e.ReplacedByTokenHash).HasMaxLength(128);
+                entity.Ignore(e => e.IsActive);
+                entity.HasOne(e => e.User)
+                    .WithMany(u => u.RefreshTokens)
+                    .HasForeignKey(e => e.UserId)
+                    .OnDelete(DeleteBehavior.Cascade);
+            });
+
+            // Review configuration
+            modelBuilder.Entity<Review>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.Property(e => e.Title).IsRequired().HasMaxLength(100);
+                entity.Property(e => e.Body).IsRequired().HasMaxLength(2000);
+                // One review per customer and product; editing replaces it
+                entity.HasIndex(e => new { e.ProductId, e.UserId }).IsUnique();
+                entity.ToTable(t => t.HasCheckConstraint("CK_Reviews_Rating", "\"Rating\" BETWEEN 1 AND 5"));
+                entity.HasOne(e => e.Product)
+                    .WithMany()
+                    .HasForeignKey(e => e.ProductId)
+                    .OnDelete(DeleteBehavior.Cascade);
+                entity.HasOne(e => e.User)
+                    .WithMany()
+                    .HasForeignKey(e => e.UserId)
+                    .OnDelete(DeleteBehavior.Cascade);
+            });
+
+            // WishlistItem configuration
+            modelBuilder.Entity<WishlistItem>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                // Postgres treats null variant ids as distinct, so WishlistController also
+                // checks for an existing entry before adding one
+                entity.HasIndex(e => new { e.UserId, e.ProductId, e.ProductVariantId }).IsUnique();
+                entity.HasOne(e => e.User)
+                    .WithMany()
+                    .HasForeignKey(e => e.UserId)
+                    .OnDelete(DeleteBehavior.Cascade);
+                entity.HasOne(e => e.Product)
+                    .WithMany()
+                    .HasForeignKey(e => e.ProductId)
+                    .OnDelete(DeleteBehavior.Cascade);
+                entity.HasOne(e => e.Variant)
+                    .WithMany()
+                    .HasForeignKey(e => e.ProductVariantId)
+                    .OnDelete(DeleteBehavior.Cascade);
+            });
+
+            // Address configuration
+            modelBuilder.Entity<Address>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.Property(e => e.FullName).IsRequired().HasMaxLength(100);
+                entity.Property(e => e.Line1).IsRequired().HasMaxLength(200);
+                entity.Property(e => e.City).IsRequired().HasMaxLength(100);
+                entity.Property(e => e.PostalCode).IsRequired().HasMaxLength(20);
+                entity.Property(e => e.Country).IsRequired().HasMaxLength(2);
+                entity.HasOne(e => e.User)
+                    .WithMany(u => u.Addresses)
+                    .HasForeignKey(e => e.UserId)
+                    .OnDelete(DeleteBehavior.Cascade);
             });
         }
     }
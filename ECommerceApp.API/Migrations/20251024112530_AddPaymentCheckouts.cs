@@ -0,0 +1,95 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+using Npgsql.EntityFrameworkCore.PostgreSQL.Metadata;
+
+#nullable disable
+
+namespace ECommerceApp.API.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddPaymentCheckouts : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.CreateTable(
+                name: "PaymentCheckouts",
+                columns: table => new
+                {
+                    Id = table.Column<int>(type: "integer", nullable: false)
+                        .Annotation("Npgsql:ValueGenerationStrategy", NpgsqlValueGenerationStrategy.IdentityByDefaultColumn),
+                    PaymentIntentId = table.Column<string>(type: "character varying(200)", maxLength: 200, nullable: false),
+                    UserId = table.Column<int>(type: "integer", nullable: false),
+                    AmountInCents = table.Column<long>(type: "bigint", nullable: false),
+                    Status = table.Column<string>(type: "character varying(20)", maxLength: 20, nullable: false),
+                    FailureReason = table.Column<string>(type: "character varying(500)", maxLength: 500, nullable: true),
+                    RefundId = table.Column<string>(type: "character varying(100)", maxLength: 100, nullable: true),
+                    RefundStatus = table.Column<string>(type: "character varying(30)", maxLength: 30, nullable: true),
+                    CreatedAt = table.Column<DateTime>(type: "timestamp with time zone", nullable: false),
+                    UpdatedAt = table.Column<DateTime>(type: "timestamp with time zone", nullable: false)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_PaymentCheckouts", x => x.Id);
+                    table.ForeignKey(
+                        name: "FK_PaymentCheckouts_Users_UserId",
+                        column: x => x.UserId,
+                        principalTable: "Users",
+                        principalColumn: "Id",
+                        onDelete: ReferentialAction.Cascade);
+                });
+
+            migrationBuilder.CreateTable(
+                name: "PaymentCheckoutItems",
+                columns: table => new
+                {
+                    Id = table.Column<int>(type: "integer", nullable: false)
+                        .Annotation("Npgsql:ValueGenerationStrategy", NpgsqlValueGenerationStrategy.IdentityByDefaultColumn),
+                    PaymentCheckoutId = table.Column<int>(type: "integer", nullable: false),
+                    ProductId = table.Column<int>(type: "integer", nullable: false),
+                    Quantity = table.Column<int>(type: "integer", nullable: false)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_PaymentCheckoutItems", x => x.Id);
+                    table.ForeignKey(
+                        name: "FK_PaymentCheckoutItems_PaymentCheckouts_PaymentCheckoutId",
+                        column: x => x.PaymentCheckoutId,
+                        principalTable: "PaymentCheckouts",
+                        principalColumn: "Id",
+                        onDelete: ReferentialAction.Cascade);
+                });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_PaymentCheckoutItems_PaymentCheckoutId",
+                table: "PaymentCheckoutItems",
+                column: "PaymentCheckoutId");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_PaymentCheckouts_PaymentIntentId",
+                table: "PaymentCheckouts",
+                column: "PaymentIntentId",
+                unique: true);
+
+            migrationBuilder.CreateIndex(
+                name: "IX_PaymentCheckouts_RefundId",
+                table: "PaymentCheckouts",
+                column: "RefundId");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_PaymentCheckouts_UserId",
+                table: "PaymentCheckouts",
+                column: "UserId");
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropTable(
+                name: "PaymentCheckoutItems");
+
+            migrationBuilder.DropTable(
+                name: "PaymentCheckouts");
+        }
+    }
+}
@@ -0,0 +1,64 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace ECommerceApp.API.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddOrderShipping : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            // Orders placed so far all shipped for free
+            migrationBuilder.AddColumn<decimal>(
+                name: "ShippingCost",
+                table: "Orders",
+                type: "decimal(10,2)",
+                nullable: false,
+                defaultValue: 0m);
+
+            migrationBuilder.AddColumn<string>(
+                name: "ShippingMethod",
+                table: "Orders",
+                type: "character varying(50)",
+                maxLength: 50,
+                nullable: true);
+
+            migrationBuilder.AddColumn<string>(
+                name: "ShippingMethodName",
+                table: "Orders",
+                type: "character varying(100)",
+                maxLength: 100,
+                nullable: true);
+
+            migrationBuilder.AddColumn<string>(
+                name: "ShippingMethod",
+                table: "PaymentCheckouts",
+                type: "character varying(50)",
+                maxLength: 50,
+                nullable: false,
+                defaultValue: "");
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "ShippingCost",
+                table: "Orders");
+
+            migrationBuilder.DropColumn(
+                name: "ShippingMethod",
+                table: "Orders");
+
+            migrationBuilder.DropColumn(
+                name: "ShippingMethodName",
+                table: "Orders");
+
+            migrationBuilder.DropColumn(
+                name: "ShippingMethod",
+                table: "PaymentCheckouts");
+        }
+    }
+}
@@ -0,0 +1,169 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+using Npgsql.EntityFrameworkCore.PostgreSQL.Metadata;
+
+#nullable disable
+
+namespace ECommerceApp.API.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddCoupons : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.CreateTable(
+                name: "Coupons",
+                columns: table => new
+                {
+                    Id = table.Column<int>(type: "integer", nullable: false)
+                        .Annotation("Npgsql:ValueGenerationStrategy", NpgsqlValueGenerationStrategy.IdentityByDefaultColumn),
+                    Code = table.Column<string>(type: "character varying(50)", maxLength: 50, nullable: false),
+                    Description = table.Column<string>(type: "character varying(200)", maxLength: 200, nullable: true),
+                    DiscountType = table.Column<string>(type: "character varying(20)", maxLength: 20, nullable: false),
+                    Value = table.Column<decimal>(type: "decimal(10,2)", nullable: false),
+                    MinimumSubtotal = table.Column<decimal>(type: "decimal(10,2)", nullable: true),
+                    StartsAt = table.Column<DateTime>(type: "timestamp with time zone", nullable: true),
+                    ExpiresAt = table.Column<DateTime>(type: "timestamp with time zone", nullable: true),
+                    MaxUses = table.Column<int>(type: "integer", nullable: true),
+                    MaxUsesPerUser = table.Column<int>(type: "integer", nullable: true),
+                    TimesUsed = table.Column<int>(type: "integer", nullable: false),
+                    IsActive = table.Column<bool>(type: "boolean", nullable: false),
+                    CreatedAt = table.Column<DateTime>(type: "timestamp with time zone", nullable: false),
+                    UpdatedAt = table.Column<DateTime>(type: "timestamp with time zone", nullable: false)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_Coupons", x => x.Id);
+                });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_Coupons_Code",
+                table: "Coupons",
+                column: "Code",
+                unique: true);
+
+            migrationBuilder.AddColumn<int>(
+                name: "CouponId",
+                table: "Carts",
+                type: "integer",
+                nullable: true);
+
+            migrationBuilder.AddColumn<int>(
+                name: "CouponId",
+                table: "Orders",
+                type: "integer",
+                nullable: true);
+
+            migrationBuilder.AddColumn<string>(
+                name: "CouponCode",
+                table: "Orders",
+                type: "character varying(50)",
+                maxLength: 50,
+                nullable: true);
+
+            migrationBuilder.AddColumn<decimal>(
+                name: "DiscountAmount",
+                table: "Orders",
+                type: "decimal(10,2)",
+                nullable: false,
+                defaultValue: 0m);
+
+            migrationBuilder.AddColumn<int>(
+                name: "CouponId",
+                table: "PaymentCheckouts",
+                type: "integer",
+                nullable: true);
+
+            migrationBuilder.CreateIndex(
+                name: "IX_Carts_CouponId",
+                table: "Carts",
+                column: "CouponId");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_Orders_CouponId",
+                table: "Orders",
+                column: "CouponId");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_PaymentCheckouts_CouponId",
+                table: "PaymentCheckouts",
+                column: "CouponId");
+
+            migrationBuilder.AddForeignKey(
+                name: "FK_Carts_Coupons_CouponId",
+                table: "Carts",
+                column: "CouponId",
+                principalTable: "Coupons",
+                principalColumn: "Id",
+                onDelete: ReferentialAction.SetNull);
+
+            migrationBuilder.AddForeignKey(
+                name: "FK_Orders_Coupons_CouponId",
+                table: "Orders",
+                column: "CouponId",
+                principalTable: "Coupons",
+                principalColumn: "Id",
+                onDelete: ReferentialAction.SetNull);
+
+            migrationBuilder.AddForeignKey(
+                name: "FK_PaymentCheckouts_Coupons_CouponId",
+                table: "PaymentCheckouts",
+                column: "CouponId",
+                principalTable: "Coupons",
+                principalColumn: "Id",
+                onDelete: ReferentialAction.SetNull);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropForeignKey(
+                name: "FK_Carts_Coupons_CouponId",
+                table: "Carts");
+
+            migrationBuilder.DropForeignKey(
+                name: "FK_Orders_Coupons_CouponId",
+                table: "Orders");
+
+            migrationBuilder.DropForeignKey(
+                name: "FK_PaymentCheckouts_Coupons_CouponId",
+                table: "PaymentCheckouts");
+
+            migrationBuilder.DropIndex(
+                name: "IX_Carts_CouponId",
+                table: "Carts");
+
+            migrationBuilder.DropIndex(
+                name: "IX_Orders_CouponId",
+                table: "Orders");
+
+            migrationBuilder.DropIndex(
+                name: "IX_PaymentCheckouts_CouponId",
+                table: "PaymentCheckouts");
+
+            migrationBuilder.DropColumn(
+                name: "CouponId",
+                table: "Carts");
+
+            migrationBuilder.DropColumn(
+                name: "CouponId",
+                table: "Orders");
+
+            migrationBuilder.DropColumn(
+                name: "CouponCode",
+                table: "Orders");
+
+            migrationBuilder.DropColumn(
+                name: "DiscountAmount",
+                table: "Orders");
+
+            migrationBuilder.DropColumn(
+                name: "CouponId",
+                table: "PaymentCheckouts");
+
+            migrationBuilder.DropTable(
+                name: "Coupons");
+        }
+    }
+}
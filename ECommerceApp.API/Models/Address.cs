@@ -0,0 +1,55 @@
+using System.ComponentModel.DataAnnotations;
+using System.Text.Json.Serialization;
+
+namespace ECommerceApp.API.Models
+{
+    // Saved shipping address in a user's address book. Orders copy the fields at
+    // checkout, so editing or deleting an address never changes past orders.
+    public class Address
+    {
+        public int Id { get; set; }
+        
+        [Required]
+        public int UserId { get; set; }
+        
+        [Required]
+        [StringLength(100)]
+        public string FullName { get; set; } = string.Empty;
+        
+        [Required]
+        [StringLength(200)]
+        public string Line1 { get; set; } = string.Empty;
+        
+        [StringLength(200)]
+        public string? Line2 { get; set; }
+        
+        [Required]
+        [StringLength(100)]
+        public string City { get; set; } = string.Empty;
+        
+        [StringLength(100)]
+        public string? State { get; set; }
+        
+        [Required]
+        [StringLength(20)]
+        public string PostalCode { get; set; } = string.Empty;
+        
+        // ISO 3166-1 alpha-2, as Stripe expects for shipping details
+        [Required]
+        [StringLength(2)]
+        public string Country { get; set; } = string.Empty;
+        
+        [StringLength(30)]
+        public string? Phone { get; set; }
+        
+        // Preselected at checkout; at most one per user
+        public bool IsDefault { get; set; }
+        
+        public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+        public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
+        
+        // Navigation properties
+        [JsonIgnore]
+        public User User { get; set; } = null!;
+    }
+}
@@ -9,11 +9,15 @@ namespace ECommerceApp.API.Models
         [Required]
         public int UserId { get; set; }
         
+        // Promo code applied in the cart; re-checked every time the cart is priced
+        public int? CouponId { get; set; }
+        
         public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
         public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
         
         // Navigation properties
         public User User { get; set; } = null!;
+        public Coupon? Coupon { get; set; }
         public ICollection<CartItem> CartItems { get; set; } = new List<CartItem>();
     }
     
@@ -27,6 +31,9 @@ namespace ECommerceApp.API.Models
         [Required]
         public int ProductId { get; set; }
         
+        // Required for products that have variants, null otherwise
+        public int? ProductVariantId { get; set; }
+        
         [Required]
         [Range(1, int.MaxValue)]
         public int Quantity { get; set; }
@@ -36,5 +43,13 @@ namespace ECommerceApp.API.Models
         // Navigation properties
         public Cart Cart { get; set; } = null!;
         public Product Product { get; set; } = null!;
+        public ProductVariant? Variant { get; set; }
+        
+        // What one unit costs and how many are available; Variant must be loaded for variant lines
+        public decimal UnitPrice => Variant?.Price ?? Product.Price;
+        public int AvailableStock => Variant?.StockQuantity ?? Product.StockQuantity;
+        
+        // e.g. "T-Shirt (Size: M, Color: Red)" for stock messages
+        public string DisplayName => Product.DescribeVariant(Variant);
     }
 }
@@ -0,0 +1,36 @@
+using System.ComponentModel.DataAnnotations;
+using System.Text.Json.Serialization;
+
+namespace ECommerceApp.API.Models
+{
+    public class Category
+    {
+        public int Id { get; set; }
+        
+        [Required]
+        [StringLength(100)]
+        public string Name { get; set; } = string.Empty;
+        
+        // URL-friendly identifier used by /category/:slug
+        [Required]
+        [StringLength(120)]
+        public string Slug { get; set; } = string.Empty;
+        
+        [StringLength(500)]
+        public string? Description { get; set; }
+        
+        // Null for top-level categories
+        public int? ParentId { get; set; }
+        
+        public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+        public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
+        
+        // Navigation properties
+        [JsonIgnore]
+        public Category? Parent { get; set; }
+        [JsonIgnore]
+        public ICollection<Category> Children { get; set; } = new List<Category>();
+        [JsonIgnore]
+        public ICollection<Product> Products { get; set; } = new List<Product>();
+    }
+}
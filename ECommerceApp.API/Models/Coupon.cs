@@ -0,0 +1,54 @@
+using System.ComponentModel.DataAnnotations;
+using System.Text.Json.Serialization;
+
+namespace ECommerceApp.API.Models
+{
+    public class Coupon
+    {
+        public int Id { get; set; }
+        
+        // What customers type in; stored upper-case and matched case-insensitively
+        [Required]
+        [StringLength(50)]
+        public string Code { get; set; } = string.Empty;
+        
+        [StringLength(200)]
+        public string? Description { get; set; }
+        
+        [Required]
+        [StringLength(20)]
+        public string DiscountType { get; set; } = CouponTypes.Percentage; // percentage, fixed
+        
+        // Percent off (10 = 10%) or amount off, depending on DiscountType
+        public decimal Value { get; set; }
+        
+        // Items subtotal the cart needs to reach before the code applies
+        public decimal? MinimumSubtotal { get; set; }
+        
+        public DateTime? StartsAt { get; set; }
+        public DateTime? ExpiresAt { get; set; }
+        
+        // Total redemptions across all customers; null = unlimited
+        public int? MaxUses { get; set; }
+        
+        // Redemptions per customer; null = unlimited
+        public int? MaxUsesPerUser { get; set; }
+        
+        public int TimesUsed { get; set; }
+        
+        public bool IsActive { get; set; } = true;
+        
+        public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+        public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
+        
+        // Navigation properties
+        [JsonIgnore]
+        public ICollection<Order> Orders { get; set; } = new List<Order>();
+    }
+
+    public static class CouponTypes
+    {
+        public const string Percentage = "percentage";
+        public const string Fixed = "fixed";
+    }
+}
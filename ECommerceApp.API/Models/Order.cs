@@ -10,11 +10,30 @@ namespace ECommerceApp.API.Models
         public int UserId { get; set; }
         
         [Required]
-        public decimal TotalAmount { get; set; }
+        public decimal TotalAmount { get; set; } // Items less discount plus shipping, plus tax unless TaxIncluded
+        
+        public decimal ShippingCost { get; set; }
+        
+        public decimal TaxAmount { get; set; }
+        
+        public bool TaxIncluded { get; set; } // Prices already contained the tax, so it isn't part of TotalAmount on top
+        
+        public decimal DiscountAmount { get; set; }
+        
+        public int? CouponId { get; set; }
+        
+        [StringLength(50)]
+        public string? CouponCode { get; set; } // Kept even if the coupon is deleted later
+        
+        [StringLength(50)]
+        public string? ShippingMethod { get; set; } // Code of the configured method, e.g. standard, express, pickup
+        
+        [StringLength(100)]
+        public string? ShippingMethodName { get; set; } // Name as shown at checkout, kept in case the configuration changes
         
         [Required]
         [StringLength(50)]
-        public string Status { get; set; } = "pending"; // pending, paid, shipped, delivered, cancelled
+        public string Status { get; set; } = OrderStatuses.Pending; // See OrderStatuses for the allowed transitions
         
         [Required]
         [StringLength(50)]
@@ -23,12 +42,64 @@ namespace ECommerceApp.API.Models
         [StringLength(200)]
         public string? PaymentIntentId { get; set; } // Stripe payment intent ID
         
+        public DateTime? CancelledAt { get; set; }
+        
+        // Refund issued when a paid card order is cancelled
+        [StringLength(100)]
+        public string? RefundId { get; set; } // Stripe refund ID
+        
+        [StringLength(30)]
+        public string? RefundStatus { get; set; } // pending, requires_action, succeeded, failed, canceled (as reported by Stripe)
+        
+        public decimal? RefundAmount { get; set; }
+        
+        // Shipment details entered by staff when the order ships
+        [StringLength(50)]
+        public string? Carrier { get; set; } // Code of a carrier configured under Shipping:Carriers, e.g. ups
+        
+        [StringLength(100)]
+        public string? TrackingNumber { get; set; }
+        
+        public DateOnly? EstimatedDeliveryDate { get; set; }
+
+        [StringLength(IdempotencyKeys.MaxLength)]
+        public string? IdempotencyKey { get; set; } // Client-generated key of the checkout attempt that placed the order
+        
+        // Shipping address copied from the address book when the order was placed
+        // (empty on orders placed before addresses existed)
+        [StringLength(100)]
+        public string? ShippingFullName { get; set; }
+        
+        [StringLength(200)]
+        public string? ShippingLine1 { get; set; }
+        
+        [StringLength(200)]
+        public string? ShippingLine2 { get; set; }
+        
+        [StringLength(100)]
+        public string? ShippingCity { get; set; }
+        
+        [StringLength(100)]
+        public string? ShippingState { get; set; }
+        
+        [StringLength(20)]
+        public string? ShippingPostalCode { get; set; }
+        
+        [StringLength(2)]
+        public string? ShippingCountry { get; set; }
+        
+        [StringLength(30)]
+        public string? ShippingPhone { get; set; }
+        
         public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
         public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
         
         // Navigation properties
         public User User { get; set; } = null!;
+        public Coupon? Coupon { get; set; }
         public ICollection<OrderItem> OrderItems { get; set; } = new List<OrderItem>();
+        public ICollection<OrderTaxLine> TaxLines { get; set; } = new List<OrderTaxLine>();
+        public ICollection<OrderStatusHistory> StatusHistory { get; set; } = new List<OrderStatusHistory>();
     }
     
     public class OrderItem
@@ -45,6 +116,16 @@ namespace ECommerceApp.API.Models
         [StringLength(200)]
         public string ProductName { get; set; } = string.Empty;
         
+        // Variant bought, if the product has variants; cleared if the variant is deleted later,
+        // which is why its description and SKU are copied too
+        public int? ProductVariantId { get; set; }
+        
+        [StringLength(200)]
+        public string? VariantName { get; set; }
+        
+        [StringLength(64)]
+        public string? Sku { get; set; }
+        
         [Required]
         public decimal Price { get; set; }
         
@@ -55,5 +136,94 @@ namespace ECommerceApp.API.Models
         // Navigation properties
         public Order Order { get; set; } = null!;
         public Product Product { get; set; } = null!;
+        public ProductVariant? Variant { get; set; }
+    }
+
+    // Tax charged on an order, copied from the rate table when the order was placed
+    public class OrderTaxLine
+    {
+        public int Id { get; set; }
+        
+        [Required]
+        public int OrderId { get; set; }
+        
+        [Required]
+        [StringLength(100)]
+        public string Name { get; set; } = string.Empty;
+        
+        public decimal Rate { get; set; }
+        
+        public decimal Amount { get; set; }
+        
+        // Navigation properties
+        public Order Order { get; set; } = null!;
+    }
+
+    // One entry per status change, starting with the status the order was placed in
+    public class OrderStatusHistory
+    {
+        public int Id { get; set; }
+        
+        [Required]
+        public int OrderId { get; set; }
+        
+        [StringLength(50)]
+        public string? FromStatus { get; set; } // null on the entry written when the order was placed
+        
+        [Required]
+        [StringLength(50)]
+        public string ToStatus { get; set; } = string.Empty;
+        
+        public int? ChangedByUserId { get; set; } // null when the system made the change, e.g. the Stripe webhook
+        
+        [StringLength(500)]
+        public string? Note { get; set; }
+        
+        public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+        
+        // Navigation properties
+        public Order Order { get; set; } = null!;
+        public User? ChangedByUser { get; set; }
+    }
+
+    public static class OrderStatuses
+    {
+        public const string Pending = "pending";
+        public const string Paid = "paid";
+        public const string Shipped = "shipped";
+        public const string Delivered = "delivered";
+        public const string Cancelled = "cancelled";
+        public const string Refunded = "refunded";
+
+        // Where each status may go next. Cash on delivery orders ship while still pending and are
+        // paid on delivery; once shipped, an order can only be refunded, not cancelled.
+        private static readonly Dictionary<string, string[]> Transitions = new()
+        {
+            [Pending] = new[] { Paid, Shipped, Cancelled },
+            [Paid] = new[] { Shipped, Cancelled },
+            [Shipped] = new[] { Delivered, Refunded },
+            [Delivered] = new[] { Refunded },
+            [Cancelled] = Array.Empty<string>(),
+            [Refunded] = Array.Empty<string>()
+        };
+
+        // The statuses that can move to Cancelled; customers may cancel these themselves
+        public static readonly string[] Cancellable = { Pending, Paid };
+
+        public static IReadOnlyCollection<string> All => Transitions.Keys;
+
+        public static bool IsValid(string status) => Transitions.ContainsKey(status);
+
+        public static IReadOnlyList<string> NextStatuses(string status) =>
+            Transitions.TryGetValue(status, out var next) ? next : Array.Empty<string>();
+
+        public static bool CanTransition(string fromStatus, string toStatus) => NextStatuses(fromStatus).Contains(toStatus);
+    }
+
+    // Checkout requests carry an Idempotency-Key header so a retried request returns what the first one created
+    public static class IdempotencyKeys
+    {
+        public const string Header = "Idempotency-Key";
+        public const int MaxLength = 100;
     }
 }
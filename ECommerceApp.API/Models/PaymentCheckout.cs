@@ -0,0 +1,77 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace ECommerceApp.API.Models
+{
+    // What a card payment was taken for, saved when its payment intent is created. The webhook
+    // places the order from these lines rather than the live cart, and if it can't, refunds the
+    // payment and records why here so the customer is told instead of left waiting.
+    public class PaymentCheckout
+    {
+        public int Id { get; set; }
+
+        [Required]
+        [StringLength(200)]
+        public string PaymentIntentId { get; set; } = string.Empty;
+
+        [Required]
+        public int UserId { get; set; }
+
+        public int? CouponId { get; set; }
+
+        [Required]
+        [StringLength(50)]
+        public string ShippingMethod { get; set; } = string.Empty;
+
+        public long AmountInCents { get; set; }
+
+        [Required]
+        [StringLength(20)]
+        public string Status { get; set; } = PaymentCheckoutStatuses.Pending;
+
+        [StringLength(500)]
+        public string? FailureReason { get; set; } // Why no order could be placed for the payment
+
+        [StringLength(100)]
+        public string? RefundId { get; set; } // Stripe refund ID
+
+        [StringLength(30)]
+        public string? RefundStatus { get; set; } // As reported by Stripe, like Order.RefundStatus
+
+        public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+        public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
+
+        // Navigation properties
+        public User User { get; set; } = null!;
+        public Coupon? Coupon { get; set; }
+        public ICollection<PaymentCheckoutItem> Items { get; set; } = new List<PaymentCheckoutItem>();
+    }
+
+    // A cart line as it was when the payment intent was created. Prices aren't kept: the order
+    // is priced again and must come to the amount that was charged.
+    public class PaymentCheckoutItem
+    {
+        public int Id { get; set; }
+
+        [Required]
+        public int PaymentCheckoutId { get; set; }
+
+        [Required]
+        public int ProductId { get; set; }
+
+        public int? ProductVariantId { get; set; }
+
+        [Range(1, int.MaxValue)]
+        public int Quantity { get; set; }
+
+        // Navigation properties
+        public PaymentCheckout PaymentCheckout { get; set; } = null!;
+    }
+
+    public static class PaymentCheckoutStatuses
+    {
+        public const string Pending = "pending";
+        public const string Completed = "completed"; // The order was placed
+        public const string Failed = "failed"; // No order could be placed; the payment is refunded
+    }
+}
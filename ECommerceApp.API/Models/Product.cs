@@ -1,4 +1,5 @@
 ﻿using System.ComponentModel.DataAnnotations;
+using System.Text.Json.Serialization;
 
 namespace ECommerceApp.API.Models
 {
@@ -8,9 +9,118 @@ namespace ECommerceApp.API.Models
         public string Name { get; set; } = string.Empty;
         public string Description { get; set; } = string.Empty;
         public decimal Price { get; set; }
+        // Primary image, kept in step with the first entry of Images so lists and carts need no join
         [StringLength(500)]
         public string? ImageUrl { get; set; }
+        public int? CategoryId { get; set; }
+        // For products with variants this is the sum of the variants' stock
+        public int StockQuantity { get; set; }
+        // Summary of the product's reviews, kept up to date by ReviewsController
+        public decimal AverageRating { get; set; }
+        public int ReviewCount { get; set; }
         public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
         public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
+        
+        // Navigation properties (not serialized; clients resolve categories through /api/categories)
+        [JsonIgnore]
+        public Category? Category { get; set; }
+
+        // Gallery in display order; the first image is the primary one
+        public List<ProductImage> Images { get; set; } = new();
+
+        // Option types such as Size or Color, in display order (at most MaxOptions)
+        public List<ProductOption> Options { get; set; } = new();
+
+        // Purchasable combinations of option values; when there are any, a variant must be
+        // picked to buy the product and each variant has its own stock
+        public List<ProductVariant> Variants { get; set; } = new();
+
+        public const int MaxOptions = 3;
+
+        // e.g. "T-Shirt (Size: M, Color: Red)"; Options must be loaded for variants
+        public string DescribeVariant(ProductVariant? variant)
+        {
+            return variant == null ? Name : $"{Name} ({variant.Describe(Options)})";
+        }
+    }
+
+    public class ProductOption
+    {
+        public int Id { get; set; }
+
+        public int ProductId { get; set; }
+
+        [Required]
+        [StringLength(50)]
+        public string Name { get; set; } = string.Empty;
+
+        // Position 0 holds the values in ProductVariant.Option1, 1 in Option2, 2 in Option3
+        public int SortOrder { get; set; }
+
+        [JsonIgnore]
+        public Product? Product { get; set; }
+    }
+
+    public class ProductVariant
+    {
+        public int Id { get; set; }
+
+        public int ProductId { get; set; }
+
+        [StringLength(64)]
+        public string? Sku { get; set; }
+
+        // Values for the product's options in order; null past the last option
+        [StringLength(100)]
+        public string? Option1 { get; set; }
+
+        [StringLength(100)]
+        public string? Option2 { get; set; }
+
+        [StringLength(100)]
+        public string? Option3 { get; set; }
+
+        // Replaces the product price when set
+        public decimal? Price { get; set; }
+
+        public int StockQuantity { get; set; }
+
+        // Shown instead of the product's primary image when this variant is selected
+        [StringLength(500)]
+        public string? ImageUrl { get; set; }
+
+        public int SortOrder { get; set; }
+
+        [JsonIgnore]
+        public Product? Product { get; set; }
+
+        [JsonIgnore]
+        public IEnumerable<string?> OptionValues => new[] { Option1, Option2, Option3 };
+
+        // e.g. "Size: M, Color: Red", for cart and order lines
+        public string Describe(IEnumerable<ProductOption> options)
+        {
+            return string.Join(", ", options
+                .OrderBy(o => o.SortOrder)
+                .Zip(OptionValues, (option, value) => $"{option.Name}: {value}"));
+        }
+    }
+
+    public class ProductImage
+    {
+        public int Id { get; set; }
+
+        public int ProductId { get; set; }
+
+        [Required]
+        [StringLength(500)]
+        public string Url { get; set; } = string.Empty;
+
+        public int SortOrder { get; set; }
+
+        public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+        [JsonIgnore]
+        public Product? Product { get; set; }
     }
 }
\ No newline at end of file
@@ -0,0 +1,29 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace ECommerceApp.API.Models
+{
+    public class RefreshToken
+    {
+        public int Id { get; set; }
+        
+        [Required]
+        public int UserId { get; set; }
+        
+        // Only a SHA-256 hash of the token is stored; the raw value lives on the client
+        [Required]
+        [StringLength(128)]
+        public string TokenHash { get; set; } = string.Empty;
+        
+        public DateTime ExpiresAt { get; set; }
+        public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+        public DateTime? RevokedAt { get; set; }
+        
+        [StringLength(128)]
+        public string? ReplacedByTokenHash { get; set; }
+        
+        public bool IsActive => RevokedAt == null && ExpiresAt > DateTime.UtcNow;
+        
+        // Navigation properties
+        public User User { get; set; } = null!;
+    }
+}
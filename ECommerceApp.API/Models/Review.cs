@@ -0,0 +1,35 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace ECommerceApp.API.Models
+{
+    // A customer's rating of a product they have received; one per user and product.
+    // Product.AverageRating and Product.ReviewCount are recalculated whenever one changes.
+    public class Review
+    {
+        public int Id { get; set; }
+        
+        [Required]
+        public int ProductId { get; set; }
+        
+        [Required]
+        public int UserId { get; set; }
+        
+        [Range(1, 5)]
+        public int Rating { get; set; }
+        
+        [Required]
+        [StringLength(100)]
+        public string Title { get; set; } = string.Empty;
+        
+        [Required]
+        [StringLength(2000)]
+        public string Body { get; set; } = string.Empty;
+        
+        public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+        public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
+        
+        // Navigation properties
+        public Product Product { get; set; } = null!;
+        public User User { get; set; } = null!;
+    }
+}
@@ -18,11 +18,23 @@ namespace ECommerceApp.API.Models
         [StringLength(100)]
         public string? FullName { get; set; }
         
+        [Required]
+        [StringLength(20)]
+        public string Role { get; set; } = UserRoles.Customer; // customer, admin
+        
         public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
         public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
         
         // Navigation properties
         public ICollection<Cart> Carts { get; set; } = new List<Cart>();
         public ICollection<Order> Orders { get; set; } = new List<Order>();
+        public ICollection<RefreshToken> RefreshTokens { get; set; } = new List<RefreshToken>();
+        public ICollection<Address> Addresses { get; set; } = new List<Address>();
+    }
+    
+    public static class UserRoles
+    {
+        public const string Customer = "customer";
+        public const string Admin = "admin";
     }
 }
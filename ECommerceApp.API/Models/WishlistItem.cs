@@ -0,0 +1,29 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace ECommerceApp.API.Models
+{
+    // A product the user has bookmarked, either with the heart toggle (no variant) or by
+    // saving a cart line for later, which keeps its variant and quantity for moving it back.
+    public class WishlistItem
+    {
+        public int Id { get; set; }
+        
+        [Required]
+        public int UserId { get; set; }
+        
+        [Required]
+        public int ProductId { get; set; }
+        
+        public int? ProductVariantId { get; set; }
+        
+        [Range(1, int.MaxValue)]
+        public int Quantity { get; set; } = 1;
+        
+        public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+        
+        // Navigation properties
+        public User User { get; set; } = null!;
+        public Product Product { get; set; } = null!;
+        public ProductVariant? Variant { get; set; }
+    }
+}
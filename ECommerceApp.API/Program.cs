@@ -1,8 +1,10 @@
 using Microsoft.EntityFrameworkCore;
 using Microsoft.AspNetCore.Authentication.JwtBearer;
+using Microsoft.Extensions.FileProviders;
 using Microsoft.IdentityModel.Tokens;
 using System.Text;
 using ECommerceApp.API.Data;
+using ECommerceApp.API.Models;
 using ECommerceApp.API.Services;
 using Stripe;
 
@@ -16,6 +18,18 @@ builder.Services.AddSwaggerGen();
 // Register custom services
 builder.Services.AddScoped<IPasswordHasher, PasswordHasher>();
 builder.Services.AddScoped<ITokenService, ECommerceApp.API.Services.TokenService>();
+builder.Services.Configure<ShippingSettings>(builder.Configuration.GetSection("Shipping"));
+builder.Services.AddScoped<IShippingService, ShippingService>();
+builder.Services.Configure<TaxSettings>(builder.Configuration.GetSection("Tax"));
+builder.Services.AddScoped<ITaxCalculator, RateTableTaxCalculator>();
+builder.Services.AddScoped<ICouponService, ECommerceApp.API.Services.CouponService>();
+builder.Services.AddScoped<IOrderPricingService, OrderPricingService>();
+builder.Services.AddScoped<IOrderPlacementService, OrderPlacementService>();
+builder.Services.AddScoped<IPaymentRefundService, StripePaymentRefundService>();
+builder.Services.AddScoped<IOrderCancellationService, OrderCancellationService>();
+builder.Services.AddScoped<IOrderStatusService, OrderStatusService>();
+builder.Services.Configure<ProductImageSettings>(builder.Configuration.GetSection("ProductImages"));
+builder.Services.AddScoped<IProductImageService, LocalProductImageService>();
 
 // Get database connection string
 var connectionString = Environment.GetEnvironmentVariable("DATABASE_URL")
@@ -120,6 +134,16 @@ if (string.IsNullOrEmpty(stripeSecretKey))
 }
 
 StripeConfiguration.ApiKey = stripeSecretKey;
+
+// Optional API base for a local Stripe stand-in (e.g. stripe-mock on http://localhost:12111)
+var stripeApiBase = Environment.GetEnvironmentVariable("Stripe__ApiBase")
+    ?? builder.Configuration["Stripe:ApiBase"];
+if (!string.IsNullOrEmpty(stripeApiBase))
+{
+    StripeConfiguration.StripeClient = new StripeClient(stripeSecretKey, apiBase: stripeApiBase);
+    Console.WriteLine($"Stripe API calls go to {stripeApiBase}");
+}
+
 Console.WriteLine("Stripe configured successfully (secret key loaded from environment/config)");
 
 // Add CORS
@@ -217,6 +241,37 @@ using (var scope = app.Services.CreateScope())
     }
 }
 
+// Promote configured admin accounts (comma-separated emails in Admin__Emails or Admin:Emails)
+var adminEmails = (Environment.GetEnvironmentVariable("Admin__Emails") ?? builder.Configuration["Admin:Emails"] ?? "")
+    .Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries);
+
+if (adminEmails.Length > 0)
+{
+    using var scope = app.Services.CreateScope();
+    var logger = scope.ServiceProvider.GetRequiredService<ILogger<Program>>();
+    var context = scope.ServiceProvider.GetRequiredService<ApplicationDbContext>();
+
+    try
+    {
+        var usersToPromote = await context.Users
+            .Where(u => adminEmails.Contains(u.Email) && u.Role != UserRoles.Admin)
+            .ToListAsync();
+
+        foreach (var adminUser in usersToPromote)
+        {
+            adminUser.Role = UserRoles.Admin;
+            adminUser.UpdatedAt = DateTime.UtcNow;
+            logger.LogInformation("Granted admin role to {Email}", adminUser.Email);
+        }
+
+        await context.SaveChangesAsync();
+    }
+    catch (Exception ex)
+    {
+        logger.LogError(ex, "Failed to promote configured admin accounts: {Message}", ex.Message);
+    }
+}
+
 // Configure the HTTP request pipeline
 app.UseSwagger();
 app.UseSwaggerUI(c =>
@@ -225,6 +280,20 @@ app.UseSwaggerUI(c =>
     c.RoutePrefix = "swagger";
 });
 
+// Uploaded product images. File names are unique per upload, so they can be cached indefinitely.
+var productImagePath = (builder.Configuration.GetSection("ProductImages").Get<ProductImageSettings>() ?? new ProductImageSettings())
+    .GetFullStoragePath(app.Environment.ContentRootPath);
+Directory.CreateDirectory(productImagePath);
+app.UseStaticFiles(new StaticFileOptions
+{
+    FileProvider = new PhysicalFileProvider(productImagePath),
+    RequestPath = ProductImages.RequestPath,
+    OnPrepareResponse = ctx =>
+    {
+        ctx.Context.Response.Headers.CacheControl = "public, max-age=31536000, immutable";
+    }
+});
+
 // Middleware pipeline
 app.UseCors("AllowFrontend");
 app.UseAuthentication();
@@ -0,0 +1,125 @@
+using Microsoft.EntityFrameworkCore;
+using ECommerceApp.API.Data;
+using ECommerceApp.API.Models;
+
+namespace ECommerceApp.API.Services
+{
+    public class CouponCheck
+    {
+        public Coupon? Coupon { get; set; }
+        // Why the code can't be used right now; null when it applies
+        public string? Error { get; set; }
+        public bool IsValid => Coupon != null && Error == null;
+    }
+
+    public interface ICouponService
+    {
+        /// <summary>
+        /// Looks a code up and checks it against the user's cart subtotal and past orders.
+        /// </summary>
+        Task<CouponCheck> CheckCodeAsync(string code, int userId, decimal subtotal);
+
+        /// <summary>
+        /// Same checks for a coupon that is already applied to a cart.
+        /// </summary>
+        Task<CouponCheck> CheckAsync(Coupon coupon, int userId, decimal subtotal);
+
+        /// <summary>
+        /// Counts one redemption, unless that would go over the coupon's MaxUses.
+        /// Safe against concurrent checkouts; call it inside the order transaction.
+        /// </summary>
+        Task<bool> TryRedeemAsync(int couponId);
+
+        /// <summary>
+        /// Gives back a redemption when the order that used the coupon is cancelled or refunded.
+        /// </summary>
+        Task ReleaseAsync(int couponId);
+    }
+
+    public class CouponService : ICouponService
+    {
+        private readonly ApplicationDbContext _context;
+
+        public CouponService(ApplicationDbContext context)
+        {
+            _context = context;
+        }
+
+        public static string NormalizeCode(string code) => code.Trim().ToUpperInvariant();
+
+        // Never more than the items subtotal, so a discounted order can't go negative
+        public static decimal CalculateDiscount(Coupon coupon, decimal subtotal)
+        {
+            var discount = coupon.DiscountType == CouponTypes.Percentage
+                ? Math.Round(subtotal * coupon.Value / 100m, 2, MidpointRounding.AwayFromZero)
+                : coupon.Value;
+            return Math.Min(discount, subtotal);
+        }
+
+        public async Task<CouponCheck> CheckCodeAsync(string code, int userId, decimal subtotal)
+        {
+            var normalized = NormalizeCode(code);
+            var coupon = await _context.Coupons.FirstOrDefaultAsync(c => c.Code == normalized);
+            if (coupon == null)
+            {
+                return new CouponCheck { Error = $"\"{normalized}\" is not a valid promo code" };
+            }
+
+            return await CheckAsync(coupon, userId, subtotal);
+        }
+
+        public async Task<CouponCheck> CheckAsync(Coupon coupon, int userId, decimal subtotal)
+        {
+            var now = DateTime.UtcNow;
+            string? error = null;
+
+            if (!coupon.IsActive || (coupon.StartsAt.HasValue && coupon.StartsAt.Value > now))
+            {
+                error = $"\"{coupon.Code}\" is not active";
+            }
+            else if (coupon.ExpiresAt.HasValue && coupon.ExpiresAt.Value <= now)
+            {
+                error = $"\"{coupon.Code}\" has expired";
+            }
+            else if (coupon.MaxUses.HasValue && coupon.TimesUsed >= coupon.MaxUses.Value)
+            {
+                error = $"\"{coupon.Code}\" has reached its usage limit";
+            }
+            else if (coupon.MinimumSubtotal.HasValue && subtotal < coupon.MinimumSubtotal.Value)
+            {
+                error = $"\"{coupon.Code}\" requires a subtotal of at least ${coupon.MinimumSubtotal.Value:0.00}";
+            }
+            else if (coupon.MaxUsesPerUser.HasValue)
+            {
+                // Cancelled and refunded orders give their redemption back (see ReleaseAsync), so they
+                // don't count against the customer either
+                var timesUsedByUser = await _context.Orders
+                    .CountAsync(o => o.UserId == userId && o.CouponId == coupon.Id
+                        && o.Status != OrderStatuses.Cancelled && o.Status != OrderStatuses.Refunded);
+                if (timesUsedByUser >= coupon.MaxUsesPerUser.Value)
+                {
+                    error = coupon.MaxUsesPerUser.Value == 1
+                        ? $"You have already used \"{coupon.Code}\""
+                        : $"You have already used \"{coupon.Code}\" {timesUsedByUser} times";
+                }
+            }
+
+            return new CouponCheck { Coupon = coupon, Error = error };
+        }
+
+        public async Task<bool> TryRedeemAsync(int couponId)
+        {
+            var updated = await _context.Coupons
+                .Where(c => c.Id == couponId && (c.MaxUses == null || c.TimesUsed < c.MaxUses))
+                .ExecuteUpdateAsync(s => s.SetProperty(c => c.TimesUsed, c => c.TimesUsed + 1));
+            return updated == 1;
+        }
+
+        public async Task ReleaseAsync(int couponId)
+        {
+            await _context.Coupons
+                .Where(c => c.Id == couponId && c.TimesUsed > 0)
+                .ExecuteUpdateAsync(s => s.SetProperty(c => c.TimesUsed, c => c.TimesUsed - 1));
+        }
+    }
+}
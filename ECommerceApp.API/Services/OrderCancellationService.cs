@@ -0,0 +1,159 @@
+using Microsoft.EntityFrameworkCore;
+using ECommerceApp.API.Data;
+using ECommerceApp.API.Models;
+
+namespace ECommerceApp.API.Services
+{
+    public enum CancelOrderOutcome
+    {
+        Cancelled,
+        NotFound,
+        NotCancellable,
+        RefundFailed
+    }
+
+    public class CancelOrderRequest
+    {
+        public int OrderId { get; set; }
+        // Restricts the cancellation to this customer's orders; null when staff cancel
+        public int? CustomerId { get; set; }
+        public int ChangedByUserId { get; set; }
+        public string? Note { get; set; }
+    }
+
+    public class CancelOrderResult
+    {
+        public CancelOrderOutcome Outcome { get; set; }
+        public Order? Order { get; set; }
+        public string Message { get; set; } = string.Empty;
+    }
+
+    public interface IOrderCancellationService
+    {
+        /// <summary>
+        /// Cancels an order that hasn't shipped yet: refunds a card payment, puts the items
+        /// back in stock, gives back the coupon redemption and records it in the order's history.
+        /// </summary>
+        Task<CancelOrderResult> CancelOrderAsync(CancelOrderRequest request);
+    }
+
+    public class OrderCancellationService : IOrderCancellationService
+    {
+        private readonly ApplicationDbContext _context;
+        private readonly IPaymentRefundService _refunds;
+        private readonly ICouponService _coupons;
+
+        public OrderCancellationService(ApplicationDbContext context, IPaymentRefundService refunds, ICouponService coupons)
+        {
+            _context = context;
+            _refunds = refunds;
+            _coupons = coupons;
+        }
+
+        public async Task<CancelOrderResult> CancelOrderAsync(CancelOrderRequest request)
+        {
+            var order = await _context.Orders
+                .Include(o => o.OrderItems)
+                .Include(o => o.TaxLines)
+                .Include(o => o.StatusHistory)
+                .FirstOrDefaultAsync(o => o.Id == request.OrderId
+                    && (request.CustomerId == null || o.UserId == request.CustomerId));
+
+            if (order == null)
+            {
+                return new CancelOrderResult { Outcome = CancelOrderOutcome.NotFound, Message = "Order not found" };
+            }
+
+            if (!OrderStatuses.Cancellable.Contains(order.Status))
+            {
+                return NotCancellable(order.Status);
+            }
+
+            await using var transaction = await _context.Database.BeginTransactionAsync();
+
+            // Claim the order with a conditional UPDATE before anything else, so a concurrent cancel
+            // (or the order shipping meanwhile) can neither restock twice nor trigger a refund
+            var claimed = await _context.Orders
+                .Where(o => o.Id == order.Id && OrderStatuses.Cancellable.Contains(o.Status))
+                .ExecuteUpdateAsync(s => s.SetProperty(o => o.Status, OrderStatuses.Cancelled));
+            if (claimed == 0)
+            {
+                await transaction.RollbackAsync();
+                var currentStatus = await _context.Orders
+                    .Where(o => o.Id == order.Id)
+                    .Select(o => o.Status)
+                    .FirstAsync();
+                return NotCancellable(currentStatus);
+            }
+
+            foreach (var item in order.OrderItems)
+            {
+                var quantity = item.Quantity;
+                if (item.ProductVariantId.HasValue)
+                {
+                    await _context.ProductVariants
+                        .Where(v => v.Id == item.ProductVariantId.Value)
+                        .ExecuteUpdateAsync(s => s.SetProperty(v => v.StockQuantity, v => v.StockQuantity + quantity));
+                }
+                else if (item.VariantName != null)
+                {
+                    // The variant has been deleted since; the product's stock is the total of the
+                    // remaining variants, so there is nothing to put back
+                    continue;
+                }
+
+                await _context.Products
+                    .Where(p => p.Id == item.ProductId)
+                    .ExecuteUpdateAsync(s => s.SetProperty(p => p.StockQuantity, p => p.StockQuantity + quantity));
+            }
+
+            if (order.CouponId.HasValue)
+            {
+                await _coupons.ReleaseAsync(order.CouponId.Value);
+            }
+
+            // Refund last, while the claim is still uncommitted: a refused refund rolls everything
+            // back and the order stays as it was. The refund is keyed on the order, so if saving
+            // fails after it went through, retrying the cancellation gets the same refund back.
+            PaymentRefundResult? refund = null;
+            if (order.PaymentMethod == "stripe" && !string.IsNullOrEmpty(order.PaymentIntentId))
+            {
+                refund = await _refunds.RefundOrderAsync(order.Id, order.PaymentIntentId);
+                if (!refund.Succeeded)
+                {
+                    await transaction.RollbackAsync();
+                    return new CancelOrderResult
+                    {
+                        Outcome = CancelOrderOutcome.RefundFailed,
+                        Message = $"The refund could not be issued: {refund.Error}. The order has not been cancelled."
+                    };
+                }
+            }
+
+            var previousStatus = order.Status;
+            order.Status = OrderStatuses.Cancelled;
+            order.CancelledAt = DateTime.UtcNow;
+            order.UpdatedAt = DateTime.UtcNow;
+            if (refund != null)
+            {
+                order.RefundId = refund.RefundId;
+                order.RefundStatus = refund.Status;
+                order.RefundAmount = refund.Amount;
+            }
+            OrderStatusService.RecordStatusChange(order, previousStatus, request.ChangedByUserId, request.Note);
+
+            await _context.SaveChangesAsync();
+            await transaction.CommitAsync();
+
+            return new CancelOrderResult { Outcome = CancelOrderOutcome.Cancelled, Order = order };
+        }
+
+        private static CancelOrderResult NotCancellable(string status) => new CancelOrderResult
+        {
+            Outcome = CancelOrderOutcome.NotCancellable,
+            Message = status == OrderStatuses.Cancelled
+                ? "This order has already been cancelled"
+                : $"Orders that are {status} can no longer be cancelled"
+        };
+    }
+}
@@ -0,0 +1,382 @@
+using Microsoft.EntityFrameworkCore;
+using ECommerceApp.API.Data;
+using ECommerceApp.API.DTOs;
+using ECommerceApp.API.Models;
+
+namespace ECommerceApp.API.Services
+{
+    public enum PlaceOrderOutcome
+    {
+        Placed,
+        EmptyCart,
+        TotalMismatch,
+        OutOfStock,
+        ShippingUnavailable,
+        CouponUnavailable
+    }
+
+    public class PlaceOrderRequest
+    {
+        public int UserId { get; set; }
+        public string PaymentMethod { get; set; } = string.Empty;
+        public string Status { get; set; } = string.Empty;
+        public ShippingAddressDto? ShippingAddress { get; set; }
+        // Code of a configured shipping method; its cost is added to the order total
+        public string ShippingMethod { get; set; } = string.Empty;
+        public string? PaymentIntentId { get; set; }
+        // When set, the order is only placed if the cart still adds up to this amount
+        public long? ExpectedAmountInCents { get; set; }
+        // Stored on the order; the unique (UserId, IdempotencyKey) index makes a concurrent
+        // duplicate fail with a DbUpdateException
+        public string? IdempotencyKey { get; set; }
+    }
+
+    public class PlaceOrderResult
+    {
+        public PlaceOrderOutcome Outcome { get; set; }
+        public Order? Order { get; set; }
+        public List<StockShortageDto> Shortages { get; set; } = new();
+        public string Message { get; set; } = string.Empty;
+    }
+
+    public interface IOrderPlacementService
+    {
+        /// <summary>
+        /// Turns the user's cart into an order: reserves stock, copies the cart lines, the
+        /// shipping address and method, the discount and the tax lines and empties the cart,
+        /// all in one transaction. A coupon applied to the cart is redeemed as part of it.
+        /// </summary>
+        Task<PlaceOrderResult> PlaceOrderFromCartAsync(PlaceOrderRequest request);
+
+        /// <summary>
+        /// Places the order for a card payment from the lines and coupon saved when its payment
+        /// intent was created, so changes to the cart since then don't alter what is bought. Only
+        /// those lines are taken out of the cart, and the checkout is marked completed with the order.
+        /// </summary>
+        Task<PlaceOrderResult> PlaceOrderFromCheckoutAsync(PlaceOrderRequest request, PaymentCheckout checkout);
+    }
+
+    public class OrderPlacementService : IOrderPlacementService
+    {
+        private readonly ApplicationDbContext _context;
+        private readonly IOrderPricingService _pricing;
+        private readonly ICouponService _coupons;
+
+        public OrderPlacementService(ApplicationDbContext context, IOrderPricingService pricing, ICouponService coupons)
+        {
+            _context = context;
+            _pricing = pricing;
+            _coupons = coupons;
+        }
+
+        public async Task<PlaceOrderResult> PlaceOrderFromCartAsync(PlaceOrderRequest request)
+        {
+            var cart = await _context.Carts
+                .Include(c => c.CartItems)
+                .ThenInclude(ci => ci.Product)
+                .ThenInclude(p => p.Options)
+                .Include(c => c.CartItems)
+                .ThenInclude(ci => ci.Variant)
+                .Include(c => c.Coupon)
+                .FirstOrDefaultAsync(c => c.UserId == request.UserId);
+
+            if (cart == null || !cart.CartItems.Any())
+            {
+                return new PlaceOrderResult { Outcome = PlaceOrderOutcome.EmptyCart, Message = "Cart is empty" };
+            }
+
+            return await PlaceOrderAsync(request, cart.CartItems.ToList(), cart.Coupon, () =>
+            {
+                // Clear cart
+                _context.CartItems.RemoveRange(cart.CartItems);
+                cart.Coupon = null;
+                cart.CouponId = null;
+                cart.UpdatedAt = DateTime.UtcNow;
+                return Task.CompletedTask;
+            });
+        }
+
+        public async Task<PlaceOrderResult> PlaceOrderFromCheckoutAsync(PlaceOrderRequest request, PaymentCheckout checkout)
+        {
+            var productIds = checkout.Items.Select(i => i.ProductId).Distinct().ToList();
+            var products = await _context.Products
+                .AsNoTracking()
+                .AsSplitQuery()
+                .Include(p => p.Options)
+                .Include(p => p.Variants)
+                .Where(p => productIds.Contains(p.Id))
+                .ToDictionaryAsync(p => p.Id);
+
+            // Detached lines shaped like the cart's, so pricing and stock checks treat them the same
+            var lines = new List<CartItem>();
+            foreach (var item in checkout.Items)
+            {
+                var product = products.GetValueOrDefault(item.ProductId);
+                var variant = item.ProductVariantId.HasValue
+                    ? product?.Variants.FirstOrDefault(v => v.Id == item.ProductVariantId.Value)
+                    : null;
+                if (product == null || (item.ProductVariantId.HasValue && variant == null))
+                {
+                    return new PlaceOrderResult
+                    {
+                        Outcome = PlaceOrderOutcome.OutOfStock,
+                        Message = "Some of the items you paid for are no longer sold."
+                    };
+                }
+
+                lines.Add(new CartItem
+                {
+                    ProductId = item.ProductId,
+                    ProductVariantId = item.ProductVariantId,
+                    Quantity = item.Quantity,
+                    Product = product,
+                    Variant = variant
+                });
+            }
+
+            var coupon = checkout.CouponId.HasValue ? await _context.Coupons.FindAsync(checkout.CouponId.Value) : null;
+
+            return await PlaceOrderAsync(request, lines, coupon, async () =>
+            {
+                checkout.Status = PaymentCheckoutStatuses.Completed;
+                checkout.UpdatedAt = DateTime.UtcNow;
+
+                // Anything added to the cart after paying stays there
+                var cart = await _context.Carts
+                    .Include(c => c.CartItems)
+                    .FirstOrDefaultAsync(c => c.UserId == request.UserId);
+                if (cart == null)
+                {
+                    return;
+                }
+
+                foreach (var line in lines)
+                {
+                    var cartItem = cart.CartItems.FirstOrDefault(ci =>
+                        ci.ProductId == line.ProductId && ci.ProductVariantId == line.ProductVariantId);
+                    if (cartItem == null)
+                    {
+                        continue;
+                    }
+
+                    if (cartItem.Quantity <= line.Quantity)
+                    {
+                        _context.CartItems.Remove(cartItem);
+                    }
+                    else
+                    {
+                        cartItem.Quantity -= line.Quantity;
+                    }
+                }
+
+                if (coupon != null && cart.CouponId == coupon.Id)
+                {
+                    cart.CouponId = null;
+                }
+                cart.UpdatedAt = DateTime.UtcNow;
+            });
+        }
+
+        // removeFromCart runs inside the transaction, just before the order is saved
+        private async Task<PlaceOrderResult> PlaceOrderAsync(
+            PlaceOrderRequest request, List<CartItem> lines, Coupon? coupon, Func<Task> removeFromCart)
+        {
+            // A code that stopped applying (expired, limit reached...) fails the order rather
+            // than silently charging the full price
+            if (coupon != null)
+            {
+                var couponCheck = await _coupons.CheckAsync(
+                    coupon, request.UserId, lines.Sum(ci => ci.UnitPrice * ci.Quantity));
+                if (!couponCheck.IsValid)
+                {
+                    return new PlaceOrderResult
+                    {
+                        Outcome = PlaceOrderOutcome.CouponUnavailable,
+                        Message = $"{couponCheck.Error}. Remove the promo code from your cart to continue."
+                    };
+                }
+            }
+
+            // Tax follows the destination the order ships to
+            var pricing = _pricing.Price(
+                lines,
+                request.ShippingMethod,
+                request.ShippingAddress?.Country,
+                request.ShippingAddress?.State,
+                coupon);
+            var shippingQuote = pricing.Shipping;
+            if (shippingQuote == null)
+            {
+                return new PlaceOrderResult
+                {
+                    Outcome = PlaceOrderOutcome.ShippingUnavailable,
+                    Message = $"Shipping method '{request.ShippingMethod}' is not available"
+                };
+            }
+
+            var totalAmount = pricing.Total;
+
+            // Same rounding as when the payment intent was created
+            var expectedAmountInCents = request.ExpectedAmountInCents;
+            if (expectedAmountInCents.HasValue && (long)(totalAmount * 100) != expectedAmountInCents.Value)
+            {
+                return new PlaceOrderResult
+                {
+                    Outcome = PlaceOrderOutcome.TotalMismatch,
+                    Message = $"Cart total {totalAmount:0.00} does not match the amount paid ({expectedAmountInCents.Value / 100m:0.00})"
+                };
+            }
+
+            await using var transaction = await _context.Database.BeginTransactionAsync();
+
+            // Reserve stock with one conditional UPDATE per product (or variant), so concurrent
+            // checkouts can never take the same last units
+            var shortages = new List<StockShortageDto>();
+            foreach (var cartItem in lines)
+            {
+                var quantity = cartItem.Quantity;
+                int reserved;
+                if (cartItem.ProductVariantId.HasValue)
+                {
+                    var variantId = cartItem.ProductVariantId.Value;
+                    reserved = await _context.ProductVariants
+                        .Where(v => v.Id == variantId && v.StockQuantity >= quantity)
+                        .ExecuteUpdateAsync(s => s.SetProperty(v => v.StockQuantity, v => v.StockQuantity - quantity));
+
+                    // The product's stock is the total of its variants, so it follows along
+                    if (reserved > 0)
+                    {
+                        await _context.Products
+                            .Where(p => p.Id == cartItem.ProductId)
+                            .ExecuteUpdateAsync(s => s.SetProperty(p => p.StockQuantity,
+                                p => p.StockQuantity >= quantity ? p.StockQuantity - quantity : 0));
+                    }
+                }
+                else
+                {
+                    reserved = await _context.Products
+                        .Where(p => p.Id == cartItem.ProductId && p.StockQuantity >= quantity)
+                        .ExecuteUpdateAsync(s => s.SetProperty(p => p.StockQuantity, p => p.StockQuantity - quantity));
+                }
+
+                if (reserved == 0)
+                {
+                    shortages.Add(new StockShortageDto
+                    {
+                        ProductId = cartItem.ProductId,
+                        VariantId = cartItem.ProductVariantId,
+                        ProductName = cartItem.DisplayName,
+                        Requested = quantity
+                    });
+                }
+            }
+
+            if (shortages.Any())
+            {
+                await transaction.RollbackAsync();
+
+                var shortageIds = shortages.Where(s => !s.VariantId.HasValue).Select(s => s.ProductId).ToList();
+                var available = await _context.Products
+                    .AsNoTracking()
+                    .Where(p => shortageIds.Contains(p.Id))
+                    .ToDictionaryAsync(p => p.Id, p => p.StockQuantity);
+
+                var shortageVariantIds = shortages.Where(s => s.VariantId.HasValue).Select(s => s.VariantId!.Value).ToList();
+                var availableVariants = await _context.ProductVariants
+                    .AsNoTracking()
+                    .Where(v => shortageVariantIds.Contains(v.Id))
+                    .ToDictionaryAsync(v => v.Id, v => v.StockQuantity);
+
+                foreach (var shortage in shortages)
+                {
+                    shortage.Available = shortage.VariantId.HasValue
+                        ? availableVariants.GetValueOrDefault(shortage.VariantId.Value)
+                        : available.GetValueOrDefault(shortage.ProductId);
+                }
+
+                var details = string.Join(", ", shortages.Select(s =>
+                    s.Available == 0 ? $"{s.ProductName} (out of stock)" : $"{s.ProductName} (only {s.Available} left)"));
+
+                return new PlaceOrderResult
+                {
+                    Outcome = PlaceOrderOutcome.OutOfStock,
+                    Shortages = shortages,
+                    Message = $"Some items in your cart are no longer available in the requested quantity: {details}. Please update your cart and try again."
+                };
+            }
+
+            if (coupon != null && !await _coupons.TryRedeemAsync(coupon.Id))
+            {
+                await transaction.RollbackAsync();
+                return new PlaceOrderResult
+                {
+                    Outcome = PlaceOrderOutcome.CouponUnavailable,
+                    Message = $"\"{coupon.Code}\" has reached its usage limit. Remove the promo code from your cart to continue."
+                };
+            }
+
+            var shipping = request.ShippingAddress;
+            var order = new Order
+            {
+                UserId = request.UserId,
+                TotalAmount = totalAmount,
+                ShippingCost = shippingQuote.Cost,
+                ShippingMethod = shippingQuote.Code,
+                ShippingMethodName = shippingQuote.Name,
+                TaxAmount = pricing.Tax.TaxAmount,
+                TaxIncluded = pricing.Tax.PricesIncludeTax,
+                DiscountAmount = pricing.Discount,
+                CouponId = coupon?.Id,
+                CouponCode = coupon?.Code,
+                Status = request.Status,
+                PaymentMethod = request.PaymentMethod,
+                PaymentIntentId = request.PaymentIntentId,
+                IdempotencyKey = request.IdempotencyKey,
+                ShippingFullName = shipping?.FullName,
+                ShippingLine1 = shipping?.Line1,
+                ShippingLine2 = shipping?.Line2,
+                ShippingCity = shipping?.City,
+                ShippingState = shipping?.State,
+                ShippingPostalCode = shipping?.PostalCode,
+                ShippingCountry = shipping?.Country,
+                ShippingPhone = shipping?.Phone,
+                CreatedAt = DateTime.UtcNow,
+                UpdatedAt = DateTime.UtcNow
+            };
+
+            foreach (var cartItem in lines)
+            {
+                order.OrderItems.Add(new OrderItem
+                {
+                    ProductId = cartItem.ProductId,
+                    ProductName = cartItem.Product.Name,
+                    ProductVariantId = cartItem.ProductVariantId,
+                    VariantName = cartItem.Variant?.Describe(cartItem.Product.Options),
+                    Sku = cartItem.Variant?.Sku,
+                    Price = cartItem.UnitPrice,
+                    Quantity = cartItem.Quantity
+                });
+            }
+
+            foreach (var taxLine in pricing.Tax.Lines)
+            {
+                order.TaxLines.Add(new OrderTaxLine
+                {
+                    Name = taxLine.Name,
+                    Rate = taxLine.Rate,
+                    Amount = taxLine.Amount
+                });
+            }
+
+            OrderStatusService.RecordStatusChange(order, null, request.UserId);
+            _context.Orders.Add(order);
+
+            await removeFromCart();
+
+            await _context.SaveChangesAsync();
+            await transaction.CommitAsync();
+
+            return new PlaceOrderResult { Outcome = PlaceOrderOutcome.Placed, Order = order };
+        }
+    }
+}
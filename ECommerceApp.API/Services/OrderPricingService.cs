@@ -0,0 +1,77 @@
+using ECommerceApp.API.DTOs;
+using ECommerceApp.API.Models;
+
+namespace ECommerceApp.API.Services
+{
+    public class OrderPricing
+    {
+        public decimal Subtotal { get; set; }
+        public int ItemCount { get; set; }
+        // Coupon that was applied, if any, and what it took off the subtotal
+        public Coupon? Coupon { get; set; }
+        public decimal Discount { get; set; }
+        // null when no shipping method was asked for, or the code isn't configured
+        public ShippingQuoteDto? Shipping { get; set; }
+        public TaxResult Tax { get; set; } = new();
+        public decimal Total { get; set; }
+    }
+
+    public interface IOrderPricingService
+    {
+        /// <summary>
+        /// Prices cart lines the way an order placed from them would be charged: items less
+        /// the <paramref name="coupon"/> discount, shipping for <paramref name="shippingMethod"/>
+        /// and tax for the destination. Cart summaries, payment intents and order placement
+        /// all go through here so they can never disagree on the amount. The coupon must
+        /// already have been checked with <see cref="ICouponService"/>.
+        /// </summary>
+        OrderPricing Price(IEnumerable<CartItem> items, string? shippingMethod, string? country, string? state, Coupon? coupon = null);
+    }
+
+    public class OrderPricingService : IOrderPricingService
+    {
+        private readonly IShippingService _shipping;
+        private readonly ITaxCalculator _taxCalculator;
+
+        public OrderPricingService(IShippingService shipping, ITaxCalculator taxCalculator)
+        {
+            _shipping = shipping;
+            _taxCalculator = taxCalculator;
+        }
+
+        public OrderPricing Price(IEnumerable<CartItem> items, string? shippingMethod, string? country, string? state, Coupon? coupon = null)
+        {
+            var lines = items.ToList();
+            var subtotal = lines.Sum(ci => ci.UnitPrice * ci.Quantity);
+            var itemCount = lines.Sum(ci => ci.Quantity);
+
+            // Shipping thresholds and tax both apply to what is left after the discount
+            var discount = coupon == null ? 0m : CouponService.CalculateDiscount(coupon, subtotal);
+            var discountedSubtotal = subtotal - discount;
+
+            var shipping = string.IsNullOrWhiteSpace(shippingMethod)
+                ? null
+                : _shipping.GetQuote(shippingMethod, discountedSubtotal, itemCount);
+            var shippingCost = shipping?.Cost ?? 0m;
+
+            var tax = _taxCalculator.Calculate(new TaxRequest
+            {
+                Country = country,
+                State = state,
+                Subtotal = discountedSubtotal,
+                ShippingCost = shippingCost
+            });
+
+            return new OrderPricing
+            {
+                Subtotal = subtotal,
+                ItemCount = itemCount,
+                Coupon = coupon,
+                Discount = discount,
+                Shipping = shipping,
+                Tax = tax,
+                Total = discountedSubtotal + shippingCost + (tax.PricesIncludeTax ? 0m : tax.TaxAmount)
+            };
+        }
+    }
+}
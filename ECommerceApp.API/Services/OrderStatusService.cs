@@ -0,0 +1,205 @@
+using Microsoft.EntityFrameworkCore;
+using ECommerceApp.API.Data;
+using ECommerceApp.API.Models;
+
+namespace ECommerceApp.API.Services
+{
+    public enum ChangeOrderStatusOutcome
+    {
+        Changed,
+        NotFound,
+        InvalidStatus,
+        InvalidTransition,
+        RefundFailed,
+        Conflict
+    }
+
+    public class ChangeOrderStatusRequest
+    {
+        public int OrderId { get; set; }
+        public string Status { get; set; } = string.Empty;
+        public int ChangedByUserId { get; set; }
+        public string? Note { get; set; }
+    }
+
+    public class ChangeOrderStatusResult
+    {
+        public ChangeOrderStatusOutcome Outcome { get; set; }
+        public Order? Order { get; set; }
+        public string Message { get; set; } = string.Empty;
+    }
+
+    public interface IOrderStatusService
+    {
+        /// <summary>
+        /// Moves an order to its next status if OrderStatuses allows the transition and records
+        /// it in the order's history. Cancelling restocks and refunds like a customer cancellation;
+        /// refunding a card order issues the Stripe refund, and either gives back the coupon redemption.
+        /// </summary>
+        Task<ChangeOrderStatusResult> ChangeStatusAsync(ChangeOrderStatusRequest request);
+    }
+
+    public class OrderStatusService : IOrderStatusService
+    {
+        public const int MaxNoteLength = 500;
+
+        private readonly ApplicationDbContext _context;
+        private readonly IOrderCancellationService _cancellation;
+        private readonly IPaymentRefundService _refunds;
+        private readonly ICouponService _coupons;
+
+        public OrderStatusService(
+            ApplicationDbContext context,
+            IOrderCancellationService cancellation,
+            IPaymentRefundService refunds,
+            ICouponService coupons)
+        {
+            _context = context;
+            _cancellation = cancellation;
+            _refunds = refunds;
+            _coupons = coupons;
+        }
+
+        /// <summary>
+        /// Adds the history entry for a status the order has just been put in; saved with the order.
+        /// Every place that sets Order.Status goes through this.
+        /// </summary>
+        public static void RecordStatusChange(Order order, string? fromStatus, int? changedByUserId, string? note = null)
+        {
+            order.StatusHistory.Add(new OrderStatusHistory
+            {
+                FromStatus = fromStatus,
+                ToStatus = order.Status,
+                ChangedByUserId = changedByUserId,
+                Note = string.IsNullOrWhiteSpace(note) ? null : note.Trim(),
+                CreatedAt = DateTime.UtcNow
+            });
+        }
+
+        public async Task<ChangeOrderStatusResult> ChangeStatusAsync(ChangeOrderStatusRequest request)
+        {
+            var status = request.Status?.Trim().ToLowerInvariant() ?? string.Empty;
+            if (!OrderStatuses.IsValid(status))
+            {
+                return new ChangeOrderStatusResult
+                {
+                    Outcome = ChangeOrderStatusOutcome.InvalidStatus,
+                    Message = $"Invalid status. Must be one of: {string.Join(", ", OrderStatuses.All)}"
+                };
+            }
+
+            if (request.Note?.Trim().Length > MaxNoteLength)
+            {
+                return new ChangeOrderStatusResult
+                {
+                    Outcome = ChangeOrderStatusOutcome.InvalidStatus,
+                    Message = $"Note must be at most {MaxNoteLength} characters"
+                };
+            }
+
+            var order = await _context.Orders
+                .Include(o => o.OrderItems)
+                .Include(o => o.TaxLines)
+                .Include(o => o.StatusHistory)
+                .FirstOrDefaultAsync(o => o.Id == request.OrderId);
+
+            if (order == null)
+            {
+                return new ChangeOrderStatusResult { Outcome = ChangeOrderStatusOutcome.NotFound, Message = "Order not found" };
+            }
+
+            if (!OrderStatuses.CanTransition(order.Status, status))
+            {
+                var next = OrderStatuses.NextStatuses(order.Status);
+                return new ChangeOrderStatusResult
+                {
+                    Outcome = ChangeOrderStatusOutcome.InvalidTransition,
+                    Message = next.Count == 0
+                        ? $"Order is {order.Status} and its status can no longer change"
+                        : $"Order is {order.Status} and can only move to: {string.Join(", ", next)}"
+                };
+            }
+
+            if (status == OrderStatuses.Cancelled)
+            {
+                return await CancelAsync(request);
+            }
+
+            await using var transaction = await _context.Database.BeginTransactionAsync();
+
+            // Only applies if nobody (e.g. the Stripe webhook or another admin) moved the order meanwhile
+            var previousStatus = order.Status;
+            var claimed = await _context.Orders
+                .Where(o => o.Id == order.Id && o.Status == previousStatus)
+                .ExecuteUpdateAsync(s => s.SetProperty(o => o.Status, status));
+            if (claimed == 0)
+            {
+                await transaction.RollbackAsync();
+                return new ChangeOrderStatusResult
+                {
+                    Outcome = ChangeOrderStatusOutcome.Conflict,
+                    Message = "The order's status changed in the meantime. Reload it and try again."
+                };
+            }
+
+            if (status == OrderStatuses.Refunded && order.CouponId.HasValue)
+            {
+                await _coupons.ReleaseAsync(order.CouponId.Value);
+            }
+
+            // Refund only once the status is claimed, so two admins refunding at once can't both
+            // reach Stripe; a refused refund rolls the claim back. Keyed on the order like cancellations.
+            PaymentRefundResult? refund = null;
+            if (status == OrderStatuses.Refunded
+                && order.PaymentMethod == "stripe"
+                && !string.IsNullOrEmpty(order.PaymentIntentId)
+                && order.RefundId == null)
+            {
+                refund = await _refunds.RefundOrderAsync(order.Id, order.PaymentIntentId);
+                if (!refund.Succeeded)
+                {
+                    await transaction.RollbackAsync();
+                    return new ChangeOrderStatusResult
+                    {
+                        Outcome = ChangeOrderStatusOutcome.RefundFailed,
+                        Message = $"The refund could not be issued: {refund.Error}. The order status was not changed."
+                    };
+                }
+            }
+
+            order.Status = status;
+            order.UpdatedAt = DateTime.UtcNow;
+            if (refund != null)
+            {
+                order.RefundId = refund.RefundId;
+                order.RefundStatus = refund.Status;
+                order.RefundAmount = refund.Amount;
+            }
+            RecordStatusChange(order, previousStatus, request.ChangedByUserId, request.Note);
+
+            await _context.SaveChangesAsync();
+            await transaction.CommitAsync();
+
+            return new ChangeOrderStatusResult { Outcome = ChangeOrderStatusOutcome.Changed, Order = order };
+        }
+
+        private async Task<ChangeOrderStatusResult> CancelAsync(ChangeOrderStatusRequest request)
+        {
+            var result = await _cancellation.CancelOrderAsync(new CancelOrderRequest
+            {
+                OrderId = request.OrderId,
+                ChangedByUserId = request.ChangedByUserId,
+                Note = request.Note
+            });
+
+            var outcome = result.Outcome switch
+            {
+                CancelOrderOutcome.Cancelled => ChangeOrderStatusOutcome.Changed,
+                CancelOrderOutcome.NotFound => ChangeOrderStatusOutcome.NotFound,
+                CancelOrderOutcome.RefundFailed => ChangeOrderStatusOutcome.RefundFailed,
+                _ => ChangeOrderStatusOutcome.Conflict
+            };
+            return new ChangeOrderStatusResult { Outcome = outcome, Order = result.Order, Message = result.Message };
+        }
+    }
+}
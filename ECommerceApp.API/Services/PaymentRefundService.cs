@@ -0,0 +1,94 @@
+using Stripe;
+
+namespace ECommerceApp.API.Services
+{
+    public class PaymentRefundResult
+    {
+        public string? RefundId { get; set; }
+        // Stripe's refund status: pending, requires_action, succeeded, failed or canceled
+        public string? Status { get; set; }
+        public decimal Amount { get; set; }
+        // Why the refund couldn't be issued; null when it was
+        public string? Error { get; set; }
+        public bool Succeeded => Error == null;
+    }
+
+    public interface IPaymentRefundService
+    {
+        /// <summary>
+        /// Refunds everything captured for the order's payment intent. Keyed on the order, so
+        /// calling it again for the same order returns the existing refund instead of a second one.
+        /// </summary>
+        Task<PaymentRefundResult> RefundOrderAsync(int orderId, string paymentIntentId);
+
+        /// <summary>
+        /// Refunds a payment that never became an order. Keyed on the payment intent, so webhook
+        /// redeliveries return the existing refund instead of issuing another.
+        /// </summary>
+        Task<PaymentRefundResult> RefundPaymentAsync(string paymentIntentId, string reason);
+    }
+
+    // Goes through StripeConfiguration, so Stripe:ApiBase can point it at a local stand-in such as stripe-mock
+    public class StripePaymentRefundService : IPaymentRefundService
+    {
+        private readonly ILogger<StripePaymentRefundService> _logger;
+
+        public StripePaymentRefundService(ILogger<StripePaymentRefundService> logger)
+        {
+            _logger = logger;
+        }
+
+        public Task<PaymentRefundResult> RefundOrderAsync(int orderId, string paymentIntentId)
+        {
+            var options = new RefundCreateOptions
+            {
+                PaymentIntent = paymentIntentId,
+                Reason = RefundReasons.RequestedByCustomer,
+                Metadata = new Dictionary<string, string>
+                {
+                    { "order_id", orderId.ToString() }
+                }
+            };
+
+            return CreateRefundAsync(options, $"refund-order-{orderId}", $"order {orderId}");
+        }
+
+        public Task<PaymentRefundResult> RefundPaymentAsync(string paymentIntentId, string reason)
+        {
+            // Stripe's reasons don't cover this, so it goes in the metadata
+            var options = new RefundCreateOptions
+            {
+                PaymentIntent = paymentIntentId,
+                Metadata = new Dictionary<string, string>
+                {
+                    { "failure_reason", reason.Length > 500 ? reason[..500] : reason }
+                }
+            };
+
+            return CreateRefundAsync(options, $"refund-payment-{paymentIntentId}", $"payment {paymentIntentId}");
+        }
+
+        private async Task<PaymentRefundResult> CreateRefundAsync(RefundCreateOptions options, string idempotencyKey, string description)
+        {
+            try
+            {
+                var service = new RefundService();
+                var refund = await service.CreateAsync(options, new RequestOptions { IdempotencyKey = idempotencyKey });
+
+                _logger.LogInformation($"Refund {refund.Id} ({refund.Status}) issued for {description}");
+
+                return new PaymentRefundResult
+                {
+                    RefundId = refund.Id,
+                    Status = refund.Status,
+                    Amount = refund.Amount / 100m
+                };
+            }
+            catch (StripeException ex)
+            {
+                _logger.LogError(ex, $"Stripe refused the refund for {description}");
+                return new PaymentRefundResult { Error = ex.StripeError?.Message ?? ex.Message };
+            }
+        }
+    }
+}
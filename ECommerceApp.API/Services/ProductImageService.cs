@@ -0,0 +1,200 @@
+using System.Text.RegularExpressions;
+using Microsoft.Extensions.Options;
+using SixLabors.ImageSharp;
+using SixLabors.ImageSharp.Formats.Webp;
+using SixLabors.ImageSharp.Processing;
+using ECommerceApp.API.DTOs;
+
+namespace ECommerceApp.API.Services
+{
+    // Bound from the "ProductImages" section of appsettings.json
+    public class ProductImageSettings
+    {
+        // Where uploads are written; relative paths are resolved against the content root
+        public string StoragePath { get; set; } = "uploads/products";
+
+        public string GetFullStoragePath(string contentRootPath)
+        {
+            return Path.GetFullPath(Path.Combine(contentRootPath, StoragePath));
+        }
+    }
+
+    public static class ProductImages
+    {
+        // URL prefix the stored files are served under (see UseStaticFiles in Program.cs)
+        public const string RequestPath = "/uploads/products";
+        public const long MaxFileSizeBytes = 5 * 1024 * 1024;
+        // Guards against decompression bombs: a small file can still decode to a huge bitmap
+        public const int MaxPixels = 40_000_000;
+
+        // Every upload is stored at each of these widths for srcset; the client mirrors them in utils/images.js
+        public static readonly int[] Widths = { 200, 400, 800, 1200 };
+
+        public static readonly string[] ContentTypes = { "image/jpeg", "image/png", "image/webp", "image/gif" };
+    }
+
+    public enum ProductImageUploadOutcome
+    {
+        Saved,
+        Empty,
+        TooLarge,
+        UnsupportedType
+    }
+
+    public class ProductImageUploadResult
+    {
+        public ProductImageUploadOutcome Outcome { get; set; }
+        public ProductImageUploadDto? Image { get; set; }
+        public string? Message { get; set; }
+
+        public static ProductImageUploadResult Fail(ProductImageUploadOutcome outcome, string message) =>
+            new() { Outcome = outcome, Message = message };
+    }
+
+    public interface IProductImageService
+    {
+        /// <summary>
+        /// Validates an uploaded image and stores it as WebP at every width in
+        /// <see cref="ProductImages.Widths"/> (never upscaled). The returned ImageUrl is the
+        /// largest size and is what gets saved on the product.
+        /// </summary>
+        Task<ProductImageUploadResult> SaveAsync(IFormFile file);
+
+        /// <summary>
+        /// Removes the stored sizes behind an ImageUrl returned by <see cref="SaveAsync"/>.
+        /// Anything else (e.g. a hot-linked URL) is ignored.
+        /// </summary>
+        void Delete(string? imageUrl);
+    }
+
+    // Keeps uploads on the local disk, one folder per image holding a file per width
+    public class LocalProductImageService : IProductImageService
+    {
+        private static readonly Regex UploadedImageUrl =
+            new($"^{Regex.Escape(ProductImages.RequestPath)}/(?<key>[0-9a-f]{{32}})/\\d+\\.webp$", RegexOptions.Compiled);
+
+        private readonly string _storagePath;
+        private readonly ILogger<LocalProductImageService> _logger;
+
+        public LocalProductImageService(
+            IOptions<ProductImageSettings> settings,
+            IWebHostEnvironment environment,
+            ILogger<LocalProductImageService> logger)
+        {
+            _storagePath = settings.Value.GetFullStoragePath(environment.ContentRootPath);
+            _logger = logger;
+        }
+
+        public async Task<ProductImageUploadResult> SaveAsync(IFormFile file)
+        {
+            if (file == null || file.Length == 0)
+            {
+                return ProductImageUploadResult.Fail(ProductImageUploadOutcome.Empty, "Choose an image to upload");
+            }
+
+            if (file.Length > ProductImages.MaxFileSizeBytes)
+            {
+                return ProductImageUploadResult.Fail(ProductImageUploadOutcome.TooLarge,
+                    $"Images must be {ProductImages.MaxFileSizeBytes / (1024 * 1024)} MB or smaller");
+            }
+
+            if (!ProductImages.ContentTypes.Contains(file.ContentType?.ToLowerInvariant()))
+            {
+                return ProductImageUploadResult.Fail(ProductImageUploadOutcome.UnsupportedType,
+                    "Only JPEG, PNG, WebP and GIF images can be uploaded");
+            }
+
+            Image image;
+            try
+            {
+                await using (var stream = file.OpenReadStream())
+                {
+                    var info = await Image.IdentifyAsync(stream);
+                    if ((long)info.Width * info.Height > ProductImages.MaxPixels)
+                    {
+                        return ProductImageUploadResult.Fail(ProductImageUploadOutcome.TooLarge,
+                            "The image dimensions are too large");
+                    }
+                }
+
+                await using (var stream = file.OpenReadStream())
+                {
+                    image = await Image.LoadAsync(stream);
+                }
+            }
+            catch (ImageFormatException)
+            {
+                // The declared content type is only the browser's guess
+                return ProductImageUploadResult.Fail(ProductImageUploadOutcome.UnsupportedType,
+                    "The file is not a valid image");
+            }
+
+            using (image)
+            {
+                // Phone photos are often stored sideways with an EXIF rotation
+                image.Mutate(x => x.AutoOrient());
+
+                var key = Guid.NewGuid().ToString("N");
+                var directory = Path.Combine(_storagePath, key);
+                Directory.CreateDirectory(directory);
+
+                var encoder = new WebpEncoder { Quality = 80 };
+                var sizes = new List<ProductImageSizeDto>();
+                try
+                {
+                    foreach (var width in ProductImages.Widths)
+                    {
+                        using var resized = image.Clone(x =>
+                        {
+                            if (image.Width > width)
+                            {
+                                x.Resize(width, 0);
+                            }
+                        });
+                        await resized.SaveAsync(Path.Combine(directory, $"{width}.webp"), encoder);
+                        sizes.Add(new ProductImageSizeDto { Width = width, Url = $"{ProductImages.RequestPath}/{key}/{width}.webp" });
+                    }
+                }
+                catch
+                {
+                    // Don't leave a partial set of sizes behind
+                    Directory.Delete(directory, true);
+                    throw;
+                }
+
+                return new ProductImageUploadResult
+                {
+                    Outcome = ProductImageUploadOutcome.Saved,
+                    Image = new ProductImageUploadDto
+                    {
+                        ImageUrl = sizes[^1].Url,
+                        Sizes = sizes
+                    }
+                };
+            }
+        }
+
+        public void Delete(string? imageUrl)
+        {
+            var match = string.IsNullOrEmpty(imageUrl) ? null : UploadedImageUrl.Match(imageUrl);
+            if (match == null || !match.Success)
+            {
+                return;
+            }
+
+            var directory = Path.Combine(_storagePath, match.Groups["key"].Value);
+            try
+            {
+                if (Directory.Exists(directory))
+                {
+                    Directory.Delete(directory, true);
+                }
+            }
+            catch (IOException ex)
+            {
+                // An orphaned folder only costs disk space; don't fail the product change over it
+                _logger.LogWarning(ex, "Failed to delete product image {ImageUrl}", imageUrl);
+            }
+        }
+    }
+}
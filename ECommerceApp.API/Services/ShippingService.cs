@@ -0,0 +1,130 @@
+using Microsoft.Extensions.Options;
+using ECommerceApp.API.DTOs;
+
+namespace ECommerceApp.API.Services
+{
+    // Bound from the "Shipping" section of appsettings.json
+    public class ShippingSettings
+    {
+        public List<ShippingMethodSettings> Methods { get; set; } = new();
+        public List<ShippingCarrierSettings> Carriers { get; set; } = new();
+    }
+
+    public class ShippingMethodSettings
+    {
+        public string Code { get; set; } = string.Empty;
+        public string Name { get; set; } = string.Empty;
+        public string? EstimatedDelivery { get; set; }
+        public decimal BaseRate { get; set; }
+        // Added for every item after the first
+        public decimal PerItemRate { get; set; }
+        // Orders with at least this subtotal ship for free
+        public decimal? FreeOverSubtotal { get; set; }
+    }
+
+    public class ShippingCarrierSettings
+    {
+        public string Code { get; set; } = string.Empty;
+        public string Name { get; set; } = string.Empty;
+        // Tracking page with a {trackingNumber} placeholder
+        public string? TrackingUrl { get; set; }
+    }
+
+    public interface IShippingService
+    {
+        /// <summary>
+        /// Prices every configured shipping method for a cart, in configuration order
+        /// (the first one is the default).
+        /// </summary>
+        List<ShippingQuoteDto> GetQuotes(decimal subtotal, int itemCount);
+
+        /// <summary>
+        /// Prices a single method; null when no method with that code is configured.
+        /// </summary>
+        ShippingQuoteDto? GetQuote(string? code, decimal subtotal, int itemCount);
+
+        /// <summary>
+        /// The carriers staff can pick when entering a shipment, in configuration order.
+        /// </summary>
+        List<ShippingCarrierDto> GetCarriers();
+
+        /// <summary>
+        /// Looks up a configured carrier; null when no carrier with that code is configured.
+        /// </summary>
+        ShippingCarrierDto? GetCarrier(string? code);
+
+        /// <summary>
+        /// The carrier's tracking page for a shipment; null without a tracking number or a
+        /// carrier that has a tracking URL configured.
+        /// </summary>
+        string? GetTrackingUrl(string? carrierCode, string? trackingNumber);
+    }
+
+    public class ShippingService : IShippingService
+    {
+        private readonly ShippingSettings _settings;
+
+        public ShippingService(IOptions<ShippingSettings> settings)
+        {
+            _settings = settings.Value;
+        }
+
+        public List<ShippingQuoteDto> GetQuotes(decimal subtotal, int itemCount)
+        {
+            return _settings.Methods.Select(m => ToQuote(m, subtotal, itemCount)).ToList();
+        }
+
+        public ShippingQuoteDto? GetQuote(string? code, decimal subtotal, int itemCount)
+        {
+            var method = _settings.Methods.FirstOrDefault(m =>
+                string.Equals(m.Code, code, StringComparison.OrdinalIgnoreCase));
+            return method == null ? null : ToQuote(method, subtotal, itemCount);
+        }
+
+        public List<ShippingCarrierDto> GetCarriers()
+        {
+            return _settings.Carriers.Select(ToCarrier).ToList();
+        }
+
+        public ShippingCarrierDto? GetCarrier(string? code)
+        {
+            var carrier = FindCarrier(code);
+            return carrier == null ? null : ToCarrier(carrier);
+        }
+
+        public string? GetTrackingUrl(string? carrierCode, string? trackingNumber)
+        {
+            var template = FindCarrier(carrierCode)?.TrackingUrl;
+            if (string.IsNullOrWhiteSpace(template) || string.IsNullOrWhiteSpace(trackingNumber))
+            {
+                return null;
+            }
+
+            return template.Replace("{trackingNumber}", Uri.EscapeDataString(trackingNumber.Trim()));
+        }
+
+        private ShippingCarrierSettings? FindCarrier(string? code) =>
+            _settings.Carriers.FirstOrDefault(c => string.Equals(c.Code, code, StringComparison.OrdinalIgnoreCase));
+
+        private static ShippingCarrierDto ToCarrier(ShippingCarrierSettings carrier) => new ShippingCarrierDto
+        {
+            Code = carrier.Code,
+            Name = carrier.Name
+        };
+
+        private static ShippingQuoteDto ToQuote(ShippingMethodSettings method, decimal subtotal, int itemCount)
+        {
+            var isFree = method.FreeOverSubtotal.HasValue && subtotal >= method.FreeOverSubtotal.Value;
+            var cost = isFree ? 0m : method.BaseRate + method.PerItemRate * Math.Max(itemCount - 1, 0);
+
+            return new ShippingQuoteDto
+            {
+                Code = method.Code,
+                Name = method.Name,
+                EstimatedDelivery = method.EstimatedDelivery,
+                Cost = Math.Round(cost, 2),
+                FreeOverSubtotal = method.FreeOverSubtotal
+            };
+        }
+    }
+}
@@ -0,0 +1,126 @@
+using Microsoft.Extensions.Options;
+using ECommerceApp.API.DTOs;
+
+namespace ECommerceApp.API.Services
+{
+    // Bound from the "Tax" section of appsettings.json
+    public class TaxSettings
+    {
+        // true: catalog prices already contain tax (VAT style) and tax lines only show the included share;
+        // false: tax is added on top of the prices (US sales tax style)
+        public bool PricesIncludeTax { get; set; }
+        public bool TaxShipping { get; set; }
+        // Region used when there is no shipping address yet (e.g. estimates in the cart)
+        public string DefaultCountry { get; set; } = "US";
+        public string? DefaultState { get; set; }
+        public List<TaxRegionSettings> Regions { get; set; } = new();
+    }
+
+    public class TaxRegionSettings
+    {
+        public string Country { get; set; } = string.Empty; // ISO 3166-1 alpha-2
+        public string? State { get; set; } // Leave empty for a country-wide entry
+        public List<TaxRateSettings> Rates { get; set; } = new();
+    }
+
+    public class TaxRateSettings
+    {
+        public string Name { get; set; } = string.Empty;
+        public decimal Rate { get; set; } // 0.0725 = 7.25%
+    }
+
+    public class TaxRequest
+    {
+        public string? Country { get; set; }
+        public string? State { get; set; }
+        public decimal Subtotal { get; set; }
+        public decimal ShippingCost { get; set; }
+    }
+
+    public class TaxResult
+    {
+        public List<TaxLineDto> Lines { get; set; } = new();
+        public decimal TaxAmount { get; set; }
+        // When true, TaxAmount is already part of the prices and must not be added to the total
+        public bool PricesIncludeTax { get; set; }
+        // Region the rates were taken from, e.g. "CA, US"
+        public string Region { get; set; } = string.Empty;
+    }
+
+    /// <summary>
+    /// Works out the tax owed on an order. Registered in Program.cs; swap the
+    /// implementation to plug in an external tax provider.
+    /// </summary>
+    public interface ITaxCalculator
+    {
+        TaxResult Calculate(TaxRequest request);
+    }
+
+    // Looks rates up in the configured table: a state entry wins over the country-wide one
+    public class RateTableTaxCalculator : ITaxCalculator
+    {
+        private readonly TaxSettings _settings;
+
+        public RateTableTaxCalculator(IOptions<TaxSettings> settings)
+        {
+            _settings = settings.Value;
+        }
+
+        public TaxResult Calculate(TaxRequest request)
+        {
+            var country = string.IsNullOrWhiteSpace(request.Country) ? _settings.DefaultCountry : request.Country.Trim();
+            var state = string.IsNullOrWhiteSpace(request.Country) ? _settings.DefaultState : request.State?.Trim();
+
+            var result = new TaxResult
+            {
+                PricesIncludeTax = _settings.PricesIncludeTax,
+                Region = string.IsNullOrEmpty(state) ? country.ToUpperInvariant() : $"{state}, {country.ToUpperInvariant()}"
+            };
+
+            var region = FindRegion(country, state);
+            var rates = region?.Rates.Where(r => r.Rate > 0).ToList();
+            if (rates == null || rates.Count == 0)
+            {
+                return result;
+            }
+
+            var taxableAmount = request.Subtotal + (_settings.TaxShipping ? request.ShippingCost : 0m);
+            var combinedRate = rates.Sum(r => r.Rate);
+
+            // Inclusive prices: the tax is the share of the amount above its pre-tax value,
+            // split between the rates in proportion to their size
+            var totalTax = _settings.PricesIncludeTax
+                ? Round(taxableAmount - taxableAmount / (1 + combinedRate))
+                : rates.Sum(r => Round(taxableAmount * r.Rate));
+
+            var allocated = 0m;
+            for (var i = 0; i < rates.Count; i++)
+            {
+                var rate = rates[i];
+                // The last line takes the rounding remainder so the lines always add up to the total
+                var amount = i == rates.Count - 1
+                    ? totalTax - allocated
+                    : _settings.PricesIncludeTax ? Round(totalTax * rate.Rate / combinedRate) : Round(taxableAmount * rate.Rate);
+                allocated += amount;
+
+                result.Lines.Add(new TaxLineDto { Name = rate.Name, Rate = rate.Rate, Amount = amount });
+            }
+
+            result.TaxAmount = totalTax;
+            return result;
+        }
+
+        private TaxRegionSettings? FindRegion(string country, string? state)
+        {
+            var countryRegions = _settings.Regions
+                .Where(r => string.Equals(r.Country, country, StringComparison.OrdinalIgnoreCase))
+                .ToList();
+
+            return countryRegions.FirstOrDefault(r => !string.IsNullOrEmpty(state)
+                    && string.Equals(r.State, state, StringComparison.OrdinalIgnoreCase))
+                ?? countryRegions.FirstOrDefault(r => string.IsNullOrEmpty(r.State));
+        }
+
+        private static decimal Round(decimal amount) => Math.Round(amount, 2, MidpointRounding.AwayFromZero);
+    }
+}
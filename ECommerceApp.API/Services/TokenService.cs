@@ -1,5 +1,6 @@
 using System.IdentityModel.Tokens.Jwt;
 using System.Security.Claims;
+using System.Security.Cryptography;
 using System.Text;
 using Microsoft.IdentityModel.Tokens;
 using ECommerceApp.API.Models;
@@ -9,6 +10,9 @@ namespace ECommerceApp.API.Services
     public interface ITokenService
     {
         string GenerateToken(User user);
+        string GenerateRefreshToken();
+        string HashRefreshToken(string refreshToken);
+        DateTime GetRefreshTokenExpiry();
     }
     
     public class TokenService : ITokenService
@@ -37,7 +41,8 @@ namespace ECommerceApp.API.Services
                 new Claim(JwtRegisteredClaimNames.Email, user.Email),
                 new Claim(JwtRegisteredClaimNames.Jti, Guid.NewGuid().ToString()),
                 new Claim("userId", user.Id.ToString()),
-                new Claim("fullName", user.FullName ?? "")
+                new Claim("fullName", user.FullName ?? ""),
+                new Claim(ClaimTypes.Role, user.Role)
             };
 
             var token = new JwtSecurityToken(
@@ -50,5 +55,24 @@ namespace ECommerceApp.API.Services
 
             return new JwtSecurityTokenHandler().WriteToken(token);
         }
+
+        public string GenerateRefreshToken()
+        {
+            var randomBytes = RandomNumberGenerator.GetBytes(64);
+            return Convert.ToBase64String(randomBytes);
+        }
+
+        public string HashRefreshToken(string refreshToken)
+        {
+            var hashedBytes = SHA256.HashData(Encoding.UTF8.GetBytes(refreshToken));
+            return Convert.ToBase64String(hashedBytes);
+        }
+
+        public DateTime GetRefreshTokenExpiry()
+        {
+            var jwtSettings = _configuration.GetSection("JwtSettings");
+            var expiryDays = int.Parse(jwtSettings["RefreshTokenExpiryDays"] ?? "14");
+            return DateTime.UtcNow.AddDays(expiryDays);
+        }
     }
 }
@@ -1,19 +1,36 @@
 import React from 'react';
-import { BrowserRouter as Router, Routes, Route, Link } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Link, Navigate } from 'react-router-dom';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
+import { CartProvider } from './contexts/CartContext';
+import { WishlistProvider, useWishlist } from './contexts/WishlistContext';
 import ProductList from './components/ProductList';
 import ProductDetail from './components/ProductDetail';
 import ProductForm from './components/ProductForm';
 import Login from './components/Login';
 import Register from './components/Register';
 import Cart from './components/Cart';
+import Wishlist from './components/Wishlist';
 import Checkout from './components/Checkout';
 import Orders from './components/Orders';
+import OrderPage from './components/OrderPage';
+import Addresses from './components/Addresses';
 import PaymentSuccess from './components/PaymentSuccess';
+import SessionExpiryWarning from './components/SessionExpiryWarning';
+import MiniCart from './components/MiniCart';
+import RequireAuth from './components/RequireAuth';
+import RequireRole from './components/RequireRole';
+import AdminLayout from './components/AdminLayout';
+import AdminProducts from './components/AdminProducts';
+import AdminCategories from './components/AdminCategories';
+import AdminCoupons from './components/AdminCoupons';
+import AdminOrders from './components/AdminOrders';
+import AdminOrderDetail from './components/AdminOrderDetail';
+import AdminUsers from './components/AdminUsers';
 import './App.css';
 
 function NavigationBar() {
-  const { user, logout, isAuthenticated } = useAuth();
+  const { user, logout, isAuthenticated, isAdmin } = useAuth();
+  const { items: wishlistItems } = useWishlist();
 
   return (
     <nav className="navbar">
@@ -25,17 +42,25 @@ function NavigationBar() {
           <li className="nav-item">
             <Link to="/" className="nav-link">🏠 Home</Link>
           </li>
+          <MiniCart />
           {isAuthenticated ? (
             <>
               <li className="nav-item">
-                <Link to="/cart" className="nav-link">🛒 Cart</Link>
+                <Link to="/wishlist" className="nav-link">
+                  ♥ Wishlist{wishlistItems.length > 0 && ` (${wishlistItems.length})`}
+                </Link>
               </li>
               <li className="nav-item">
                 <Link to="/orders" className="nav-link">📦 Orders</Link>
               </li>
               <li className="nav-item">
-                <Link to="/products/new" className="nav-link">➕ Add Product</Link>
+                <Link to="/account/addresses" className="nav-link">📍 Addresses</Link>
               </li>
+              {isAdmin && (
+                <li className="nav-item">
+                  <Link to="/admin" className="nav-link">🛠️ Admin</Link>
+                </li>
+              )}
               <li className="nav-item nav-user">
                 <span className="user-email">👤 {user?.fullName}</span>
               </li>
@@ -63,28 +88,46 @@ function NavigationBar() {
 
 function App() {
   return (
-    <AuthProvider>
-      <Router>
-        <div className="App">
-          <NavigationBar />
+    <Router>
+      <AuthProvider>
+        <CartProvider>
+          <WishlistProvider>
+            <div className="App">
+              <NavigationBar />
+              <SessionExpiryWarning />
 
-          <main className="main-content">
-            <Routes>
-              <Route path="/" element={<ProductList />} />
-              <Route path="/login" element={<Login />} />
-              <Route path="/register" element={<Register />} />
-              <Route path="/cart" element={<Cart />} />
-              <Route path="/checkout" element={<Checkout />} />
-              <Route path="/payment-success" element={<PaymentSuccess />} />
-              <Route path="/orders" element={<Orders />} />
-              <Route path="/products/new" element={<ProductForm />} />
-              <Route path="/products/edit/:id" element={<ProductForm />} />
-              <Route path="/products/:id" element={<ProductDetail />} />
-            </Routes>
-          </main>
-        </div>
-      </Router>
-    </AuthProvider>
+              <main className="main-content">
+                <Routes>
+                  <Route path="/" element={<ProductList />} />
+                  <Route path="/category/:slug" element={<ProductList />} />
+                  <Route path="/login" element={<Login />} />
+                  <Route path="/register" element={<Register />} />
+                  <Route path="/cart" element={<Cart />} />
+                  <Route path="/wishlist" element={<RequireAuth><Wishlist /></RequireAuth>} />
+                  <Route path="/checkout" element={<RequireAuth><Checkout /></RequireAuth>} />
+                  <Route path="/payment-success" element={<RequireAuth><PaymentSuccess /></RequireAuth>} />
+                  <Route path="/orders" element={<RequireAuth><Orders /></RequireAuth>} />
+                  <Route path="/orders/:id" element={<RequireAuth><OrderPage /></RequireAuth>} />
+                  <Route path="/account/addresses" element={<RequireAuth><Addresses /></RequireAuth>} />
+                  <Route path="/products/:id" element={<ProductDetail />} />
+                  <Route path="/admin" element={<RequireRole role="admin"><AdminLayout /></RequireRole>}>
+                    <Route index element={<Navigate to="products" replace />} />
+                    <Route path="products" element={<AdminProducts />} />
+                    <Route path="products/new" element={<ProductForm />} />
+                    <Route path="products/edit/:id" element={<ProductForm />} />
+                    <Route path="categories" element={<AdminCategories />} />
+                    <Route path="coupons" element={<AdminCoupons />} />
+                    <Route path="orders" element={<AdminOrders />} />
+                    <Route path="orders/:id" element={<AdminOrderDetail />} />
+                    <Route path="users" element={<AdminUsers />} />
+                  </Route>
+                </Routes>
+              </main>
+            </div>
+          </WishlistProvider>
+        </CartProvider>
+      </AuthProvider>
+    </Router>
   );
 }
 
@@ -0,0 +1,33 @@
+import { request } from './client';
+
+/**
+ * Saved shipping addresses of the logged-in user. The default one comes first.
+ *
+ * @typedef {Object} Address
+ * @property {number} id
+ * @property {string} fullName
+ * @property {string} line1
+ * @property {?string} line2
+ * @property {string} city
+ * @property {?string} state
+ * @property {string} postalCode
+ * @property {string} country - two-letter country code
+ * @property {?string} phone
+ * @property {boolean} isDefault
+ *
+ * @typedef {Omit<Address, 'id'>} AddressInput
+ */
+
+export const addressesApi = {
+  list: (options = {}) =>
+    request({ method: 'get', url: '/api/addresses', ...options }),
+
+  create: (address, options = {}) =>
+    request({ method: 'post', url: '/api/addresses', data: address, ...options }),
+
+  update: (id, address, options = {}) =>
+    request({ method: 'put', url: `/api/addresses/${id}`, data: address, ...options }),
+
+  remove: (id, options = {}) =>
+    request({ method: 'delete', url: `/api/addresses/${id}`, ...options })
+};
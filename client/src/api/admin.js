@@ -0,0 +1,61 @@
+import { request } from './client';
+
+/**
+ * @typedef {Object} AdminUser
+ * @property {number} id
+ * @property {string} email
+ * @property {?string} fullName
+ * @property {string} role
+ * @property {number} orderCount
+ * @property {string} createdAt
+ *
+ * @typedef {Object} AdminOrderFields
+ * @property {string} userEmail
+ * @property {?string} userFullName
+ * @property {string[]} nextStatuses - statuses the order can be moved to from its current one
+ *
+ * @typedef {import('./orders').Order & AdminOrderFields} AdminOrder
+ *
+ * @typedef {Object} AdminOrderQuery
+ * @property {string} [status]
+ * @property {'cash'|'stripe'} [paymentMethod]
+ * @property {string} [from] - ISO timestamp; orders placed at or after it
+ * @property {string} [to] - ISO timestamp; orders placed at or before it
+ * @property {string} [search] - order number, or part of the customer's email or name
+ * @property {number} [page] - 1-based
+ * @property {number} [pageSize] - capped at 100 by the API
+ *
+ * @typedef {Object} BulkStatusResult
+ * @property {number[]} updated - ids of the orders that were moved
+ * @property {{ orderId: number, message: string }[]} failed - orders that couldn't be, and why
+ */
+
+export const adminApi = {
+  listUsers: (options = {}) =>
+    request({ method: 'get', url: '/api/admin/users', ...options }),
+
+  updateUserRole: (userId, role, options = {}) =>
+    request({ method: 'put', url: `/api/admin/users/${userId}/role`, data: { role }, ...options }),
+
+  /** @returns {Promise<import('./products').PagedResult<AdminOrder>>} */
+  listOrders: (query = {}, options = {}) =>
+    request({ method: 'get', url: '/api/admin/orders', params: query, ...options }),
+
+  getOrder: (id, options = {}) =>
+    request({ method: 'get', url: `/api/admin/orders/${id}`, ...options }),
+
+  // Each order is checked like a single status change; resolves even when some of them fail
+  /** @returns {Promise<BulkStatusResult>} */
+  bulkUpdateOrderStatus: ({ orderIds, status, note }, options = {}) =>
+    request({ method: 'post', url: '/api/admin/orders/bulk-status', data: { orderIds, status, note }, ...options }),
+
+  // Replaces the carrier, tracking number and estimated delivery date (YYYY-MM-DD); empty values
+  // clear them. Resolves to the updated order.
+  updateShipment: (id, { carrier, trackingNumber, estimatedDeliveryDate }, options = {}) =>
+    request({
+      method: 'put',
+      url: `/api/admin/orders/${id}/shipment`,
+      data: { carrier, trackingNumber, estimatedDeliveryDate },
+      ...options
+    })
+};
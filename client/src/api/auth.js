@@ -0,0 +1,27 @@
+import { request } from './client';
+
+/**
+ * @typedef {Object} AuthResponse
+ * @property {string} token
+ * @property {string} refreshToken
+ * @property {string} refreshTokenExpiresAt
+ * @property {number} userId
+ * @property {string} email
+ * @property {?string} fullName
+ */
+
+// Auth endpoints opt out of the session-refresh interceptor (skipAuthRefresh):
+// a 401 from them means bad credentials, not an expired access token.
+export const authApi = {
+  login: (email, password, options = {}) =>
+    request({ method: 'post', url: '/api/auth/login', data: { email, password }, skipAuthRefresh: true, ...options }),
+
+  register: (email, password, fullName, options = {}) =>
+    request({ method: 'post', url: '/api/auth/register', data: { email, password, fullName }, skipAuthRefresh: true, ...options }),
+
+  refresh: (refreshToken, options = {}) =>
+    request({ method: 'post', url: '/api/auth/refresh', data: { refreshToken }, skipAuthRefresh: true, ...options }),
+
+  logout: (refreshToken, options = {}) =>
+    request({ method: 'post', url: '/api/auth/logout', data: { refreshToken }, skipAuthRefresh: true, ...options })
+};
@@ -0,0 +1,90 @@
+import { request } from './client';
+
+/**
+ * @typedef {Object} CartItem
+ * @property {number} id
+ * @property {number} productId
+ * @property {string} productName
+ * @property {string} productDescription
+ * @property {?number} variantId
+ * @property {?string} variantName - e.g. "Size: M, Color: Red"
+ * @property {?string} sku
+ * @property {number} price
+ * @property {?string} imageUrl
+ * @property {number} quantity
+ * @property {number} stockQuantity - units currently available
+ * @property {number} subtotal
+ *
+ * @typedef {Object} TaxLine
+ * @property {string} name
+ * @property {number} rate - 0.0725 = 7.25%
+ * @property {number} amount
+ *
+ * @typedef {Object} Cart
+ * @property {number} id
+ * @property {number} userId
+ * @property {CartItem[]} items
+ * @property {number} totalAmount - sum of the items, before discount, shipping and tax
+ * @property {?string} [couponCode] - promo code applied to the cart
+ * @property {?string} [couponDescription]
+ * @property {?string} [couponError] - why the applied code doesn't currently apply
+ * @property {number} [discountAmount]
+ * @property {TaxLine[]} [taxLines] - estimate for the default address; absent on guest carts
+ * @property {number} [taxAmount]
+ * @property {boolean} [taxIncluded] - tax is part of the prices rather than added on top
+ * @property {string} [taxRegion]
+ *
+ * @typedef {Object} CartTotals
+ * @property {number} subtotal
+ * @property {?string} couponCode
+ * @property {?string} couponError
+ * @property {number} discountAmount
+ * @property {?string} shippingMethod
+ * @property {number} shippingCost
+ * @property {TaxLine[]} taxLines
+ * @property {number} taxAmount
+ * @property {boolean} taxIncluded
+ * @property {string} taxRegion
+ * @property {number} totalAmount - what checkout will charge
+ */
+
+export const cartApi = {
+  get: (options = {}) =>
+    request({ method: 'get', url: '/api/cart', ...options }),
+
+  // Priced exactly as the order would be; both arguments are optional
+  getTotals: ({ addressId, shippingMethod } = {}, options = {}) =>
+    request({ method: 'get', url: '/api/cart/totals', params: { addressId, shippingMethod }, ...options }),
+
+  /** variantId is required for products with variants */
+  addItem: (productId, quantity = 1, variantId = null, options = {}) =>
+    request({ method: 'post', url: '/api/cart/items', data: { productId, variantId, quantity }, ...options }),
+
+  updateItem: (itemId, quantity, options = {}) =>
+    request({ method: 'put', url: `/api/cart/items/${itemId}`, data: { quantity }, ...options }),
+
+  removeItem: (itemId, options = {}) =>
+    request({ method: 'delete', url: `/api/cart/items/${itemId}`, ...options }),
+
+  /** Moves the line to the wishlist, keeping its variant and quantity */
+  saveForLater: (itemId, options = {}) =>
+    request({ method: 'post', url: `/api/cart/items/${itemId}/save-for-later`, ...options }),
+
+  /** Adds a wishlist item's quantity to the cart and takes it off the wishlist */
+  moveFromWishlist: (wishlistItemId, options = {}) =>
+    request({ method: 'post', url: `/api/cart/items/from-wishlist/${wishlistItemId}`, ...options }),
+
+  /** Applies a promo code; rejects with a 400 explaining why when it can't be used */
+  applyCoupon: (code, options = {}) =>
+    request({ method: 'post', url: '/api/cart/coupon', data: { code }, ...options }),
+
+  removeCoupon: (options = {}) =>
+    request({ method: 'delete', url: '/api/cart/coupon', ...options }),
+
+  /** Folds guest cart lines ({ productId, variantId, quantity }) into the signed-in user's cart */
+  merge: (items, options = {}) =>
+    request({ method: 'post', url: '/api/cart/merge', data: { items }, ...options }),
+
+  clear: (options = {}) =>
+    request({ method: 'delete', url: '/api/cart/clear', ...options })
+};
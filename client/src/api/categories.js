@@ -0,0 +1,34 @@
+import { request } from './client';
+
+/**
+ * Categories come back as a flat list; `parentId` links them into a tree
+ * (see utils/categories.js).
+ *
+ * @typedef {Object} Category
+ * @property {number} id
+ * @property {string} name
+ * @property {string} slug
+ * @property {?string} description
+ * @property {?number} parentId
+ * @property {number} productCount - products assigned directly to this category
+ *
+ * @typedef {Object} CategoryInput
+ * @property {string} name
+ * @property {string} [slug] - generated from the name when omitted
+ * @property {?string} [description]
+ * @property {?number} [parentId]
+ */
+
+export const categoriesApi = {
+  list: (options = {}) =>
+    request({ method: 'get', url: '/api/categories', ...options }),
+
+  create: (category, options = {}) =>
+    request({ method: 'post', url: '/api/categories', data: category, ...options }),
+
+  update: (id, category, options = {}) =>
+    request({ method: 'put', url: `/api/categories/${id}`, data: category, ...options }),
+
+  remove: (id, options = {}) =>
+    request({ method: 'delete', url: `/api/categories/${id}`, ...options })
+};
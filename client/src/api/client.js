@@ -0,0 +1,86 @@
+import axios from 'axios';
+
+// Single source of truth for the backend location. Set REACT_APP_API_URL in .env to override.
+export const API_BASE_URL = process.env.REACT_APP_API_URL || 'https://localhost:7207';
+
+/**
+ * Error thrown by every API call. Wraps axios errors so components only ever
+ * deal with a message, an HTTP status (0 when the request never got a response)
+ * and the raw response body.
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, data = null, cancelled = false, config = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+    this.cancelled = cancelled;
+    // The originating request, so interceptors can retry it
+    this.config = config;
+  }
+}
+
+let authToken = null;
+
+/**
+ * Sets (or clears, when passed null) the JWT attached to every request.
+ * Called by AuthContext whenever the session changes.
+ */
+export const setAuthToken = (token) => {
+  authToken = token || null;
+};
+
+export const normalizeError = (error) => {
+  if (error instanceof ApiError) return error;
+
+  if (axios.isCancel(error)) {
+    return new ApiError('Request was cancelled', { cancelled: true });
+  }
+
+  if (error.response) {
+    const { status, data } = error.response;
+    const message = (data && (data.message || data.title)) || error.message || `Request failed with status ${status}`;
+    return new ApiError(message, { status, data, config: error.config });
+  }
+
+  if (error.code === 'ECONNABORTED') {
+    return new ApiError('The server took too long to respond', { config: error.config });
+  }
+
+  return new ApiError(error.message || 'Network error. Please check your connection.', { config: error.config });
+};
+
+export const isCancelledError = (error) => Boolean(error && error.cancelled);
+
+// Header for endpoints that accept an Idempotency-Key; nothing when no key is given
+export const idempotencyHeaders = (idempotencyKey) =>
+  idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : undefined;
+
+const apiClient = axios.create({
+  baseURL: API_BASE_URL,
+  headers: { 'Content-Type': 'application/json' }
+});
+
+apiClient.interceptors.request.use((config) => {
+  if (authToken && !config.headers.Authorization) {
+    config.headers.Authorization = `Bearer ${authToken}`;
+  }
+  return config;
+});
+
+apiClient.interceptors.response.use(
+  (response) => response,
+  (error) => Promise.reject(normalizeError(error))
+);
+
+/**
+ * Thin wrapper returning response bodies instead of axios responses.
+ * Every helper accepts axios request options, most usefully `signal`
+ * (from an AbortController) for cancelling requests on unmount.
+ */
+export const request = async (config) => {
+  const response = await apiClient.request(config);
+  return response.data;
+};
+
+export default apiClient;
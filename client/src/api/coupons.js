@@ -0,0 +1,36 @@
+import { request } from './client';
+
+/**
+ * Admin-only. Customers apply codes through cartApi.applyCoupon.
+ *
+ * @typedef {Object} Coupon
+ * @property {number} id
+ * @property {string} code - upper-case
+ * @property {?string} description
+ * @property {'percentage'|'fixed'} discountType
+ * @property {number} value - percent off (10 = 10%) or amount off
+ * @property {?number} minimumSubtotal
+ * @property {?string} startsAt
+ * @property {?string} expiresAt
+ * @property {?number} maxUses - across all customers; null = unlimited
+ * @property {?number} maxUsesPerUser
+ * @property {number} timesUsed
+ * @property {boolean} isActive
+ * @property {string} createdAt
+ *
+ * @typedef {Omit<Coupon, 'id' | 'timesUsed' | 'createdAt'>} CouponInput
+ */
+
+export const couponsApi = {
+  list: (options = {}) =>
+    request({ method: 'get', url: '/api/coupons', ...options }),
+
+  create: (coupon, options = {}) =>
+    request({ method: 'post', url: '/api/coupons', data: coupon, ...options }),
+
+  update: (id, coupon, options = {}) =>
+    request({ method: 'put', url: `/api/coupons/${id}`, data: coupon, ...options }),
+
+  remove: (id, options = {}) =>
+    request({ method: 'delete', url: `/api/coupons/${id}`, ...options })
+};
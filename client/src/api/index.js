@@ -0,0 +1,13 @@
+export { default as apiClient, API_BASE_URL, ApiError, setAuthToken, isCancelledError } from './client';
+export { authApi } from './auth';
+export { productsApi } from './products';
+export { categoriesApi } from './categories';
+export { cartApi } from './cart';
+export { ordersApi } from './orders';
+export { paymentApi } from './payment';
+export { adminApi } from './admin';
+export { addressesApi } from './addresses';
+export { shippingApi } from './shipping';
+export { couponsApi } from './coupons';
+export { reviewsApi } from './reviews';
+export { wishlistApi } from './wishlist';
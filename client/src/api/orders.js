@@ -0,0 +1,92 @@
+import { request, idempotencyHeaders } from './client';
+
+/**
+ * @typedef {Object} OrderItem
+ * @property {number} id
+ * @property {number} productId
+ * @property {string} productName
+ * @property {?string} variantName - e.g. "Size: M, Color: Red", copied when the order was placed
+ * @property {?string} sku
+ * @property {number} price
+ * @property {number} quantity
+ * @property {number} subtotal
+ *
+ * @typedef {Object} ShippingAddress
+ * @property {string} fullName
+ * @property {string} line1
+ * @property {?string} line2
+ * @property {string} city
+ * @property {?string} state
+ * @property {string} postalCode
+ * @property {string} country
+ * @property {?string} phone
+ *
+ * @typedef {Object} OrderStatusChange
+ * @property {?string} fromStatus - null on the entry written when the order was placed
+ * @property {string} toStatus
+ * @property {'customer'|'staff'|'system'} changedBy
+ * @property {?string} [changedByEmail] - who made the change; admin responses only
+ * @property {?string} note
+ * @property {string} changedAt
+ *
+ * @typedef {Object} Order
+ * @property {number} id
+ * @property {number} userId
+ * @property {number} subtotal - sum of the items
+ * @property {number} discountAmount - promo code discount taken off the subtotal
+ * @property {?string} couponCode
+ * @property {number} shippingCost
+ * @property {?string} shippingMethod - method code; null on orders placed before shipping methods existed
+ * @property {?string} shippingMethodName
+ * @property {import('./cart').TaxLine[]} taxLines
+ * @property {number} taxAmount
+ * @property {boolean} taxIncluded - tax is part of the item prices rather than added on top
+ * @property {number} totalAmount - items less the discount plus shipping, plus tax unless taxIncluded
+ * @property {string} status - pending, paid, shipped, delivered, cancelled or refunded
+ * @property {string} paymentMethod
+ * @property {?string} paymentIntentId
+ * @property {?string} cancelledAt
+ * @property {?string} refundStatus - Stripe refund state; only on cancelled card orders
+ * @property {?number} refundAmount
+ * @property {?string} carrier - carrier code, set by staff when the order ships
+ * @property {?string} carrierName
+ * @property {?string} trackingNumber
+ * @property {?string} trackingUrl - the carrier's tracking page for this shipment
+ * @property {?string} estimatedDeliveryDate - calendar day as YYYY-MM-DD
+ * @property {?ShippingAddress} shippingAddress - null on orders placed before addresses were recorded
+ * @property {string} createdAt
+ * @property {OrderItem[]} items
+ * @property {OrderStatusChange[]} statusHistory - oldest first
+ */
+
+export const ordersApi = {
+  list: (options = {}) =>
+    request({ method: 'get', url: '/api/orders', ...options }),
+
+  get: (id, options = {}) =>
+    request({ method: 'get', url: `/api/orders/${id}`, ...options }),
+
+  // Card orders are created by the Stripe webhook; 404 until it has been processed, and 409
+  // (with the reason as the message) if the order couldn't be placed and the payment was refunded
+  getByPaymentIntent: (paymentIntentId, options = {}) =>
+    request({ method: 'get', url: `/api/orders/by-payment-intent/${encodeURIComponent(paymentIntentId)}`, ...options }),
+
+  // Allowed until the order ships; card payments are refunded. Resolves to the updated order.
+  cancel: (id, options = {}) =>
+    request({ method: 'post', url: `/api/orders/${id}/cancel`, ...options }),
+
+  // Cash on delivery only. Repeating the call with the same idempotencyKey returns the same order.
+  create: ({ paymentMethod, addressId, shippingMethod }, { idempotencyKey, ...options } = {}) =>
+    request({
+      method: 'post',
+      url: '/api/orders',
+      data: { paymentMethod, addressId, shippingMethod },
+      headers: idempotencyHeaders(idempotencyKey),
+      ...options
+    }),
+
+  // Admin only. Rejected with a 400 unless the order's current status may move to `status`;
+  // resolves to the updated order
+  updateStatus: (id, { status, note }, options = {}) =>
+    request({ method: 'put', url: `/api/orders/${id}/status`, data: { status, note }, ...options })
+};
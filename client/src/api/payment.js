@@ -0,0 +1,24 @@
+import { request, idempotencyHeaders } from './client';
+
+/**
+ * @typedef {Object} PaymentIntent
+ * @property {string} clientSecret
+ * @property {string} paymentIntentId
+ * @property {number} amount - items plus shipping
+ * @property {number} shippingCost
+ * @property {number} taxAmount
+ * @property {string} currency
+ */
+
+export const paymentApi = {
+  // `addressId` is the saved address the order ships to, `shippingMethod` a quote code.
+  // Repeating the call with the same idempotencyKey returns the same payment intent.
+  createPaymentIntent: ({ addressId, shippingMethod }, { idempotencyKey, ...options } = {}) =>
+    request({
+      method: 'post',
+      url: '/api/payment/create-payment-intent',
+      data: { addressId, shippingMethod },
+      headers: idempotencyHeaders(idempotencyKey),
+      ...options
+    })
+};
@@ -0,0 +1,110 @@
+import { request } from './client';
+
+/**
+ * @typedef {Object} Product
+ * @property {number} id
+ * @property {string} name
+ * @property {string} description
+ * @property {number} price
+ * @property {?string} imageUrl - the primary image, same as images[0].url
+ * @property {ProductGalleryImage[]} images - display order, first is primary
+ * @property {ProductOption[]} options - up to 3, e.g. Size and Color
+ * @property {ProductVariant[]} variants - when there are any, one must be picked to buy the product
+ * @property {?number} categoryId
+ * @property {number} stockQuantity - the total of the variants' stock for products with variants
+ * @property {number} averageRating - 0 when there are no reviews
+ * @property {number} reviewCount
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+/**
+ * @typedef {Object} ProductOption
+ * @property {number} id
+ * @property {string} name
+ * @property {number} sortOrder - position 0 is option1 on the variants, 1 option2, 2 option3
+ */
+
+/**
+ * @typedef {Object} ProductVariant
+ * @property {number} id
+ * @property {?string} sku
+ * @property {?string} option1
+ * @property {?string} option2
+ * @property {?string} option3
+ * @property {?number} price - replaces the product price when set
+ * @property {number} stockQuantity
+ * @property {?string} imageUrl - one of the product's images
+ * @property {number} sortOrder
+ */
+
+/**
+ * @typedef {Object} ProductGalleryImage
+ * @property {number} id
+ * @property {string} url
+ * @property {number} sortOrder
+ */
+
+/**
+ * @typedef {Object} ProductImageUpload
+ * @property {string} imageUrl - API-relative path of the largest size, e.g. /uploads/products/{key}/1200.webp
+ * @property {{ width: number, url: string }[]} sizes - every stored width, smallest first
+ */
+
+/**
+ * @template T
+ * @typedef {Object} PagedResult
+ * @property {T[]} items
+ * @property {number} page
+ * @property {number} pageSize
+ * @property {number} totalCount
+ * @property {number} totalPages
+ */
+
+/**
+ * @typedef {Object} ProductQuery
+ * @property {string} [query] - matched against name and description
+ * @property {string} [category] - category slug; subcategories are included
+ * @property {number} [minPrice]
+ * @property {number} [maxPrice]
+ * @property {'newest'|'price_asc'|'price_desc'|'name_asc'|'name_desc'} [sort]
+ * @property {number} [page] - 1-based
+ * @property {number} [pageSize] - capped at 100 by the API
+ */
+
+export const productsApi = {
+  /** @returns {Promise<PagedResult<Product>>} */
+  list: (query = {}, options = {}) =>
+    request({ method: 'get', url: '/api/products', params: query, ...options }),
+
+  get: (id, options = {}) =>
+    request({ method: 'get', url: `/api/products/${id}`, ...options }),
+
+  create: (product, options = {}) =>
+    request({ method: 'post', url: '/api/products', data: product, ...options }),
+
+  update: (id, product, options = {}) =>
+    request({ method: 'put', url: `/api/products/${id}`, data: { ...product, id: Number(id) }, ...options }),
+
+  remove: (id, options = {}) =>
+    request({ method: 'delete', url: `/api/products/${id}`, ...options }),
+
+  /**
+   * Stores an image file at several widths. Add the returned imageUrl to the product's images;
+   * uploads that are never saved on a product are not cleaned up.
+   * @param {File} file - JPEG, PNG, WebP or GIF, up to 5 MB
+   * @returns {Promise<ProductImageUpload>}
+   */
+  uploadImage: (file, options = {}) => {
+    const data = new FormData();
+    data.append('file', file);
+    return request({
+      method: 'post',
+      url: '/api/products/images',
+      data,
+      // Replaces the client's JSON default; the browser fills in the multipart boundary
+      headers: { 'Content-Type': 'multipart/form-data' },
+      ...options
+    });
+  }
+};
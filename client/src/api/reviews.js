@@ -0,0 +1,57 @@
+import { request } from './client';
+
+/**
+ * Customer reviews of a product. Anyone can read them; only customers with a delivered
+ * order containing the product can write one, and only one per product.
+ *
+ * @typedef {Object} Review
+ * @property {number} id
+ * @property {number} productId
+ * @property {number} rating - 1 to 5 stars
+ * @property {string} title
+ * @property {string} body
+ * @property {string} authorName - first name and last initial
+ * @property {boolean} isOwn - written by the signed-in user
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ *
+ * @typedef {Object} ReviewEligibility
+ * @property {boolean} canReview - may write a new review
+ * @property {?string} reason - why not, when canReview is false and there is no review yet
+ * @property {?Review} review - the user's existing review
+ *
+ * @typedef {Object} ProductReviews - a page of reviews plus the product's rating summary
+ * @property {Review[]} items
+ * @property {number} page
+ * @property {number} pageSize
+ * @property {number} totalCount
+ * @property {number} totalPages
+ * @property {number} averageRating
+ * @property {number} reviewCount
+ *
+ * @typedef {{ rating: number, title: string, body: string }} ReviewInput
+ *
+ * @typedef {Object} ReviewQuery
+ * @property {'newest'|'highest'|'lowest'} [sort]
+ * @property {number} [page] - 1-based
+ * @property {number} [pageSize] - capped at 50 by the API
+ */
+
+export const reviewsApi = {
+  /** @returns {Promise<ProductReviews>} */
+  list: (productId, query = {}, options = {}) =>
+    request({ method: 'get', url: `/api/products/${productId}/reviews`, params: query, ...options }),
+
+  /** @returns {Promise<ReviewEligibility>} */
+  getMine: (productId, options = {}) =>
+    request({ method: 'get', url: `/api/products/${productId}/reviews/mine`, ...options }),
+
+  create: (productId, review, options = {}) =>
+    request({ method: 'post', url: `/api/products/${productId}/reviews`, data: review, ...options }),
+
+  update: (productId, reviewId, review, options = {}) =>
+    request({ method: 'put', url: `/api/products/${productId}/reviews/${reviewId}`, data: review, ...options }),
+
+  remove: (productId, reviewId, options = {}) =>
+    request({ method: 'delete', url: `/api/products/${productId}/reviews/${reviewId}`, ...options })
+};
@@ -0,0 +1,29 @@
+import { request } from './client';
+
+/**
+ * A shipping method priced for a particular cart. The first quote returned is
+ * the default method.
+ *
+ * @typedef {Object} ShippingQuote
+ * @property {string} code - e.g. 'standard', 'express', 'pickup'
+ * @property {string} name
+ * @property {?string} estimatedDelivery
+ * @property {number} cost
+ * @property {?number} freeOverSubtotal - subtotal at which this method becomes free
+ *
+ * @typedef {Object} ShippingCarrier
+ * @property {string} code - e.g. 'ups', 'usps'
+ * @property {string} name
+ */
+
+export const shippingApi = {
+  // `itemCount` is the total quantity in the cart. Public, so guests get estimates too;
+  // the order is priced again on the server when it's placed.
+  getQuotes: ({ subtotal, itemCount }, options = {}) =>
+    request({ method: 'get', url: '/api/shipping/quotes', params: { subtotal, itemCount }, ...options }),
+
+  // Admin only; the carriers a shipment can be entered for
+  /** @returns {Promise<ShippingCarrier[]>} */
+  listCarriers: (options = {}) =>
+    request({ method: 'get', url: '/api/shipping/carriers', ...options })
+};
@@ -0,0 +1,37 @@
+import { request } from './client';
+
+/**
+ * The signed-in user's wishlist. Every call resolves to the whole list, newest first.
+ * Moving items between the wishlist and the cart goes through cartApi
+ * (saveForLater and moveFromWishlist), which resolve to the cart instead.
+ *
+ * @typedef {Object} WishlistItem
+ * @property {number} id
+ * @property {number} productId
+ * @property {string} productName
+ * @property {?number} variantId
+ * @property {?string} variantName - e.g. "Size: M, Color: Red"
+ * @property {?string} sku
+ * @property {number} price - the lowest variant price when requiresOptions
+ * @property {?string} imageUrl
+ * @property {number} quantity - what "Move to cart" adds
+ * @property {number} stockQuantity
+ * @property {boolean} requiresOptions - a variant has to be chosen on the product page first
+ * @property {string} createdAt
+ */
+
+export const wishlistApi = {
+  get: (options = {}) =>
+    request({ method: 'get', url: '/api/wishlist', ...options }),
+
+  /** Saving something already on the wishlist is a no-op; variantId is optional */
+  addItem: (productId, variantId = null, options = {}) =>
+    request({ method: 'post', url: '/api/wishlist/items', data: { productId, variantId }, ...options }),
+
+  removeItem: (itemId, options = {}) =>
+    request({ method: 'delete', url: `/api/wishlist/items/${itemId}`, ...options }),
+
+  /** Removes every entry for the product, whichever variants were saved */
+  removeProduct: (productId, options = {}) =>
+    request({ method: 'delete', url: `/api/wishlist/products/${productId}`, ...options })
+};
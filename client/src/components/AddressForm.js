@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { EMPTY_ADDRESS, validateAddress, toAddressPayload } from '../utils/address';
+
+const FIELDS = [
+  { name: 'fullName', label: 'Full Name *', autoComplete: 'name' },
+  { name: 'line1', label: 'Address Line 1 *', autoComplete: 'address-line1', placeholder: 'Street address' },
+  { name: 'line2', label: 'Address Line 2', autoComplete: 'address-line2', placeholder: 'Apartment, suite, unit (optional)' },
+  { name: 'city', label: 'City *', autoComplete: 'address-level2' },
+  { name: 'state', label: 'State / Province', autoComplete: 'address-level1' },
+  { name: 'postalCode', label: 'Postal Code *', autoComplete: 'postal-code' },
+  { name: 'country', label: 'Country Code *', autoComplete: 'country', placeholder: 'e.g. US', maxLength: 2 },
+  { name: 'phone', label: 'Phone', autoComplete: 'tel', type: 'tel' }
+];
+
+/**
+ * Add/edit form for a shipping address. `onSubmit` receives the API payload and
+ * should throw (an ApiError) to have its message shown above the form.
+ */
+const AddressForm = ({ initialValues = EMPTY_ADDRESS, onSubmit, onCancel, submitLabel = 'Save Address' }) => {
+  const [values, setValues] = useState(initialValues);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setValues(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    if (fieldErrors[name]) {
+      setFieldErrors(prev => ({ ...prev, [name]: undefined }));
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const errors = validateAddress(values);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    setSaving(true);
+    setError('');
+    try {
+      await onSubmit(toAddressPayload(values));
+    } catch (err) {
+      setError(err.data?.message || err.message || 'Failed to save address');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="address-form" noValidate>
+      {error && <div className="error-message">🚨 {error}</div>}
+
+      {FIELDS.map(({ name, label, ...inputProps }) => (
+        <div key={name} className={`form-group address-field-${name}`}>
+          <label htmlFor={`address-${name}`}>{label}</label>
+          <input
+            id={`address-${name}`}
+            type="text"
+            name={name}
+            value={values[name]}
+            onChange={handleChange}
+            aria-invalid={!!fieldErrors[name]}
+            {...inputProps}
+          />
+          {fieldErrors[name] && <span className="field-error">{fieldErrors[name]}</span>}
+        </div>
+      ))}
+
+      <label className="address-default-toggle">
+        <input
+          type="checkbox"
+          name="isDefault"
+          checked={values.isDefault}
+          onChange={handleChange}
+        />
+        Use as my default shipping address
+      </label>
+
+      <div className="form-actions">
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          {saving ? '⏳ Saving...' : submitLabel}
+        </button>
+        {onCancel && (
+          <button type="button" className="btn btn-secondary" onClick={onCancel} disabled={saving}>
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default AddressForm;
@@ -0,0 +1,157 @@
+import React, { useState, useEffect } from 'react';
+import { addressesApi, isCancelledError } from '../api';
+import { EMPTY_ADDRESS, toAddressForm } from '../utils/address';
+import AddressForm from './AddressForm';
+import ShippingAddress from './ShippingAddress';
+import './Addresses.css';
+
+// Default first, like the API returns them
+const sortAddresses = (addresses) =>
+  [...addresses].sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+
+// Only one address can be the default; the API unsets the others
+const withDefault = (addresses, saved) =>
+  addresses.map(a => (a.id === saved.id ? saved : saved.isDefault ? { ...a, isDefault: false } : a));
+
+const Addresses = () => {
+  const [addresses, setAddresses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  // null: no form, 'new': adding, otherwise the id of the address being edited
+  const [editing, setEditing] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const fetchAddresses = async () => {
+      try {
+        setAddresses(await addressesApi.list({ signal: controller.signal }));
+      } catch (err) {
+        if (isCancelledError(err)) return;
+        console.error('Error fetching addresses:', err);
+        setError('Failed to load addresses');
+      }
+      setLoading(false);
+    };
+
+    fetchAddresses();
+    return () => controller.abort();
+  }, []);
+
+  const handleCreate = async (payload) => {
+    const created = await addressesApi.create(payload);
+    setAddresses(prev => sortAddresses([...withDefault(prev, created), created]));
+    setEditing(null);
+  };
+
+  const handleUpdate = async (payload) => {
+    const updated = await addressesApi.update(editing, payload);
+    setAddresses(prev => sortAddresses(withDefault(prev, updated)));
+    setEditing(null);
+  };
+
+  const handleSetDefault = async (address) => {
+    setError('');
+    try {
+      const updated = await addressesApi.update(address.id, { ...address, isDefault: true });
+      setAddresses(prev => sortAddresses(withDefault(prev, updated)));
+    } catch (err) {
+      setError(err.data?.message || 'Failed to update address');
+    }
+  };
+
+  const handleDelete = async (address) => {
+    if (!window.confirm(`Delete the address for ${address.fullName} at ${address.line1}?`)) return;
+
+    setError('');
+    try {
+      await addressesApi.remove(address.id);
+      // The API hands the default to another address; reload to pick that up
+      setAddresses(address.isDefault
+        ? await addressesApi.list()
+        : prev => prev.filter(a => a.id !== address.id));
+      if (editing === address.id) setEditing(null);
+    } catch (err) {
+      setError(err.data?.message || 'Failed to delete address');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="cinema-loader">
+          <div className="loader-ring"></div>
+        </div>
+        <p className="loading-text">📍 LOADING ADDRESSES...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="addresses-container">
+      <div className="addresses-header">
+        <h2>📍 MY ADDRESSES</h2>
+        {editing === null && (
+          <button type="button" className="btn btn-primary" onClick={() => setEditing('new')}>
+            ➕ Add Address
+          </button>
+        )}
+      </div>
+
+      {error && <div className="error-message">🚨 {error}</div>}
+
+      {editing === 'new' && (
+        <div className="address-card address-card-form">
+          <h3>New Address</h3>
+          <AddressForm
+            initialValues={{ ...EMPTY_ADDRESS, isDefault: addresses.length === 0 }}
+            onSubmit={handleCreate}
+            onCancel={() => setEditing(null)}
+          />
+        </div>
+      )}
+
+      {addresses.length === 0 && editing === null ? (
+        <div className="empty-addresses">
+          <p>You haven't saved any addresses yet.</p>
+          <p>Add one now or during checkout.</p>
+        </div>
+      ) : (
+        <div className="addresses-list">
+          {addresses.map(address => (
+            editing === address.id ? (
+              <div key={address.id} className="address-card address-card-form">
+                <h3>Edit Address</h3>
+                <AddressForm
+                  initialValues={toAddressForm(address)}
+                  onSubmit={handleUpdate}
+                  onCancel={() => setEditing(null)}
+                />
+              </div>
+            ) : (
+              <div key={address.id} className={`address-card ${address.isDefault ? 'address-card-default' : ''}`}>
+                {address.isDefault && <span className="default-badge">★ Default</span>}
+                <ShippingAddress address={address} />
+                <div className="address-card-actions">
+                  <button type="button" className="btn btn-secondary" onClick={() => setEditing(address.id)}>
+                    ✏️ Edit
+                  </button>
+                  {!address.isDefault && (
+                    <button type="button" className="btn btn-secondary" onClick={() => handleSetDefault(address)}>
+                      ★ Make Default
+                    </button>
+                  )}
+                  <button type="button" className="btn btn-danger" onClick={() => handleDelete(address)}>
+                    🗑️ Delete
+                  </button>
+                </div>
+              </div>
+            )
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Addresses;
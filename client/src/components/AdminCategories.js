@@ -0,0 +1,200 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { categoriesApi, isCancelledError } from '../api';
+import { flattenCategoryTree, getDescendantIds } from '../utils/categories';
+
+const EMPTY_FORM = { name: '', slug: '', description: '', parentId: '' };
+
+const AdminCategories = () => {
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetchCategories(controller.signal);
+    return () => controller.abort();
+  }, []);
+
+  const fetchCategories = async (signal) => {
+    try {
+      const data = await categoriesApi.list({ signal });
+      setCategories(data);
+      setLoading(false);
+    } catch (err) {
+      if (isCancelledError(err)) return;
+      setError('Failed to load categories');
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const startEditing = (category) => {
+    setEditingId(category.id);
+    setError('');
+    setFormData({
+      name: category.name,
+      slug: category.slug,
+      description: category.description || '',
+      parentId: category.parentId ? category.parentId.toString() : ''
+    });
+  };
+
+  const resetForm = () => {
+    setEditingId(null);
+    setFormData(EMPTY_FORM);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!formData.name.trim()) {
+      setError('Please enter a category name');
+      return;
+    }
+
+    const payload = {
+      name: formData.name.trim(),
+      slug: formData.slug.trim() || null,
+      description: formData.description.trim() || null,
+      parentId: formData.parentId ? Number(formData.parentId) : null
+    };
+
+    setSaving(true);
+    setError('');
+    try {
+      if (editingId) {
+        const updated = await categoriesApi.update(editingId, payload);
+        setCategories(prev => prev.map(c => (c.id === editingId ? updated : c)));
+      } else {
+        const created = await categoriesApi.create(payload);
+        setCategories(prev => [...prev, created].sort((a, b) => a.name.localeCompare(b.name)));
+      }
+      resetForm();
+    } catch (err) {
+      setError(err.data?.message || `Failed to ${editingId ? 'update' : 'create'} category`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (category) => {
+    if (!window.confirm(`Delete the category "${category.name}"? Its products will become uncategorized.`)) return;
+
+    setError('');
+    try {
+      await categoriesApi.remove(category.id);
+      setCategories(prev => prev.filter(c => c.id !== category.id));
+      if (editingId === category.id) resetForm();
+    } catch (err) {
+      setError(err.data?.message || 'Failed to delete category');
+    }
+  };
+
+  if (loading) return <div className="loading">Loading categories...</div>;
+
+  // A category can't become a child of itself or of one of its own subcategories
+  const blockedParentIds = editingId ? getDescendantIds(categories, editingId) : [];
+  const tree = flattenCategoryTree(categories);
+
+  return (
+    <div className="admin-section">
+      <div className="admin-section-header">
+        <h3>Categories ({categories.length})</h3>
+      </div>
+
+      {error && <div className="error-message">🚨 {error}</div>}
+
+      <form onSubmit={handleSubmit} className="admin-inline-form">
+        <input
+          type="text"
+          name="name"
+          value={formData.name}
+          onChange={handleChange}
+          placeholder="Name *"
+          className="admin-input"
+          aria-label="Category name"
+        />
+        <input
+          type="text"
+          name="slug"
+          value={formData.slug}
+          onChange={handleChange}
+          placeholder="Slug (auto)"
+          className="admin-input"
+          aria-label="Category slug"
+        />
+        <select
+          name="parentId"
+          value={formData.parentId}
+          onChange={handleChange}
+          className="admin-select"
+          aria-label="Parent category"
+        >
+          <option value="">— Top level —</option>
+          {tree.map(({ category, depth }) => (
+            <option key={category.id} value={category.id} disabled={blockedParentIds.includes(category.id)}>
+              {'\u00A0\u00A0'.repeat(depth)}{category.name}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          name="description"
+          value={formData.description}
+          onChange={handleChange}
+          placeholder="Description"
+          className="admin-input admin-input-wide"
+          aria-label="Category description"
+        />
+        <button type="submit" className="btn btn-primary btn-small" disabled={saving}>
+          {saving ? '⏳ Saving...' : (editingId ? '💾 Update' : '➕ Add')}
+        </button>
+        {editingId && (
+          <button type="button" onClick={resetForm} className="btn btn-secondary btn-small">
+            Cancel
+          </button>
+        )}
+      </form>
+
+      {tree.length === 0 ? (
+        <p className="admin-empty">No categories yet.</p>
+      ) : (
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Slug</th>
+              <th>Products</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {tree.map(({ category, depth }) => (
+              <tr key={category.id}>
+                <td style={{ paddingLeft: `${0.75 + depth * 1.5}rem` }}>
+                  {depth > 0 && <span className="admin-muted">└ </span>}
+                  <Link to={`/category/${category.slug}`} className="admin-link">{category.name}</Link>
+                </td>
+                <td className="admin-muted">{category.slug}</td>
+                <td>{category.productCount}</td>
+                <td className="admin-row-actions">
+                  <button onClick={() => startEditing(category)} className="btn btn-secondary btn-small">✏️ Edit</button>
+                  <button onClick={() => handleDelete(category)} className="btn btn-danger btn-small">🗑️ Delete</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default AdminCategories;
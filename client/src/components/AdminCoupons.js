@@ -0,0 +1,308 @@
+import React, { useState, useEffect } from 'react';
+import { couponsApi, isCancelledError } from '../api';
+import { fromDateInput, toDateInput } from '../utils/dates';
+
+const EMPTY_FORM = {
+  code: '',
+  description: '',
+  discountType: 'percentage',
+  value: '',
+  minimumSubtotal: '',
+  startsAt: '',
+  expiresAt: '',
+  maxUses: '',
+  maxUsesPerUser: '',
+  isActive: true
+};
+
+const toNumberOrNull = (value) => (value === '' ? null : Number(value));
+
+const formatDiscount = (coupon) =>
+  coupon.discountType === 'percentage' ? `${coupon.value}% off` : `$${coupon.value.toFixed(2)} off`;
+
+const getCouponStatus = (coupon) => {
+  const now = Date.now();
+  if (!coupon.isActive) return 'inactive';
+  if (coupon.expiresAt && new Date(coupon.expiresAt).getTime() <= now) return 'expired';
+  if (coupon.startsAt && new Date(coupon.startsAt).getTime() > now) return 'scheduled';
+  if (coupon.maxUses !== null && coupon.timesUsed >= coupon.maxUses) return 'used up';
+  return 'active';
+};
+
+const AdminCoupons = () => {
+  const [coupons, setCoupons] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetchCoupons(controller.signal);
+    return () => controller.abort();
+  }, []);
+
+  const fetchCoupons = async (signal) => {
+    try {
+      const data = await couponsApi.list({ signal });
+      setCoupons(data);
+      setLoading(false);
+    } catch (err) {
+      if (isCancelledError(err)) return;
+      setError('Failed to load coupons');
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const startEditing = (coupon) => {
+    setEditingId(coupon.id);
+    setError('');
+    setFormData({
+      code: coupon.code,
+      description: coupon.description || '',
+      discountType: coupon.discountType,
+      value: coupon.value.toString(),
+      minimumSubtotal: coupon.minimumSubtotal !== null ? coupon.minimumSubtotal.toString() : '',
+      startsAt: toDateInput(coupon.startsAt),
+      expiresAt: toDateInput(coupon.expiresAt),
+      maxUses: coupon.maxUses !== null ? coupon.maxUses.toString() : '',
+      maxUsesPerUser: coupon.maxUsesPerUser !== null ? coupon.maxUsesPerUser.toString() : '',
+      isActive: coupon.isActive
+    });
+  };
+
+  const resetForm = () => {
+    setEditingId(null);
+    setFormData(EMPTY_FORM);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!formData.code.trim() || formData.value === '') {
+      setError('Please enter a code and a discount value');
+      return;
+    }
+
+    const payload = {
+      code: formData.code.trim(),
+      description: formData.description.trim() || null,
+      discountType: formData.discountType,
+      value: Number(formData.value),
+      minimumSubtotal: toNumberOrNull(formData.minimumSubtotal),
+      startsAt: fromDateInput(formData.startsAt, false),
+      expiresAt: fromDateInput(formData.expiresAt, true),
+      maxUses: toNumberOrNull(formData.maxUses),
+      maxUsesPerUser: toNumberOrNull(formData.maxUsesPerUser),
+      isActive: formData.isActive
+    };
+
+    setSaving(true);
+    setError('');
+    try {
+      if (editingId) {
+        const updated = await couponsApi.update(editingId, payload);
+        setCoupons(prev => prev.map(c => (c.id === editingId ? updated : c)));
+      } else {
+        const created = await couponsApi.create(payload);
+        setCoupons(prev => [created, ...prev]);
+      }
+      resetForm();
+    } catch (err) {
+      setError(err.data?.message || `Failed to ${editingId ? 'update' : 'create'} coupon`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (coupon) => {
+    if (!window.confirm(`Delete the coupon "${coupon.code}"? Orders that used it keep their discount.`)) return;
+
+    setError('');
+    try {
+      await couponsApi.remove(coupon.id);
+      setCoupons(prev => prev.filter(c => c.id !== coupon.id));
+      if (editingId === coupon.id) resetForm();
+    } catch (err) {
+      setError(err.data?.message || 'Failed to delete coupon');
+    }
+  };
+
+  if (loading) return <div className="loading">Loading coupons...</div>;
+
+  return (
+    <div className="admin-section">
+      <div className="admin-section-header">
+        <h3>Coupons ({coupons.length})</h3>
+      </div>
+
+      {error && <div className="error-message">🚨 {error}</div>}
+
+      <form onSubmit={handleSubmit} className="admin-inline-form">
+        <input
+          type="text"
+          name="code"
+          value={formData.code}
+          onChange={handleChange}
+          placeholder="Code *"
+          className="admin-input"
+          aria-label="Coupon code"
+          maxLength={50}
+        />
+        <select
+          name="discountType"
+          value={formData.discountType}
+          onChange={handleChange}
+          className="admin-select"
+          aria-label="Discount type"
+        >
+          <option value="percentage">% off</option>
+          <option value="fixed">$ off</option>
+        </select>
+        <input
+          type="number"
+          name="value"
+          value={formData.value}
+          onChange={handleChange}
+          placeholder={formData.discountType === 'percentage' ? 'Percent *' : 'Amount *'}
+          className="admin-input"
+          aria-label="Discount value"
+          min="0"
+          max={formData.discountType === 'percentage' ? '100' : undefined}
+          step="0.01"
+        />
+        <input
+          type="number"
+          name="minimumSubtotal"
+          value={formData.minimumSubtotal}
+          onChange={handleChange}
+          placeholder="Min. subtotal"
+          className="admin-input"
+          aria-label="Minimum subtotal"
+          min="0"
+          step="0.01"
+        />
+        <input
+          type="date"
+          name="startsAt"
+          value={formData.startsAt}
+          onChange={handleChange}
+          className="admin-input"
+          aria-label="Starts on"
+          title="Starts on"
+        />
+        <input
+          type="date"
+          name="expiresAt"
+          value={formData.expiresAt}
+          onChange={handleChange}
+          className="admin-input"
+          aria-label="Expires after"
+          title="Expires after"
+        />
+        <input
+          type="number"
+          name="maxUses"
+          value={formData.maxUses}
+          onChange={handleChange}
+          placeholder="Max uses"
+          className="admin-input"
+          aria-label="Maximum uses"
+          min="1"
+          step="1"
+        />
+        <input
+          type="number"
+          name="maxUsesPerUser"
+          value={formData.maxUsesPerUser}
+          onChange={handleChange}
+          placeholder="Per customer"
+          className="admin-input"
+          aria-label="Maximum uses per customer"
+          min="1"
+          step="1"
+        />
+        <input
+          type="text"
+          name="description"
+          value={formData.description}
+          onChange={handleChange}
+          placeholder="Description shown in the cart"
+          className="admin-input admin-input-wide"
+          aria-label="Coupon description"
+          maxLength={200}
+        />
+        <label className="admin-checkbox">
+          <input type="checkbox" name="isActive" checked={formData.isActive} onChange={handleChange} />
+          Active
+        </label>
+        <button type="submit" className="btn btn-primary btn-small" disabled={saving}>
+          {saving ? '⏳ Saving...' : (editingId ? '💾 Update' : '➕ Add')}
+        </button>
+        {editingId && (
+          <button type="button" onClick={resetForm} className="btn btn-secondary btn-small">
+            Cancel
+          </button>
+        )}
+      </form>
+
+      {coupons.length === 0 ? (
+        <p className="admin-empty">No coupons yet.</p>
+      ) : (
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Code</th>
+              <th>Discount</th>
+              <th>Min. Subtotal</th>
+              <th>Valid</th>
+              <th>Used</th>
+              <th>Status</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {coupons.map(coupon => {
+              const status = getCouponStatus(coupon);
+              return (
+                <tr key={coupon.id}>
+                  <td>
+                    <strong>{coupon.code}</strong>
+                    {coupon.description && <div className="admin-muted">{coupon.description}</div>}
+                  </td>
+                  <td>{formatDiscount(coupon)}</td>
+                  <td>{coupon.minimumSubtotal !== null ? `$${coupon.minimumSubtotal.toFixed(2)}` : '—'}</td>
+                  <td className="admin-muted">
+                    {coupon.startsAt ? new Date(coupon.startsAt).toLocaleDateString() : 'Now'}
+                    {' – '}
+                    {coupon.expiresAt ? new Date(coupon.expiresAt).toLocaleDateString() : 'No expiry'}
+                  </td>
+                  <td>
+                    {coupon.timesUsed}{coupon.maxUses !== null ? ` / ${coupon.maxUses}` : ''}
+                    {coupon.maxUsesPerUser !== null && (
+                      <div className="admin-muted">{coupon.maxUsesPerUser} per customer</div>
+                    )}
+                  </td>
+                  <td>
+                    <span className={`admin-status admin-status-coupon-${status.replace(' ', '-')}`}>{status}</span>
+                  </td>
+                  <td className="admin-row-actions">
+                    <button onClick={() => startEditing(coupon)} className="btn btn-secondary btn-small">✏️ Edit</button>
+                    <button onClick={() => handleDelete(coupon)} className="btn btn-danger btn-small">🗑️ Delete</button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default AdminCoupons;
@@ -0,0 +1,26 @@
+import React from 'react';
+import { NavLink, Outlet } from 'react-router-dom';
+import './Admin.css';
+
+const AdminLayout = () => {
+  const tabClass = ({ isActive }) => `admin-tab${isActive ? ' active' : ''}`;
+
+  return (
+    <div className="admin-container">
+      <div className="admin-header">
+        <h2>🛠️ ADMIN AREA</h2>
+        <nav className="admin-tabs">
+          <NavLink to="/admin/products" className={tabClass}>📦 Products</NavLink>
+          <NavLink to="/admin/categories" className={tabClass}>🗂️ Categories</NavLink>
+          <NavLink to="/admin/coupons" className={tabClass}>🏷️ Coupons</NavLink>
+          <NavLink to="/admin/orders" className={tabClass}>🧾 Orders</NavLink>
+          <NavLink to="/admin/users" className={tabClass}>👥 Users</NavLink>
+        </nav>
+      </div>
+
+      <Outlet />
+    </div>
+  );
+};
+
+export default AdminLayout;
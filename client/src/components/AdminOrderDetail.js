@@ -0,0 +1,340 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useLocation, useParams } from 'react-router-dom';
+import { adminApi, ordersApi, shippingApi, isCancelledError } from '../api';
+import OrderTimeline from './OrderTimeline';
+import ShippingAddress from './ShippingAddress';
+import { formatShippingCost } from '../utils/shipping';
+import { getTaxLineLabel } from '../utils/tax';
+import { formatOrderDateTime, getOrderStatusConfig, getRefundStatusLabel } from '../utils/orders';
+
+// Entries without a staff email are worded from the store's point of view
+const ADMIN_CHANGED_BY_LABELS = {
+  customer: 'by the customer',
+  staff: 'by staff',
+  system: 'automatically'
+};
+
+const CONFIRM_STATUSES = ['cancelled', 'refunded'];
+
+const toShipmentForm = (order) => ({
+  carrier: order.carrier || '',
+  trackingNumber: order.trackingNumber || '',
+  estimatedDeliveryDate: order.estimatedDeliveryDate || ''
+});
+
+const AdminOrderDetail = () => {
+  const { id } = useParams();
+  const location = useLocation();
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [actionError, setActionError] = useState('');
+  const [newStatus, setNewStatus] = useState('');
+  const [statusNote, setStatusNote] = useState('');
+  const [updatingStatus, setUpdatingStatus] = useState(false);
+  const [carriers, setCarriers] = useState([]);
+  const [shipmentForm, setShipmentForm] = useState(toShipmentForm({}));
+  const [savingShipment, setSavingShipment] = useState(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const fetchOrder = async () => {
+      setLoading(true);
+      try {
+        const data = await adminApi.getOrder(id, { signal: controller.signal });
+        setOrder(data);
+        setShipmentForm(toShipmentForm(data));
+        setError('');
+        setLoading(false);
+      } catch (err) {
+        if (isCancelledError(err)) return;
+        setError(err.status === 404 ? 'Order not found' : 'Failed to load order');
+        setLoading(false);
+      }
+    };
+
+    fetchOrder();
+    return () => controller.abort();
+  }, [id]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    shippingApi.listCarriers({ signal: controller.signal })
+      .then(setCarriers)
+      .catch((err) => {
+        // A tracking number can still be saved without a carrier, just without a link
+        if (!isCancelledError(err)) console.error('Error fetching carriers:', err);
+      });
+    return () => controller.abort();
+  }, []);
+
+  const handleStatusSubmit = async (e) => {
+    e.preventDefault();
+    if (!newStatus) return;
+
+    const label = getOrderStatusConfig(newStatus).label.toLowerCase();
+    if (CONFIRM_STATUSES.includes(newStatus)
+      && !window.confirm(`Mark order #${order.id} as ${label}?${order.paymentMethod === 'stripe' ? ' The card payment will be refunded.' : ''}`)) {
+      return;
+    }
+
+    setUpdatingStatus(true);
+    setActionError('');
+    try {
+      await ordersApi.updateStatus(order.id, { status: newStatus, note: statusNote.trim() || null });
+      // Reload through the admin endpoint for the next statuses and staff names in the history
+      setOrder(await adminApi.getOrder(order.id));
+      setNewStatus('');
+      setStatusNote('');
+    } catch (err) {
+      setActionError(err.data?.message || 'Failed to update order status');
+    } finally {
+      setUpdatingStatus(false);
+    }
+  };
+
+  const handleShipmentChange = (e) => {
+    const { name, value } = e.target;
+    setShipmentForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleShipmentSubmit = async (e) => {
+    e.preventDefault();
+
+    setSavingShipment(true);
+    setActionError('');
+    try {
+      const updated = await adminApi.updateShipment(order.id, {
+        carrier: shipmentForm.carrier || null,
+        trackingNumber: shipmentForm.trackingNumber.trim() || null,
+        estimatedDeliveryDate: shipmentForm.estimatedDeliveryDate || null
+      });
+      setOrder(updated);
+      setShipmentForm(toShipmentForm(updated));
+    } catch (err) {
+      setActionError(err.data?.message || 'Failed to save shipment');
+    } finally {
+      setSavingShipment(false);
+    }
+  };
+
+  const backLink = `/admin/orders${location.state?.backTo || ''}`;
+
+  if (loading) return <div className="loading">Loading order...</div>;
+
+  if (error) {
+    return (
+      <div className="admin-section">
+        <div className="error-message">🚨 {error}</div>
+        <Link to={backLink} className="admin-link">⬅️ Back to orders</Link>
+      </div>
+    );
+  }
+
+  const statusConfig = getOrderStatusConfig(order.status);
+  const savedShipment = toShipmentForm(order);
+  const shipmentChanged = shipmentForm.carrier !== savedShipment.carrier
+    || shipmentForm.trackingNumber.trim() !== savedShipment.trackingNumber
+    || shipmentForm.estimatedDeliveryDate !== savedShipment.estimatedDeliveryDate;
+  // Cancelled orders can only have leftover shipment details cleared
+  const shipmentLocked = order.status === 'cancelled'
+    && !savedShipment.carrier && !savedShipment.trackingNumber && !savedShipment.estimatedDeliveryDate;
+
+  return (
+    <div className="admin-section admin-order-detail">
+      <div className="admin-section-header">
+        <h3>
+          Order #{order.id}{' '}
+          <span className={`admin-status admin-status-${order.status}`}>{statusConfig.icon} {order.status}</span>
+        </h3>
+        <Link to={backLink} className="admin-link">⬅️ Back to orders</Link>
+      </div>
+
+      {actionError && <div className="error-message">🚨 {actionError}</div>}
+
+      <div className="admin-detail-grid">
+        <div className="admin-card">
+          <h4>👤 Customer</h4>
+          <p>{order.userFullName || '—'}</p>
+          <p className="admin-muted">{order.userEmail}</p>
+          <p className="admin-muted">Placed {formatOrderDateTime(order.createdAt)}</p>
+          <p className="admin-muted">
+            {order.paymentMethod === 'cash' ? '💵 Cash on delivery' : '💳 Card'}
+            {order.paymentIntentId && <small> · {order.paymentIntentId}</small>}
+          </p>
+        </div>
+
+        <div className="admin-card">
+          <h4>📍 Shipping</h4>
+          {order.shippingAddress ? (
+            <ShippingAddress address={order.shippingAddress} />
+          ) : (
+            <p className="admin-muted">No address recorded</p>
+          )}
+          {order.shippingMethodName && <p className="admin-muted">{order.shippingMethodName}</p>}
+        </div>
+      </div>
+
+      <div className="admin-detail-grid">
+        <form onSubmit={handleStatusSubmit} className="admin-card admin-card-form">
+          <h4>🔄 Status</h4>
+          {order.nextStatuses.length === 0 ? (
+            <p className="admin-muted">This order is {order.status}; its status can no longer change.</p>
+          ) : (
+            <>
+              <select
+                value={newStatus}
+                onChange={(e) => setNewStatus(e.target.value)}
+                className="admin-select"
+                aria-label="New status"
+                disabled={updatingStatus}
+              >
+                <option value="">Move to...</option>
+                {order.nextStatuses.map(option => (
+                  <option key={option} value={option}>{getOrderStatusConfig(option).label}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                value={statusNote}
+                onChange={(e) => setStatusNote(e.target.value)}
+                placeholder="Note for the order history (optional)"
+                className="admin-input"
+                aria-label="Note"
+                maxLength={500}
+                disabled={updatingStatus}
+              />
+              <button type="submit" className="btn btn-primary btn-small" disabled={updatingStatus || !newStatus}>
+                {updatingStatus ? '⏳ Updating...' : 'Update status'}
+              </button>
+            </>
+          )}
+        </form>
+
+        <form onSubmit={handleShipmentSubmit} className="admin-card admin-card-form">
+          <h4>🚚 Shipment</h4>
+          {shipmentLocked ? (
+            <p className="admin-muted">Cancelled orders are not shipped.</p>
+          ) : (
+            <>
+              <select
+                name="carrier"
+                value={shipmentForm.carrier}
+                onChange={handleShipmentChange}
+                className="admin-select"
+                aria-label="Carrier"
+                disabled={savingShipment}
+              >
+                <option value="">No carrier</option>
+                {carriers.map(carrier => (
+                  <option key={carrier.code} value={carrier.code}>{carrier.name}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                name="trackingNumber"
+                value={shipmentForm.trackingNumber}
+                onChange={handleShipmentChange}
+                placeholder="Tracking number"
+                className="admin-input"
+                aria-label="Tracking number"
+                maxLength={100}
+                disabled={savingShipment}
+              />
+              <input
+                type="date"
+                name="estimatedDeliveryDate"
+                value={shipmentForm.estimatedDeliveryDate}
+                onChange={handleShipmentChange}
+                className="admin-input"
+                aria-label="Estimated delivery date"
+                title="Estimated delivery date"
+                disabled={savingShipment}
+              />
+              {order.trackingUrl && (
+                <a href={order.trackingUrl} target="_blank" rel="noopener noreferrer" className="admin-link">
+                  📍 Open tracking page
+                </a>
+              )}
+              <button type="submit" className="btn btn-primary btn-small" disabled={savingShipment || !shipmentChanged}>
+                {savingShipment ? '⏳ Saving...' : '💾 Save'}
+              </button>
+            </>
+          )}
+        </form>
+      </div>
+
+      <h4 className="admin-subheading">🛒 Items</h4>
+      <table className="admin-table">
+        <thead>
+          <tr>
+            <th>Product</th>
+            <th>Price</th>
+            <th>Qty</th>
+            <th>Subtotal</th>
+          </tr>
+        </thead>
+        <tbody>
+          {order.items.map(item => (
+            <tr key={item.id}>
+              <td>
+                <Link to={`/admin/products/edit/${item.productId}`} className="admin-link">{item.productName}</Link>
+                {item.variantName && (
+                  <div className="admin-muted">
+                    <small>{item.variantName}{item.sku && ` · SKU ${item.sku}`}</small>
+                  </div>
+                )}
+              </td>
+              <td>${item.price.toFixed(2)}</td>
+              <td>{item.quantity}</td>
+              <td>${item.subtotal.toFixed(2)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="admin-summary">
+        <div className="admin-summary-row">
+          <span>Subtotal</span>
+          <span>${order.subtotal.toFixed(2)}</span>
+        </div>
+        {order.discountAmount > 0 && (
+          <div className="admin-summary-row">
+            <span>Discount{order.couponCode ? ` (${order.couponCode})` : ''}</span>
+            <span>-${order.discountAmount.toFixed(2)}</span>
+          </div>
+        )}
+        <div className="admin-summary-row">
+          <span>Shipping{order.shippingMethodName ? ` (${order.shippingMethodName})` : ''}</span>
+          <span>{formatShippingCost(order.shippingCost)}</span>
+        </div>
+        {order.taxLines.map(line => (
+          <div key={line.name} className="admin-summary-row">
+            <span>{getTaxLineLabel(line, order.taxIncluded)}</span>
+            <span>${line.amount.toFixed(2)}</span>
+          </div>
+        ))}
+        <div className="admin-summary-row admin-summary-total">
+          <span>Total</span>
+          <span>${order.totalAmount.toFixed(2)}</span>
+        </div>
+        {order.refundStatus && (
+          <div className="admin-summary-row">
+            <span>{getRefundStatusLabel(order.refundStatus)}</span>
+            <span>${(order.refundAmount || 0).toFixed(2)}</span>
+          </div>
+        )}
+      </div>
+
+      <h4 className="admin-subheading">🕒 History</h4>
+      {order.statusHistory.length === 0 ? (
+        <p className="admin-muted">No status changes recorded.</p>
+      ) : (
+        <OrderTimeline history={order.statusHistory} changedByLabels={ADMIN_CHANGED_BY_LABELS} />
+      )}
+    </div>
+  );
+};
+
+export default AdminOrderDetail;
@@ -0,0 +1,341 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useLocation, useSearchParams } from 'react-router-dom';
+import { adminApi, isCancelledError } from '../api';
+import Pagination from './Pagination';
+import { ORDER_STATUSES, getOrderStatusConfig, getRefundStatusLabel } from '../utils/orders';
+import { fromDateInput } from '../utils/dates';
+
+const PAGE_SIZE = 25;
+const SEARCH_DEBOUNCE_MS = 400;
+
+// Statuses that move money or stock back, so a bulk change to them is confirmed first
+const CONFIRM_STATUSES = ['cancelled', 'refunded'];
+
+const AdminOrders = () => {
+  const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [orders, setOrders] = useState([]);
+  const [totalCount, setTotalCount] = useState(0);
+  const [totalPages, setTotalPages] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulkStatus, setBulkStatus] = useState('');
+  const [bulkNote, setBulkNote] = useState('');
+  const [applying, setApplying] = useState(false);
+  const [bulkResult, setBulkResult] = useState(null);
+  // Bumped to refetch the current page after a bulk change
+  const [reloadKey, setReloadKey] = useState(0);
+
+  // Filters live in the URL so the drill-down's back link returns to the same view
+  const status = searchParams.get('status') || '';
+  const paymentMethod = searchParams.get('payment') || '';
+  const from = searchParams.get('from') || '';
+  const to = searchParams.get('to') || '';
+  const search = searchParams.get('q') || '';
+  const page = Math.max(parseInt(searchParams.get('page'), 10) || 1, 1);
+
+  const [searchInput, setSearchInput] = useState(search);
+
+  useEffect(() => {
+    setSearchInput(search);
+  }, [search]);
+
+  const updateParams = useCallback((changes, { resetPage = true, replace = false } = {}) => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      Object.entries(changes).forEach(([key, value]) => {
+        if (value === '' || value === null || value === undefined) {
+          next.delete(key);
+        } else {
+          next.set(key, value);
+        }
+      });
+      if (resetPage) next.delete('page');
+      return next;
+    }, { replace });
+  }, [setSearchParams]);
+
+  useEffect(() => {
+    if (searchInput === search) return;
+
+    const timer = setTimeout(() => {
+      updateParams({ q: searchInput }, { replace: true });
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchInput, search, updateParams]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const fetchOrders = async () => {
+      setLoading(true);
+      try {
+        const data = await adminApi.listOrders({
+          status: status || undefined,
+          paymentMethod: paymentMethod || undefined,
+          from: fromDateInput(from, false) || undefined,
+          to: fromDateInput(to, true) || undefined,
+          search: search.trim() || undefined,
+          page,
+          pageSize: PAGE_SIZE
+        }, { signal: controller.signal });
+        setOrders(data.items);
+        setTotalCount(data.totalCount);
+        setTotalPages(data.totalPages);
+        setError('');
+        setLoading(false);
+      } catch (err) {
+        if (isCancelledError(err)) return;
+        setError(err.data?.message || 'Failed to load orders');
+        setLoading(false);
+      }
+    };
+
+    fetchOrders();
+    return () => controller.abort();
+  }, [status, paymentMethod, from, to, search, page, reloadKey]);
+
+  // A selection only makes sense for the rows on screen
+  useEffect(() => {
+    setSelectedIds([]);
+  }, [status, paymentMethod, from, to, search, page]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    updateParams({ [name]: value });
+  };
+
+  const clearFilters = () => {
+    setSearchInput('');
+    setSearchParams({});
+  };
+
+  const hasFilters = Boolean(status || paymentMethod || from || to || search);
+
+  const toggleSelected = (orderId) => {
+    setSelectedIds(prev => (prev.includes(orderId) ? prev.filter(id => id !== orderId) : [...prev, orderId]));
+  };
+
+  const allSelected = orders.length > 0 && orders.every(order => selectedIds.includes(order.id));
+
+  const toggleAll = () => {
+    setSelectedIds(allSelected ? [] : orders.map(order => order.id));
+  };
+
+  // Offer every status at least one of the selected orders can move to; the rest are reported back
+  const selectedOrders = orders.filter(order => selectedIds.includes(order.id));
+  const bulkOptions = ORDER_STATUSES.filter(option =>
+    selectedOrders.some(order => order.nextStatuses.includes(option)));
+  // Drop a choice that no longer applies once the selection changes
+  const targetStatus = bulkOptions.includes(bulkStatus) ? bulkStatus : '';
+
+  const handleBulkApply = async (e) => {
+    e.preventDefault();
+    if (!targetStatus || selectedIds.length === 0) return;
+
+    const label = getOrderStatusConfig(targetStatus).label.toLowerCase();
+    if (CONFIRM_STATUSES.includes(targetStatus)
+      && !window.confirm(`Mark ${selectedIds.length} order(s) as ${label}? Card payments will be refunded.`)) {
+      return;
+    }
+
+    setApplying(true);
+    setError('');
+    setBulkResult(null);
+    try {
+      const result = await adminApi.bulkUpdateOrderStatus({
+        orderIds: selectedIds,
+        status: targetStatus,
+        note: bulkNote.trim() || null
+      });
+      setBulkResult({ ...result, label });
+      setSelectedIds([]);
+      setBulkStatus('');
+      setBulkNote('');
+      setReloadKey(key => key + 1);
+    } catch (err) {
+      setError(err.data?.message || 'Failed to update orders');
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  return (
+    <div className="admin-section">
+      <div className="admin-section-header">
+        <h3>Orders ({totalCount})</h3>
+      </div>
+
+      <div className="admin-inline-form admin-filters">
+        <input
+          type="search"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+          placeholder="Order # or customer email"
+          className="admin-input admin-input-wide"
+          aria-label="Search orders"
+        />
+        <select name="status" value={status} onChange={handleFilterChange} className="admin-select" aria-label="Status">
+          <option value="">All statuses</option>
+          {ORDER_STATUSES.map(option => (
+            <option key={option} value={option}>{getOrderStatusConfig(option).label}</option>
+          ))}
+        </select>
+        <select name="payment" value={paymentMethod} onChange={handleFilterChange} className="admin-select" aria-label="Payment method">
+          <option value="">All payments</option>
+          <option value="cash">💵 Cash</option>
+          <option value="stripe">💳 Card</option>
+        </select>
+        <input
+          type="date"
+          name="from"
+          value={from}
+          max={to || undefined}
+          onChange={handleFilterChange}
+          className="admin-input"
+          aria-label="Placed from"
+          title="Placed from"
+        />
+        <input
+          type="date"
+          name="to"
+          value={to}
+          min={from || undefined}
+          onChange={handleFilterChange}
+          className="admin-input"
+          aria-label="Placed until"
+          title="Placed until"
+        />
+        {hasFilters && (
+          <button type="button" onClick={clearFilters} className="btn btn-secondary btn-small">
+            ✖ Clear
+          </button>
+        )}
+      </div>
+
+      {error && <div className="error-message">🚨 {error}</div>}
+
+      {bulkResult && (
+        <div className="admin-notice">
+          {bulkResult.updated.length > 0 && (
+            <p>✅ {bulkResult.updated.length} order(s) marked {bulkResult.label}.</p>
+          )}
+          {bulkResult.failed.length > 0 && (
+            <ul className="admin-notice-errors">
+              {bulkResult.failed.map(failure => (
+                <li key={failure.orderId}>#{failure.orderId}: {failure.message}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {selectedIds.length > 0 && (
+        <form onSubmit={handleBulkApply} className="admin-inline-form admin-bulk-bar">
+          <span className="admin-bulk-count">{selectedIds.length} selected</span>
+          <select
+            value={targetStatus}
+            onChange={(e) => setBulkStatus(e.target.value)}
+            className="admin-select"
+            aria-label="New status"
+            disabled={applying || bulkOptions.length === 0}
+          >
+            <option value="">{bulkOptions.length === 0 ? 'No status changes possible' : 'Change status to...'}</option>
+            {bulkOptions.map(option => (
+              <option key={option} value={option}>{getOrderStatusConfig(option).label}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={bulkNote}
+            onChange={(e) => setBulkNote(e.target.value)}
+            placeholder="Note for the order history (optional)"
+            className="admin-input admin-input-wide"
+            aria-label="Note"
+            maxLength={500}
+            disabled={applying}
+          />
+          <button type="submit" className="btn btn-primary btn-small" disabled={applying || !targetStatus}>
+            {applying ? '⏳ Applying...' : 'Apply'}
+          </button>
+          <button type="button" onClick={() => setSelectedIds([])} className="btn btn-secondary btn-small" disabled={applying}>
+            Deselect
+          </button>
+        </form>
+      )}
+
+      {loading && orders.length === 0 ? (
+        <div className="loading">Loading orders...</div>
+      ) : orders.length === 0 ? (
+        <p className="admin-empty">{hasFilters ? 'No orders match these filters.' : 'No orders have been placed yet.'}</p>
+      ) : (
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th className="admin-select-cell">
+                <input type="checkbox" checked={allSelected} onChange={toggleAll} aria-label="Select all orders on this page" />
+              </th>
+              <th>Order</th>
+              <th>Customer</th>
+              <th>Date</th>
+              <th>Items</th>
+              <th>Total</th>
+              <th>Payment</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {orders.map(order => (
+              <tr key={order.id} className={selectedIds.includes(order.id) ? 'admin-row-selected' : undefined}>
+                <td className="admin-select-cell">
+                  <input
+                    type="checkbox"
+                    checked={selectedIds.includes(order.id)}
+                    onChange={() => toggleSelected(order.id)}
+                    aria-label={`Select order #${order.id}`}
+                  />
+                </td>
+                <td>
+                  <Link to={`/admin/orders/${order.id}`} state={{ backTo: location.search }} className="admin-link">
+                    #{order.id}
+                  </Link>
+                </td>
+                <td>
+                  <div>{order.userFullName || '—'}</div>
+                  <small className="admin-muted">{order.userEmail}</small>
+                </td>
+                <td>{new Date(order.createdAt).toLocaleDateString()}</td>
+                <td>{order.items.reduce((sum, item) => sum + item.quantity, 0)}</td>
+                <td>${order.totalAmount.toFixed(2)}</td>
+                <td>{order.paymentMethod === 'cash' ? '💵 Cash' : '💳 Card'}</td>
+                <td>
+                  <span className={`admin-status admin-status-${order.status}`}>{order.status}</span>
+                  {order.trackingNumber && (
+                    <div className="admin-muted">
+                      <small>🚚 {order.carrierName ? `${order.carrierName} · ` : ''}{order.trackingNumber}</small>
+                    </div>
+                  )}
+                  {order.refundStatus && (
+                    <div className="admin-muted">
+                      <small>{getRefundStatusLabel(order.refundStatus)} · ${(order.refundAmount || 0).toFixed(2)}</small>
+                    </div>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <Pagination
+        page={page}
+        totalPages={totalPages}
+        onPageChange={(nextPage) => updateParams({ page: nextPage > 1 ? nextPage : '' }, { resetPage: false })}
+        disabled={loading}
+      />
+    </div>
+  );
+};
+
+export default AdminOrders;
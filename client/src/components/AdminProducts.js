@@ -0,0 +1,146 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { productsApi, isCancelledError } from '../api';
+import Pagination from './Pagination';
+import StockBadge from './StockBadge';
+
+const PAGE_SIZE = 25;
+
+const AdminProducts = () => {
+  const [products, setProducts] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [totalCount, setTotalCount] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [productToDelete, setProductToDelete] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const fetchProducts = async () => {
+      setLoading(true);
+      try {
+        const data = await productsApi.list({ page, pageSize: PAGE_SIZE }, { signal: controller.signal });
+        setProducts(data.items);
+        setTotalPages(data.totalPages);
+        setTotalCount(data.totalCount);
+        setLoading(false);
+      } catch (err) {
+        if (isCancelledError(err)) return;
+        setError('Failed to fetch products');
+        setLoading(false);
+      }
+    };
+
+    fetchProducts();
+    return () => controller.abort();
+  }, [page]);
+
+  const handleDeleteConfirm = async () => {
+    if (!productToDelete) return;
+
+    setDeleting(true);
+    try {
+      await productsApi.remove(productToDelete.id);
+      setProducts(products.filter(product => product.id !== productToDelete.id));
+      setTotalCount(count => count - 1);
+      setProductToDelete(null);
+    } catch (err) {
+      setError(err.data?.message || 'Failed to delete product');
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  if (loading) return <div className="loading">Loading products...</div>;
+
+  return (
+    <div className="admin-section">
+      {productToDelete && (
+        <div className="modal-overlay" onClick={() => setProductToDelete(null)}>
+          <div className="delete-modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Delete Confirmation</h3>
+            </div>
+            <div className="modal-body">
+              <p className="modal-message">
+                Are you sure you want to delete the product <span className="product-name">"{productToDelete.name}"</span>?
+              </p>
+            </div>
+            <div className="modal-actions">
+              <button
+                onClick={() => setProductToDelete(null)}
+                className="btn btn-secondary modal-btn"
+                disabled={deleting}
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleDeleteConfirm}
+                className="btn btn-danger modal-btn"
+                disabled={deleting}
+              >
+                {deleting ? 'Deleting...' : 'Delete'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="admin-section-header">
+        <h3>Catalog ({totalCount})</h3>
+        <Link to="/admin/products/new" className="btn btn-primary">➕ Add Product</Link>
+      </div>
+
+      {error && <div className="error-message">🚨 {error}</div>}
+
+      {products.length === 0 ? (
+        <p className="admin-empty">No products yet.</p>
+      ) : (
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th>Name</th>
+              <th>Price</th>
+              <th>Stock</th>
+              <th>Updated</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {products.map(product => (
+              <tr key={product.id}>
+                <td>#{product.id}</td>
+                <td>
+                  <Link to={`/products/${product.id}`} className="admin-link">{product.name}</Link>
+                </td>
+                <td>${parseFloat(product.price).toFixed(2)}</td>
+                <td>
+                  {product.stockQuantity} <StockBadge stockQuantity={product.stockQuantity} />
+                </td>
+                <td>{new Date(product.updatedAt).toLocaleDateString()}</td>
+                <td className="admin-row-actions">
+                  <Link to={`/admin/products/edit/${product.id}`} className="btn btn-secondary btn-small">✏️ Edit</Link>
+                  <button
+                    onClick={() => setProductToDelete(product)}
+                    className="btn btn-danger btn-small"
+                    disabled={deleting && productToDelete?.id === product.id}
+                  >
+                    🗑️ Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <Pagination page={page} totalPages={totalPages} onPageChange={setPage} />
+    </div>
+  );
+};
+
+export default AdminProducts;
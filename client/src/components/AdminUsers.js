@@ -0,0 +1,92 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { adminApi, isCancelledError } from '../api';
+
+const AdminUsers = () => {
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [updating, setUpdating] = useState({});
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetchUsers(controller.signal);
+    return () => controller.abort();
+  }, []);
+
+  const fetchUsers = async (signal) => {
+    try {
+      const data = await adminApi.listUsers({ signal });
+      setUsers(data);
+      setLoading(false);
+    } catch (err) {
+      if (isCancelledError(err)) return;
+      setError('Failed to load users');
+      setLoading(false);
+    }
+  };
+
+  const changeRole = async (userId, role) => {
+    setUpdating(prev => ({ ...prev, [userId]: true }));
+    setError('');
+    try {
+      await adminApi.updateUserRole(userId, role);
+      setUsers(prev => prev.map(u => (u.id === userId ? { ...u, role } : u)));
+    } catch (err) {
+      setError(err.data?.message || 'Failed to update role');
+    } finally {
+      setUpdating(prev => ({ ...prev, [userId]: false }));
+    }
+  };
+
+  if (loading) return <div className="loading">Loading users...</div>;
+
+  return (
+    <div className="admin-section">
+      <div className="admin-section-header">
+        <h3>Users ({users.length})</h3>
+      </div>
+
+      {error && <div className="error-message">🚨 {error}</div>}
+
+      <table className="admin-table">
+        <thead>
+          <tr>
+            <th>ID</th>
+            <th>Name</th>
+            <th>Email</th>
+            <th>Orders</th>
+            <th>Joined</th>
+            <th>Role</th>
+          </tr>
+        </thead>
+        <tbody>
+          {users.map(u => (
+            <tr key={u.id}>
+              <td>#{u.id}</td>
+              <td>{u.fullName || '—'}</td>
+              <td>{u.email}</td>
+              <td>{u.orderCount}</td>
+              <td>{new Date(u.createdAt).toLocaleDateString()}</td>
+              <td>
+                <select
+                  className="admin-select"
+                  value={u.role}
+                  onChange={(e) => changeRole(u.id, e.target.value)}
+                  disabled={updating[u.id] || u.id === currentUser?.userId}
+                  aria-label={`Role for ${u.email}`}
+                >
+                  <option value="customer">Customer</option>
+                  <option value="admin">Admin</option>
+                </select>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default AdminUsers;
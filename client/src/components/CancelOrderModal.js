@@ -0,0 +1,36 @@
+import React from 'react';
+
+// Confirmation before a customer cancels one of their orders
+const CancelOrderModal = ({ order, cancelling, onConfirm, onClose }) => (
+  <div className="modal-overlay" onClick={() => !cancelling && onClose()}>
+    <div className="delete-modal" onClick={(e) => e.stopPropagation()}>
+      <div className="modal-header">
+        <h3>Cancel Order</h3>
+      </div>
+      <div className="modal-body">
+        <p className="modal-message">
+          Are you sure you want to cancel <span className="product-name">order #{order.id}</span>?
+          {order.paymentMethod === 'stripe' && ' The full amount will be refunded to your card.'}
+        </p>
+      </div>
+      <div className="modal-actions">
+        <button
+          onClick={onClose}
+          className="btn btn-secondary modal-btn"
+          disabled={cancelling}
+        >
+          Keep Order
+        </button>
+        <button
+          onClick={onConfirm}
+          className="btn btn-danger modal-btn"
+          disabled={cancelling}
+        >
+          {cancelling ? 'Cancelling...' : 'Cancel Order'}
+        </button>
+      </div>
+    </div>
+  </div>
+);
+
+export default CancelOrderModal;
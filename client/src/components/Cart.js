@@ -1,70 +1,138 @@
 import React, { useState, useEffect } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
-import axios from 'axios';
+import { Link } from 'react-router-dom';
+import { shippingApi, isCancelledError } from '../api';
 import { useAuth } from '../contexts/AuthContext';
+import { useCart } from '../contexts/CartContext';
+import { useWishlist } from '../contexts/WishlistContext';
+import { formatShippingCost, getAmountToFreeShipping } from '../utils/shipping';
+import { getTaxLineLabel, getTaxSurcharge } from '../utils/tax';
 import './Cart.css';
 
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'https://localhost:7207';
-
 const Cart = () => {
   const { isAuthenticated } = useAuth();
-  const navigate = useNavigate();
-  const [cart, setCart] = useState(null);
-  const [loading, setLoading] = useState(true);
+  const {
+    cart,
+    itemCount,
+    loading,
+    error,
+    updateItem,
+    removeItem: removeCartItem,
+    applyCoupon,
+    removeCoupon
+  } = useCart();
+  const { items: wishlistItems, saveForLater } = useWishlist();
   const [updating, setUpdating] = useState({});
-  const [error, setError] = useState('');
+  // Failures of individual cart actions are shown above the items instead of replacing the cart
+  const [actionError, setActionError] = useState('');
   const [showRemoveModal, setShowRemoveModal] = useState(false);
   const [itemToRemove, setItemToRemove] = useState(null);
+  // Estimate for the default shipping method; the actual method is chosen at checkout
+  const [shippingQuote, setShippingQuote] = useState(null);
+  const [promoCode, setPromoCode] = useState('');
+  const [couponPending, setCouponPending] = useState(false);
+  const [couponFeedback, setCouponFeedback] = useState(null);
+
+  const subtotal = cart.totalAmount;
+  const discount = cart.discountAmount || 0;
+  // Free-shipping thresholds look at what the customer pays for the items
+  const discountedSubtotal = subtotal - discount;
+  // Set while a change to the items is on its way to the server, so discount and tax are stale
+  const totalsPending = Boolean(cart.totalsPending);
 
   useEffect(() => {
-    if (!isAuthenticated) {
-      navigate('/login');
-      return;
-    }
-    fetchCart();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [isAuthenticated]);
+    if (itemCount === 0 || totalsPending) return;
+    const controller = new AbortController();
 
-  const fetchCart = async () => {
-    try {
-      const res = await axios.get(`${API_BASE_URL}/api/cart`);
-      setCart(res.data);
-    } catch (err) {
-      console.error('Failed to load cart', err);
-      setError('Failed to load cart');
-    } finally {
-      setLoading(false);
-    }
-  };
+    const fetchShippingQuote = async () => {
+      try {
+        const quotes = await shippingApi.getQuotes(
+          { subtotal: discountedSubtotal, itemCount },
+          { signal: controller.signal }
+        );
+        setShippingQuote(quotes.length > 0 ? quotes[0] : null);
+      } catch (err) {
+        if (isCancelledError(err)) return;
+        // Without an estimate the summary falls back to "calculated at checkout"
+        console.warn('Failed to load shipping estimate', err);
+        setShippingQuote(null);
+      }
+    };
+
+    fetchShippingQuote();
+    return () => controller.abort();
+  }, [discountedSubtotal, itemCount, totalsPending]);
 
   const updateQuantity = async (itemId, quantity) => {
     if (quantity < 1) return;
     setUpdating(prev => ({ ...prev, [itemId]: true }));
+    setActionError('');
     try {
-      await axios.put(`${API_BASE_URL}/api/cart/items/${itemId}`, { quantity });
-      await fetchCart();
+      await updateItem(itemId, quantity);
     } catch (err) {
       console.error('Failed to update quantity', err);
-      setError('Failed to update item');
+      setActionError(err.data?.message || 'Failed to update item');
     } finally {
       setUpdating(prev => ({ ...prev, [itemId]: false }));
     }
   };
 
-  const removeItem = async (itemId) => {
+  const removeItem = async () => {
     if (!itemToRemove) return;
-    
-    setUpdating(prev => ({ ...prev, [itemToRemove.id]: true }));
+
+    // The line disappears right away; CartContext puts it back if the request fails
+    const { id, productName } = itemToRemove;
+    setShowRemoveModal(false);
+    setItemToRemove(null);
+    setActionError('');
     try {
-      await axios.delete(`${API_BASE_URL}/api/cart/items/${itemToRemove.id}`);
-      await fetchCart();
-      setShowRemoveModal(false);
-      setItemToRemove(null);
+      await removeCartItem(id);
     } catch (err) {
       console.error('Failed to remove item', err);
-      setError('Failed to remove item');
+      setActionError(err.data?.message || `Failed to remove ${productName}`);
+    }
+  };
+
+  // Moves the line to the wishlist; like removing, it disappears right away
+  const saveItemForLater = async (item) => {
+    setUpdating(prev => ({ ...prev, [item.id]: true }));
+    setActionError('');
+    try {
+      await saveForLater(item.id);
+    } catch (err) {
+      console.error('Failed to save item for later', err);
+      setActionError(err.data?.message || `Failed to save ${item.productName} for later`);
     } finally {
-      setUpdating(prev => ({ ...prev, [itemToRemove.id]: false }));
+      setUpdating(prev => ({ ...prev, [item.id]: false }));
+    }
+  };
+
+  const handleApplyCoupon = async (e) => {
+    e.preventDefault();
+    const code = promoCode.trim();
+    if (!code) return;
+    setCouponPending(true);
+    setCouponFeedback(null);
+    try {
+      const updated = await applyCoupon(code);
+      setPromoCode('');
+      setCouponFeedback({ type: 'success', message: `Promo code ${updated.couponCode} applied` });
+    } catch (err) {
+      setCouponFeedback({ type: 'error', message: err.data?.message || err.message || 'Failed to apply promo code' });
+    } finally {
+      setCouponPending(false);
+    }
+  };
+
+  const handleRemoveCoupon = async () => {
+    setCouponPending(true);
+    setCouponFeedback(null);
+    try {
+      await removeCoupon();
+    } catch (err) {
+      console.error('Failed to remove promo code', err);
+      setCouponFeedback({ type: 'error', message: err.data?.message || 'Failed to remove promo code' });
+    } finally {
+      setCouponPending(false);
     }
   };
 
@@ -78,12 +146,26 @@ const Cart = () => {
     setItemToRemove(null);
   };
 
+  const canIncrease = (item) => item.quantity < item.stockQuantity;
+  const hasStockProblems = cart.items.some(item => item.quantity > item.stockQuantity);
+  const amountToFreeShipping = getAmountToFreeShipping(shippingQuote, discountedSubtotal);
+  // Guest carts live in the browser and carry no tax estimate
+  const hasTaxEstimate = Array.isArray(cart.taxLines);
+  const estimatedTotal = discountedSubtotal + (shippingQuote ? shippingQuote.cost : 0) + (hasTaxEstimate ? getTaxSurcharge(cart) : 0);
+
   if (loading) return <div className="loading">Loading cart...</div>;
   if (error) return <div className="error">{error}</div>;
-  if (!cart || !cart.items || cart.items.length === 0) {
+  const savedForLater = wishlistItems.length > 0 && (
+    <p className="cart-saved-link">
+      ♥ {wishlistItems.length} item{wishlistItems.length !== 1 ? 's' : ''} on your wishlist · <Link to="/wishlist">View wishlist</Link>
+    </p>
+  );
+
+  if (cart.items.length === 0) {
     return (
       <div className="empty-cart">
         <h3>Your cart is empty</h3>
+        {savedForLater}
         <Link to="/" className="btn btn-primary">Continue Shopping</Link>
       </div>
     );
@@ -126,8 +208,11 @@ const Cart = () => {
       <div className="cart-header">
         <h2>🛒 Your Cart</h2>
         <p className="cart-subtitle">{cart.items.length} item{cart.items.length !== 1 ? 's' : ''}</p>
+        {savedForLater}
       </div>
 
+      {actionError && <div className="error-message">🚨 {actionError}</div>}
+
       <div className="cart-content">
         <div className="cart-items-section">
           {cart.items.map(item => (
@@ -137,6 +222,18 @@ const Cart = () => {
                   <h3 className="item-name">{item.productName}</h3>
                   <div className="item-price-main">${item.price.toFixed(2)}</div>
                 </div>
+                {item.variantName && (
+                  <p className="item-variant">
+                    {item.variantName}{item.sku && ` · SKU ${item.sku}`}
+                  </p>
+                )}
+                {item.quantity > item.stockQuantity && (
+                  <p className="item-stock-warning">
+                    {item.stockQuantity === 0
+                      ? '⚠️ This item is now out of stock. Please remove it to continue.'
+                      : `⚠️ Only ${item.stockQuantity} left in stock. Please reduce the quantity.`}
+                  </p>
+                )}
               </div>
 
               <div className="item-actions-section">
@@ -155,11 +252,12 @@ const Cart = () => {
                     tabIndex={0}
                     role="spinbutton"
                     aria-valuemin={1}
+                    aria-valuemax={Math.max(item.stockQuantity, item.quantity)}
                     aria-valuenow={item.quantity}
                     onKeyDown={(e) => {
                       if (e.key === 'ArrowUp') {
                         e.preventDefault();
-                        updateQuantity(item.id, item.quantity + 1);
+                        if (canIncrease(item)) updateQuantity(item.id, item.quantity + 1);
                       } else if (e.key === 'ArrowDown') {
                         e.preventDefault();
                         updateQuantity(item.id, Math.max(1, item.quantity - 1));
@@ -173,12 +271,19 @@ const Cart = () => {
                     aria-label={`Increase quantity for ${item.productName}`}
                     className="quantity-btn"
                     onClick={() => updateQuantity(item.id, item.quantity + 1)}
-                    disabled={updating[item.id]}
+                    disabled={updating[item.id] || !canIncrease(item)}
+                    title={canIncrease(item) ? undefined : 'No more stock available'}
                   >
                     +
                   </button>
                 </div>
 
+                {/* The wishlist is kept on the server, so guests can only remove */}
+                {isAuthenticated && (
+                  <button onClick={() => saveItemForLater(item)} disabled={updating[item.id]} className="btn btn-secondary btn-small">
+                    ♡ Save for Later
+                  </button>
+                )}
                 <button onClick={() => handleRemoveClick(item)} disabled={updating[item.id]} className="btn btn-danger btn-small">Remove</button>
               </div>
             </div>
@@ -190,15 +295,120 @@ const Cart = () => {
             <h3>Order Summary</h3>
             <div className="summary-row">
               <span className="summary-label">Subtotal</span>
-              <span className="summary-value">${cart.items.reduce((sum, item) => sum + item.subtotal, 0).toFixed(2)}</span>
+              <span className="summary-value">${subtotal.toFixed(2)}</span>
+            </div>
+            {discount > 0 && (
+              <div className="summary-row discount-row">
+                <span className="summary-label">Discount ({cart.couponCode})</span>
+                <span className="summary-value">{totalsPending ? 'Updating...' : `-$${discount.toFixed(2)}`}</span>
+              </div>
+            )}
+            <div className="summary-row">
+              <span className="summary-label">{shippingQuote ? shippingQuote.name : 'Shipping'}</span>
+              <span className="summary-value">
+                {shippingQuote ? formatShippingCost(shippingQuote.cost) : 'Calculated at checkout'}
+              </span>
+            </div>
+            {amountToFreeShipping !== null && (
+              <p className="free-shipping-hint">
+                🚚 Add ${amountToFreeShipping.toFixed(2)} more for free shipping
+              </p>
+            )}
+            {!hasTaxEstimate ? (
+              <div className="summary-row">
+                <span className="summary-label">Tax</span>
+                <span className="summary-value">Calculated at checkout</span>
+              </div>
+            ) : totalsPending ? (
+              <div className="summary-row">
+                <span className="summary-label">Tax</span>
+                <span className="summary-value">Updating...</span>
+              </div>
+            ) : cart.taxLines.length === 0 ? (
+              <div className="summary-row">
+                <span className="summary-label">Tax</span>
+                <span className="summary-value">$0.00</span>
+              </div>
+            ) : (
+              cart.taxLines.map((line) => (
+                <div key={line.name} className="summary-row">
+                  <span className="summary-label">{getTaxLineLabel(line, cart.taxIncluded)}</span>
+                  <span className="summary-value">${line.amount.toFixed(2)}</span>
+                </div>
+              ))
+            )}
+            <div className="promo-code-section">
+              {cart.couponCode ? (
+                <div className="promo-code-applied">
+                  <div>
+                    <span className="promo-code-chip">🏷️ {cart.couponCode}</span>
+                    {cart.couponDescription && (
+                      <span className="promo-code-description">{cart.couponDescription}</span>
+                    )}
+                  </div>
+                  <button
+                    type="button"
+                    className="btn btn-secondary btn-small"
+                    onClick={handleRemoveCoupon}
+                    disabled={couponPending}
+                  >
+                    Remove
+                  </button>
+                </div>
+              ) : (
+                <form className="promo-code-form" onSubmit={handleApplyCoupon}>
+                  <input
+                    type="text"
+                    value={promoCode}
+                    onChange={(e) => setPromoCode(e.target.value)}
+                    placeholder="Promo code"
+                    aria-label="Promo code"
+                    maxLength={50}
+                    disabled={couponPending}
+                  />
+                  <button
+                    type="submit"
+                    className="btn btn-secondary btn-small"
+                    disabled={couponPending || !promoCode.trim()}
+                  >
+                    {couponPending ? 'Applying...' : 'Apply'}
+                  </button>
+                </form>
+              )}
+              {/* The code stays applied while it doesn't apply, e.g. until the minimum spend is reached */}
+              {cart.couponError && <p className="promo-code-message error">⚠️ {cart.couponError}</p>}
+              {couponFeedback && (
+                <p className={`promo-code-message ${couponFeedback.type}`}>
+                  {couponFeedback.type === 'success' ? '✅' : '🚨'} {couponFeedback.message}
+                </p>
+              )}
             </div>
             <div className="summary-divider"></div>
             <div className="summary-row total-row">
-              <span className="total-label">Total</span>
-              <span className="total-value">${cart.totalAmount.toFixed(2)}</span>
+              <span className="total-label">Estimated Total</span>
+              <span className="total-value">{totalsPending ? 'Updating...' : `$${estimatedTotal.toFixed(2)}`}</span>
             </div>
+            <p className="shipping-estimate-note">
+              {hasTaxEstimate && cart.taxRegion ? `Tax estimated for ${cart.taxRegion}. ` : ''}
+              Other shipping options are available at checkout
+            </p>
             <div className="summary-actions">
-              <Link to="/checkout" className="btn btn-primary btn-full">🎬 Proceed to Checkout</Link>
+              {hasStockProblems ? (
+                <button className="btn btn-primary btn-full" disabled>
+                  ⚠️ Update cart to checkout
+                </button>
+              ) : isAuthenticated ? (
+                <Link to="/checkout" className="btn btn-primary btn-full">🎬 Proceed to Checkout</Link>
+              ) : (
+                // Login brings the user back to checkout and merges this cart into their account
+                <Link
+                  to="/login"
+                  state={{ from: { pathname: '/checkout' } }}
+                  className="btn btn-primary btn-full"
+                >
+                  🔑 Login to Checkout
+                </Link>
+              )}
               <Link to="/" className="btn btn-secondary btn-full">Continue Shopping</Link>
             </div>
           </div>
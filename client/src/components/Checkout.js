@@ -1,13 +1,22 @@
-﻿import React, { useState, useEffect, useRef } from 'react';
+﻿import React, { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { loadStripe } from '@stripe/stripe-js';
 import { Elements, PaymentElement, useStripe, useElements } from '@stripe/react-stripe-js';
-import axios from 'axios';
 import { useAuth } from '../contexts/AuthContext';
+import { cartApi, ordersApi, paymentApi, addressesApi, shippingApi, isCancelledError } from '../api';
+import {
+  IDEMPOTENCY_SCOPES,
+  getIdempotencyKey,
+  getCartFingerprint,
+  clearIdempotencyKeys
+} from '../utils/idempotency';
+import { EMPTY_ADDRESS } from '../utils/address';
+import { formatShippingCost } from '../utils/shipping';
+import { getTaxLineLabel, getTaxSurcharge } from '../utils/tax';
+import AddressForm from './AddressForm';
+import ShippingAddress from './ShippingAddress';
 import './Checkout.css';
 
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5001';
-
 // Require a publishable key via environment variable for production safety.
 // During local development, use a .env file with REACT_APP_STRIPE_PUBLIC_KEY set.
 const stripePubKey = process.env.REACT_APP_STRIPE_PUBLIC_KEY;
@@ -16,7 +25,7 @@ if (!stripePubKey) {
 }
 const stripePromise = loadStripe(stripePubKey);
 
-function PaymentForm({ cart, paymentIntentId }) {
+function PaymentForm({ total, paymentIntentId }) {
   const stripe = useStripe();
   const elements = useElements();
   const [processing, setProcessing] = useState(false);
@@ -30,13 +39,6 @@ function PaymentForm({ cart, paymentIntentId }) {
     setError('');
 
     try {
-      const token = localStorage.getItem('token');
-      if (!token) {
-        setError('Authentication required. Please login again.');
-        setProcessing(false);
-        return;
-      }
-
       console.log('Starting Stripe payment process...');
       console.log('Payment Intent ID:', paymentIntentId);
 
@@ -56,7 +58,7 @@ function PaymentForm({ cart, paymentIntentId }) {
       }
     } catch (err) {
       console.error('Payment error:', err);
-      setError(err.response?.data?.message || 'Payment failed');
+      setError(err.data?.message || 'Payment failed');
       setProcessing(false);
     }
   };
@@ -68,7 +70,7 @@ function PaymentForm({ cart, paymentIntentId }) {
       <div className='payment-summary-form'>
         <div className='summary-row'>
           <span>Total:</span>
-          <span className='total-amount'>${cart.totalAmount.toFixed(2)}</span>
+          <span className='total-amount'>${total.toFixed(2)}</span>
         </div>
       </div>
       <button type='submit' className='btn btn-primary btn-block' disabled={!stripe || processing}>
@@ -81,7 +83,7 @@ function PaymentForm({ cart, paymentIntentId }) {
 
 const Checkout = () => {
   const navigate = useNavigate();
-  const { isAuthenticated, user } = useAuth();
+  const { user } = useAuth();
   const [cart, setCart] = useState(null);
   const [clientSecret, setClientSecret] = useState('');
   const [paymentIntentId, setPaymentIntentId] = useState('');
@@ -89,65 +91,89 @@ const Checkout = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [processing, setProcessing] = useState(false);
-  const isCreatingPaymentIntent = useRef(false); // Prevent duplicate payment intent creation
+  const [addresses, setAddresses] = useState([]);
+  const [selectedAddressId, setSelectedAddressId] = useState(null);
+  const [shippingQuotes, setShippingQuotes] = useState([]);
+  const [shippingMethod, setShippingMethod] = useState(null);
+  // Server-priced totals (discount, shipping and tax) for the selected address and method
+  const [totals, setTotals] = useState(null);
+  // Step 1 picks (or adds) the shipping address and the shipping method; payment only opens once they're confirmed
+  const [shippingConfirmed, setShippingConfirmed] = useState(false);
+  const [addingAddress, setAddingAddress] = useState(false);
 
   useEffect(() => {
-    if (!isAuthenticated) {
-      navigate('/login');
-      return;
-    }
-    fetchCart();
-  }, [isAuthenticated, navigate]);
+    const controller = new AbortController();
 
-  const fetchCart = async () => {
-    try {
-      const token = localStorage.getItem('token');
-      if (!token) {
-        navigate('/login');
-        return;
-      }
+    const fetchCart = async () => {
+      try {
+        const [cartData, addressData] = await Promise.all([
+          cartApi.get({ signal: controller.signal }),
+          addressesApi.list({ signal: controller.signal })
+        ]);
 
-      const response = await axios.get(`${API_BASE_URL}/api/cart`, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
-      
-      if (!response.data.items || response.data.items.length === 0) {
-        navigate('/cart');
-        return;
-      }
-      setCart(response.data);
-      
-      // Only create payment intent for Stripe payments on initial load
-      if (paymentMethod === 'stripe' && !clientSecret && !isCreatingPaymentIntent.current) {
-        console.log('fetchCart: Creating payment intent...');
-        isCreatingPaymentIntent.current = true; // Mark as creating
-        try {
-          const paymentResponse = await axios.post(`${API_BASE_URL}/api/payment/create-payment-intent`, {}, {
-            headers: { Authorization: `Bearer ${token}` }
-          });
-          console.log('fetchCart: Payment intent response:', paymentResponse.data);
-          setClientSecret(paymentResponse.data.clientSecret);
-          setPaymentIntentId(paymentResponse.data.paymentIntentId);
-          console.log('fetchCart: Payment intent created:', paymentResponse.data.paymentIntentId);
-        } catch (paymentErr) {
-          console.error('fetchCart: Error creating payment intent:', paymentErr);
-          console.error('fetchCart: Error response:', paymentErr.response?.data);
-          setError(`Failed to initialize payment: ${paymentErr.response?.data?.message || paymentErr.message}`);
-        } finally {
-          isCreatingPaymentIntent.current = false; // Reset flag
+        if (!cartData.items || cartData.items.length === 0) {
+          navigate('/cart');
+          return;
         }
+        const quotes = await shippingApi.getQuotes({
+          subtotal: cartData.totalAmount - (cartData.discountAmount || 0),
+          itemCount: cartData.items.reduce((sum, item) => sum + item.quantity, 0)
+        }, { signal: controller.signal });
+
+        setCart(cartData);
+        setShippingQuotes(quotes);
+        setShippingMethod(quotes.length > 0 ? quotes[0].code : null);
+        setAddresses(addressData);
+        // The default address comes first
+        setSelectedAddressId(addressData.length > 0 ? addressData[0].id : null);
+        setAddingAddress(addressData.length === 0);
+        setLoading(false);
+      } catch (err) {
+        if (isCancelledError(err)) return;
+        console.error('Error:', err);
+        // AuthContext already redirects to /login on 401
+        if (err.status === 401) return;
+        setError(err.data?.message || 'Failed to load checkout');
+        setLoading(false);
       }
-      
-      setLoading(false);
-    } catch (err) {
-      console.error('Error:', err);
-      if (err.response?.status === 401) {
-        navigate('/login');
-        return;
-      }
-      setError(err.response?.data?.message || 'Failed to load checkout');
-      setLoading(false);
-    }
+    };
+
+    fetchCart();
+    return () => controller.abort();
+  }, [navigate]);
+
+  const selectedAddress = addresses.find(a => a.id === selectedAddressId) || null;
+  const selectedQuote = shippingQuotes.find(q => q.code === shippingMethod) || null;
+  // Falls back to the cart's own estimate until the totals for the current selection arrive
+  const discount = totals ? totals.discountAmount : cart?.discountAmount || 0;
+  const couponError = totals ? totals.couponError : cart?.couponError;
+  const total = totals
+    ? totals.totalAmount
+    : cart ? cart.totalAmount - discount + (selectedQuote ? selectedQuote.cost : 0) + getTaxSurcharge(cart) : 0;
+  const taxLines = totals ? totals.taxLines : cart?.taxLines || [];
+  const taxIncluded = totals ? totals.taxIncluded : Boolean(cart?.taxIncluded);
+
+  // A checkout attempt is this cart shipped this way to this address; changing any of them starts a new one
+  const attemptFingerprint = cart
+    ? `${getCartFingerprint(cart)}|address:${selectedAddressId}|shipping:${shippingMethod}`
+    : '';
+
+  const handleAddAddress = async (payload) => {
+    const created = await addressesApi.create(payload);
+    setAddresses(prev => [
+      ...prev.map(a => (created.isDefault ? { ...a, isDefault: false } : a)),
+      created
+    ]);
+    setSelectedAddressId(created.id);
+    setAddingAddress(false);
+  };
+
+  const handleChangeShipping = () => {
+    // The payment intent carries the old address and amount; a new one is created after confirming again
+    setShippingConfirmed(false);
+    setClientSecret('');
+    setPaymentIntentId('');
+    setError('');
   };
 
   const handleCashOnDelivery = async () => {
@@ -155,60 +181,71 @@ const Checkout = () => {
     setError('');
     
     try {
-      const token = localStorage.getItem('token');
-      const orderResponse = await axios.post(`${API_BASE_URL}/api/orders`, {
-        paymentMethod: 'cash'
-      }, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
-      
-      const order = orderResponse.data;
+      const idempotencyKey = getIdempotencyKey(IDEMPOTENCY_SCOPES.ORDER, attemptFingerprint);
+      const order = await ordersApi.create(
+        { paymentMethod: 'cash', addressId: selectedAddressId, shippingMethod },
+        { idempotencyKey }
+      );
+      clearIdempotencyKeys();
       navigate(`/payment-success?order_id=${order.id}&payment_method=cash`);
     } catch (err) {
       console.error('Error creating order:', err);
-      setError(err.response?.data?.message || 'Failed to create order');
+      setError(err.data?.message || 'Failed to create order');
       setProcessing(false);
     }
   };
 
+  // Tax depends on where the order ships, so re-price whenever the address or method changes
   useEffect(() => {
-    if (cart && paymentMethod === 'stripe' && !clientSecret && !isCreatingPaymentIntent.current) {
-      // Fetch payment intent when switching to Stripe
-      console.log('useEffect: Creating payment intent because switched to Stripe');
-      isCreatingPaymentIntent.current = true; // Mark as creating
-      
-      const fetchPaymentIntent = async () => {
-        try {
-          const token = localStorage.getItem('token');
-          if (!token) {
-            navigate('/login');
-            return;
-          }
-
-          console.log('useEffect: Calling create-payment-intent API...');
-          const paymentResponse = await axios.post(`${API_BASE_URL}/api/payment/create-payment-intent`, {}, {
-            headers: { Authorization: `Bearer ${token}` },
-            timeout: 10000 // 10 second timeout
-          });
-          console.log('useEffect: Payment intent response:', paymentResponse.data);
-          setClientSecret(paymentResponse.data.clientSecret);
-          setPaymentIntentId(paymentResponse.data.paymentIntentId);
-          console.log('useEffect: Payment intent created:', paymentResponse.data.paymentIntentId);
-        } catch (err) {
-          console.error('useEffect: Error creating payment intent:', err);
-          console.error('useEffect: Error details:', err.response?.data);
-          if (err.response?.status === 401) {
-            navigate('/login');
-            return;
-          }
-          setError(`Failed to initialize payment: ${err.response?.data?.message || err.message || 'Unknown error'}`);
-        } finally {
-          isCreatingPaymentIntent.current = false; // Reset flag
-        }
-      };
-      fetchPaymentIntent();
-    }
-  }, [paymentMethod, cart, clientSecret]);
+    if (!cart || !selectedAddressId || !shippingMethod) return;
+    const controller = new AbortController();
+
+    const fetchTotals = async () => {
+      setTotals(null);
+      try {
+        const cartTotals = await cartApi.getTotals(
+          { addressId: selectedAddressId, shippingMethod },
+          { signal: controller.signal }
+        );
+        setTotals(cartTotals);
+      } catch (err) {
+        if (isCancelledError(err)) return;
+        // The estimate stays on screen; the order itself is always priced on the server
+        console.warn('Failed to load checkout totals', err);
+      }
+    };
+
+    fetchTotals();
+    return () => controller.abort();
+  }, [cart, selectedAddressId, shippingMethod]);
+
+  // Create the payment intent once shipping is confirmed and whenever Stripe is selected.
+  // The idempotency key makes repeated runs (StrictMode, refreshes, coming back from
+  // the cart unchanged) return the intent that already exists instead of a new one.
+  useEffect(() => {
+    if (!attemptFingerprint || !shippingConfirmed || paymentMethod !== 'stripe' || clientSecret) return;
+    const controller = new AbortController();
+
+    const fetchPaymentIntent = async () => {
+      try {
+        const paymentIntent = await paymentApi.createPaymentIntent({ addressId: selectedAddressId, shippingMethod }, {
+          idempotencyKey: getIdempotencyKey(IDEMPOTENCY_SCOPES.PAYMENT_INTENT, attemptFingerprint),
+          signal: controller.signal,
+          timeout: 10000 // 10 second timeout
+        });
+        setClientSecret(paymentIntent.clientSecret);
+        setPaymentIntentId(paymentIntent.paymentIntentId);
+      } catch (err) {
+        if (isCancelledError(err)) return;
+        console.error('Error creating payment intent:', err);
+        if (err.status === 401) return;
+        setError(`Failed to initialize payment: ${err.message || 'Unknown error'}`);
+      }
+    };
+
+    fetchPaymentIntent();
+    return () => controller.abort();
+  }, [attemptFingerprint, shippingConfirmed, selectedAddressId, shippingMethod, paymentMethod, clientSecret]);
 
   if (loading) {
     return (
@@ -244,6 +281,96 @@ const Checkout = () => {
               <div className='info-row'><span>Email:</span><span>{user?.email}</span></div>
             </div>
           </div>
+          <div className='checkout-section'>
+            <h3>📍 SHIPPING ADDRESS</h3>
+            {shippingConfirmed && selectedAddress ? (
+              <div className='checkout-step-summary'>
+                <ShippingAddress address={selectedAddress} />
+                <button type='button' className='btn btn-secondary' onClick={handleChangeShipping} disabled={processing}>
+                  ✏️ Change
+                </button>
+              </div>
+            ) : (
+              <div className='checkout-step'>
+                {addresses.length > 0 && (
+                  <div className='checkout-options'>
+                    {addresses.map((address) => (
+                      <label key={address.id} className='payment-method checkout-option'>
+                        <input
+                          type='radio'
+                          name='shippingAddress'
+                          checked={selectedAddressId === address.id}
+                          onChange={() => { setSelectedAddressId(address.id); setAddingAddress(false); }}
+                        />
+                        <ShippingAddress address={address} />
+                        {address.isDefault && <span className='address-option-default'>Default</span>}
+                      </label>
+                    ))}
+                  </div>
+                )}
+
+                {addingAddress ? (
+                  <AddressForm
+                    initialValues={{ ...EMPTY_ADDRESS, isDefault: addresses.length === 0 }}
+                    onSubmit={handleAddAddress}
+                    onCancel={addresses.length > 0 ? () => setAddingAddress(false) : undefined}
+                    submitLabel='Save & Use This Address'
+                  />
+                ) : (
+                  <button type='button' className='btn btn-secondary btn-block' onClick={() => setAddingAddress(true)}>
+                    ➕ Ship to a New Address
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+          <div className='checkout-section'>
+            <h3>🚚 SHIPPING METHOD</h3>
+            {shippingConfirmed && selectedQuote ? (
+              <div className='checkout-step-summary'>
+                <div className='shipping-option-details'>
+                  <span className='shipping-option-name'>{selectedQuote.name}</span>
+                  {selectedQuote.estimatedDelivery && <span className='shipping-option-eta'>{selectedQuote.estimatedDelivery}</span>}
+                </div>
+                <span className='shipping-option-cost'>{formatShippingCost(selectedQuote.cost)}</span>
+                <button type='button' className='btn btn-secondary' onClick={handleChangeShipping} disabled={processing}>
+                  ✏️ Change
+                </button>
+              </div>
+            ) : (
+              <div className='checkout-step'>
+                {shippingQuotes.length > 0 ? (
+                  <div className='checkout-options'>
+                    {shippingQuotes.map((quote) => (
+                      <label key={quote.code} className='payment-method checkout-option shipping-option'>
+                        <input
+                          type='radio'
+                          name='shippingMethod'
+                          checked={shippingMethod === quote.code}
+                          onChange={() => setShippingMethod(quote.code)}
+                        />
+                        <div className='shipping-option-details'>
+                          <span className='shipping-option-name'>{quote.name}</span>
+                          {quote.estimatedDelivery && <span className='shipping-option-eta'>{quote.estimatedDelivery}</span>}
+                        </div>
+                        <span className='shipping-option-cost'>{formatShippingCost(quote.cost)}</span>
+                      </label>
+                    ))}
+                  </div>
+                ) : (
+                  <p className='payment-note'>🚫 No shipping methods are available right now</p>
+                )}
+                <button
+                  type='button'
+                  className='btn btn-primary btn-block'
+                  onClick={() => setShippingConfirmed(true)}
+                  disabled={!selectedAddress || addingAddress || !selectedQuote}
+                >
+                  ➡️ CONTINUE TO PAYMENT
+                </button>
+              </div>
+            )}
+          </div>
           <div className='checkout-section'>
             <h3>📦 ORDER ITEMS</h3>
             <div className='checkout-items'>
@@ -251,6 +378,7 @@ const Checkout = () => {
                 <div key={item.id} className='checkout-item'>
                   <div className='checkout-item-details'>
                     <h4>{item.productName}</h4>
+                    {item.variantName && <p>🎛️ {item.variantName}</p>}
                     <p>🔢 Qty: {item.quantity}</p>
                   </div>
                   <div className='checkout-item-price'>${item.price.toFixed(2)}</div>
@@ -260,79 +388,112 @@ const Checkout = () => {
           </div>
           <div className='checkout-section'>
             <h3>💳 PAYMENT METHOD</h3>
-            <div className='payment-card'>
-              <div className='payment-method-selector'>
-                <button 
-                  type='button'
-                  className={`payment-method-btn ${paymentMethod === 'stripe' ? 'active' : ''}`}
-                  onClick={() => setPaymentMethod('stripe')}
-                >
-                  💳 Credit/Debit Card (Stripe)
-                </button>
-                <button 
-                  type='button'
-                  className={`payment-method-btn ${paymentMethod === 'cash' ? 'active' : ''}`}
-                  onClick={() => setPaymentMethod('cash')}
-                >
-                  � Cash on Delivery
-                </button>
-              </div>
-
-              {paymentMethod === 'stripe' && (
-                <div className='stripe-payment-section'>
-                  <p className='payment-note'> Secure payment via Stripe</p>
-                  
-                  {error && <div className='checkout-error'>🚨 {error}</div>}
-                  
-                  {clientSecret ? (
-                    <Elements stripe={stripePromise} options={stripeOptions}>
-                      <PaymentForm cart={cart} paymentIntentId={paymentIntentId} />
-                    </Elements>
-                  ) : (
-                    <div className='loading-payment'>
-                      <div className='cinema-loader'><div className='loader-ring'></div></div>
-                      <p>⚡ Initializing payment...</p>
-                      <p style={{fontSize: '12px', color: '#888', marginTop: '10px'}}>
-                        If this takes too long, try refreshing the page or switching to Cash on Delivery
-                      </p>
-                    </div>
-                  )}
-                </div>
-              )}
-
-              {paymentMethod === 'cash' && (
-                <div className='cash-payment-section'>
-                  <p className='payment-note'>💵 Pay cash when your order is delivered</p>
-                  <div className='cash-info'>
-                    <p>✓ No online payment required</p>
-                    <p>✓ Pay at the time of delivery</p>
-                    <p>✓ Order will be marked as "Pending"</p>
-                  </div>
-                  <div className='payment-summary-form'>
-                    <div className='summary-row'>
-                      <span>Total to Pay on Delivery:</span>
-                      <span className='total-amount'>${cart.totalAmount.toFixed(2)}</span>
-                    </div>
-                  </div>
+            {!shippingConfirmed ? (
+              <p className='payment-note'>📍 Choose a shipping address and method to continue</p>
+            ) : (
+              <div className='payment-card'>
+                <div className='payment-method-selector'>
+                  <button 
+                    type='button'
+                    className={`payment-method-btn ${paymentMethod === 'stripe' ? 'active' : ''}`}
+                    onClick={() => setPaymentMethod('stripe')}
+                  >
+                    💳 Credit/Debit Card (Stripe)
+                  </button>
                   <button 
                     type='button'
-                    className='btn btn-primary btn-block' 
-                    onClick={handleCashOnDelivery}
-                    disabled={processing}
+                    className={`payment-method-btn ${paymentMethod === 'cash' ? 'active' : ''}`}
+                    onClick={() => setPaymentMethod('cash')}
                   >
-                    {processing ? '⚡ PROCESSING...' : '✓ PLACE ORDER'}
+                    � Cash on Delivery
                   </button>
-                  <Link to='/cart' className='btn btn-secondary btn-block'>⬅️ BACK TO CART</Link>
                 </div>
-              )}
-            </div>
+
+                {paymentMethod === 'stripe' && (
+                  <div className='stripe-payment-section'>
+                    <p className='payment-note'> Secure payment via Stripe</p>
+                    
+                    {error && <div className='checkout-error'>🚨 {error}</div>}
+                    
+                    {clientSecret ? (
+                      <Elements stripe={stripePromise} options={stripeOptions}>
+                        <PaymentForm total={total} paymentIntentId={paymentIntentId} />
+                      </Elements>
+                    ) : (
+                      <div className='loading-payment'>
+                        <div className='cinema-loader'><div className='loader-ring'></div></div>
+                        <p>⚡ Initializing payment...</p>
+                        <p style={{fontSize: '12px', color: '#888', marginTop: '10px'}}>
+                          If this takes too long, try refreshing the page or switching to Cash on Delivery
+                        </p>
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {paymentMethod === 'cash' && (
+                  <div className='cash-payment-section'>
+                    <p className='payment-note'>💵 Pay cash when your order is delivered</p>
+                    <div className='cash-info'>
+                      <p>✓ No online payment required</p>
+                      <p>✓ Pay at the time of delivery</p>
+                      <p>✓ Order will be marked as "Pending"</p>
+                    </div>
+                    <div className='payment-summary-form'>
+                      <div className='summary-row'>
+                        <span>Total to Pay on Delivery:</span>
+                        <span className='total-amount'>${total.toFixed(2)}</span>
+                      </div>
+                    </div>
+                    <button 
+                      type='button'
+                      className='btn btn-primary btn-block' 
+                      onClick={handleCashOnDelivery}
+                      disabled={processing}
+                    >
+                      {processing ? '⚡ PROCESSING...' : '✓ PLACE ORDER'}
+                    </button>
+                    <Link to='/cart' className='btn btn-secondary btn-block'>⬅️ BACK TO CART</Link>
+                  </div>
+                )}
+              </div>
+            )}
           </div>
         </div>
         <div className='checkout-sidebar'>
           <div className='summary-card'>
             <h3>📊 SUMMARY</h3>
             <div className='summary-row'><span>Items:</span><span>{cart && cart.items.reduce((s,i) => s + i.quantity, 0)}</span></div>
-            <div className='summary-row'><span>Total:</span><span>${cart.totalAmount.toFixed(2)}</span></div>
+            <div className='summary-row'><span>Subtotal:</span><span>${cart.totalAmount.toFixed(2)}</span></div>
+            {discount > 0 && (
+              <div className='summary-row discount-row'>
+                <span>Discount ({cart.couponCode}):</span>
+                <span>-${discount.toFixed(2)}</span>
+              </div>
+            )}
+            {couponError && (
+              // Placing the order fails while the code is applied but doesn't apply
+              <p className='coupon-error-note'>
+                ⚠️ {couponError}. <Link to='/cart'>Remove it in your cart</Link>
+              </p>
+            )}
+            <div className='summary-row'>
+              <span>Shipping:</span>
+              <span>{selectedQuote ? formatShippingCost(selectedQuote.cost) : '—'}</span>
+            </div>
+            {taxLines.length === 0 ? (
+              <div className='summary-row'><span>Tax:</span><span>$0.00</span></div>
+            ) : (
+              taxLines.map((line) => (
+                <div key={line.name} className='summary-row'>
+                  <span>{getTaxLineLabel(line, taxIncluded)}:</span>
+                  <span>${line.amount.toFixed(2)}</span>
+                </div>
+              ))
+            )}
+            {totals && totals.taxRegion && <p className='tax-region-note'>Tax for {totals.taxRegion}</p>}
+            <div className='summary-divider'></div>
+            <div className='summary-row summary-total'><span>Total:</span><span>${total.toFixed(2)}</span></div>
             <div className='security-notice'><p>⚡ Powered by Stripe</p></div>
           </div>
         </div>
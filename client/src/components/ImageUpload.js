@@ -0,0 +1,142 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { productsApi, isCancelledError } from '../api';
+import { PRODUCT_IMAGE_TYPES, validateProductImage } from '../utils/images';
+
+// Drop zone for product images: dropped or picked files are uploaded one after another and each
+// stored URL is reported through onUpload. The file being uploaded is previewed locally.
+const ImageUpload = ({ onUpload, onUploadingChange, maxFiles = 1, disabled = false }) => {
+  const inputRef = useRef(null);
+  const controllerRef = useRef(null);
+  const [dragActive, setDragActive] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [localPreview, setLocalPreview] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!localPreview) return;
+    return () => URL.revokeObjectURL(localPreview);
+  }, [localPreview]);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  useEffect(() => {
+    onUploadingChange?.(uploading);
+  }, [uploading, onUploadingChange]);
+
+  const inactive = disabled || uploading || maxFiles <= 0;
+
+  const uploadFiles = async (fileList) => {
+    const files = Array.from(fileList);
+    const errors = [];
+    if (files.length > maxFiles) {
+      errors.push(`Only ${maxFiles} more image(s) can be added`);
+    }
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setUploading(true);
+    setError('');
+
+    try {
+      for (const file of files.slice(0, maxFiles)) {
+        const validationError = validateProductImage(file);
+        if (validationError) {
+          errors.push(`${file.name}: ${validationError}`);
+          continue;
+        }
+
+        setLocalPreview(URL.createObjectURL(file));
+        try {
+          const result = await productsApi.uploadImage(file, { signal: controller.signal });
+          onUpload(result.imageUrl);
+        } catch (err) {
+          if (isCancelledError(err)) return;
+          errors.push(`${file.name}: ${err.data?.message || 'Failed to upload image'}`);
+        }
+      }
+    } finally {
+      if (!controller.signal.aborted) {
+        controllerRef.current = null;
+        setLocalPreview(null);
+        setUploading(false);
+        setError(errors.join(' · '));
+      }
+    }
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    if (!inactive) setDragActive(true);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragActive(false);
+    if (!inactive && e.dataTransfer.files?.length) uploadFiles(e.dataTransfer.files);
+  };
+
+  const handleFileSelect = (e) => {
+    const { files } = e.target;
+    if (files?.length) uploadFiles(files);
+    // Clear the input so picking the same file again still fires a change
+    e.target.value = '';
+  };
+
+  const openFilePicker = () => {
+    if (!inactive) inputRef.current?.click();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      openFilePicker();
+    }
+  };
+
+  return (
+    <div className="image-upload">
+      <div
+        className={`image-drop-zone${dragActive ? ' drag-active' : ''}${uploading ? ' uploading' : ''}${inactive ? ' inactive' : ''}`}
+        role="button"
+        tabIndex={inactive ? -1 : 0}
+        aria-label="Upload product images"
+        aria-disabled={inactive}
+        onClick={openFilePicker}
+        onKeyDown={handleKeyDown}
+        onDragOver={handleDragOver}
+        onDragEnter={handleDragOver}
+        onDragLeave={() => setDragActive(false)}
+        onDrop={handleDrop}
+      >
+        {localPreview ? (
+          <img src={localPreview} alt="Uploading" className="image-upload-preview" />
+        ) : (
+          <span className="image-upload-icon">📤</span>
+        )}
+        <div>
+          <p className="image-upload-hint">
+            {uploading
+              ? '⏳ UPLOADING...'
+              : maxFiles <= 0 ? 'Image limit reached' : 'Drop images here or click to browse'}
+          </p>
+          <small className="image-upload-hint">JPEG, PNG, WebP or GIF · up to 5 MB each</small>
+        </div>
+      </div>
+
+      <input
+        ref={inputRef}
+        type="file"
+        accept={PRODUCT_IMAGE_TYPES.join(',')}
+        multiple={maxFiles > 1}
+        onChange={handleFileSelect}
+        className="image-upload-input"
+        tabIndex={-1}
+        aria-hidden="true"
+      />
+
+      {error && <div className="error-message">🚨 {error}</div>}
+    </div>
+  );
+};
+
+export default ImageUpload;
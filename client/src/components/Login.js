@@ -1,11 +1,15 @@
 import React, { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useNavigate, useLocation, Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import './Auth.css';
 
 const Login = () => {
   const navigate = useNavigate();
+  const location = useLocation();
   const { login } = useAuth();
+  // Set when the user was bounced here by an expired session or a protected page
+  const redirectTo = location.state?.from;
+  const notice = location.state?.message;
   const [formData, setFormData] = useState({
     email: '',
     password: ''
@@ -28,7 +32,7 @@ const Login = () => {
     const result = await login(formData.email, formData.password);
     
     if (result.success) {
-      navigate('/');
+      navigate(redirectTo ? `${redirectTo.pathname}${redirectTo.search || ''}${redirectTo.hash || ''}` : '/', { replace: true });
     } else {
       setError(result.message);
       setLoading(false);
@@ -43,6 +47,12 @@ const Login = () => {
           <p>Access your account to manage products and orders</p>
         </div>
 
+        {notice && !error && (
+          <div className="auth-notice">
+            ⏰ {notice}
+          </div>
+        )}
+
         {error && (
           <div className="auth-error">
             🚨 {error}
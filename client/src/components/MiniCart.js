@@ -0,0 +1,102 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { useCart } from '../contexts/CartContext';
+
+// Lines shown in the dropdown before it collapses to "+N more"
+const MAX_PREVIEW_ITEMS = 4;
+
+const MiniCart = () => {
+  const { isAuthenticated } = useAuth();
+  const { cart, itemCount } = useCart();
+  const location = useLocation();
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  // Close on navigation, outside clicks and Escape
+  useEffect(() => {
+    setOpen(false);
+  }, [location.pathname]);
+
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setOpen(false);
+    };
+    const handleKey = (e) => {
+      if (e.key === 'Escape') setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    document.addEventListener('keydown', handleKey);
+    return () => {
+      document.removeEventListener('mousedown', handleClick);
+      document.removeEventListener('keydown', handleKey);
+    };
+  }, [open]);
+
+  const previewItems = cart.items.slice(0, MAX_PREVIEW_ITEMS);
+  const hiddenCount = cart.items.length - previewItems.length;
+
+  return (
+    <li className="nav-item mini-cart" ref={containerRef}>
+      <button
+        type="button"
+        className="nav-link mini-cart-toggle"
+        onClick={() => setOpen(prev => !prev)}
+        aria-expanded={open}
+        aria-haspopup="true"
+      >
+        🛒 Cart
+        {itemCount > 0 && (
+          <span className="cart-badge" aria-label={`${itemCount} items in cart`}>
+            {itemCount > 99 ? '99+' : itemCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="mini-cart-panel" role="dialog" aria-label="Cart preview">
+          {cart.items.length === 0 ? (
+            <p className="mini-cart-empty">Your cart is empty</p>
+          ) : (
+            <>
+              <ul className="mini-cart-items">
+                {previewItems.map(item => (
+                  <li key={item.id} className="mini-cart-item">
+                    <span className="mini-cart-item-name">
+                      {item.productName}
+                      {item.variantName && <small className="mini-cart-item-variant">{item.variantName}</small>}
+                    </span>
+                    <span className="mini-cart-item-qty">×{item.quantity}</span>
+                    <span className="mini-cart-item-price">${(item.price * item.quantity).toFixed(2)}</span>
+                  </li>
+                ))}
+              </ul>
+              {hiddenCount > 0 && (
+                <p className="mini-cart-more">+{hiddenCount} more item{hiddenCount !== 1 ? 's' : ''}</p>
+              )}
+              <div className="mini-cart-total">
+                <span>Subtotal</span>
+                <span>${cart.totalAmount.toFixed(2)}</span>
+              </div>
+            </>
+          )}
+          <div className="mini-cart-actions">
+            <Link to="/cart" className="btn btn-secondary">View Cart</Link>
+            {cart.items.length > 0 && (
+              isAuthenticated ? (
+                <Link to="/checkout" className="btn btn-primary">Checkout</Link>
+              ) : (
+                <Link to="/login" state={{ from: { pathname: '/checkout' } }} className="btn btn-primary">
+                  Login to Checkout
+                </Link>
+              )
+            )}
+          </div>
+        </div>
+      )}
+    </li>
+  );
+};
+
+export default MiniCart;
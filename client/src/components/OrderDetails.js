@@ -0,0 +1,97 @@
+import React from 'react';
+import ShippingAddress from './ShippingAddress';
+import OrderShipment from './OrderShipment';
+import OrderTimeline from './OrderTimeline';
+import { formatShippingCost } from '../utils/shipping';
+import { getTaxLineLabel } from '../utils/tax';
+import { canCancelOrder, getRefundStatusLabel } from '../utils/orders';
+
+// Items, shipping, totals and history of one of the customer's orders, as shown in the
+// expanded order list and on the order page. Pass onCancel to offer cancellation.
+const OrderDetails = ({ order, onCancel }) => (
+  <div className="order-details">
+    <div className="order-items">
+      {order.items.map((item) => (
+        <div key={item.id} className="order-item">
+          <div className="order-item-info">
+            <h4>{item.productName}</h4>
+            {item.variantName && <p className="order-item-variant">{item.variantName}</p>}
+            <p className="order-item-price">
+              ${item.price.toFixed(2)} × {item.quantity}
+            </p>
+          </div>
+          <div className="order-item-subtotal">
+            ${item.subtotal.toFixed(2)}
+          </div>
+        </div>
+      ))}
+    </div>
+
+    {order.shippingAddress && (
+      <div className="order-shipping">
+        <h4>📍 Shipping To</h4>
+        <ShippingAddress address={order.shippingAddress} />
+      </div>
+    )}
+
+    <OrderShipment order={order} />
+
+    <div className="order-summary">
+      <div className="summary-row">
+        <span>Subtotal:</span>
+        <span>${order.subtotal.toFixed(2)}</span>
+      </div>
+      {order.discountAmount > 0 && (
+        <div className="summary-row discount-row">
+          <span>Discount{order.couponCode ? ` (${order.couponCode})` : ''}:</span>
+          <span>-${order.discountAmount.toFixed(2)}</span>
+        </div>
+      )}
+      <div className="summary-row">
+        <span>Shipping{order.shippingMethodName ? ` (${order.shippingMethodName})` : ''}:</span>
+        {order.shippingCost > 0 ? (
+          <span>{formatShippingCost(order.shippingCost)}</span>
+        ) : (
+          <span className="free-badge">FREE</span>
+        )}
+      </div>
+      {order.taxLines.map((line) => (
+        <div key={line.name} className="summary-row">
+          <span>{getTaxLineLabel(line, order.taxIncluded)}:</span>
+          <span>${line.amount.toFixed(2)}</span>
+        </div>
+      ))}
+      <div className="summary-divider"></div>
+      <div className="summary-row summary-total">
+        <span>Total:</span>
+        <span>${order.totalAmount.toFixed(2)}</span>
+      </div>
+      {order.refundStatus && (
+        <div className={`summary-row refund-row refund-${order.refundStatus}`}>
+          <span>{getRefundStatusLabel(order.refundStatus)}:</span>
+          <span>${(order.refundAmount || 0).toFixed(2)}</span>
+        </div>
+      )}
+    </div>
+
+    {order.statusHistory.length > 0 && (
+      <div className="order-timeline">
+        <h4>🕒 Order History</h4>
+        <OrderTimeline history={order.statusHistory} />
+      </div>
+    )}
+
+    {onCancel && canCancelOrder(order) && (
+      <div className="order-actions">
+        <button
+          onClick={() => onCancel(order)}
+          className="btn btn-danger"
+        >
+          ✖️ Cancel Order
+        </button>
+      </div>
+    )}
+  </div>
+);
+
+export default OrderDetails;
@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ordersApi, isCancelledError } from '../api';
+import OrderDetails from './OrderDetails';
+import OrderStatusBadge from './OrderStatusBadge';
+import CancelOrderModal from './CancelOrderModal';
+import { formatOrderDateTime } from '../utils/orders';
+import './Orders.css';
+
+// A single order at /orders/:id, e.g. linked from PaymentSuccess or a shipping notification
+const OrderPage = () => {
+  const { id } = useParams();
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+  const [actionError, setActionError] = useState('');
+  const [orderToCancel, setOrderToCancel] = useState(null);
+  const [cancelling, setCancelling] = useState(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const fetchOrder = async () => {
+      setLoading(true);
+      try {
+        setOrder(await ordersApi.get(id, { signal: controller.signal }));
+        setError('');
+        setLoading(false);
+      } catch (err) {
+        if (isCancelledError(err)) return;
+        console.error('Error fetching order:', err);
+        // Other customers' orders are reported as not found too
+        setError(err.status === 404 ? 'Order not found' : 'Failed to load order');
+        setLoading(false);
+      }
+    };
+
+    fetchOrder();
+    return () => controller.abort();
+  }, [id]);
+
+  const handleCancelConfirm = async () => {
+    if (!orderToCancel) return;
+    setCancelling(true);
+    setActionError('');
+    setSuccessMessage('');
+    try {
+      const updated = await ordersApi.cancel(orderToCancel.id);
+      setOrder(updated);
+      setSuccessMessage(updated.refundAmount
+        ? `Your order has been cancelled. $${updated.refundAmount.toFixed(2)} will be refunded to your card.`
+        : 'Your order has been cancelled.');
+    } catch (err) {
+      console.error('Error cancelling order:', err);
+      setActionError(err.data?.message || 'Failed to cancel the order');
+    } finally {
+      setCancelling(false);
+      setOrderToCancel(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="cinema-loader">
+          <div className="loader-ring"></div>
+          <div className="loader-ring"></div>
+          <div className="loader-ring"></div>
+        </div>
+        <p className="loading-text">📦 LOADING ORDER...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="error-container">
+        <div className="error-content">
+          <h2>🚨 ERROR</h2>
+          <p>{error}</p>
+          <Link to="/orders" className="btn btn-primary">⬅️ BACK TO MY ORDERS</Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="orders-container">
+      {orderToCancel && (
+        <CancelOrderModal
+          order={orderToCancel}
+          cancelling={cancelling}
+          onConfirm={handleCancelConfirm}
+          onClose={() => setOrderToCancel(null)}
+        />
+      )}
+
+      <Link to="/orders" className="order-page-back">⬅️ All orders</Link>
+
+      {successMessage && (
+        <div className="success-message">
+          ✅ {successMessage}
+        </div>
+      )}
+
+      {actionError && <div className="error-message">🚨 {actionError}</div>}
+
+      <div className="order-card">
+        <div className="order-header order-header-static">
+          <div className="order-header-info">
+            <div className="order-id-section">
+              <h3>Order #{order.id}</h3>
+              <OrderStatusBadge status={order.status} />
+            </div>
+            <div className="order-meta">
+              <span className="order-date">
+                📅 {formatOrderDateTime(order.createdAt)}
+              </span>
+              <span className="order-total">
+                💰 ${order.totalAmount.toFixed(2)}
+              </span>
+              <span className="order-items-count">
+                📦 {order.items.reduce((sum, item) => sum + item.quantity, 0)} items
+              </span>
+            </div>
+          </div>
+        </div>
+
+        <OrderDetails order={order} onCancel={setOrderToCancel} />
+      </div>
+    </div>
+  );
+};
+
+export default OrderPage;
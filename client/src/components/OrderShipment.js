@@ -0,0 +1,51 @@
+import React from 'react';
+import { formatDeliveryDate, formatOrderDateTime, getDeliveredAt } from '../utils/orders';
+import './OrderShipment.css';
+
+// Carrier, tracking link and delivery date of an order; nothing until staff enter a shipment
+const OrderShipment = ({ order }) => {
+  const deliveredAt = getDeliveredAt(order);
+  const hasShipment = Boolean(order.carrierName || order.trackingNumber || order.estimatedDeliveryDate);
+  if (!hasShipment && !deliveredAt) return null;
+
+  return (
+    <div className="order-shipment">
+      <h4>🚚 Shipment</h4>
+      {order.carrierName && (
+        <div className="shipment-row">
+          <span>Carrier:</span>
+          <span>{order.carrierName}</span>
+        </div>
+      )}
+      {order.trackingNumber && (
+        <div className="shipment-row">
+          <span>Tracking number:</span>
+          <span className="shipment-tracking-number">{order.trackingNumber}</span>
+        </div>
+      )}
+      {deliveredAt ? (
+        <div className="shipment-row shipment-delivered">
+          <span>Delivered:</span>
+          <span>{formatOrderDateTime(deliveredAt)}</span>
+        </div>
+      ) : order.estimatedDeliveryDate && (
+        <div className="shipment-row">
+          <span>Estimated delivery:</span>
+          <span>{formatDeliveryDate(order.estimatedDeliveryDate)}</span>
+        </div>
+      )}
+      {order.trackingUrl && (
+        <a
+          href={order.trackingUrl}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="btn btn-secondary shipment-track-btn"
+        >
+          📍 Track Package
+        </a>
+      )}
+    </div>
+  );
+};
+
+export default OrderShipment;
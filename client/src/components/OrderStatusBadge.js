@@ -0,0 +1,14 @@
+import React from 'react';
+import { getOrderStatusConfig } from '../utils/orders';
+
+const OrderStatusBadge = ({ status }) => {
+  const config = getOrderStatusConfig(status);
+
+  return (
+    <span className="status-badge" style={{ borderColor: config.color, color: config.color }}>
+      {config.icon} {config.label}
+    </span>
+  );
+};
+
+export default OrderStatusBadge;
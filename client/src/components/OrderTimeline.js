@@ -0,0 +1,40 @@
+import React from 'react';
+import { formatOrderDateTime, getOrderStatusConfig } from '../utils/orders';
+import './OrderTimeline.css';
+
+// Worded for the customer looking at their own order
+const CUSTOMER_LABELS = {
+  customer: 'by you',
+  staff: 'by the store',
+  system: 'automatically'
+};
+
+// Vertical list of an order's status changes, oldest first, with the current status highlighted.
+// Admin responses name the staff member (changedByEmail), which takes precedence over the labels.
+const OrderTimeline = ({ history, changedByLabels = CUSTOMER_LABELS }) => (
+  <ol className="timeline">
+    {history.map((change, index) => {
+      const config = getOrderStatusConfig(change.toStatus);
+      const isCurrent = index === history.length - 1;
+      const changedBy = change.changedByEmail
+        ? `by ${change.changedByEmail}`
+        : changedByLabels[change.changedBy] || changedByLabels.system;
+      return (
+        <li key={`${change.changedAt}-${index}`} className={`timeline-entry${isCurrent ? ' current' : ''}`}>
+          <span className="timeline-marker" style={{ borderColor: config.color }}>{config.icon}</span>
+          <div className="timeline-content">
+            <div className="timeline-title" style={{ color: config.color }}>
+              {change.fromStatus ? config.label : `Order placed · ${config.label}`}
+            </div>
+            <div className="timeline-meta">
+              {formatOrderDateTime(change.changedAt)} · {changedBy}
+            </div>
+            {change.note && <p className="timeline-note">{change.note}</p>}
+          </div>
+        </li>
+      );
+    })}
+  </ol>
+);
+
+export default OrderTimeline;
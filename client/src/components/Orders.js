@@ -1,27 +1,25 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate, useLocation, Link } from 'react-router-dom';
-import axios from 'axios';
-import { useAuth } from '../contexts/AuthContext';
+import { useLocation, Link } from 'react-router-dom';
+import { ordersApi, isCancelledError } from '../api';
+import OrderDetails from './OrderDetails';
+import CancelOrderModal from './CancelOrderModal';
+import OrderStatusBadge from './OrderStatusBadge';
+import { formatOrderDateTime } from '../utils/orders';
 import './Orders.css';
 
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'https://localhost:7207';
-
 const Orders = () => {
-  const navigate = useNavigate();
   const location = useLocation();
-  const { isAuthenticated } = useAuth();
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [successMessage, setSuccessMessage] = useState('');
   const [expandedOrder, setExpandedOrder] = useState(null);
+  const [orderToCancel, setOrderToCancel] = useState(null);
+  const [cancelling, setCancelling] = useState(false);
+  // Failed cancellations are shown above the list instead of replacing it
+  const [actionError, setActionError] = useState('');
 
   useEffect(() => {
-    if (!isAuthenticated) {
-      navigate('/login');
-      return;
-    }
-
     // Check for success message from checkout
     if (location.state?.message) {
       setSuccessMessage(location.state.message);
@@ -29,15 +27,18 @@ const Orders = () => {
       window.history.replaceState({}, document.title);
     }
 
-    fetchOrders();
-  }, [isAuthenticated, navigate, location.state]);
+    const controller = new AbortController();
+    fetchOrders(controller.signal);
+    return () => controller.abort();
+  }, [location.state]);
 
-  const fetchOrders = async () => {
+  const fetchOrders = async (signal) => {
     try {
-      const response = await axios.get(`${API_BASE_URL}/api/orders`);
-      setOrders(response.data);
+      const data = await ordersApi.list({ signal });
+      setOrders(data);
       setLoading(false);
     } catch (err) {
+      if (isCancelledError(err)) return;
       console.error('Error fetching orders:', err);
       setError('Failed to load orders');
       setLoading(false);
@@ -48,22 +49,24 @@ const Orders = () => {
     setExpandedOrder(expandedOrder === orderId ? null : orderId);
   };
 
-  const getStatusBadge = (status) => {
-    const statusConfig = {
-      pending: { icon: '⏳', color: '#d4af37', label: 'Pending' },
-      paid: { icon: '✅', color: '#c4956f', label: 'Paid' },
-      shipped: { icon: '🚚', color: '#8b7355', label: 'Shipped' },
-      delivered: { icon: '📦', color: '#c4956f', label: 'Delivered' },
-      cancelled: { icon: '❌', color: '#a85c3a', label: 'Cancelled' }
-    };
-
-    const config = statusConfig[status] || statusConfig.pending;
-    
-    return (
-      <span className="status-badge" style={{ borderColor: config.color, color: config.color }}>
-        {config.icon} {config.label}
-      </span>
-    );
+  const handleCancelConfirm = async () => {
+    if (!orderToCancel) return;
+    setCancelling(true);
+    setActionError('');
+    setSuccessMessage('');
+    try {
+      const updated = await ordersApi.cancel(orderToCancel.id);
+      setOrders(prev => prev.map(o => (o.id === updated.id ? updated : o)));
+      setSuccessMessage(updated.refundAmount
+        ? `Order #${updated.id} has been cancelled. $${updated.refundAmount.toFixed(2)} will be refunded to your card.`
+        : `Order #${updated.id} has been cancelled.`);
+    } catch (err) {
+      console.error('Error cancelling order:', err);
+      setActionError(err.data?.message || `Failed to cancel order #${orderToCancel.id}`);
+    } finally {
+      setCancelling(false);
+      setOrderToCancel(null);
+    }
   };
 
   if (loading) {
@@ -93,6 +96,15 @@ const Orders = () => {
 
   return (
     <div className="orders-container">
+      {orderToCancel && (
+        <CancelOrderModal
+          order={orderToCancel}
+          cancelling={cancelling}
+          onConfirm={handleCancelConfirm}
+          onClose={() => setOrderToCancel(null)}
+        />
+      )}
+
       <div className="orders-header">
         <h2>📦 MY ORDERS</h2>
       </div>
@@ -103,6 +115,8 @@ const Orders = () => {
         </div>
       )}
 
+      {actionError && <div className="error-message">🚨 {actionError}</div>}
+
       {orders.length === 0 ? (
         <div className="empty-orders">
           <div className="empty-orders-icon">📦</div>
@@ -119,18 +133,16 @@ const Orders = () => {
               <div className="order-header" onClick={() => toggleOrderDetails(order.id)}>
                 <div className="order-header-info">
                   <div className="order-id-section">
-                    <h3>Order #{order.id}</h3>
-                    {getStatusBadge(order.status)}
+                    <h3>
+                      <Link to={`/orders/${order.id}`} className="order-link" onClick={(e) => e.stopPropagation()}>
+                        Order #{order.id}
+                      </Link>
+                    </h3>
+                    <OrderStatusBadge status={order.status} />
                   </div>
                   <div className="order-meta">
                     <span className="order-date">
-                      📅 {new Date(order.createdAt).toLocaleDateString('en-US', {
-                        year: 'numeric',
-                        month: 'long',
-                        day: 'numeric',
-                        hour: '2-digit',
-                        minute: '2-digit'
-                      })}
+                      📅 {formatOrderDateTime(order.createdAt)}
                     </span>
                     <span className="order-total">
                       💰 ${order.totalAmount.toFixed(2)}
@@ -146,39 +158,7 @@ const Orders = () => {
               </div>
 
               {expandedOrder === order.id && (
-                <div className="order-details">
-                  <div className="order-items">
-                    {order.items.map((item) => (
-                      <div key={item.id} className="order-item">
-                        <div className="order-item-info">
-                          <h4>{item.productName}</h4>
-                          <p className="order-item-price">
-                            ${item.price.toFixed(2)} × {item.quantity}
-                          </p>
-                        </div>
-                        <div className="order-item-subtotal">
-                          ${item.subtotal.toFixed(2)}
-                        </div>
-                      </div>
-                    ))}
-                  </div>
-
-                  <div className="order-summary">
-                    <div className="summary-row">
-                      <span>Subtotal:</span>
-                      <span>${order.totalAmount.toFixed(2)}</span>
-                    </div>
-                    <div className="summary-row">
-                      <span>Shipping:</span>
-                      <span className="free-badge">FREE</span>
-                    </div>
-                    <div className="summary-divider"></div>
-                    <div className="summary-row summary-total">
-                      <span>Total:</span>
-                      <span>${order.totalAmount.toFixed(2)}</span>
-                    </div>
-                  </div>
-                </div>
+                <OrderDetails order={order} onCancel={setOrderToCancel} />
               )}
             </div>
           ))}
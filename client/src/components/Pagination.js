@@ -0,0 +1,29 @@
+import React from 'react';
+
+const Pagination = ({ page, totalPages, onPageChange, disabled = false }) => {
+  if (totalPages <= 1) return null;
+
+  return (
+    <div className="pagination">
+      <button
+        className="btn btn-secondary"
+        onClick={() => onPageChange(page - 1)}
+        disabled={disabled || page <= 1}
+      >
+        ⬅️ Prev
+      </button>
+      <span className="pagination-info">
+        Page {page} of {totalPages}
+      </span>
+      <button
+        className="btn btn-secondary"
+        onClick={() => onPageChange(page + 1)}
+        disabled={disabled || page >= totalPages}
+      >
+        Next ➡️
+      </button>
+    </div>
+  );
+};
+
+export default Pagination;
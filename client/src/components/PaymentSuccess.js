@@ -1,202 +1,102 @@
-import React, { useEffect, useState, useRef } from 'react';
-import { Link, useSearchParams, useNavigate } from 'react-router-dom';
-import axios from 'axios';
-import { useAuth } from '../contexts/AuthContext';
+import React, { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { ordersApi, isCancelledError } from '../api';
+import { useCart } from '../contexts/CartContext';
+import { clearIdempotencyKeys } from '../utils/idempotency';
+import ShippingAddress from './ShippingAddress';
+import OrderShipment from './OrderShipment';
+import { formatShippingCost } from '../utils/shipping';
+import { getTaxLineLabel } from '../utils/tax';
 import './PaymentSuccess.css';
 
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5001';
+// Card orders are created by the Stripe webhook, normally within a few seconds of the redirect
+const POLL_INTERVAL_MS = 2000;
+const MAX_POLL_ATTEMPTS = 15;
 
 const PaymentSuccess = () => {
   const [searchParams] = useSearchParams();
-  const navigate = useNavigate();
-  const { isAuthenticated } = useAuth();
+  const { refreshCart } = useCart();
   const [order, setOrder] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const hasCreatedOrder = useRef(false); // Prevent duplicate order creation
 
   const paymentIntentId = searchParams.get('payment_intent');
   const orderId = searchParams.get('order_id');
   const paymentMethod = searchParams.get('payment_method');
-  const paymentIntentClientSecret = searchParams.get('payment_intent_client_secret');
   const redirectStatus = searchParams.get('redirect_status');
 
   useEffect(() => {
-    // Check if we just came back from Stripe payment
-    if (paymentIntentId && redirectStatus === 'succeeded' && !hasCreatedOrder.current) {
-      console.log('Payment succeeded! Creating order...');
-      hasCreatedOrder.current = true; // Mark as creating to prevent duplicate
-      createOrderFromPayment();
-    } else if (orderId && !hasCreatedOrder.current) {
-      // Direct access with order ID (cash on delivery flow)
-      hasCreatedOrder.current = true;
-      fetchOrderDetails();
-    } else if (paymentIntentId && !hasCreatedOrder.current) {
-      // If we have payment intent but no order ID, fetch latest order
-      hasCreatedOrder.current = true;
-      fetchLatestOrder();
-    } else if (!hasCreatedOrder.current) {
-      // No order info at all
-      if (!isAuthenticated) {
-        navigate('/login');
-      } else {
-        setLoading(false);
-      }
-    }
-  }, [orderId, paymentIntentId, redirectStatus]);
-
-  const fetchOrderDetails = async () => {
-    try {
-      const token = localStorage.getItem('token');
-      if (!token) {
-        console.error('No token found in localStorage');
-        navigate('/login');
-        return;
-      }
-
-      console.log('Fetching order with ID:', orderId);
-      console.log('Using token:', token.substring(0, 20) + '...');
-
-      // Fetch specific order if orderId is provided
-      if (orderId) {
-        const response = await axios.get(`${API_BASE_URL}/api/orders/${orderId}`, {
-          headers: { Authorization: `Bearer ${token}` }
-        });
-        console.log('Order fetched successfully:', response.data);
-        setOrder(response.data);
-      }
-    } catch (err) {
-      console.error('Error fetching order:', err);
-      console.error('Error response:', err.response);
-      if (err.response?.status === 401) {
-        console.error('401 Unauthorized - redirecting to login');
-        navigate('/login');
-      } else if (err.response?.status === 404) {
-        console.error('Order not found');
-        // Try fetching latest order instead
-        fetchLatestOrder();
-      }
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  const fetchLatestOrder = async () => {
-    try {
-      const token = localStorage.getItem('token');
-      if (!token) {
-        console.error('No token found in localStorage');
-        navigate('/login');
-        return;
-      }
-
-      console.log('Fetching latest order');
-      
-      const response = await axios.get(`${API_BASE_URL}/api/orders`, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
-      const orders = response.data;
-      console.log('Orders fetched:', orders.length);
-      
-      if (orders && orders.length > 0) {
-        const latestOrder = orders[0];
-        console.log('Latest order:', latestOrder);
-        
-        // If we have a payment intent ID, try to match it
-        if (paymentIntentId && latestOrder.paymentIntentId !== paymentIntentId) {
-          // Find the order matching the payment intent
-          const matchingOrder = orders.find(o => o.paymentIntentId === paymentIntentId);
-          if (matchingOrder) {
-            console.log('Found matching order by payment intent:', matchingOrder);
-            setOrder(matchingOrder);
-          } else {
-            console.log('No matching order found, using latest');
-            setOrder(latestOrder);
-          }
-        } else {
-          setOrder(latestOrder);
+    const controller = new AbortController();
+    let pollTimer = null;
+
+    // Cash on delivery: the order already exists
+    const fetchOrderDetails = async () => {
+      try {
+        setOrder(await ordersApi.get(orderId, { signal: controller.signal }));
+      } catch (err) {
+        if (isCancelledError(err)) return;
+        console.error('Error fetching order:', err);
+        // 401s are handled globally by AuthContext (logout + redirect to /login)
+        if (err.status !== 401) {
+          setError('Failed to load order details. Please check your orders page.');
         }
       }
-    } catch (err) {
-      console.error('Error fetching latest order:', err);
-      if (err.response?.status === 401) {
-        navigate('/login');
-      }
-    } finally {
       setLoading(false);
-    }
-  };
-
-  const createOrderFromPayment = async () => {
-    try {
-      const token = localStorage.getItem('token');
-      if (!token) {
-        console.error('No token found - redirecting to login');
-        navigate('/login');
-        return;
-      }
-
-      console.log('Creating order for payment intent:', paymentIntentId);
-
-      // Create order with Stripe payment method
-      const orderResponse = await axios.post(`${API_BASE_URL}/api/orders`, {
-        paymentMethod: 'stripe'
-      }, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
-
-      const createdOrder = orderResponse.data;
-      console.log('Order created:', createdOrder);
-
-      // Update order with payment intent ID
-      await axios.put(`${API_BASE_URL}/api/orders/${createdOrder.id}`, {
-        paymentIntentId: paymentIntentId
-      }, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
-
-      console.log('Order updated with payment intent ID');
-
-      // Update order status to "paid" since payment was successful
-      await axios.put(`${API_BASE_URL}/api/orders/${createdOrder.id}/status`, 
-        JSON.stringify('paid'),
-        {
-          headers: { 
-            Authorization: `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          }
+    };
+
+    // Card payment: wait for the webhook to turn the payment into an order
+    const pollForOrder = async (attempt) => {
+      try {
+        setOrder(await ordersApi.getByPaymentIntent(paymentIntentId, { signal: controller.signal }));
+      } catch (err) {
+        if (isCancelledError(err)) return;
+        if (err.status === 404 && attempt < MAX_POLL_ATTEMPTS) {
+          pollTimer = setTimeout(() => pollForOrder(attempt + 1), POLL_INTERVAL_MS);
+          return;
         }
-      );
-
-      console.log('Order status updated to paid');
-
-      // Fetch the complete order details
-      const response = await axios.get(`${API_BASE_URL}/api/orders/${createdOrder.id}`, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
-
-      setOrder(response.data);
-      console.log('Final order details:', response.data);
-    } catch (err) {
-      console.error('Error creating order from payment:', err);
-      console.error('Error details:', err.response?.data);
-      
-      if (err.response?.status === 401) {
-        navigate('/login');
-      } else {
-        // Try to fetch the latest order as fallback
-        console.log('Fallback: fetching latest order');
-        try {
-          await fetchLatestOrder();
-        } catch (fetchErr) {
-          console.error('Error in fallback fetch:', fetchErr);
+        if (err.status === 409) {
+          // The webhook couldn't place the order and refunded the payment; the server says why.
+          // The next checkout needs a fresh payment intent rather than this one replayed.
+          clearIdempotencyKeys();
+          setError(err.message);
+          setLoading(false);
+          return;
+        }
+        console.error('Error fetching order for payment:', err);
+        if (err.status === 404) {
+          setError('Your payment was received and your order is still being processed. It will appear on your orders page shortly.');
+        } else if (err.status !== 401) {
           setError('Failed to load order details. Please check your orders page.');
         }
       }
-    } finally {
+      setLoading(false);
+    };
+
+    if (paymentIntentId && redirectStatus === 'failed') {
+      setError('Your payment was not completed, so no order was placed. Please try again.');
+      setLoading(false);
+    } else if (paymentIntentId) {
+      pollForOrder(1);
+    } else if (orderId) {
+      fetchOrderDetails();
+    } else {
+      // No order info at all
       setLoading(false);
     }
-  };
+
+    return () => {
+      controller.abort();
+      clearTimeout(pollTimer);
+    };
+  }, [orderId, paymentIntentId, redirectStatus]);
+
+  // Placing the order emptied the cart on the server; bring the navbar badge in line
+  // and let the next checkout start a fresh attempt
+  useEffect(() => {
+    if (!order) return;
+    clearIdempotencyKeys();
+    refreshCart();
+  }, [order, refreshCart]);
 
   if (loading) {
     return (
@@ -211,16 +111,29 @@ const PaymentSuccess = () => {
     );
   }
 
-  return (
-    <div className="payment-success-container">
-      <div className="success-card">
-        {error && (
+  if (error) {
+    return (
+      <div className="payment-success-container">
+        <div className="success-card">
           <div className="error-banner">
             <p>⚠️ {error}</p>
-            <Link to="/orders" className="btn btn-secondary">View All Orders</Link>
           </div>
-        )}
-        
+          <div className="success-actions">
+            <Link to="/orders" className="btn btn-primary">
+              📦 View My Orders
+            </Link>
+            <Link to="/cart" className="btn btn-secondary">
+              🛒 Back to Cart
+            </Link>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="payment-success-container">
+      <div className="success-card">
         <div className="success-icon">
           <div className="checkmark-circle">
             <div className="checkmark"></div>
@@ -261,6 +174,25 @@ const PaymentSuccess = () => {
                 <span>Payment Method:</span>
                 <span>{order.paymentMethod === 'cash' ? '💵 Cash on Delivery' : '💳 Card Payment'}</span>
               </div>
+              {order.discountAmount > 0 && (
+                <div className="info-row discount-row">
+                  <span>Discount{order.couponCode ? ` (${order.couponCode})` : ''}:</span>
+                  <span>-${order.discountAmount.toFixed(2)}</span>
+                </div>
+              )}
+              <div className="info-row">
+                <span>Shipping:</span>
+                <span>
+                  {order.shippingMethodName ? `${order.shippingMethodName} · ` : ''}
+                  {formatShippingCost(order.shippingCost)}
+                </span>
+              </div>
+              {order.taxLines.map((line) => (
+                <div key={line.name} className="info-row">
+                  <span>{getTaxLineLabel(line, order.taxIncluded)}:</span>
+                  <span>${line.amount.toFixed(2)}</span>
+                </div>
+              ))}
               <div className="info-row">
                 <span>Total Amount:</span>
                 <span className="amount">${order.totalAmount.toFixed(2)}</span>
@@ -271,12 +203,27 @@ const PaymentSuccess = () => {
               </div>
             </div>
 
+            {order.shippingAddress && (
+              <div className="shipping-info">
+                <h4>Shipping To:</h4>
+                <ShippingAddress address={order.shippingAddress} />
+              </div>
+            )}
+
+            {order.trackingNumber || order.estimatedDeliveryDate ? (
+              <OrderShipment order={order} />
+            ) : (
+              <p className="shipment-pending-note">
+                🚚 The tracking link will appear on your <Link to={`/orders/${order.id}`}>order page</Link> once your order ships.
+              </p>
+            )}
+
             {order.items && order.items.length > 0 && (
               <div className="items-list">
                 <h4>Items:</h4>
                 {order.items.map((item, index) => (
                   <div key={index} className="order-item">
-                    <span>{item.productName}</span>
+                    <span>{item.productName}{item.variantName && ` (${item.variantName})`}</span>
                     <span>×{item.quantity}</span>
                     <span>${item.subtotal.toFixed(2)}</span>
                   </div>
@@ -287,8 +234,8 @@ const PaymentSuccess = () => {
         )}
 
         <div className="success-actions">
-          <Link to="/orders" className="btn btn-primary">
-            📦 View My Orders
+          <Link to={order ? `/orders/${order.id}` : '/orders'} className="btn btn-primary">
+            📦 {order ? 'View Order' : 'View My Orders'}
           </Link>
           <Link to="/" className="btn btn-secondary">
             🏠 Continue Shopping
@@ -1,35 +1,91 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
-import axios from 'axios';
 import { useAuth } from '../contexts/AuthContext';
-
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'https://localhost:7207';
+import { useCart } from '../contexts/CartContext';
+import { productsApi, categoriesApi, isCancelledError } from '../api';
+import { getCategoryPath } from '../utils/categories';
+import { isOutOfStock } from '../utils/stock';
+import StockBadge from './StockBadge';
+import ProductGallery from './ProductGallery';
+import StarRating from './StarRating';
+import ProductReviews from './ProductReviews';
+import WishlistButton from './WishlistButton';
+import { getProductImageUrls } from '../utils/images';
+import {
+  hasVariants,
+  findVariant,
+  getOptionValues,
+  getVariantValues,
+  getVariantPrice,
+  getPriceRange
+} from '../utils/variants';
 
 const ProductDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
-  const { isAuthenticated } = useAuth();
+  const { isAdmin } = useAuth();
+  const { addItem } = useCart();
   const [product, setProduct] = useState(null);
+  const [categoryPath, setCategoryPath] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [deleting, setDeleting] = useState(false);
+  const [addingToCart, setAddingToCart] = useState(false);
+  const [toast, setToast] = useState({ show: false, message: '', type: '' });
+  // One chosen value per option, '' until picked
+  const [selection, setSelection] = useState([]);
+
+  // Memoized so the gallery only jumps when the selected variant's image changes
+  const galleryImages = useMemo(() => (product ? getProductImageUrls(product) : []), [product]);
+  const variantsRequired = hasVariants(product);
+  const selectedVariant = variantsRequired ? findVariant(product, selection) ?? null : null;
+
+  // Keeps the rating next to the price in step with the review section after a review changes
+  const handleReviewSummaryChange = useCallback(({ averageRating, reviewCount }) => {
+    setProduct(prev => (prev.averageRating === averageRating && prev.reviewCount === reviewCount
+      ? prev
+      : { ...prev, averageRating, reviewCount }));
+  }, []);
 
   useEffect(() => {
-    fetchProduct();
+    const controller = new AbortController();
+    fetchProduct(controller.signal);
+    return () => controller.abort();
   }, [id]);
 
-  const fetchProduct = async () => {
+  const fetchProduct = async (signal) => {
     try {
-      const response = await axios.get(`${API_BASE_URL}/api/products/${id}`);
-      setProduct(response.data);
+      const data = await productsApi.get(id, { signal });
+      setProduct(data);
+      // Options with a single value need no choosing
+      setSelection(data.options.map((option, index) => {
+        const values = getOptionValues(data, index);
+        return values.length === 1 ? values[0] : '';
+      }));
       setLoading(false);
+      fetchCategoryPath(data.categoryId, signal);
     } catch (err) {
+      if (isCancelledError(err)) return;
       setError('Product not found');
       setLoading(false);
     }
   };
 
+  const fetchCategoryPath = async (categoryId, signal) => {
+    if (!categoryId) {
+      setCategoryPath([]);
+      return;
+    }
+    try {
+      const categories = await categoriesApi.list({ signal });
+      setCategoryPath(getCategoryPath(categories, categoryId));
+    } catch (err) {
+      // Without categories the breadcrumb simply falls back to HOME ▶ product
+      if (!isCancelledError(err)) console.error('Error fetching categories:', err);
+    }
+  };
+
   const handleDeleteClick = () => {
     setShowDeleteModal(true);
   };
@@ -37,7 +93,7 @@ const ProductDetail = () => {
   const handleDeleteConfirm = async () => {
     setDeleting(true);
     try {
-      await axios.delete(`${API_BASE_URL}/api/products/${id}`);
+      await productsApi.remove(id);
       setShowDeleteModal(false);
       navigate('/');
     } catch (err) {
@@ -50,6 +106,35 @@ const ProductDetail = () => {
     setShowDeleteModal(false);
   };
 
+  const showToast = (message, type) => {
+    setToast({ show: true, message, type });
+    setTimeout(() => setToast({ show: false, message: '', type: '' }), 3000);
+  };
+
+  const selectValue = (optionIndex, value) => {
+    setSelection(prev => prev.map((current, index) => (index === optionIndex ? value : current)));
+  };
+
+  // Whether picking `value` for an option, with the other choices kept, leads to a variant in stock
+  const isValueAvailable = (optionIndex, value) => product.variants.some(variant => {
+    const values = getVariantValues(variant, product.options.length);
+    return variant.stockQuantity > 0 && values.every((current, index) =>
+      index === optionIndex ? current === value : !selection[index] || current === selection[index]);
+  });
+
+  const addToCart = async () => {
+    setAddingToCart(true);
+    try {
+      await addItem(product, 1, selectedVariant);
+      showToast('✅ Product added to cart!', 'success');
+    } catch (err) {
+      console.error('Error adding to cart:', err);
+      showToast(`❌ ${err.data?.message || err.message || 'Failed to add to cart. Please try again.'}`, 'error');
+    } finally {
+      setAddingToCart(false);
+    }
+  };
+
   if (loading) {
     return (
       <div className="loading-container">
@@ -79,8 +164,21 @@ const ProductDetail = () => {
 
   if (!product) return <div className="error">Product not found</div>;
 
+  const selectionComplete = !variantsRequired || Boolean(selectedVariant);
+  const stockQuantity = selectedVariant ? selectedVariant.stockQuantity : product.stockQuantity;
+  const priceRange = getPriceRange(product);
+  const soldOut = isOutOfStock(stockQuantity);
+  const missingOptions = product.options.filter((option, index) => !selection[index]).map(option => option.name);
+
   return (
     <div className="product-detail-wrapper">
+      {/* Toast Notification */}
+      {toast.show && (
+        <div className={`toast toast-${toast.type}`}>
+          {toast.message}
+        </div>
+      )}
+
       {/* Delete Confirmation Modal */}
       {showDeleteModal && (
         <div className="modal-overlay" onClick={handleDeleteCancel}>
@@ -118,33 +216,39 @@ const ProductDetail = () => {
         <nav className="breadcrumb">
           <Link to="/" className="breadcrumb-link">🏠 HOME</Link>
           <span className="breadcrumb-separator">▶</span>
+          {categoryPath.map(category => (
+            <React.Fragment key={category.id}>
+              <Link to={`/category/${category.slug}`} className="breadcrumb-link">{category.name}</Link>
+              <span className="breadcrumb-separator">▶</span>
+            </React.Fragment>
+          ))}
           <span className="breadcrumb-current">📦 {product.name}</span>
         </nav>
 
         <div className="product-detail-grid">
           {/* Product Image Section */}
           <div className="product-image-section">
-            <div className="image-container">
-              {product.imageUrl ? (
-                <img 
-                  src={product.imageUrl} 
-                  alt={product.name}
-                  className="product-image-large"
-                />
-              ) : (
+            <ProductGallery
+              key={product.id}
+              images={galleryImages}
+              activeImage={selectedVariant?.imageUrl}
+              productName={product.name}
+              fallback={
                 <div className="no-image-large">
                   <div className="no-image-icon">📷</div>
                   <p>IMAGE NOT FOUND</p>
                   <small>No visual data available</small>
                 </div>
-              )}
-            </div>
+              }
+            />
             
             {/* Image Overlay Info */}
             <div className="image-overlay">
               <div className="overlay-content">
                 <span className="product-id">ID: #{product.id}</span>
-                <span className="product-status">🟢 ACTIVE</span>
+                <span className="product-status">
+                  {soldOut ? '🔴 SOLD OUT' : '🟢 AVAILABLE'}
+                </span>
               </div>
             </div>
           </div>
@@ -155,10 +259,60 @@ const ProductDetail = () => {
               <h1 className="product-title">⚡ {product.name}</h1>
               <div className="price-section">
                 <span className="price-label">PRICE</span>
-                <span className="price-value">💰 ${parseFloat(product.price).toFixed(2)}</span>
+                <span className="price-value">
+                  💰 {selectedVariant || priceRange.min === priceRange.max
+                    ? `$${getVariantPrice(product, selectedVariant).toFixed(2)}`
+                    : `$${priceRange.min.toFixed(2)} – $${priceRange.max.toFixed(2)}`}
+                </span>
+                <WishlistButton
+                  product={product}
+                  variant={selectedVariant}
+                  className="product-wishlist-button"
+                  onError={(message) => showToast(`❌ ${message}`, 'error')}
+                />
               </div>
+              {product.reviewCount > 0 && (
+                <a href="#reviews" className="product-rating-link">
+                  <StarRating rating={product.averageRating} count={product.reviewCount} />
+                </a>
+              )}
+              <StockBadge stockQuantity={stockQuantity} showInStock />
             </div>
 
+            {variantsRequired && (
+              <div className="variant-pickers">
+                {product.options.map((option, optionIndex) => (
+                  <div key={option.id} className="variant-picker" role="radiogroup" aria-label={option.name}>
+                    <span className="variant-picker-label">
+                      {option.name}: <strong>{selection[optionIndex] || 'choose'}</strong>
+                    </span>
+                    <div className="variant-picker-values">
+                      {getOptionValues(product, optionIndex).map(value => {
+                        const selected = selection[optionIndex] === value;
+                        const available = isValueAvailable(optionIndex, value);
+                        return (
+                          <button
+                            key={value}
+                            type="button"
+                            role="radio"
+                            aria-checked={selected}
+                            className={`variant-value${selected ? ' selected' : ''}${available ? '' : ' unavailable'}`}
+                            onClick={() => selectValue(optionIndex, selected ? '' : value)}
+                            title={available ? value : `${value} (out of stock)`}
+                          >
+                            {value}
+                          </button>
+                        );
+                      })}
+                    </div>
+                  </div>
+                ))}
+                {missingOptions.length === 0 && !selectedVariant && (
+                  <p className="variant-picker-note">This combination isn't available.</p>
+                )}
+              </div>
+            )}
+
             <div className="product-description">
               <h3 className="section-title">📋 PRODUCT DESCRIPTION</h3>
               <div className="description-content">
@@ -183,6 +337,12 @@ const ProductDetail = () => {
                     <span className="metadata-label">🆔 RECORD ID:</span>
                     <span className="metadata-value">#{product.id}</span>
                   </div>
+                  {selectedVariant?.sku && (
+                    <div className="metadata-item">
+                      <span className="metadata-label">🏷️ SKU:</span>
+                      <span className="metadata-value">{selectedVariant.sku}</span>
+                    </div>
+                  )}
                   <div className="metadata-item">
                     <span className="metadata-label">💾 STATUS:</span>
                     <span className="metadata-value status-active">ACTIVE</span>
@@ -195,11 +355,26 @@ const ProductDetail = () => {
             <div className="action-section">
               <h4 className="section-title">⚙️ ACTIONS</h4>
               <div className="action-buttons">
-                {/* Only show Edit and Delete buttons to authenticated users */}
-                {isAuthenticated && (
+                <button
+                  onClick={addToCart}
+                  className="btn btn-success action-btn"
+                  disabled={addingToCart || soldOut || !selectionComplete}
+                >
+                  <span className="btn-icon">{soldOut ? '🚫' : '🛒'}</span>
+                  <span className="btn-text">
+                    {soldOut
+                      ? 'OUT OF STOCK'
+                      : !selectionComplete
+                        ? missingOptions.length > 0 ? `CHOOSE ${missingOptions.join(' & ')}` : 'UNAVAILABLE'
+                        : addingToCart ? 'ADDING...' : 'ADD TO CART'}
+                  </span>
+                </button>
+
+                {/* Only show Edit and Delete buttons to admins */}
+                {isAdmin && (
                   <>
                     <Link 
-                      to={`/products/edit/${product.id}`} 
+                      to={`/admin/products/edit/${product.id}`} 
                       className="btn btn-primary action-btn"
                     >
                       <span className="btn-icon">✏️</span>
@@ -228,6 +403,8 @@ const ProductDetail = () => {
             </div>
           </div>
         </div>
+
+        <ProductReviews productId={product.id} onSummaryChange={handleReviewSummaryChange} />
       </div>
     </div>
   );
@@ -1,8 +1,28 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import axios from 'axios';
+import { productsApi, categoriesApi, isCancelledError } from '../api';
+import { flattenCategoryTree } from '../utils/categories';
+import ProductImagesEditor from './ProductImagesEditor';
+import ProductVariantsEditor from './ProductVariantsEditor';
+import { getProductImageUrls } from '../utils/images';
+import { getOptionValues, getVariantValues } from '../utils/variants';
 
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'https://localhost:7207';
+// Form state for a saved product's options and variants (see ProductVariantsEditor)
+const toVariantsState = (product) => ({
+  options: product.options.map((option, index) => ({
+    id: option.id,
+    name: option.name,
+    values: getOptionValues(product, index).join(', ')
+  })),
+  variants: product.variants.map(variant => ({
+    id: variant.id,
+    values: getVariantValues(variant, product.options.length),
+    sku: variant.sku || '',
+    price: variant.price == null ? '' : variant.price.toString(),
+    stockQuantity: variant.stockQuantity.toString(),
+    imageUrl: variant.imageUrl || ''
+  }))
+});
 
 const ProductForm = () => {
   const { id } = useParams();
@@ -13,30 +33,49 @@ const ProductForm = () => {
     name: '',
     description: '',
     price: '',
-    imageUrl: ''
+    stockQuantity: '0',
+    images: [],
+    categoryId: '',
+    variants: { options: [], variants: [] }
   });
+  const [categories, setCategories] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [imageUploading, setImageUploading] = useState(false);
 
   useEffect(() => {
-    if (isEditing) {
-      fetchProduct();
-    }
+    const controller = new AbortController();
+    categoriesApi.list({ signal: controller.signal })
+      .then(setCategories)
+      .catch((err) => {
+        if (!isCancelledError(err)) console.error('Error fetching categories:', err);
+      });
+    return () => controller.abort();
+  }, []);
+
+  useEffect(() => {
+    if (!isEditing) return;
+    const controller = new AbortController();
+    fetchProduct(controller.signal);
+    return () => controller.abort();
   }, [id, isEditing]);
 
-  const fetchProduct = async () => {
+  const fetchProduct = async (signal) => {
     try {
       setLoading(true);
-      const response = await axios.get(`${API_BASE_URL}/api/products/${id}`);
-      const product = response.data;
+      const product = await productsApi.get(id, { signal });
       setFormData({
         name: product.name,
         description: product.description,
         price: product.price.toString(),
-        imageUrl: product.imageUrl || ''
+        stockQuantity: (product.stockQuantity ?? 0).toString(),
+        images: getProductImageUrls(product),
+        categoryId: product.categoryId ? product.categoryId.toString() : '',
+        variants: toVariantsState(product)
       });
       setLoading(false);
     } catch (err) {
+      if (isCancelledError(err)) return;
       setError('Failed to fetch product');
       setLoading(false);
     }
@@ -50,6 +89,24 @@ const ProductForm = () => {
     }));
   };
 
+  const handleImagesChange = (update) => {
+    setFormData(prev => {
+      const images = update(prev.images);
+      // A variant can't keep pointing at an image that was removed from the gallery
+      const variants = prev.variants.variants.map(variant =>
+        (variant.imageUrl && !images.includes(variant.imageUrl) ? { ...variant, imageUrl: '' } : variant));
+      return { ...prev, images, variants: { ...prev.variants, variants } };
+    });
+  };
+
+  const handleVariantsChange = (variants) => {
+    setFormData(prev => ({ ...prev, variants }));
+  };
+
+  const { options, variants } = formData.variants;
+  const hasVariants = variants.length > 0;
+  const variantStockTotal = variants.reduce((sum, variant) => sum + (parseInt(variant.stockQuantity, 10) || 0), 0);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -68,25 +125,61 @@ const ProductForm = () => {
       return;
     }
 
+    const stockQuantity = Number(formData.stockQuantity);
+    if (!hasVariants && (formData.stockQuantity === '' || !Number.isInteger(stockQuantity) || stockQuantity < 0)) {
+      setError('Please enter a valid stock quantity (a whole number, 0 or more)');
+      setLoading(false);
+      return;
+    }
+
+    const variantError = options.some(option => !option.name.trim())
+      ? 'Please name every option'
+      : options.length > 0 && !hasVariants
+        ? 'Please generate the variants for the options'
+        : variants.some(variant => variant.values.some(value => !value))
+          ? 'Please generate the variants again after adding an option'
+          : variants.some(variant => variant.stockQuantity === '' || !Number.isInteger(Number(variant.stockQuantity)) || Number(variant.stockQuantity) < 0)
+            ? 'Please enter a valid stock quantity for every variant'
+            : variants.some(variant => variant.price !== '' && !(parseFloat(variant.price) > 0))
+              ? 'Variant prices must be greater than zero (or blank for the product price)'
+              : '';
+    if (variantError) {
+      setError(variantError);
+      setLoading(false);
+      return;
+    }
+
     const productData = {
       name: formData.name.trim(),
       description: formData.description.trim(),
       price: parseFloat(formData.price),
-      imageUrl: formData.imageUrl.trim() || null
+      // The API recalculates this from the variants when there are any
+      stockQuantity: hasVariants ? variantStockTotal : stockQuantity,
+      imageUrl: formData.images[0] || null,
+      images: formData.images.map(url => ({ url })),
+      categoryId: formData.categoryId ? Number(formData.categoryId) : null,
+      options: options.map(option => ({ id: option.id ?? 0, name: option.name.trim() })),
+      variants: variants.map(variant => ({
+        id: variant.id ?? 0,
+        option1: variant.values[0] ?? null,
+        option2: variant.values[1] ?? null,
+        option3: variant.values[2] ?? null,
+        sku: variant.sku.trim() || null,
+        price: variant.price === '' ? null : parseFloat(variant.price),
+        stockQuantity: Number(variant.stockQuantity),
+        imageUrl: variant.imageUrl || null
+      }))
     };
 
     try {
       if (isEditing) {
-        await axios.put(`${API_BASE_URL}/api/products/${id}`, {
-          ...productData,
-          id: parseInt(id)
-        });
+        await productsApi.update(id, productData);
       } else {
-        await axios.post(`${API_BASE_URL}/api/products`, productData);
+        await productsApi.create(productData);
       }
-      navigate('/');
+      navigate('/admin/products');
     } catch (err) {
-      setError(`Failed to ${isEditing ? 'update' : 'create'} product`);
+      setError(err.data?.message || `Failed to ${isEditing ? 'update' : 'create'} product`);
       setLoading(false);
     }
   };
@@ -99,15 +192,12 @@ const ProductForm = () => {
         <h2>🎬 {isEditing ? 'EDIT PRODUCT' : 'CREATE PRODUCT'} 🎬</h2>
 
         <div className="form-image-section">
-          <div className="image-preview-box">
-            {formData.imageUrl ? (
-              <div className="image-preview">
-                <img src={formData.imageUrl} alt="Preview" />
-              </div>
-            ) : (
-              <div className="image-preview-placeholder">🎬</div>
-            )}
-          </div>
+          <ProductImagesEditor
+            images={formData.images}
+            onChange={handleImagesChange}
+            onUploadingChange={setImageUploading}
+            disabled={loading}
+          />
         </div>
 
         <div className="form-fields-section">
@@ -156,14 +246,47 @@ const ProductForm = () => {
             </div>
 
             <div className="form-group">
-              <label htmlFor="imageUrl">🎬 IMAGE URL</label>
+              <label htmlFor="stockQuantity">📦 STOCK QUANTITY *</label>
               <input
-                type="url"
-                id="imageUrl"
-                name="imageUrl"
-                value={formData.imageUrl}
+                type="number"
+                id="stockQuantity"
+                name="stockQuantity"
+                value={hasVariants ? variantStockTotal : formData.stockQuantity}
                 onChange={handleChange}
-                placeholder="https://example.com/image.jpg"
+                placeholder="0"
+                step="1"
+                min="0"
+                required={!hasVariants}
+                readOnly={hasVariants}
+                title={hasVariants ? 'The total of the variants\' stock' : undefined}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="categoryId">🗂️ CATEGORY</label>
+              <select
+                id="categoryId"
+                name="categoryId"
+                value={formData.categoryId}
+                onChange={handleChange}
+              >
+                <option value="">— Uncategorized —</option>
+                {flattenCategoryTree(categories).map(({ category, depth }) => (
+                  <option key={category.id} value={category.id}>
+                    {'\u00A0\u00A0'.repeat(depth)}{category.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label>🎛️ OPTIONS & VARIANTS</label>
+              <ProductVariantsEditor
+                value={formData.variants}
+                onChange={handleVariantsChange}
+                images={formData.images}
+                basePrice={formData.price}
+                disabled={loading}
               />
             </div>
 
@@ -171,14 +294,14 @@ const ProductForm = () => {
               <button
                 type="submit"
                 className="btn btn-primary"
-                disabled={loading}
+                disabled={loading || imageUploading}
               >
                 {loading ? '⏳ PROCESSING...' : (isEditing ? '💾 UPDATE PRODUCT' : '🎬 CREATE PRODUCT')}
               </button>
               <button
                 type="button"
                 className="btn btn-secondary"
-                onClick={() => navigate('/')}
+                onClick={() => navigate('/admin/products')}
               >
                 ❌ CANCEL
               </button>
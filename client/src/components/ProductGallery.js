@@ -0,0 +1,240 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import ProductImage from './ProductImage';
+import './ProductGallery.css';
+
+// How far the lightbox image is magnified when zoomed in
+const ZOOM_SCALE = 2.5;
+
+// Main image with thumbnails for ProductDetail. The arrow keys (and Home/End) move between
+// images while the gallery has focus; Enter or a click opens the image full screen, where
+// clicking zooms in around the pointer and Escape closes. Changing activeImage (e.g. the selected
+// variant's image) shows that image; `images` should keep its identity between renders.
+const ProductGallery = ({ images, productName, fallback, activeImage = null }) => {
+  const [index, setIndex] = useState(0);
+  const [lightboxOpen, setLightboxOpen] = useState(false);
+  const [zoomed, setZoomed] = useState(false);
+  const [zoomOrigin, setZoomOrigin] = useState('50% 50%');
+  const mainRef = useRef(null);
+  const lightboxRef = useRef(null);
+
+  const count = images.length;
+  const current = Math.min(index, Math.max(count - 1, 0));
+
+  useEffect(() => {
+    const position = activeImage ? images.indexOf(activeImage) : -1;
+    if (position >= 0) setIndex(position);
+  }, [activeImage, images]);
+
+  useEffect(() => {
+    setZoomed(false);
+  }, [current, lightboxOpen]);
+
+  useEffect(() => {
+    if (!lightboxOpen) return;
+    lightboxRef.current?.focus();
+    const { overflow } = document.body.style;
+    document.body.style.overflow = 'hidden';
+    return () => {
+      document.body.style.overflow = overflow;
+    };
+  }, [lightboxOpen]);
+
+  if (count === 0) {
+    return <div className="image-container">{fallback}</div>;
+  }
+
+  const show = (next) => setIndex((next + count) % count);
+
+  const closeLightbox = () => {
+    setLightboxOpen(false);
+    mainRef.current?.focus();
+  };
+
+  const handleNavigationKeys = (e) => {
+    switch (e.key) {
+      case 'ArrowLeft':
+        show(current - 1);
+        break;
+      case 'ArrowRight':
+        show(current + 1);
+        break;
+      case 'Home':
+        show(0);
+        break;
+      case 'End':
+        show(count - 1);
+        break;
+      default:
+        return false;
+    }
+    e.preventDefault();
+    return true;
+  };
+
+  const handleMainKeyDown = (e) => {
+    if (handleNavigationKeys(e)) return;
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      setLightboxOpen(true);
+    }
+  };
+
+  const handleLightboxKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      closeLightbox();
+      return;
+    }
+    if (handleNavigationKeys(e)) return;
+    if (e.key === 'Enter' || e.key === ' ' || e.key === 'z') {
+      e.preventDefault();
+      setZoomed(value => !value);
+    }
+  };
+
+  const updateZoomOrigin = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x = ((e.clientX - rect.left) / rect.width) * 100;
+    const y = ((e.clientY - rect.top) / rect.height) * 100;
+    setZoomOrigin(`${x}% ${y}%`);
+  };
+
+  const handleLightboxImageClick = (e) => {
+    e.stopPropagation();
+    updateZoomOrigin(e);
+    setZoomed(value => !value);
+  };
+
+  const imageLabel = `${productName}, image ${current + 1} of ${count}`;
+
+  return (
+    <div className="product-gallery">
+      <div
+        ref={mainRef}
+        className="image-container gallery-main"
+        tabIndex={0}
+        role="button"
+        aria-label={`${imageLabel}. Press Enter to zoom${count > 1 ? ', arrow keys to browse' : ''}.`}
+        onClick={() => setLightboxOpen(true)}
+        onKeyDown={handleMainKeyDown}
+      >
+        <ProductImage
+          imageUrl={images[current]}
+          alt={imageLabel}
+          className="product-image-large"
+          sizes="(max-width: 1024px) 100vw, 350px"
+          loading="eager"
+          fallback={fallback}
+        />
+        <span className="gallery-zoom-hint" aria-hidden="true">🔍</span>
+        {count > 1 && (
+          <>
+            <button
+              type="button"
+              className="gallery-arrow gallery-arrow-prev"
+              onClick={(e) => { e.stopPropagation(); show(current - 1); }}
+              aria-label="Previous image"
+              tabIndex={-1}
+            >
+              ‹
+            </button>
+            <button
+              type="button"
+              className="gallery-arrow gallery-arrow-next"
+              onClick={(e) => { e.stopPropagation(); show(current + 1); }}
+              aria-label="Next image"
+              tabIndex={-1}
+            >
+              ›
+            </button>
+            <span className="gallery-counter">{current + 1} / {count}</span>
+          </>
+        )}
+      </div>
+
+      {count > 1 && (
+        <div className="gallery-thumbnails">
+          {images.map((url, i) => (
+            <button
+              key={url}
+              type="button"
+              className={`gallery-thumbnail${i === current ? ' active' : ''}`}
+              onClick={() => show(i)}
+              aria-label={`Show image ${i + 1} of ${count}`}
+              aria-current={i === current}
+            >
+              <ProductImage
+                imageUrl={url}
+                alt=""
+                sizes="64px"
+                fallback={<span className="gallery-thumbnail-missing">📷</span>}
+              />
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Portalled so the overlay isn't clipped by the image section */}
+      {lightboxOpen && createPortal(
+        <div
+          ref={lightboxRef}
+          className="gallery-lightbox"
+          role="dialog"
+          aria-modal="true"
+          aria-label={imageLabel}
+          tabIndex={-1}
+          onClick={closeLightbox}
+          onKeyDown={handleLightboxKeyDown}
+        >
+          <button type="button" className="gallery-lightbox-close" onClick={closeLightbox} aria-label="Close">
+            ✕
+          </button>
+          <div
+            className={`gallery-lightbox-stage${zoomed ? ' zoomed' : ''}`}
+            onClick={handleLightboxImageClick}
+            onMouseMove={zoomed ? updateZoomOrigin : undefined}
+          >
+            <div
+              className="gallery-lightbox-frame"
+              style={zoomed ? { transformOrigin: zoomOrigin, transform: `scale(${ZOOM_SCALE})` } : undefined}
+            >
+              <ProductImage
+                imageUrl={images[current]}
+                alt={imageLabel}
+                className="gallery-lightbox-image"
+                sizes="100vw"
+                loading="eager"
+                fallback={fallback}
+              />
+            </div>
+          </div>
+          {count > 1 && (
+            <>
+              <button
+                type="button"
+                className="gallery-arrow gallery-arrow-prev"
+                onClick={(e) => { e.stopPropagation(); show(current - 1); }}
+                aria-label="Previous image"
+              >
+                ‹
+              </button>
+              <button
+                type="button"
+                className="gallery-arrow gallery-arrow-next"
+                onClick={(e) => { e.stopPropagation(); show(current + 1); }}
+                aria-label="Next image"
+              >
+                ›
+              </button>
+              <span className="gallery-counter">{current + 1} / {count}</span>
+            </>
+          )}
+        </div>,
+        document.body
+      )}
+    </div>
+  );
+};
+
+export default ProductGallery;
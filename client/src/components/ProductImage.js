@@ -0,0 +1,29 @@
+import React, { useState, useEffect } from 'react';
+import { resolveImageUrl, getImageSrcSet } from '../utils/images';
+
+// A product's picture, responsive for uploaded images. Renders `fallback` when there is no
+// image or it fails to load (e.g. a hot-linked URL that has gone away).
+const ProductImage = ({ imageUrl, alt, sizes, className, fallback = null, loading = 'lazy' }) => {
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    setFailed(false);
+  }, [imageUrl]);
+
+  if (!imageUrl || failed) return fallback;
+
+  const srcSet = getImageSrcSet(imageUrl);
+  return (
+    <img
+      src={resolveImageUrl(imageUrl)}
+      srcSet={srcSet}
+      sizes={srcSet ? sizes : undefined}
+      alt={alt}
+      className={className}
+      loading={loading}
+      onError={() => setFailed(true)}
+    />
+  );
+};
+
+export default ProductImage;
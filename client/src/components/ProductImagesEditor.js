@@ -0,0 +1,152 @@
+import React, { useState } from 'react';
+import ImageUpload from './ImageUpload';
+import ProductImage from './ProductImage';
+import { MAX_PRODUCT_IMAGES } from '../utils/images';
+
+const move = (list, from, to) => {
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+};
+
+// Manages a product's gallery as an ordered list of URLs; the first one is the primary image.
+// onChange receives an updater (previous URLs => next URLs) because uploads finish asynchronously.
+const ProductImagesEditor = ({ images, onChange, onUploadingChange, disabled = false }) => {
+  const [urlInput, setUrlInput] = useState('');
+  const [urlError, setUrlError] = useState('');
+
+  const remaining = MAX_PRODUCT_IMAGES - images.length;
+
+  const addImage = (url) => {
+    onChange(prev => (prev.includes(url) || prev.length >= MAX_PRODUCT_IMAGES ? prev : [...prev, url]));
+  };
+
+  const handleAddUrl = () => {
+    const url = urlInput.trim();
+    if (!url) return;
+    if (!/^https?:\/\//i.test(url)) {
+      setUrlError('Enter a full image link starting with http:// or https://');
+      return;
+    }
+    if (images.includes(url)) {
+      setUrlError('That image is already in the gallery');
+      return;
+    }
+    addImage(url);
+    setUrlInput('');
+    setUrlError('');
+  };
+
+  const handleUrlKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      handleAddUrl();
+    }
+  };
+
+  const placeholder = <div className="image-preview-placeholder">🎬</div>;
+
+  return (
+    <div className="image-editor">
+      <div className="image-preview-box">
+        {images.length > 0 ? (
+          <div className="image-preview">
+            <ProductImage imageUrl={images[0]} alt="Primary image" sizes="350px" fallback={placeholder} />
+          </div>
+        ) : (
+          placeholder
+        )}
+      </div>
+
+      {images.length > 0 && (
+        <ol className="image-editor-list">
+          {images.map((url, index) => (
+            <li key={url} className={`image-editor-item${index === 0 ? ' primary' : ''}`}>
+              <div className="image-editor-thumb">
+                <ProductImage
+                  imageUrl={url}
+                  alt={`Image ${index + 1}`}
+                  sizes="80px"
+                  fallback={<div className="image-editor-broken" title={url}>📷</div>}
+                />
+                {index === 0 && <span className="image-editor-badge">★ PRIMARY</span>}
+              </div>
+              <div className="image-editor-actions">
+                <button
+                  type="button"
+                  onClick={() => onChange(prev => move(prev, index, index - 1))}
+                  disabled={disabled || index === 0}
+                  aria-label={`Move image ${index + 1} earlier`}
+                  title="Move earlier"
+                >
+                  ◀
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onChange(prev => move(prev, index, 0))}
+                  disabled={disabled || index === 0}
+                  aria-label={`Make image ${index + 1} the primary image`}
+                  title="Make primary"
+                >
+                  ★
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onChange(prev => move(prev, index, index + 1))}
+                  disabled={disabled || index === images.length - 1}
+                  aria-label={`Move image ${index + 1} later`}
+                  title="Move later"
+                >
+                  ▶
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onChange(prev => prev.filter(item => item !== url))}
+                  disabled={disabled}
+                  aria-label={`Remove image ${index + 1}`}
+                  title="Remove"
+                  className="image-editor-remove"
+                >
+                  ✕
+                </button>
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <ImageUpload
+        onUpload={addImage}
+        onUploadingChange={onUploadingChange}
+        maxFiles={remaining}
+        disabled={disabled}
+      />
+
+      <div className="image-url-add">
+        <input
+          type="url"
+          value={urlInput}
+          onChange={(e) => setUrlInput(e.target.value)}
+          onKeyDown={handleUrlKeyDown}
+          placeholder="or paste https://example.com/image.jpg"
+          aria-label="Image URL"
+          maxLength={500}
+          disabled={disabled || remaining <= 0}
+        />
+        <button
+          type="button"
+          className="btn btn-secondary btn-small"
+          onClick={handleAddUrl}
+          disabled={disabled || remaining <= 0 || !urlInput.trim()}
+        >
+          ➕ ADD
+        </button>
+      </div>
+      {urlError && <div className="error-message">🚨 {urlError}</div>}
+      <small className="image-upload-hint">{images.length} / {MAX_PRODUCT_IMAGES} images</small>
+    </div>
+  );
+};
+
+export default ProductImagesEditor;
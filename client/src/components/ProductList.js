@@ -1,35 +1,155 @@
-import React, { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
-import axios from 'axios';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { useCart } from '../contexts/CartContext';
+import { productsApi, categoriesApi, isCancelledError } from '../api';
+import { getCategoryPath, getChildCategories } from '../utils/categories';
+import { isOutOfStock } from '../utils/stock';
+import { hasVariants, getPriceRange } from '../utils/variants';
+import StockBadge from './StockBadge';
+import StarRating from './StarRating';
+import WishlistButton from './WishlistButton';
+import ProductImage from './ProductImage';
+import Pagination from './Pagination';
 
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'https://localhost:7207';
+const PAGE_SIZE = 12;
+// Typing in the search/price fields only updates the URL once the user pauses
+const FILTER_DEBOUNCE_MS = 400;
+
+const SORT_OPTIONS = [
+  { value: 'newest', label: '🆕 Newest' },
+  { value: 'price_asc', label: '💲 Price: Low to High' },
+  { value: 'price_desc', label: '💰 Price: High to Low' },
+  { value: 'name_asc', label: '🔤 Name: A-Z' },
+  { value: 'name_desc', label: '🔡 Name: Z-A' }
+];
 
 const ProductList = () => {
-  const { isAuthenticated } = useAuth();
+  const { isAdmin } = useAuth();
+  const { addItem } = useCart();
+  const { slug: categorySlug } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [categories, setCategories] = useState([]);
   const [products, setProducts] = useState([]);
+  const [totalCount, setTotalCount] = useState(0);
+  const [totalPages, setTotalPages] = useState(0);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
-  const [searchTerm, setSearchTerm] = useState('');
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [productToDelete, setProductToDelete] = useState(null);
   const [deleting, setDeleting] = useState(false);
   const [addingToCart, setAddingToCart] = useState({});
   const [toast, setToast] = useState({ show: false, message: '', type: '' });
 
+  // The URL is the source of truth for the current view, so filtered pages can be shared and revisited
+  const query = searchParams.get('q') || '';
+  const minPrice = searchParams.get('minPrice') || '';
+  const maxPrice = searchParams.get('maxPrice') || '';
+  const sort = searchParams.get('sort') || 'newest';
+  const page = Math.max(parseInt(searchParams.get('page'), 10) || 1, 1);
+
+  // Local copies of the text inputs so typing stays responsive
+  const [filterInputs, setFilterInputs] = useState({ query, minPrice, maxPrice });
+
+  // Keep the inputs in sync when the URL changes underneath them (back/forward navigation)
   useEffect(() => {
-    fetchProducts();
+    setFilterInputs({ query, minPrice, maxPrice });
+  }, [query, minPrice, maxPrice]);
+
+  const updateParams = useCallback((changes, { resetPage = true, replace = false } = {}) => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      Object.entries(changes).forEach(([key, value]) => {
+        if (value === '' || value === null || value === undefined) {
+          next.delete(key);
+        } else {
+          next.set(key, value);
+        }
+      });
+      if (resetPage) next.delete('page');
+      return next;
+    }, { replace });
+  }, [setSearchParams]);
+
+  useEffect(() => {
+    const { query: nextQuery, minPrice: nextMin, maxPrice: nextMax } = filterInputs;
+    if (nextQuery === query && nextMin === minPrice && nextMax === maxPrice) return;
+
+    const timer = setTimeout(() => {
+      // Keystrokes replace the history entry instead of adding one per character
+      updateParams({ q: nextQuery, minPrice: nextMin, maxPrice: nextMax }, { replace: true });
+    }, FILTER_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [filterInputs, query, minPrice, maxPrice, updateParams]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    categoriesApi.list({ signal: controller.signal })
+      .then(setCategories)
+      .catch((err) => {
+        // The grid still works without category navigation
+        if (!isCancelledError(err)) console.error('Error fetching categories:', err);
+      });
+    return () => controller.abort();
   }, []);
 
-  const fetchProducts = async () => {
-    try {
-      const response = await axios.get(`${API_BASE_URL}/api/products`);
-      setProducts(response.data);
-      setLoading(false);
-    } catch (err) {
-      setError('Failed to fetch products');
-      setLoading(false);
-    }
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const fetchProducts = async () => {
+      setLoading(true);
+      try {
+        const data = await productsApi.list({
+          query: query.trim() || undefined,
+          category: categorySlug,
+          minPrice: minPrice || undefined,
+          maxPrice: maxPrice || undefined,
+          sort,
+          page,
+          pageSize: PAGE_SIZE
+        }, { signal: controller.signal });
+        setProducts(data.items);
+        setTotalCount(data.totalCount);
+        setTotalPages(data.totalPages);
+        setError('');
+        setLoading(false);
+      } catch (err) {
+        if (isCancelledError(err)) return;
+        setError(err.status === 404 ? 'Category not found' : (err.data?.message || 'Failed to fetch products'));
+        setLoading(false);
+      }
+    };
+
+    fetchProducts();
+    return () => controller.abort();
+  }, [categorySlug, query, minPrice, maxPrice, sort, page]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilterInputs(prev => ({ ...prev, [name]: value }));
+  };
+
+  const clearFilters = () => {
+    setFilterInputs({ query: '', minPrice: '', maxPrice: '' });
+    setSearchParams({});
+  };
+
+  const hasFilters = Boolean(query || minPrice || maxPrice || sort !== 'newest');
+
+  const currentCategory = categories.find(category => category.slug === categorySlug);
+  const categoryPath = currentCategory ? getCategoryPath(categories, currentCategory.id) : [];
+  // Inside a leaf category, keep offering its siblings so the chip row never ends up empty
+  const childCategories = currentCategory ? getChildCategories(categories, currentCategory.id) : [];
+  const categoryChips = currentCategory && childCategories.length === 0
+    ? getChildCategories(categories, currentCategory.parentId ?? null)
+    : getChildCategories(categories, currentCategory ? currentCategory.id : null);
+
+  // Switching category keeps the search/price/sort filters but starts again from page 1
+  const categoryLink = (slug) => {
+    const params = new URLSearchParams(searchParams);
+    params.delete('page');
+    const search = params.toString();
+    return { pathname: slug ? `/category/${slug}` : '/', search: search ? `?${search}` : '' };
   };
 
   const handleDeleteClick = (product) => {
@@ -42,8 +162,9 @@ const ProductList = () => {
     
     setDeleting(true);
     try {
-      await axios.delete(`${API_BASE_URL}/api/products/${productToDelete.id}`);
+      await productsApi.remove(productToDelete.id);
       setProducts(products.filter(product => product.id !== productToDelete.id));
+      setTotalCount(count => count - 1);
       setShowDeleteModal(false);
       setProductToDelete(null);
     } catch (err) {
@@ -58,37 +179,26 @@ const ProductList = () => {
     setProductToDelete(null);
   };
 
-  const addToCart = async (productId) => {
-    if (!isAuthenticated) {
-      setToast({ show: true, message: 'Please login to add items to cart', type: 'warning' });
-      setTimeout(() => setToast({ show: false, message: '', type: '' }), 3000);
-      return;
-    }
-
+  const addToCart = async (product) => {
+    const productId = product.id;
     setAddingToCart(prev => ({ ...prev, [productId]: true }));
     try {
-      await axios.post(`${API_BASE_URL}/api/cart/items`, {
-        productId: productId,
-        quantity: 1
-      });
+      await addItem(product, 1);
       setToast({ show: true, message: '✅ Product added to cart!', type: 'success' });
       setTimeout(() => setToast({ show: false, message: '', type: '' }), 3000);
     } catch (err) {
       console.error('Error adding to cart:', err);
-      setToast({ show: true, message: '❌ Failed to add to cart. Please try again.', type: 'error' });
+      setToast({ show: true, message: `❌ ${err.data?.message || err.message || 'Failed to add to cart. Please try again.'}`, type: 'error' });
       setTimeout(() => setToast({ show: false, message: '', type: '' }), 3000);
     } finally {
       setAddingToCart(prev => ({ ...prev, [productId]: false }));
     }
   };
 
-  const filteredProducts = products.filter(product =>
-    product.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    product.description.toLowerCase().includes(searchTerm.toLowerCase())
-  );
-
-  if (loading) return <div className="loading">Loading products...</div>;
-  if (error) return <div className="error">{error}</div>;
+  const handleWishlistError = (message) => {
+    setToast({ show: true, message: `❌ ${message}`, type: 'error' });
+    setTimeout(() => setToast({ show: false, message: '', type: '' }), 3000);
+  };
 
   return (
     <div className="product-list-container">
@@ -132,73 +242,193 @@ const ProductList = () => {
       )}
 
       <div className="header">
-        <h2>🎬 SHOP NEW PRODUCTS 🎬</h2>
-        <div className="search-container">
-          <input
-            type="text"
-            placeholder="🔍 Search for cinema magic..."
-            value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
-            className="search-input"
-          />
+        <h2>{currentCategory ? `🎬 ${currentCategory.name.toUpperCase()} 🎬` : '🎬 SHOP NEW PRODUCTS 🎬'}</h2>
+        {categoryPath.length > 0 && (
+          <nav className="category-breadcrumb">
+            <Link to={categoryLink(null)} className="breadcrumb-link">🏠 ALL</Link>
+            {categoryPath.map(category => (
+              <React.Fragment key={category.id}>
+                <span className="breadcrumb-separator">▶</span>
+                {category.id === currentCategory.id ? (
+                  <span className="breadcrumb-current">{category.name}</span>
+                ) : (
+                  <Link to={categoryLink(category.slug)} className="breadcrumb-link">{category.name}</Link>
+                )}
+              </React.Fragment>
+            ))}
+          </nav>
+        )}
+        {currentCategory?.description && (
+          <p className="category-description">{currentCategory.description}</p>
+        )}
+        {categoryChips.length > 0 && (
+          <div className="category-chips">
+            {!currentCategory && (
+              <span className="category-chip active">All</span>
+            )}
+            {categoryChips.map(category => (
+              <Link
+                key={category.id}
+                to={categoryLink(category.slug)}
+                className={`category-chip${category.id === currentCategory?.id ? ' active' : ''}`}
+              >
+                {category.name}
+              </Link>
+            ))}
+          </div>
+        )}
+        <div className="search-filter-container">
+          <div className="search-container">
+            <input
+              type="text"
+              name="query"
+              placeholder="🔍 Search for cinema magic..."
+              value={filterInputs.query}
+              onChange={handleFilterChange}
+              className="search-input"
+            />
+          </div>
+          <div className="price-filter">
+            <input
+              type="number"
+              name="minPrice"
+              min="0"
+              step="0.01"
+              placeholder="Min $"
+              value={filterInputs.minPrice}
+              onChange={handleFilterChange}
+              className="filter-input"
+              aria-label="Minimum price"
+            />
+            <span className="price-filter-separator">–</span>
+            <input
+              type="number"
+              name="maxPrice"
+              min="0"
+              step="0.01"
+              placeholder="Max $"
+              value={filterInputs.maxPrice}
+              onChange={handleFilterChange}
+              className="filter-input"
+              aria-label="Maximum price"
+            />
+          </div>
+          <select
+            value={sort}
+            onChange={(e) => updateParams({ sort: e.target.value === 'newest' ? '' : e.target.value })}
+            className="filter-select"
+            aria-label="Sort products"
+          >
+            {SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          {hasFilters && (
+            <button onClick={clearFilters} className="btn btn-secondary">
+              ✖ Clear
+            </button>
+          )}
         </div>
+        {!loading && !error && (
+          <p className="results-count">
+            {totalCount} {totalCount === 1 ? 'product' : 'products'} found
+          </p>
+        )}
       </div>
 
-      {filteredProducts.length === 0 ? (
+      {loading ? (
+        <div className="loading">Loading products...</div>
+      ) : error ? (
+        <div className="error">{error}</div>
+      ) : products.length === 0 ? (
         <div className="no-products">
-          <p>🤖 No products found in the database...</p>
-          <Link to="/products/new" className="btn btn-primary">⚡ Create First Product</Link>
+          <p>{hasFilters ? '🔍 No products match your filters...' : '🤖 No products found in the database...'}</p>
+          {isAdmin && !hasFilters && !categorySlug && (
+            <Link to="/admin/products/new" className="btn btn-primary">⚡ Create First Product</Link>
+          )}
         </div>
       ) : (
         <div className="products-grid">
-          {filteredProducts.map((product) => (
-            <div key={product.id} className="product-card">
-              <div className="product-image">
-                {product.imageUrl ? (
-                  <img src={product.imageUrl} alt={product.name} />
-                ) : (
-                  <div className="no-image">📷 NO DATA</div>
-                )}
-              </div>
-              <div className="product-info">
-                <h3>{product.name}</h3>
-                <p className="price">💰 ${product.price}</p>
-                <p className="description">
-                  {product.description.length > 100
-                    ? product.description.substring(0, 100) + '...'
-                    : product.description}
-                </p>
-                <div className="product-actions">
-                  <Link to={`/products/${product.id}`} className="btn btn-primary">
-                    🔍 View Details
-                  </Link>
-                  <button
-                    onClick={() => addToCart(product.id)}
-                    className="btn btn-success"
-                    disabled={addingToCart[product.id]}
-                  >
-                    {addingToCart[product.id] ? '⏳ Adding...' : '🛒 Add to Cart'}
-                  </button>
-                  {isAuthenticated && (
-                    <>
-                      <Link to={`/products/edit/${product.id}`} className="btn btn-secondary">
-                        ✏️ Edit
+          {products.map((product) => {
+            const priceRange = getPriceRange(product);
+            return (
+              <div key={product.id} className="product-card">
+                <div className="product-image">
+                  <ProductImage
+                    imageUrl={product.imageUrl}
+                    alt={product.name}
+                    sizes="(max-width: 480px) 100vw, 320px"
+                    fallback={<div className="no-image">📷 NO DATA</div>}
+                  />
+                  <WishlistButton
+                    product={product}
+                    className="wishlist-button-overlay"
+                    onError={handleWishlistError}
+                  />
+                </div>
+                <div className="product-info">
+                  <h3>{product.name}</h3>
+                  <p className="price">
+                    💰 {priceRange.min !== priceRange.max && 'From '}${priceRange.min}
+                  </p>
+                  {product.reviewCount > 0 && (
+                    <StarRating rating={product.averageRating} count={product.reviewCount} className="product-card-rating" />
+                  )}
+                  <StockBadge stockQuantity={product.stockQuantity} />
+                  <p className="description">
+                    {product.description.length > 100
+                      ? product.description.substring(0, 100) + '...'
+                      : product.description}
+                  </p>
+                  <div className="product-actions">
+                    <Link to={`/products/${product.id}`} className="btn btn-primary">
+                      🔍 View Details
+                    </Link>
+                    {/* A variant has to be picked on the detail page first */}
+                    {hasVariants(product) && !isOutOfStock(product.stockQuantity) ? (
+                      <Link to={`/products/${product.id}`} className="btn btn-success">
+                        🎛️ Choose Options
                       </Link>
+                    ) : (
                       <button
-                        onClick={() => handleDeleteClick(product)}
-                        className="btn btn-danger"
-                        disabled={deleting && productToDelete?.id === product.id}
+                        onClick={() => addToCart(product)}
+                        className="btn btn-success"
+                        disabled={addingToCart[product.id] || isOutOfStock(product.stockQuantity)}
                       >
-                        {deleting && productToDelete?.id === product.id ? '⏳ Deleting...' : '🗑️ Delete'}
+                        {isOutOfStock(product.stockQuantity)
+                          ? '🚫 Out of Stock'
+                          : addingToCart[product.id] ? '⏳ Adding...' : '🛒 Add to Cart'}
                       </button>
-                    </>
-                  )}
+                    )}
+                    {isAdmin && (
+                      <>
+                        <Link to={`/admin/products/edit/${product.id}`} className="btn btn-secondary">
+                          ✏️ Edit
+                        </Link>
+                        <button
+                          onClick={() => handleDeleteClick(product)}
+                          className="btn btn-danger"
+                          disabled={deleting && productToDelete?.id === product.id}
+                        >
+                          {deleting && productToDelete?.id === product.id ? '⏳ Deleting...' : '🗑️ Delete'}
+                        </button>
+                      </>
+                    )}
+                  </div>
                 </div>
               </div>
-            </div>
-          ))}
+            );
+          })}
         </div>
       )}
+
+      {!loading && !error && (
+        <Pagination
+          page={page}
+          totalPages={totalPages}
+          onPageChange={(nextPage) => updateParams({ page: nextPage > 1 ? nextPage : '' }, { resetPage: false })}
+        />
+      )}
     </div>
   );
 };
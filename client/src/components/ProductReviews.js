@@ -0,0 +1,218 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { reviewsApi, isCancelledError } from '../api';
+import StarRating from './StarRating';
+import ReviewForm from './ReviewForm';
+import Pagination from './Pagination';
+import './ProductReviews.css';
+
+const PAGE_SIZE = 5;
+
+const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest' },
+  { value: 'highest', label: 'Highest rated' },
+  { value: 'lowest', label: 'Lowest rated' }
+];
+
+const formatDate = (value) => new Date(value).toLocaleDateString();
+
+// Review section of ProductDetail: the rating summary, the signed-in customer's own review
+// (or a form to write one once they've received the product) and the paginated list.
+// onSummaryChange receives { averageRating, reviewCount } whenever the list is loaded.
+const ProductReviews = ({ productId, onSummaryChange }) => {
+  const location = useLocation();
+  const { isAuthenticated } = useAuth();
+  const [sort, setSort] = useState('newest');
+  const [page, setPage] = useState(1);
+  const [reviews, setReviews] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [mine, setMine] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [deleting, setDeleting] = useState(false);
+  const [actionError, setActionError] = useState('');
+  // Bumped to reload the list and the user's own review after a change
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const fetchReviews = async () => {
+      setLoading(true);
+      try {
+        const data = await reviewsApi.list(productId, { sort, page, pageSize: PAGE_SIZE }, { signal: controller.signal });
+        setReviews(data);
+        setError('');
+        setLoading(false);
+      } catch (err) {
+        if (isCancelledError(err)) return;
+        setError(err.data?.message || 'Failed to load reviews');
+        setLoading(false);
+      }
+    };
+
+    fetchReviews();
+    return () => controller.abort();
+  }, [productId, sort, page, reloadKey]);
+
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setMine(null);
+      return;
+    }
+    const controller = new AbortController();
+    reviewsApi.getMine(productId, { signal: controller.signal })
+      .then(setMine)
+      .catch((err) => {
+        // Without it the visitor simply isn't offered the review form
+        if (!isCancelledError(err)) console.error('Error checking review eligibility:', err);
+      });
+    return () => controller.abort();
+  }, [productId, isAuthenticated, reloadKey]);
+
+  useEffect(() => {
+    if (reviews) {
+      onSummaryChange?.({ averageRating: reviews.averageRating, reviewCount: reviews.reviewCount });
+    }
+  }, [reviews, onSummaryChange]);
+
+  const reload = () => {
+    setEditing(false);
+    setActionError('');
+    setPage(1);
+    setReloadKey(key => key + 1);
+  };
+
+  const handleCreate = async (input) => {
+    await reviewsApi.create(productId, input);
+    setSort('newest');
+    reload();
+  };
+
+  const handleUpdate = async (input) => {
+    await reviewsApi.update(productId, mine.review.id, input);
+    reload();
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete your review?')) return;
+    setDeleting(true);
+    setActionError('');
+    try {
+      await reviewsApi.remove(productId, mine.review.id);
+      reload();
+    } catch (err) {
+      setActionError(err.data?.message || 'Failed to delete your review');
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  const handleSortChange = (e) => {
+    setSort(e.target.value);
+    setPage(1);
+  };
+
+  const ownReview = mine?.review;
+
+  const renderOwnReview = () => {
+    if (!isAuthenticated) {
+      return (
+        <p className="reviews-note">
+          <Link to="/login" state={{ from: location }} className="reviews-link">Log in</Link> to review this product.
+        </p>
+      );
+    }
+    if (!mine) return null;
+
+    if (ownReview) {
+      return editing ? (
+        <ReviewForm review={ownReview} onSubmit={handleUpdate} onCancel={() => setEditing(false)} />
+      ) : (
+        <div className="review-own">
+          <div className="review-own-header">
+            <h4>Your review</h4>
+            <div className="review-own-actions">
+              <button type="button" className="btn btn-secondary btn-small" onClick={() => setEditing(true)} disabled={deleting}>
+                ✏️ Edit
+              </button>
+              <button type="button" className="btn btn-danger btn-small" onClick={handleDelete} disabled={deleting}>
+                {deleting ? '⏳ Deleting...' : '🗑️ Delete'}
+              </button>
+            </div>
+          </div>
+          <StarRating rating={ownReview.rating} />
+          <p className="review-title">{ownReview.title}</p>
+          <p className="review-body">{ownReview.body}</p>
+          {actionError && <div className="error-message">🚨 {actionError}</div>}
+        </div>
+      );
+    }
+
+    if (!mine.canReview) {
+      return <p className="reviews-note">{mine.reason}</p>;
+    }
+
+    return editing ? (
+      <ReviewForm onSubmit={handleCreate} onCancel={() => setEditing(false)} />
+    ) : (
+      <button type="button" className="btn btn-primary btn-small" onClick={() => setEditing(true)}>
+        ✍️ Write a Review
+      </button>
+    );
+  };
+
+  return (
+    <section id="reviews" className="product-reviews">
+      <div className="reviews-header">
+        <h3 className="section-title">⭐ CUSTOMER REVIEWS</h3>
+        {reviews && reviews.reviewCount > 0 && (
+          <StarRating rating={reviews.averageRating} count={reviews.reviewCount} />
+        )}
+      </div>
+
+      {renderOwnReview()}
+
+      {error && <div className="error-message">🚨 {error}</div>}
+
+      {reviews && reviews.totalCount > 0 && (
+        <>
+          <div className="reviews-toolbar">
+            <select value={sort} onChange={handleSortChange} className="filter-select" aria-label="Sort reviews">
+              {SORT_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <ul className="reviews-list">
+            {reviews.items.map(review => (
+              <li key={review.id} className="review">
+                <div className="review-header">
+                  <StarRating rating={review.rating} />
+                  <span className="review-title">{review.title}</span>
+                </div>
+                <p className="review-meta">
+                  {review.authorName}
+                  {review.isOwn && <span className="review-own-badge">You</span>}
+                  {' · '}{formatDate(review.createdAt)}
+                  {review.updatedAt !== review.createdAt && ' (edited)'}
+                </p>
+                <p className="review-body">{review.body}</p>
+              </li>
+            ))}
+          </ul>
+
+          <Pagination page={page} totalPages={reviews.totalPages} onPageChange={setPage} disabled={loading} />
+        </>
+      )}
+
+      {!loading && reviews && reviews.totalCount === 0 && (
+        <p className="reviews-note">No reviews yet.</p>
+      )}
+    </section>
+  );
+};
+
+export default ProductReviews;
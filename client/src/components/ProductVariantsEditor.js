@@ -0,0 +1,229 @@
+import React from 'react';
+import { MAX_PRODUCT_OPTIONS } from '../utils/variants';
+
+const MAX_VARIANTS = 100;
+
+const splitValues = (text) => [...new Set(text.split(',').map(value => value.trim()).filter(Boolean))];
+
+// Every combination of one value per option, in option order
+const combine = (valueLists) => valueLists.reduce(
+  (combos, values) => combos.flatMap(combo => values.map(value => [...combo, value])),
+  [[]]
+);
+
+const sameValues = (a, b) => a.length === b.length && a.every((value, index) => value === b[index]);
+
+const createVariantRow = (values) => ({ values, sku: '', price: '', stockQuantity: '0', imageUrl: '' });
+
+// Options (name plus the comma-separated values used to generate variants) and the variant
+// table for ProductForm. `value` is { options, variants } in form state: variant prices and
+// stock are strings as typed, and each variant's `values` line up with the options.
+// onChange receives the next { options, variants }.
+const ProductVariantsEditor = ({ value, onChange, images, basePrice, disabled = false }) => {
+  const { options, variants } = value;
+
+  const updateOption = (index, changes) => {
+    onChange({
+      options: options.map((option, i) => (i === index ? { ...option, ...changes } : option)),
+      variants
+    });
+  };
+
+  const addOption = () => {
+    onChange({
+      options: [...options, { name: '', values: '' }],
+      variants: variants.map(variant => ({ ...variant, values: [...variant.values, ''] }))
+    });
+  };
+
+  // Drops the option's column; variants that then coincide are merged into the first of them
+  const removeOption = (index) => {
+    const remaining = [];
+    variants.forEach(variant => {
+      const values = variant.values.filter((_, i) => i !== index);
+      if (!remaining.some(other => sameValues(other.values, values))) {
+        remaining.push({ ...variant, values });
+      }
+    });
+    onChange({
+      options: options.filter((_, i) => i !== index),
+      variants: options.length === 1 ? [] : remaining
+    });
+  };
+
+  // Rebuilds the table from the option values, keeping the details of combinations that stay
+  const generateVariants = () => {
+    const combos = combine(options.map(option => splitValues(option.values)));
+    onChange({
+      options,
+      variants: combos.slice(0, MAX_VARIANTS).map(values =>
+        variants.find(variant => sameValues(variant.values, values)) || createVariantRow(values))
+    });
+  };
+
+  const updateVariant = (index, changes) => {
+    onChange({
+      options,
+      variants: variants.map((variant, i) => (i === index ? { ...variant, ...changes } : variant))
+    });
+  };
+
+  const removeVariant = (index) => {
+    onChange({ options, variants: variants.filter((_, i) => i !== index) });
+  };
+
+  const canGenerate = options.length > 0
+    && options.every(option => option.name.trim() && splitValues(option.values).length > 0);
+  const comboCount = canGenerate
+    ? options.reduce((count, option) => count * splitValues(option.values).length, 1)
+    : 0;
+
+  return (
+    <div className="variants-editor">
+      {options.map((option, index) => (
+        <div key={index} className="variants-option">
+          <input
+            type="text"
+            value={option.name}
+            onChange={(e) => updateOption(index, { name: e.target.value })}
+            placeholder={index === 0 ? 'Size' : index === 1 ? 'Color' : 'Material'}
+            aria-label={`Option ${index + 1} name`}
+            maxLength={50}
+            disabled={disabled}
+          />
+          <input
+            type="text"
+            value={option.values}
+            onChange={(e) => updateOption(index, { values: e.target.value })}
+            placeholder={index === 0 ? 'S, M, L' : 'Red, Blue'}
+            aria-label={`Option ${index + 1} values, separated by commas`}
+            disabled={disabled}
+          />
+          <button
+            type="button"
+            className="btn btn-danger btn-small"
+            onClick={() => removeOption(index)}
+            aria-label={`Remove option ${index + 1}`}
+            disabled={disabled}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+
+      <div className="variants-toolbar">
+        {options.length < MAX_PRODUCT_OPTIONS && (
+          <button type="button" className="btn btn-secondary btn-small" onClick={addOption} disabled={disabled}>
+            ➕ ADD OPTION
+          </button>
+        )}
+        {options.length > 0 && (
+          <button
+            type="button"
+            className="btn btn-secondary btn-small"
+            onClick={generateVariants}
+            disabled={disabled || !canGenerate}
+            title="Creates a variant for every combination of the values above"
+          >
+            🔄 GENERATE {comboCount > 0 ? `${Math.min(comboCount, MAX_VARIANTS)} ` : ''}VARIANTS
+          </button>
+        )}
+      </div>
+      {comboCount > MAX_VARIANTS && (
+        <small className="variants-hint">Only the first {MAX_VARIANTS} combinations are used.</small>
+      )}
+
+      {variants.length > 0 && (
+        <div className="variants-table-wrapper">
+          <table className="variants-table">
+            <thead>
+              <tr>
+                <th>Variant</th>
+                <th>SKU</th>
+                <th>Price ($)</th>
+                <th>Stock</th>
+                <th>Image</th>
+                <th aria-label="Actions" />
+              </tr>
+            </thead>
+            <tbody>
+              {variants.map((variant, index) => {
+                const label = variant.values.map(v => v || '?').join(' / ');
+                return (
+                  <tr key={variant.values.join('\n')}>
+                    <td className="variants-label">{label}</td>
+                    <td>
+                      <input
+                        type="text"
+                        value={variant.sku}
+                        onChange={(e) => updateVariant(index, { sku: e.target.value })}
+                        aria-label={`${label} SKU`}
+                        maxLength={64}
+                        disabled={disabled}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        value={variant.price}
+                        onChange={(e) => updateVariant(index, { price: e.target.value })}
+                        placeholder={basePrice || '0.00'}
+                        aria-label={`${label} price, blank for the product price`}
+                        step="0.01"
+                        min="0"
+                        disabled={disabled}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        value={variant.stockQuantity}
+                        onChange={(e) => updateVariant(index, { stockQuantity: e.target.value })}
+                        aria-label={`${label} stock`}
+                        step="1"
+                        min="0"
+                        disabled={disabled}
+                      />
+                    </td>
+                    <td>
+                      <select
+                        value={variant.imageUrl}
+                        onChange={(e) => updateVariant(index, { imageUrl: e.target.value })}
+                        aria-label={`${label} image`}
+                        disabled={disabled || images.length === 0}
+                      >
+                        <option value="">Primary</option>
+                        {images.map((url, i) => (
+                          <option key={url} value={url}>Image {i + 1}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td>
+                      <button
+                        type="button"
+                        className="btn btn-danger btn-small"
+                        onClick={() => removeVariant(index)}
+                        aria-label={`Remove ${label}`}
+                        disabled={disabled}
+                      >
+                        ✕
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <small className="variants-hint">
+        {options.length === 0
+          ? 'Add options such as Size or Color to sell this product in several variants.'
+          : 'Leave a price blank to use the product price. Stock is tracked per variant.'}
+      </small>
+    </div>
+  );
+};
+
+export default ProductVariantsEditor;
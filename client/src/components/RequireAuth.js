@@ -0,0 +1,29 @@
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+
+// Route element guard: renders its children only for signed-in users and
+// otherwise sends them to /login, which brings them back here afterwards.
+const RequireAuth = ({ children }) => {
+  const { isAuthenticated, loading } = useAuth();
+  const location = useLocation();
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="cinema-loader">
+          <div className="loader-ring"></div>
+        </div>
+        <p className="loading-text">🔑 CHECKING SESSION...</p>
+      </div>
+    );
+  }
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  return children;
+};
+
+export default RequireAuth;
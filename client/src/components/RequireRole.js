@@ -0,0 +1,25 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import RequireAuth from './RequireAuth';
+
+// Like RequireAuth, but the signed-in user must also carry the given role claim
+const RequireRole = ({ role, children }) => {
+  const { hasRole } = useAuth();
+
+  return (
+    <RequireAuth>
+      {hasRole(role) ? children : (
+        <div className="error-container">
+          <div className="error-content">
+            <h2>🚫 ACCESS DENIED</h2>
+            <p>You don't have permission to view this page.</p>
+            <Link to="/" className="btn btn-primary">⬅️ BACK TO STORE</Link>
+          </div>
+        </div>
+      )}
+    </RequireAuth>
+  );
+};
+
+export default RequireRole;
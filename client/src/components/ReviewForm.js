@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+
+// Matches the limits in ReviewsController
+const MAX_TITLE_LENGTH = 100;
+const MAX_BODY_LENGTH = 2000;
+
+const RATING_LABELS = ['Terrible', 'Poor', 'Okay', 'Good', 'Excellent'];
+
+// Writes a new review or edits `review`. onSubmit receives { rating, title, body } and
+// should throw an ApiError on failure, whose message is shown in the form.
+const ReviewForm = ({ review = null, onSubmit, onCancel }) => {
+  const [rating, setRating] = useState(review?.rating || 0);
+  const [hoverRating, setHoverRating] = useState(0);
+  const [title, setTitle] = useState(review?.title || '');
+  const [body, setBody] = useState(review?.body || '');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!rating) {
+      setError('Please choose a star rating');
+      return;
+    }
+    if (!title.trim() || !body.trim()) {
+      setError('Please give your review a title and some text');
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    try {
+      await onSubmit({ rating, title: title.trim(), body: body.trim() });
+    } catch (err) {
+      setError(err.data?.message || 'Failed to save your review');
+      setSaving(false);
+    }
+  };
+
+  const shownRating = hoverRating || rating;
+
+  return (
+    <form onSubmit={handleSubmit} className="review-form">
+      <div className="review-form-stars" role="radiogroup" aria-label="Rating" onMouseLeave={() => setHoverRating(0)}>
+        {[1, 2, 3, 4, 5].map(value => (
+          <button
+            key={value}
+            type="button"
+            role="radio"
+            aria-checked={rating === value}
+            aria-label={`${value} star${value > 1 ? 's' : ''}: ${RATING_LABELS[value - 1]}`}
+            className={`review-form-star${value <= shownRating ? ' filled' : ''}`}
+            onClick={() => setRating(value)}
+            onMouseEnter={() => setHoverRating(value)}
+            disabled={saving}
+          >
+            ★
+          </button>
+        ))}
+        <span className="review-form-rating-label">{shownRating ? RATING_LABELS[shownRating - 1] : 'Choose a rating'}</span>
+      </div>
+
+      <input
+        type="text"
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        placeholder="Sum it up in a few words"
+        aria-label="Review title"
+        maxLength={MAX_TITLE_LENGTH}
+        disabled={saving}
+      />
+      <textarea
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        placeholder="What did you like or dislike?"
+        aria-label="Review"
+        rows="4"
+        maxLength={MAX_BODY_LENGTH}
+        disabled={saving}
+      />
+      <small className="review-form-count">{body.length} / {MAX_BODY_LENGTH}</small>
+
+      {error && <div className="error-message">🚨 {error}</div>}
+
+      <div className="review-form-actions">
+        <button type="submit" className="btn btn-primary btn-small" disabled={saving}>
+          {saving ? '⏳ Saving...' : review ? '💾 Update Review' : '✍️ Post Review'}
+        </button>
+        {onCancel && (
+          <button type="button" className="btn btn-secondary btn-small" onClick={onCancel} disabled={saving}>
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default ReviewForm;
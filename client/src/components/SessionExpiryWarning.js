@@ -0,0 +1,68 @@
+import React, { useEffect, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+const formatRemaining = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+const SessionExpiryWarning = () => {
+  const {
+    showExpiryWarning,
+    sessionExpiresAt,
+    dismissExpiryWarning,
+    expireSession,
+    refreshSession,
+    canRefreshSession
+  } = useAuth();
+  const [now, setNow] = useState(Date.now());
+  const [renewing, setRenewing] = useState(false);
+
+  useEffect(() => {
+    if (!showExpiryWarning) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [showExpiryWarning]);
+
+  if (!showExpiryWarning || !sessionExpiresAt) return null;
+
+  const handleStaySignedIn = async () => {
+    setRenewing(true);
+    try {
+      await refreshSession();
+    } catch (err) {
+      expireSession('Please log in again to continue your session.');
+    } finally {
+      setRenewing(false);
+    }
+  };
+
+  return (
+    <div className="session-warning" role="alert">
+      <span className="session-warning-text">
+        ⏰ Your session expires in {formatRemaining(sessionExpiresAt - now)}.
+        {canRefreshSession ? ' Stay signed in to keep shopping without interruption.' : ' Log in again to keep shopping without interruption.'}
+      </span>
+      <div className="session-warning-actions">
+        {canRefreshSession && (
+          <button className="btn btn-primary btn-small" onClick={handleStaySignedIn} disabled={renewing}>
+            {renewing ? '⏳ Renewing...' : '🔄 Stay signed in'}
+          </button>
+        )}
+        <button
+          className="btn btn-primary btn-small"
+          onClick={() => expireSession('Please log in again to continue your session.')}
+        >
+          🔑 Log in again
+        </button>
+        <button className="btn btn-secondary btn-small" onClick={dismissExpiryWarning}>
+          Dismiss
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SessionExpiryWarning;
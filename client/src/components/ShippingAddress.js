@@ -0,0 +1,20 @@
+import React from 'react';
+import { formatAddressLines } from '../utils/address';
+
+// Read-only address block used by the address book, Checkout, Orders and PaymentSuccess
+const ShippingAddress = ({ address, className = '' }) => {
+  const lines = formatAddressLines(address);
+  if (lines.length === 0) return null;
+
+  return (
+    <address className={`shipping-address ${className}`.trim()}>
+      {lines.map((line, index) => (
+        <span key={index} className={index === 0 ? 'shipping-address-name' : undefined}>
+          {line}
+        </span>
+      ))}
+    </address>
+  );
+};
+
+export default ShippingAddress;
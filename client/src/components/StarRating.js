@@ -0,0 +1,24 @@
+import React from 'react';
+import './StarRating.css';
+
+// Read-only 0–5 star display; fractional ratings partly fill the last star.
+// With `count` the average and number of reviews are shown next to the stars.
+const StarRating = ({ rating, count, className = '' }) => {
+  const percent = Math.max(0, Math.min(rating, 5)) * 20;
+
+  return (
+    <span className={`star-rating ${className}`.trim()}>
+      <span className="star-rating-stars" role="img" aria-label={`Rated ${rating.toFixed(1)} out of 5`}>
+        <span className="star-rating-empty" aria-hidden="true">★★★★★</span>
+        <span className="star-rating-filled" style={{ width: `${percent}%` }} aria-hidden="true">★★★★★</span>
+      </span>
+      {count !== undefined && (
+        <span className="star-rating-count">
+          {rating.toFixed(1)} ({count} {count === 1 ? 'review' : 'reviews'})
+        </span>
+      )}
+    </span>
+  );
+};
+
+export default StarRating;
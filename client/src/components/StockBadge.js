@@ -0,0 +1,12 @@
+import React from 'react';
+import { getStockStatus } from '../utils/stock';
+
+// Renders nothing for comfortably stocked products unless `showInStock` is set
+const StockBadge = ({ stockQuantity, showInStock = false }) => {
+  const { level, label } = getStockStatus(stockQuantity);
+  if (level === 'in' && !showInStock) return null;
+
+  return <span className={`stock-badge stock-${level}`}>{label}</span>;
+};
+
+export default StockBadge;
@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useWishlist } from '../contexts/WishlistContext';
+import { isOutOfStock } from '../utils/stock';
+import ProductImage from './ProductImage';
+import './Cart.css';
+import './Wishlist.css';
+
+const Wishlist = () => {
+  const { items, loading, error, removeItem, moveToCart } = useWishlist();
+  const [pending, setPending] = useState({});
+  const [actionError, setActionError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+
+  // Items leave the list right away; WishlistContext puts them back if the request fails
+  const runAction = async (item, action, failureMessage) => {
+    setPending(prev => ({ ...prev, [item.id]: true }));
+    setActionError('');
+    setSuccessMessage('');
+    try {
+      await action(item.id);
+      return true;
+    } catch (err) {
+      console.error(failureMessage, err);
+      setActionError(err.data?.message || failureMessage);
+      return false;
+    } finally {
+      setPending(prev => ({ ...prev, [item.id]: false }));
+    }
+  };
+
+  const handleMoveToCart = async (item) => {
+    if (await runAction(item, moveToCart, `Failed to move ${item.productName} to your cart`)) {
+      setSuccessMessage(`${item.productName} moved to your cart`);
+    }
+  };
+
+  const handleRemove = (item) => runAction(item, removeItem, `Failed to remove ${item.productName}`);
+
+  if (loading) return <div className="loading">Loading wishlist...</div>;
+  if (error) return <div className="error">{error}</div>;
+
+  return (
+    <div className="cart-container wishlist-container">
+      <div className="cart-header">
+        <h2>♥ Your Wishlist</h2>
+        <p className="cart-subtitle">{items.length} item{items.length !== 1 ? 's' : ''}</p>
+      </div>
+
+      {actionError && <div className="error-message">🚨 {actionError}</div>}
+      {successMessage && (
+        <div className="wishlist-notice">
+          ✅ {successMessage} · <Link to="/cart">View cart</Link>
+        </div>
+      )}
+
+      {items.length === 0 ? (
+        <div className="empty-cart">
+          <h3>Your wishlist is empty</h3>
+          <p>Tap the ♡ on a product, or save cart items for later, to keep them here.</p>
+          <Link to="/" className="btn btn-primary">Browse Products</Link>
+        </div>
+      ) : (
+        <div className="cart-items-section">
+          {items.map(item => {
+            const soldOut = isOutOfStock(item.stockQuantity);
+            return (
+              <div key={item.id} className="cart-item wishlist-item">
+                <Link to={`/products/${item.productId}`} className="wishlist-item-image">
+                  <ProductImage
+                    imageUrl={item.imageUrl}
+                    alt={item.productName}
+                    sizes="96px"
+                    fallback={<span className="wishlist-item-no-image">📷</span>}
+                  />
+                </Link>
+
+                <div className="wishlist-item-body">
+                  <div className="item-details">
+                    <div className="item-header">
+                      <h3 className="item-name">
+                        <Link to={`/products/${item.productId}`}>{item.productName}</Link>
+                      </h3>
+                      <div className="item-price-main">
+                        {item.requiresOptions && 'From '}${item.price.toFixed(2)}
+                      </div>
+                    </div>
+                    {item.variantName && (
+                      <p className="item-variant">
+                        {item.variantName}{item.sku && ` · SKU ${item.sku}`}
+                      </p>
+                    )}
+                    {item.quantity > 1 && <p className="item-variant">Quantity: {item.quantity}</p>}
+                    {soldOut && <p className="item-stock-warning">⚠️ Currently out of stock</p>}
+                  </div>
+
+                  <div className="item-actions-section">
+                    {item.requiresOptions ? (
+                      <Link to={`/products/${item.productId}`} className="btn btn-success btn-small">
+                        🎛️ Choose Options
+                      </Link>
+                    ) : (
+                      <button
+                        onClick={() => handleMoveToCart(item)}
+                        className="btn btn-success btn-small"
+                        disabled={pending[item.id] || soldOut}
+                      >
+                        🛒 Move to Cart
+                      </button>
+                    )}
+                    <button
+                      onClick={() => handleRemove(item)}
+                      className="btn btn-danger btn-small"
+                      disabled={pending[item.id]}
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Wishlist;
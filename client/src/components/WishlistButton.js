@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { useWishlist } from '../contexts/WishlistContext';
+import './WishlistButton.css';
+
+// Heart toggle for product cards and the product page. Saves `variant` along with the product
+// when one is chosen; guests are sent to log in and brought back. onError receives a message.
+const WishlistButton = ({ product, variant = null, className = '', onError }) => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { isAuthenticated } = useAuth();
+  const { isInWishlist, toggleProduct } = useWishlist();
+  const [pending, setPending] = useState(false);
+
+  const saved = isInWishlist(product.id);
+
+  const handleClick = async (e) => {
+    // Cards are wrapped in links in some layouts
+    e.preventDefault();
+    e.stopPropagation();
+    if (!isAuthenticated) {
+      navigate('/login', { state: { from: location } });
+      return;
+    }
+
+    setPending(true);
+    try {
+      await toggleProduct(product, variant);
+    } catch (err) {
+      console.error('Error updating wishlist:', err);
+      onError?.(err.data?.message || 'Failed to update your wishlist');
+    } finally {
+      setPending(false);
+    }
+  };
+
+  const label = saved ? `Remove ${product.name} from wishlist` : `Save ${product.name} to wishlist`;
+
+  return (
+    <button
+      type="button"
+      className={`wishlist-button${saved ? ' saved' : ''} ${className}`.trim()}
+      onClick={handleClick}
+      disabled={pending}
+      aria-pressed={saved}
+      aria-label={label}
+      title={label}
+    >
+      {saved ? '♥' : '♡'}
+    </button>
+  );
+};
+
+export default WishlistButton;
@@ -1,7 +1,25 @@
-import React, { createContext, useState, useContext, useEffect } from 'react';
-import axios from 'axios';
+import React, { createContext, useState, useContext, useEffect, useRef, useCallback } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { apiClient, authApi, cartApi, setAuthToken } from '../api';
+import { getTokenExpiry, isTokenExpired } from '../utils/jwt';
+import { getGuestCartMergeItems, clearGuestCart } from '../utils/guestCart';
 
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'https://localhost:7207';
+// How long before the token expires the "session expiring" warning is shown
+const EXPIRY_WARNING_MS = 5 * 60 * 1000;
+// With a refresh token, the access token is renewed silently this long before it expires
+const REFRESH_AHEAD_MS = 60 * 1000;
+// setTimeout overflows past ~24.8 days; long-lived tokens are re-checked instead
+const MAX_TIMER_MS = 2147483647;
+const SESSION_EXPIRED_MESSAGE = 'Your session has expired. Please log in again.';
+// Held across tabs while one of them rotates the refresh token
+const REFRESH_LOCK_NAME = 'auth-refresh';
+// localStorage keys another tab may change under us
+const SESSION_STORAGE_KEYS = ['token', 'refreshToken', 'user'];
+
+// Runs `callback` under a lock shared by every tab of the app, where the browser supports it
+const withRefreshLock = (callback) => (navigator.locks?.request
+  ? navigator.locks.request(REFRESH_LOCK_NAME, callback)
+  : callback());
 
 const AuthContext = createContext(null);
 
@@ -14,99 +32,293 @@ export const useAuth = () => {
 };
 
 export const AuthProvider = ({ children }) => {
+  const navigate = useNavigate();
+  const location = useLocation();
   const [user, setUser] = useState(null);
   const [token, setToken] = useState(null);
+  const [refreshToken, setRefreshToken] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [sessionExpiresAt, setSessionExpiresAt] = useState(null);
+  const [showExpiryWarning, setShowExpiryWarning] = useState(false);
+
+  // Interceptors and timers outlive renders, so they read the latest values through refs
+  const tokenRef = useRef(null);
+  const refreshTokenRef = useRef(null);
+  const refreshPromiseRef = useRef(null);
+  const locationRef = useRef(location);
+  locationRef.current = location;
+
+  // Puts tokens into use in this tab; applyTokens also stores them for the other tabs
+  const adoptTokens = useCallback((accessToken, newRefreshToken) => {
+    setToken(accessToken);
+    setRefreshToken(newRefreshToken);
+    setAuthToken(accessToken);
+    tokenRef.current = accessToken;
+    refreshTokenRef.current = newRefreshToken;
+  }, []);
+
+  const applyTokens = useCallback((accessToken, newRefreshToken) => {
+    localStorage.setItem('token', accessToken);
+    if (newRefreshToken) {
+      localStorage.setItem('refreshToken', newRefreshToken);
+    } else {
+      localStorage.removeItem('refreshToken');
+    }
+    adoptTokens(accessToken, newRefreshToken);
+  }, [adoptTokens]);
+
+  const startSession = useCallback((authResponse) => {
+    const { token: accessToken, refreshToken: newRefreshToken, userId, email, fullName, role } = authResponse;
+    const userData = { userId, email, fullName, role };
+
+    setUser(userData);
+    localStorage.setItem('user', JSON.stringify(userData));
+    applyTokens(accessToken, newRefreshToken || null);
+  }, [applyTokens]);
 
   useEffect(() => {
     // Check if user is logged in on mount
     const storedToken = localStorage.getItem('token');
+    const storedRefreshToken = localStorage.getItem('refreshToken');
     const storedUser = localStorage.getItem('user');
-    
-    if (storedToken && storedUser) {
-      setToken(storedToken);
+
+    // An expired access token is still worth restoring when it can be refreshed
+    if (storedToken && storedUser && (storedRefreshToken || !isTokenExpired(storedToken))) {
       setUser(JSON.parse(storedUser));
-      // Set axios default header
-      axios.defaults.headers.common['Authorization'] = `Bearer ${storedToken}`;
+      applyTokens(storedToken, storedRefreshToken);
+    } else if (storedToken) {
+      // Stale session left over from a previous visit
+      localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
+      localStorage.removeItem('user');
     }
     setLoading(false);
-  }, []);
+  }, [applyTokens]);
 
-  const login = async (email, password) => {
+  // Folds anything added to the cart while logged out into the account's cart.
+  // Runs before the session starts so CartContext loads the merged cart;
+  // a failed merge keeps the guest cart so the next login can try again.
+  const mergeGuestCart = async (accessToken) => {
+    const items = getGuestCartMergeItems();
+    if (items.length === 0) return;
     try {
-      const response = await axios.post(`${API_BASE_URL}/api/auth/login`, {
-        email,
-        password
-      });
+      await cartApi.merge(items, { headers: { Authorization: `Bearer ${accessToken}` } });
+      clearGuestCart();
+    } catch (err) {
+      console.warn('Failed to merge guest cart', err);
+    }
+  };
 
-      const { token, userId, email: userEmail, fullName } = response.data;
-      
-      const userData = { userId, email: userEmail, fullName };
-      
-      setToken(token);
-      setUser(userData);
-      
-      localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify(userData));
-      
-      // Set axios default header
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-      
+  const login = async (email, password) => {
+    try {
+      const authResponse = await authApi.login(email, password);
+      await mergeGuestCart(authResponse.token);
+      startSession(authResponse);
       return { success: true };
     } catch (error) {
       console.error('Login error:', error);
-      return { 
-        success: false, 
-        message: error.response?.data?.message || 'Login failed. Please try again.' 
+      return {
+        success: false,
+        message: error.data?.message || 'Login failed. Please try again.'
       };
     }
   };
 
   const register = async (email, password, fullName) => {
     try {
-      const response = await axios.post(`${API_BASE_URL}/api/auth/register`, {
-        email,
-        password,
-        fullName
-      });
-
-      const { token, userId, email: userEmail, fullName: name } = response.data;
-      
-      const userData = { userId, email: userEmail, fullName: name };
-      
-      setToken(token);
-      setUser(userData);
-      
-      localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify(userData));
-      
-      // Set axios default header
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-      
+      const authResponse = await authApi.register(email, password, fullName);
+      await mergeGuestCart(authResponse.token);
+      startSession(authResponse);
       return { success: true };
     } catch (error) {
       console.error('Registration error:', error);
-      return { 
-        success: false, 
-        message: error.response?.data?.message || 'Registration failed. Please try again.' 
+      return {
+        success: false,
+        message: error.data?.message || 'Registration failed. Please try again.'
       };
     }
   };
 
-  const logout = () => {
+  // Forgets the session in this tab only
+  const clearSession = useCallback(() => {
     setToken(null);
+    setRefreshToken(null);
     setUser(null);
+    setShowExpiryWarning(false);
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
-    delete axios.defaults.headers.common['Authorization'];
-  };
+    setAuthToken(null);
+    tokenRef.current = null;
+    refreshTokenRef.current = null;
+  }, []);
+
+  const logout = useCallback(() => {
+    const currentRefreshToken = refreshTokenRef.current;
+    if (currentRefreshToken) {
+      // Revoke server-side so the refresh token can't be replayed; the local logout doesn't wait on it
+      authApi.logout(currentRefreshToken).catch((err) => console.warn('Failed to revoke refresh token', err));
+    }
+    clearSession();
+  }, [clearSession]);
+
+  // Other tabs share the session through localStorage: follow their refreshes, logins and logouts
+  // so this tab never replays a refresh token they have already rotated
+  useEffect(() => {
+    const handleStorage = (e) => {
+      if (e.storageArea !== localStorage || (e.key !== null && !SESSION_STORAGE_KEYS.includes(e.key))) return;
+
+      const storedToken = localStorage.getItem('token');
+      const storedUser = localStorage.getItem('user');
+      if (!storedToken || !storedUser) {
+        clearSession();
+        return;
+      }
+      setUser(JSON.parse(storedUser));
+      adoptTokens(storedToken, localStorage.getItem('refreshToken'));
+      setShowExpiryWarning(false);
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, [adoptTokens, clearSession]);
+
+  // Ends the session and sends the user to /login, remembering where they were
+  const expireSession = useCallback((message) => {
+    logout();
+    const { pathname, search, hash } = locationRef.current;
+    if (pathname === '/login') return;
+    navigate('/login', {
+      replace: true,
+      state: { from: { pathname, search, hash }, message }
+    });
+  }, [logout, navigate]);
+
+  // Exchanges the refresh token for a new token pair. Concurrent callers share one request, and
+  // the tabs take turns: a tab that finds the token already rotated by another one adopts the
+  // new pair instead of sending the old token, which the API would treat as a replay.
+  const refreshSession = useCallback(() => {
+    if (!refreshPromiseRef.current) {
+      refreshPromiseRef.current = withRefreshLock(async () => {
+        const latestRefreshToken = localStorage.getItem('refreshToken');
+        if (!latestRefreshToken) {
+          throw new Error('No refresh token available');
+        }
+
+        const latestToken = localStorage.getItem('token');
+        if (latestRefreshToken !== refreshTokenRef.current && latestToken
+          && !isTokenExpired(latestToken, Date.now() + REFRESH_AHEAD_MS)) {
+          adoptTokens(latestToken, latestRefreshToken);
+          setShowExpiryWarning(false);
+          return latestToken;
+        }
+
+        const authResponse = await authApi.refresh(latestRefreshToken);
+        startSession(authResponse);
+        setShowExpiryWarning(false);
+        return authResponse.token;
+      }).finally(() => {
+        refreshPromiseRef.current = null;
+      });
+    }
+    return refreshPromiseRef.current;
+  }, [adoptTokens, startSession]);
+
+  // Requests issued while a refresh is running wait for it, so they go out with the new token
+  useEffect(() => {
+    const interceptorId = apiClient.interceptors.request.use(async (config) => {
+      if (refreshPromiseRef.current && !config.skipAuthRefresh) {
+        try {
+          await refreshPromiseRef.current;
+        } catch (err) {
+          // The response interceptor deals with the failed session
+        }
+      }
+      return config;
+    });
+    return () => apiClient.interceptors.request.eject(interceptorId);
+  }, []);
+
+  // A 401 on an authenticated request gets one transparent refresh-and-retry; otherwise the session is over
+  useEffect(() => {
+    const interceptorId = apiClient.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const config = error.config;
+        if (error.status !== 401 || !tokenRef.current || !config || config.skipAuthRefresh) {
+          return Promise.reject(error);
+        }
+
+        if (!config.retriedAfterRefresh && refreshTokenRef.current) {
+          try {
+            const newToken = await refreshSession();
+            config.retriedAfterRefresh = true;
+            config.headers.Authorization = `Bearer ${newToken}`;
+            return apiClient.request(config);
+          } catch (refreshError) {
+            console.warn('Session refresh failed', refreshError);
+          }
+        }
+
+        expireSession(SESSION_EXPIRED_MESSAGE);
+        return Promise.reject(error);
+      }
+    );
+    return () => apiClient.interceptors.response.eject(interceptorId);
+  }, [expireSession, refreshSession]);
+
+  // Renew (or warn) shortly before the token expires and log out once it does
+  useEffect(() => {
+    const expiresAt = getTokenExpiry(token);
+    setSessionExpiresAt(expiresAt);
+    setShowExpiryWarning(false);
+    if (!expiresAt) return;
+
+    const timers = [];
+    const schedule = (callback, delay) => {
+      if (delay <= 0) {
+        callback();
+      } else if (delay < MAX_TIMER_MS) {
+        timers.push(setTimeout(callback, delay));
+      }
+    };
+    const now = Date.now();
+
+    if (refreshToken) {
+      schedule(
+        () => refreshSession().catch(() => setShowExpiryWarning(true)),
+        Math.max(expiresAt - REFRESH_AHEAD_MS - now, 0)
+      );
+      // Last attempt once the token is actually dead
+      schedule(
+        () => refreshSession().catch(() => expireSession(SESSION_EXPIRED_MESSAGE)),
+        expiresAt - now
+      );
+    } else {
+      schedule(() => setShowExpiryWarning(true), expiresAt - EXPIRY_WARNING_MS - now);
+      schedule(() => expireSession(SESSION_EXPIRED_MESSAGE), expiresAt - now);
+    }
+
+    return () => timers.forEach(clearTimeout);
+  }, [token, refreshToken, expireSession, refreshSession]);
+
+  // Sessions stored before roles existed carry no role and count as customers
+  const hasRole = useCallback((role) => (user?.role || 'customer') === role, [user]);
 
   const value = {
     user,
+    hasRole,
+    isAdmin: hasRole('admin'),
     token,
     login,
     register,
     logout,
+    expireSession,
+    refreshSession,
+    canRefreshSession: !!refreshToken,
+    sessionExpiresAt,
+    showExpiryWarning,
+    dismissExpiryWarning: () => setShowExpiryWarning(false),
     loading,
     isAuthenticated: !!token
   };
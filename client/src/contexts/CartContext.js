@@ -0,0 +1,185 @@
+import React, { createContext, useState, useContext, useEffect, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import { cartApi, isCancelledError } from '../api';
+import { describeVariant, getVariantPrice } from '../utils/variants';
+import {
+  getGuestCart,
+  addGuestCartItem,
+  updateGuestCartItem,
+  removeGuestCartItem
+} from '../utils/guestCart';
+
+const EMPTY_CART = { id: null, userId: null, items: [], totalAmount: 0 };
+
+const CartContext = createContext(null);
+
+export const useCart = () => {
+  const context = useContext(CartContext);
+  if (!context) {
+    throw new Error('useCart must be used within a CartProvider');
+  }
+  return context;
+};
+
+// Recomputes the item totals after an optimistic change to the items. Discount and tax need
+// the coupon and tax rates, which only the server has, so they are flagged as pending until
+// the server's cart replaces this one
+const withItems = (cart, items) => {
+  const pricedItems = items.map(item => ({ ...item, subtotal: item.price * item.quantity }));
+  return {
+    ...cart,
+    items: pricedItems,
+    totalAmount: pricedItems.reduce((sum, item) => sum + item.subtotal, 0),
+    totalsPending: true
+  };
+};
+
+/**
+ * Owns the cart for the whole app: the server cart when logged in, the
+ * localStorage guest cart otherwise. Mutations are applied to local state
+ * immediately and the cart is reloaded if the request fails; callers get the
+ * error re-thrown so they can report it.
+ */
+export const CartProvider = ({ children }) => {
+  const { isAuthenticated, loading: authLoading } = useAuth();
+  const [cart, setCart] = useState(EMPTY_CART);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const refreshCart = useCallback(async (options = {}) => {
+    if (!isAuthenticated) {
+      setCart(getGuestCart());
+      setError('');
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setCart(await cartApi.get(options));
+      setError('');
+    } catch (err) {
+      if (isCancelledError(err)) return;
+      console.error('Failed to load cart', err);
+      setError('Failed to load cart');
+    } finally {
+      setLoading(false);
+    }
+  }, [isAuthenticated]);
+
+  // Reload whenever the session starts or ends (login merges the guest cart before this runs)
+  useEffect(() => {
+    if (authLoading) return;
+    setLoading(true);
+    const controller = new AbortController();
+    refreshCart({ signal: controller.signal });
+    return () => controller.abort();
+  }, [authLoading, refreshCart]);
+
+  // Applies `optimistic` right away, then `commit` (which resolves to the new cart). A failed
+  // commit reloads the cart rather than restoring the one from before, which would also undo
+  // other changes that succeeded in the meantime
+  const mutate = useCallback(async (optimistic, commit) => {
+    setCart(current => optimistic(current));
+    try {
+      const updated = await commit();
+      setCart(updated);
+      return updated;
+    } catch (err) {
+      refreshCart();
+      throw err;
+    }
+  }, [refreshCart]);
+
+  // `variant` is required for products with variants and must be one of product.variants
+  const addItem = useCallback((product, quantity = 1, variant = null) => mutate(
+    (current) => {
+      const variantId = variant?.id ?? null;
+      const isSameLine = item => item.productId === product.id && (item.variantId ?? null) === variantId;
+      const existing = current.items.find(isSameLine);
+      if (existing) {
+        return withItems(current, current.items.map(item =>
+          isSameLine(item) ? { ...item, quantity: item.quantity + quantity } : item
+        ));
+      }
+      return withItems(current, [...current.items, {
+        // Placeholder id until the server responds with the real line
+        id: variant ? `pending-${product.id}-${variant.id}` : `pending-${product.id}`,
+        productId: product.id,
+        productName: product.name,
+        productDescription: product.description,
+        variantId,
+        variantName: variant ? describeVariant(product, variant) : null,
+        sku: variant?.sku ?? null,
+        price: getVariantPrice(product, variant),
+        imageUrl: variant?.imageUrl || product.imageUrl || null,
+        stockQuantity: variant ? variant.stockQuantity : product.stockQuantity,
+        quantity
+      }]);
+    },
+    async () => (isAuthenticated
+      ? cartApi.addItem(product.id, quantity, variant?.id ?? null)
+      : addGuestCartItem(product, quantity, variant))
+  ), [isAuthenticated, mutate]);
+
+  const updateItem = useCallback((itemId, quantity) => mutate(
+    (current) => withItems(current, current.items.map(item =>
+      item.id === itemId ? { ...item, quantity } : item
+    )),
+    async () => (isAuthenticated
+      ? cartApi.updateItem(itemId, quantity)
+      : updateGuestCartItem(itemId, quantity))
+  ), [isAuthenticated, mutate]);
+
+  const removeItem = useCallback((itemId) => mutate(
+    (current) => withItems(current, current.items.filter(item => item.id !== itemId)),
+    async () => (isAuthenticated
+      ? cartApi.removeItem(itemId)
+      : removeGuestCartItem(itemId))
+  ), [isAuthenticated, mutate]);
+
+  // The wishlist is server-side, so saving for later and moving back need a signed-in user;
+  // WishlistContext wraps these and refreshes the wishlist afterwards
+  const saveForLater = useCallback((itemId) => mutate(
+    (current) => withItems(current, current.items.filter(item => item.id !== itemId)),
+    () => cartApi.saveForLater(itemId)
+  ), [mutate]);
+
+  const moveFromWishlist = useCallback(async (wishlistItemId) => {
+    const updated = await cartApi.moveFromWishlist(wishlistItemId);
+    setCart(updated);
+    return updated;
+  }, []);
+
+  // Promo codes live on the server cart only; the response is the repriced cart
+  const applyCoupon = useCallback(async (code) => {
+    if (!isAuthenticated) {
+      throw new Error('Log in to use a promo code');
+    }
+    const updated = await cartApi.applyCoupon(code);
+    setCart(updated);
+    return updated;
+  }, [isAuthenticated]);
+
+  const removeCoupon = useCallback(async () => {
+    const updated = await cartApi.removeCoupon();
+    setCart(updated);
+    return updated;
+  }, []);
+
+  const value = {
+    cart,
+    itemCount: cart.items.reduce((sum, item) => sum + item.quantity, 0),
+    loading,
+    error,
+    addItem,
+    updateItem,
+    removeItem,
+    saveForLater,
+    moveFromWishlist,
+    applyCoupon,
+    removeCoupon,
+    refreshCart
+  };
+
+  return <CartContext.Provider value={value}>{children}</CartContext.Provider>;
+};
@@ -0,0 +1,133 @@
+import React, { createContext, useState, useContext, useEffect, useRef, useCallback, useMemo } from 'react';
+import { useAuth } from './AuthContext';
+import { useCart } from './CartContext';
+import { wishlistApi, isCancelledError } from '../api';
+
+const WishlistContext = createContext(null);
+
+export const useWishlist = () => {
+  const context = useContext(WishlistContext);
+  if (!context) {
+    throw new Error('useWishlist must be used within a WishlistProvider');
+  }
+  return context;
+};
+
+/**
+ * Owns the signed-in user's wishlist; guests have none and are sent to log in
+ * by the heart buttons. Like CartContext, changes show immediately and are
+ * rolled back if the request fails, with the error re-thrown to the caller.
+ * Must sit inside CartProvider, as moving items to and from the cart updates both.
+ */
+export const WishlistProvider = ({ children }) => {
+  const { isAuthenticated, loading: authLoading } = useAuth();
+  const { saveForLater: saveCartItemForLater, moveFromWishlist } = useCart();
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const itemsRef = useRef(items);
+  itemsRef.current = items;
+
+  const refreshWishlist = useCallback(async (options = {}) => {
+    if (!isAuthenticated) {
+      setItems([]);
+      setError('');
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setItems(await wishlistApi.get(options));
+      setError('');
+    } catch (err) {
+      if (isCancelledError(err)) return;
+      console.error('Failed to load wishlist', err);
+      setError('Failed to load wishlist');
+    } finally {
+      setLoading(false);
+    }
+  }, [isAuthenticated]);
+
+  useEffect(() => {
+    if (authLoading) return;
+    setLoading(true);
+    const controller = new AbortController();
+    refreshWishlist({ signal: controller.signal });
+    return () => controller.abort();
+  }, [authLoading, refreshWishlist]);
+
+  const mutate = useCallback(async (optimistic, commit) => {
+    const previous = itemsRef.current;
+    setItems(optimistic(previous));
+    try {
+      const updated = await commit();
+      setItems(updated);
+      return updated;
+    } catch (err) {
+      setItems(previous);
+      throw err;
+    }
+  }, []);
+
+  const productIds = useMemo(() => new Set(items.map(item => item.productId)), [items]);
+  const isInWishlist = useCallback((productId) => productIds.has(productId), [productIds]);
+
+  // The heart buttons: saves the product (with `variant` when one is chosen) or, if any of it
+  // is already saved, removes it entirely
+  const toggleProduct = useCallback((product, variant = null) => {
+    if (productIds.has(product.id)) {
+      return mutate(
+        (current) => current.filter(item => item.productId !== product.id),
+        () => wishlistApi.removeProduct(product.id)
+      );
+    }
+    return mutate(
+      (current) => [{
+        // Placeholder until the server responds; only productId matters to the hearts
+        id: `pending-${product.id}`,
+        productId: product.id,
+        productName: product.name,
+        variantId: variant?.id ?? null,
+        price: variant?.price ?? product.price,
+        imageUrl: variant?.imageUrl || product.imageUrl || null,
+        quantity: 1,
+        stockQuantity: variant ? variant.stockQuantity : product.stockQuantity
+      }, ...current],
+      () => wishlistApi.addItem(product.id, variant?.id ?? null)
+    );
+  }, [productIds, mutate]);
+
+  const removeItem = useCallback((itemId) => mutate(
+    (current) => current.filter(item => item.id !== itemId),
+    () => wishlistApi.removeItem(itemId)
+  ), [mutate]);
+
+  const moveToCart = useCallback((itemId) => mutate(
+    (current) => current.filter(item => item.id !== itemId),
+    async () => {
+      await moveFromWishlist(itemId);
+      return wishlistApi.get();
+    }
+  ), [mutate, moveFromWishlist]);
+
+  // "Save for later" on a cart line; the cart updates through CartContext
+  const saveForLater = useCallback(async (cartItemId) => {
+    await saveCartItemForLater(cartItemId);
+    await refreshWishlist();
+  }, [saveCartItemForLater, refreshWishlist]);
+
+  const value = {
+    items,
+    loading,
+    error,
+    isInWishlist,
+    toggleProduct,
+    removeItem,
+    moveToCart,
+    saveForLater,
+    refreshWishlist
+  };
+
+  return <WishlistContext.Provider value={value}>{children}</WishlistContext.Provider>;
+};
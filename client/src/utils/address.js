@@ -0,0 +1,89 @@
+// Form helpers for shipping addresses. The rules mirror AddressesController so
+// most mistakes are caught before the request; the API still has the last word.
+
+export const EMPTY_ADDRESS = {
+  fullName: '',
+  line1: '',
+  line2: '',
+  city: '',
+  state: '',
+  postalCode: '',
+  country: '',
+  phone: '',
+  isDefault: false
+};
+
+const POSTAL_CODE_PATTERN = /^[A-Z0-9][A-Z0-9 -]{1,18}[A-Z0-9]$/;
+const COUNTRY_PATTERN = /^[A-Z]{2}$/;
+const PHONE_PATTERN = /^(?=.{5,30}$)\+?[0-9 ().-]+$/;
+
+// Form values for an existing address (null fields become empty inputs)
+export const toAddressForm = (address) => ({
+  ...EMPTY_ADDRESS,
+  ...Object.fromEntries(Object.entries(address).map(([key, value]) => [key, value ?? ''])),
+  isDefault: !!address.isDefault
+});
+
+// Trimmed request body; optional fields are sent as null when left empty
+export const toAddressPayload = (values) => ({
+  fullName: values.fullName.trim(),
+  line1: values.line1.trim(),
+  line2: values.line2.trim() || null,
+  city: values.city.trim(),
+  state: values.state.trim() || null,
+  postalCode: values.postalCode.trim().toUpperCase(),
+  country: values.country.trim().toUpperCase(),
+  phone: values.phone.trim() || null,
+  isDefault: values.isDefault
+});
+
+/**
+ * Returns an object of field name -> message; empty when the address is valid.
+ */
+export const validateAddress = (values) => {
+  const payload = toAddressPayload(values);
+  const errors = {};
+
+  if (!payload.fullName) errors.fullName = 'Full name is required';
+  else if (payload.fullName.length > 100) errors.fullName = 'At most 100 characters';
+
+  if (!payload.line1) errors.line1 = 'Address is required';
+  else if (payload.line1.length > 200) errors.line1 = 'At most 200 characters';
+
+  if (payload.line2 && payload.line2.length > 200) errors.line2 = 'At most 200 characters';
+
+  if (!payload.city) errors.city = 'City is required';
+  else if (payload.city.length > 100) errors.city = 'At most 100 characters';
+
+  if (payload.state && payload.state.length > 100) errors.state = 'At most 100 characters';
+
+  if (!POSTAL_CODE_PATTERN.test(payload.postalCode)) {
+    errors.postalCode = 'Enter 3-20 letters, digits, spaces or dashes';
+  }
+
+  if (!COUNTRY_PATTERN.test(payload.country)) {
+    errors.country = 'Use a two-letter country code, e.g. US';
+  }
+
+  if (payload.phone && !PHONE_PATTERN.test(payload.phone)) {
+    errors.phone = 'Digits, spaces and + ( ) . - only';
+  }
+
+  return errors;
+};
+
+// Display lines, e.g. ['Jane Doe', '1 Main St', 'Apt 4', 'Springfield, IL 62701', 'US', '☎ 555-0100']
+export const formatAddressLines = (address) => {
+  if (!address) return [];
+  const locality = [address.city, [address.state, address.postalCode].filter(Boolean).join(' ')]
+    .filter(Boolean)
+    .join(', ');
+  return [
+    address.fullName,
+    address.line1,
+    address.line2,
+    locality,
+    address.country,
+    address.phone && `☎ ${address.phone}`
+  ].filter(Boolean);
+};
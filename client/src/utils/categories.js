@@ -0,0 +1,32 @@
+// Helpers for the flat category list returned by /api/categories
+
+export const getChildCategories = (categories, parentId = null) =>
+  categories.filter((category) => (category.parentId ?? null) === parentId);
+
+// Root-to-leaf chain of categories ending at the given id (empty when unknown)
+export const getCategoryPath = (categories, categoryId) => {
+  const byId = new Map(categories.map((category) => [category.id, category]));
+  const path = [];
+  let current = byId.get(categoryId);
+  while (current && !path.includes(current)) {
+    path.unshift(current);
+    current = current.parentId != null ? byId.get(current.parentId) : undefined;
+  }
+  return path;
+};
+
+// Depth-first list of { category, depth } for rendering indented selects and tables
+export const flattenCategoryTree = (categories, parentId = null, depth = 0) =>
+  getChildCategories(categories, parentId).flatMap((category) => [
+    { category, depth },
+    ...flattenCategoryTree(categories, category.id, depth + 1)
+  ]);
+
+// Ids of the category and everything below it
+export const getDescendantIds = (categories, categoryId) => {
+  const ids = [categoryId];
+  for (let i = 0; i < ids.length; i++) {
+    getChildCategories(categories, ids[i]).forEach((child) => ids.push(child.id));
+  }
+  return ids;
+};
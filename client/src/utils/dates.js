@@ -0,0 +1,12 @@
+const pad = (n) => n.toString().padStart(2, '0');
+
+// <input type="date"> works in local calendar days; the API stores UTC timestamps
+export const toDateInput = (iso) => {
+  if (!iso) return '';
+  const date = new Date(iso);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// A range starts at the beginning of its first day and runs until the end of its last one
+export const fromDateInput = (value, endOfDay) =>
+  value ? new Date(`${value}T${endOfDay ? '23:59:59' : '00:00:00'}`).toISOString() : null;
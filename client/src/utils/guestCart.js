@@ -0,0 +1,103 @@
+// Cart for visitors who aren't logged in, kept in localStorage until AuthContext
+// merges it into the server cart on login/register.
+
+import { describeVariant, getVariantPrice } from './variants';
+
+const STORAGE_KEY = 'guestCart';
+
+const readLines = () => {
+  try {
+    const lines = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(lines) ? lines : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+// Lines are keyed by product, plus variant for products with variants
+const getLineId = (productId, variantId) => (variantId ? `${productId}:${variantId}` : productId);
+
+const writeLines = (lines) => {
+  if (lines.length === 0) {
+    localStorage.removeItem(STORAGE_KEY);
+  } else {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(lines));
+  }
+};
+
+/**
+ * The guest cart in the same shape the API returns for /api/cart, so the Cart
+ * page can render either. Line ids are the product ids, or "productId:variantId".
+ */
+export const getGuestCart = () => {
+  const items = readLines().map((line) => ({
+    ...line,
+    id: getLineId(line.productId, line.variantId),
+    subtotal: line.price * line.quantity
+  }));
+  return {
+    id: null,
+    userId: null,
+    items,
+    totalAmount: items.reduce((sum, item) => sum + item.subtotal, 0)
+  };
+};
+
+export const hasGuestCartItems = () => readLines().length > 0;
+
+/**
+ * Adds a product (as one of its variants, for products with variants), keeping a snapshot of
+ * what the cart page needs to display it. Throws when the requested quantity exceeds the
+ * stock, mirroring the API.
+ */
+export const addGuestCartItem = (product, quantity = 1, variant = null) => {
+  const lines = readLines();
+  const lineId = getLineId(product.id, variant?.id);
+  const existing = lines.find((line) => getLineId(line.productId, line.variantId) === lineId);
+  const newQuantity = (existing ? existing.quantity : 0) + quantity;
+  const stockQuantity = variant ? variant.stockQuantity : product.stockQuantity;
+  const variantName = variant ? describeVariant(product, variant) : null;
+
+  if (newQuantity > stockQuantity) {
+    const name = variantName ? `${product.name} (${variantName})` : product.name;
+    throw new Error(stockQuantity > 0
+      ? `Only ${stockQuantity} of ${name} left in stock`
+      : `${name} is out of stock`);
+  }
+
+  const line = {
+    productId: product.id,
+    productName: product.name,
+    productDescription: product.description,
+    variantId: variant?.id ?? null,
+    variantName,
+    sku: variant?.sku ?? null,
+    price: getVariantPrice(product, variant),
+    imageUrl: variant?.imageUrl || product.imageUrl || null,
+    stockQuantity,
+    quantity: newQuantity
+  };
+  writeLines(existing
+    ? lines.map((l) => (l === existing ? line : l))
+    : [...lines, line]);
+  return getGuestCart();
+};
+
+export const updateGuestCartItem = (lineId, quantity) => {
+  writeLines(readLines().map((line) =>
+    (getLineId(line.productId, line.variantId) === lineId ? { ...line, quantity } : line)));
+  return getGuestCart();
+};
+
+export const removeGuestCartItem = (lineId) => {
+  writeLines(readLines().filter((line) => getLineId(line.productId, line.variantId) !== lineId));
+  return getGuestCart();
+};
+
+export const clearGuestCart = () => {
+  localStorage.removeItem(STORAGE_KEY);
+};
+
+// Minimal payload for POST /api/cart/merge
+export const getGuestCartMergeItems = () =>
+  readLines().map(({ productId, variantId, quantity }) => ({ productId, variantId: variantId ?? null, quantity }));
@@ -0,0 +1,127 @@
+import {
+  getGuestCart,
+  hasGuestCartItems,
+  addGuestCartItem,
+  updateGuestCartItem,
+  removeGuestCartItem,
+  clearGuestCart,
+  getGuestCartMergeItems
+} from './guestCart';
+
+const mug = { id: 1, name: 'Mug', description: 'A mug', price: 10, imageUrl: '/mug.jpg', stockQuantity: 3 };
+
+const shirt = {
+  id: 2,
+  name: 'T-Shirt',
+  description: 'A shirt',
+  price: 20,
+  imageUrl: '/shirt.jpg',
+  stockQuantity: 5,
+  options: [{ name: 'Size' }, { name: 'Color' }],
+  variants: [
+    { id: 21, option1: 'M', option2: 'Red', price: 25, sku: 'TS-M-RED', imageUrl: '/shirt-red.jpg', stockQuantity: 2 },
+    { id: 22, option1: 'L', option2: 'Blue', price: null, sku: 'TS-L-BLU', imageUrl: null, stockQuantity: 0 }
+  ]
+};
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('starts empty and ignores unreadable storage', () => {
+  expect(getGuestCart()).toEqual({ id: null, userId: null, items: [], totalAmount: 0 });
+
+  localStorage.setItem('guestCart', '{not json');
+  expect(getGuestCart().items).toEqual([]);
+  expect(hasGuestCartItems()).toBe(false);
+});
+
+test('adds products in the shape of the API cart and totals them', () => {
+  addGuestCartItem(mug, 2);
+  const cart = addGuestCartItem(shirt, 1, shirt.variants[0]);
+
+  expect(cart.items).toHaveLength(2);
+  expect(cart.items[0]).toMatchObject({ id: 1, productId: 1, variantId: null, price: 10, quantity: 2, subtotal: 20 });
+  expect(cart.items[1]).toMatchObject({
+    id: '2:21',
+    productId: 2,
+    variantId: 21,
+    variantName: 'Size: M, Color: Red',
+    sku: 'TS-M-RED',
+    price: 25,
+    imageUrl: '/shirt-red.jpg',
+    stockQuantity: 2,
+    subtotal: 25
+  });
+  expect(cart.totalAmount).toBe(45);
+  expect(hasGuestCartItems()).toBe(true);
+});
+
+test('adding the same line again increases its quantity', () => {
+  addGuestCartItem(mug, 1);
+  const cart = addGuestCartItem(mug, 2);
+
+  expect(cart.items).toHaveLength(1);
+  expect(cart.items[0].quantity).toBe(3);
+});
+
+test('keeps separate lines per variant of a product', () => {
+  addGuestCartItem(shirt, 1, shirt.variants[0]);
+  const cart = addGuestCartItem(shirt, 1, { ...shirt.variants[1], stockQuantity: 4 });
+
+  expect(cart.items.map(item => item.id)).toEqual(['2:21', '2:22']);
+  // A variant without its own price or image falls back to the product's
+  expect(cart.items[1]).toMatchObject({ price: 20, imageUrl: '/shirt.jpg' });
+});
+
+test('refuses more than the stock, counting what is already in the cart', () => {
+  addGuestCartItem(mug, 2);
+
+  expect(() => addGuestCartItem(mug, 2)).toThrow('Only 3 of Mug left in stock');
+  expect(getGuestCart().items[0].quantity).toBe(2);
+});
+
+test('caps variant lines at the variant stock, not the product stock', () => {
+  expect(() => addGuestCartItem(shirt, 3, shirt.variants[0]))
+    .toThrow('Only 2 of T-Shirt (Size: M, Color: Red) left in stock');
+  expect(() => addGuestCartItem(shirt, 1, shirt.variants[1]))
+    .toThrow('T-Shirt (Size: L, Color: Blue) is out of stock');
+  expect(getGuestCart().items).toEqual([]);
+});
+
+test('updates and removes lines by line id', () => {
+  addGuestCartItem(mug, 1);
+  addGuestCartItem(shirt, 1, shirt.variants[0]);
+
+  expect(updateGuestCartItem('2:21', 2).items[1].quantity).toBe(2);
+
+  const cart = removeGuestCartItem(1);
+  expect(cart.items.map(item => item.id)).toEqual(['2:21']);
+
+  removeGuestCartItem('2:21');
+  expect(localStorage.getItem('guestCart')).toBeNull();
+});
+
+test('merge payload carries only product, variant and quantity', () => {
+  addGuestCartItem(mug, 3);
+  addGuestCartItem(shirt, 2, shirt.variants[0]);
+
+  expect(getGuestCartMergeItems()).toEqual([
+    { productId: 1, variantId: null, quantity: 3 },
+    { productId: 2, variantId: 21, quantity: 2 }
+  ]);
+});
+
+test('merge payload sends a null variant for lines saved without one', () => {
+  localStorage.setItem('guestCart', JSON.stringify([{ productId: 1, quantity: 1, price: 10 }]));
+
+  expect(getGuestCartMergeItems()).toEqual([{ productId: 1, variantId: null, quantity: 1 }]);
+});
+
+test('clearing empties the cart and the merge payload', () => {
+  addGuestCartItem(mug, 1);
+  clearGuestCart();
+
+  expect(hasGuestCartItems()).toBe(false);
+  expect(getGuestCartMergeItems()).toEqual([]);
+});
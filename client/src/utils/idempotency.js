@@ -0,0 +1,49 @@
+// Idempotency keys for checkout requests. One key is kept in sessionStorage per
+// checkout attempt (a scope plus the cart contents), so retries, refreshes, back
+// navigation and StrictMode's double effects all resend it and the API returns
+// the order / payment intent it already created. A changed cart starts a new attempt.
+
+const STORAGE_PREFIX = 'idempotencyKey:';
+
+export const IDEMPOTENCY_SCOPES = {
+  ORDER: 'order',
+  PAYMENT_INTENT: 'payment-intent'
+};
+
+const generateKey = () => {
+  if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+};
+
+// Everything the server charges for; any change means a different request. The variant is
+// part of each line, so swapping to another variant at the same price is a new attempt too.
+export const getCartFingerprint = (cart) => {
+  const items = cart.items
+    .map((item) => `${item.productId}:${item.variantId ?? ''}:${item.quantity}:${item.price}`)
+    .sort()
+    .join(',');
+  return cart.couponCode ? `${items}|coupon:${cart.couponCode}` : items;
+};
+
+export const getIdempotencyKey = (scope, fingerprint) => {
+  const storageKey = STORAGE_PREFIX + scope;
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(storageKey));
+    if (stored && stored.fingerprint === fingerprint && stored.key) {
+      return stored.key;
+    }
+  } catch (err) {
+    // Unreadable entry; replaced below
+  }
+
+  const key = generateKey();
+  sessionStorage.setItem(storageKey, JSON.stringify({ key, fingerprint }));
+  return key;
+};
+
+// Called once the attempt has produced its order, so buying the same items again is a new order
+export const clearIdempotencyKeys = () => {
+  Object.values(IDEMPOTENCY_SCOPES).forEach((scope) => sessionStorage.removeItem(STORAGE_PREFIX + scope));
+};
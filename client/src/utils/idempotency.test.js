@@ -0,0 +1,84 @@
+import {
+  IDEMPOTENCY_SCOPES,
+  getCartFingerprint,
+  getIdempotencyKey,
+  clearIdempotencyKeys
+} from './idempotency';
+
+const cart = (items, couponCode = null) => ({ items, couponCode });
+
+beforeEach(() => {
+  sessionStorage.clear();
+});
+
+describe('getCartFingerprint', () => {
+  test('does not depend on the order of the lines', () => {
+    const a = { productId: 1, variantId: null, quantity: 2, price: 10 };
+    const b = { productId: 2, variantId: 21, quantity: 1, price: 25 };
+
+    expect(getCartFingerprint(cart([a, b]))).toBe(getCartFingerprint(cart([b, a])));
+  });
+
+  test('changes with quantity, price and coupon', () => {
+    const base = getCartFingerprint(cart([{ productId: 1, quantity: 1, price: 10 }]));
+
+    expect(getCartFingerprint(cart([{ productId: 1, quantity: 2, price: 10 }]))).not.toBe(base);
+    expect(getCartFingerprint(cart([{ productId: 1, quantity: 1, price: 12 }]))).not.toBe(base);
+    expect(getCartFingerprint(cart([{ productId: 1, quantity: 1, price: 10 }], 'SAVE10'))).toBe(`${base}|coupon:SAVE10`);
+  });
+
+  test('tells apart variants of a product at the same price', () => {
+    const red = getCartFingerprint(cart([{ productId: 2, variantId: 21, quantity: 1, price: 25 }]));
+    const blue = getCartFingerprint(cart([{ productId: 2, variantId: 22, quantity: 1, price: 25 }]));
+
+    expect(red).not.toBe(blue);
+  });
+
+  test('treats a missing variant like a null one', () => {
+    expect(getCartFingerprint(cart([{ productId: 1, quantity: 1, price: 10 }])))
+      .toBe(getCartFingerprint(cart([{ productId: 1, variantId: null, quantity: 1, price: 10 }])));
+  });
+});
+
+describe('getIdempotencyKey', () => {
+  test('reuses the key while the cart is unchanged', () => {
+    const key = getIdempotencyKey(IDEMPOTENCY_SCOPES.ORDER, 'cart-a');
+
+    expect(key).toBeTruthy();
+    expect(getIdempotencyKey(IDEMPOTENCY_SCOPES.ORDER, 'cart-a')).toBe(key);
+  });
+
+  test('starts a new attempt when the cart changes', () => {
+    const key = getIdempotencyKey(IDEMPOTENCY_SCOPES.ORDER, 'cart-a');
+    const next = getIdempotencyKey(IDEMPOTENCY_SCOPES.ORDER, 'cart-b');
+
+    expect(next).not.toBe(key);
+    // Going back to the first cart is another new attempt, not the old key
+    expect(getIdempotencyKey(IDEMPOTENCY_SCOPES.ORDER, 'cart-a')).not.toBe(key);
+  });
+
+  test('keeps separate keys per scope', () => {
+    const orderKey = getIdempotencyKey(IDEMPOTENCY_SCOPES.ORDER, 'cart-a');
+
+    expect(getIdempotencyKey(IDEMPOTENCY_SCOPES.PAYMENT_INTENT, 'cart-a')).not.toBe(orderKey);
+    expect(getIdempotencyKey(IDEMPOTENCY_SCOPES.ORDER, 'cart-a')).toBe(orderKey);
+  });
+
+  test('replaces an unreadable stored entry', () => {
+    sessionStorage.setItem('idempotencyKey:order', '{not json');
+
+    const key = getIdempotencyKey(IDEMPOTENCY_SCOPES.ORDER, 'cart-a');
+    expect(key).toBeTruthy();
+    expect(JSON.parse(sessionStorage.getItem('idempotencyKey:order'))).toEqual({ key, fingerprint: 'cart-a' });
+  });
+
+  test('clearing the keys makes the same cart a new attempt', () => {
+    const orderKey = getIdempotencyKey(IDEMPOTENCY_SCOPES.ORDER, 'cart-a');
+    const intentKey = getIdempotencyKey(IDEMPOTENCY_SCOPES.PAYMENT_INTENT, 'cart-a');
+
+    clearIdempotencyKeys();
+
+    expect(getIdempotencyKey(IDEMPOTENCY_SCOPES.ORDER, 'cart-a')).not.toBe(orderKey);
+    expect(getIdempotencyKey(IDEMPOTENCY_SCOPES.PAYMENT_INTENT, 'cart-a')).not.toBe(intentKey);
+  });
+});
@@ -0,0 +1,41 @@
+// Helpers for product images uploaded through POST /api/products/images (see api/products.js).
+// Hot-linked image URLs entered by hand pass through untouched.
+import { API_BASE_URL } from '../api';
+
+// Widths the API stores every upload at (ProductImages.Widths on the server)
+export const PRODUCT_IMAGE_WIDTHS = [200, 400, 800, 1200];
+
+// Gallery size limit (MaxImages in ProductsController)
+export const MAX_PRODUCT_IMAGES = 10;
+
+export const PRODUCT_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+export const MAX_PRODUCT_IMAGE_BYTES = 5 * 1024 * 1024;
+
+const UPLOADED_IMAGE_PATTERN = /^\/uploads\/products\/([0-9a-f]{32})\/\d+\.webp$/;
+
+// Uploaded images are stored as paths on the API host
+export const resolveImageUrl = (url) => (url && url.startsWith('/') ? `${API_BASE_URL}${url}` : url);
+
+// srcset listing every stored size of an uploaded image; undefined for other URLs
+export const getImageSrcSet = (url) => {
+  const match = url && url.match(UPLOADED_IMAGE_PATTERN);
+  if (!match) return undefined;
+  return PRODUCT_IMAGE_WIDTHS
+    .map(width => `${API_BASE_URL}/uploads/products/${match[1]}/${width}.webp ${width}w`)
+    .join(', ');
+};
+
+// Client-side copy of the API's checks, so obviously bad files fail before uploading; null when fine
+export const validateProductImage = (file) => {
+  if (!PRODUCT_IMAGE_TYPES.includes(file.type)) return 'Only JPEG, PNG, WebP and GIF images can be uploaded';
+  if (file.size > MAX_PRODUCT_IMAGE_BYTES) {
+    return `Images must be ${MAX_PRODUCT_IMAGE_BYTES / (1024 * 1024)} MB or smaller`;
+  }
+  return null;
+};
+
+// Gallery URLs in display order. Falls back to imageUrl for products saved before galleries existed.
+export const getProductImageUrls = (product) => {
+  if (product.images && product.images.length > 0) return product.images.map(image => image.url);
+  return product.imageUrl ? [product.imageUrl] : [];
+};
@@ -0,0 +1,30 @@
+// Minimal JWT payload reader. The signature is verified by the API; the client
+// only needs the claims (expiry, user info) to drive the session UI.
+export const decodeToken = (token) => {
+  if (!token) return null;
+  try {
+    const payload = token.split('.')[1];
+    const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+    const json = decodeURIComponent(
+      atob(padded)
+        .split('')
+        .map((c) => '%' + ('00' + c.charCodeAt(0).toString(16)).slice(-2))
+        .join('')
+    );
+    return JSON.parse(json);
+  } catch (err) {
+    return null;
+  }
+};
+
+// Expiry as a millisecond timestamp, or null when the token has no readable `exp` claim
+export const getTokenExpiry = (token) => {
+  const payload = decodeToken(token);
+  return payload && typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+};
+
+export const isTokenExpired = (token, now = Date.now()) => {
+  const expiry = getTokenExpiry(token);
+  return expiry !== null && expiry <= now;
+};
@@ -0,0 +1,62 @@
+import { decodeToken, getTokenExpiry, isTokenExpired } from './jwt';
+
+// Unsigned tokens are enough here: the client never checks the signature
+const base64Url = (value) =>
+  Buffer.from(JSON.stringify(value)).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const makeToken = (payload) => `${base64Url({ alg: 'HS256', typ: 'JWT' })}.${base64Url(payload)}.signature`;
+
+describe('decodeToken', () => {
+  test('reads the payload claims', () => {
+    expect(decodeToken(makeToken({ userId: '7', email: 'ann@example.com', exp: 1700000000 })))
+      .toEqual({ userId: '7', email: 'ann@example.com', exp: 1700000000 });
+  });
+
+  test('decodes base64url payloads with non-ASCII text', () => {
+    // "José ✓" needs multi-byte UTF-8 and produces - and _ in base64url
+    const payload = { name: 'José ✓', note: '>>>???' };
+    const token = makeToken(payload);
+
+    expect(token.split('.')[1]).toMatch(/[-_]/);
+    expect(decodeToken(token)).toEqual(payload);
+  });
+
+  test('returns null for missing or malformed tokens', () => {
+    expect(decodeToken(null)).toBeNull();
+    expect(decodeToken('')).toBeNull();
+    expect(decodeToken('not-a-jwt')).toBeNull();
+    expect(decodeToken('header.%%%.signature')).toBeNull();
+    expect(decodeToken(`header.${Buffer.from('not json').toString('base64')}.signature`)).toBeNull();
+  });
+});
+
+describe('getTokenExpiry', () => {
+  test('converts exp to milliseconds', () => {
+    expect(getTokenExpiry(makeToken({ exp: 1700000000 }))).toBe(1700000000000);
+  });
+
+  test('is null without a numeric exp claim', () => {
+    expect(getTokenExpiry(makeToken({ userId: '7' }))).toBeNull();
+    expect(getTokenExpiry(makeToken({ exp: '1700000000' }))).toBeNull();
+    expect(getTokenExpiry('malformed')).toBeNull();
+  });
+});
+
+describe('isTokenExpired', () => {
+  const now = 1700000000000;
+
+  test('compares the expiry with now', () => {
+    expect(isTokenExpired(makeToken({ exp: now / 1000 + 60 }), now)).toBe(false);
+    expect(isTokenExpired(makeToken({ exp: now / 1000 - 60 }), now)).toBe(true);
+  });
+
+  test('counts a token expiring exactly now as expired', () => {
+    expect(isTokenExpired(makeToken({ exp: now / 1000 }), now)).toBe(true);
+  });
+
+  test('does not treat tokens without a readable expiry as expired', () => {
+    // The API decides whether those are still valid
+    expect(isTokenExpired(makeToken({ userId: '7' }), now)).toBe(false);
+    expect(isTokenExpired('malformed', now)).toBe(false);
+  });
+});
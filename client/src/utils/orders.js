@@ -0,0 +1,54 @@
+const ORDER_STATUS_CONFIG = {
+  pending: { icon: '⏳', color: '#d4af37', label: 'Pending' },
+  paid: { icon: '✅', color: '#c4956f', label: 'Paid' },
+  shipped: { icon: '🚚', color: '#8b7355', label: 'Shipped' },
+  delivered: { icon: '📦', color: '#c4956f', label: 'Delivered' },
+  cancelled: { icon: '❌', color: '#a85c3a', label: 'Cancelled' },
+  refunded: { icon: '💸', color: '#a85c3a', label: 'Refunded' }
+};
+
+// Icon, colour and label for a status; unknown statuses are shown as pending
+export const getOrderStatusConfig = (status) => ORDER_STATUS_CONFIG[status] || ORDER_STATUS_CONFIG.pending;
+
+export const ORDER_STATUSES = Object.keys(ORDER_STATUS_CONFIG);
+
+export const formatOrderDateTime = (value) => new Date(value).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// Estimated delivery dates are calendar days with no time zone; new Date('YYYY-MM-DD')
+// would read them as UTC midnight and show the day before in the Americas
+export const formatDeliveryDate = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric'
+  });
+};
+
+// When the order was marked delivered, from its status history; null until then
+export const getDeliveredAt = (order) => {
+  const delivered = order.statusHistory.filter(change => change.toStatus === 'delivered');
+  return delivered.length > 0 ? delivered[delivered.length - 1].changedAt : null;
+};
+
+// Orders can be cancelled until they ship; the API enforces the same rule
+export const CANCELLABLE_STATUSES = ['pending', 'paid'];
+
+export const canCancelOrder = (order) => CANCELLABLE_STATUSES.includes(order.status);
+
+const REFUND_STATUS_LABELS = {
+  pending: 'Refund pending',
+  requires_action: 'Refund pending',
+  succeeded: 'Refunded',
+  failed: 'Refund failed',
+  canceled: 'Refund canceled'
+};
+
+// Stripe reports its own refund states; anything unknown is shown as pending
+export const getRefundStatusLabel = (refundStatus) => REFUND_STATUS_LABELS[refundStatus] || 'Refund pending';
@@ -0,0 +1,10 @@
+// Display helpers for shipping quotes (see api/shipping.js) and shipping costs stored on orders
+
+export const formatShippingCost = (cost) => (cost > 0 ? `$${cost.toFixed(2)}` : 'FREE');
+
+// How much more the customer has to spend for `quote` to ship free; null when it never will or already does
+export const getAmountToFreeShipping = (quote, subtotal) => {
+  if (!quote || quote.freeOverSubtotal == null || quote.cost === 0) return null;
+  const remaining = quote.freeOverSubtotal - subtotal;
+  return remaining > 0 ? remaining : null;
+};
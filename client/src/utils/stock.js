@@ -0,0 +1,15 @@
+// At or below this many units a product is flagged as "Only N left"
+export const LOW_STOCK_THRESHOLD = 5;
+
+export const isOutOfStock = (stockQuantity) => !stockQuantity || stockQuantity <= 0;
+
+// { level, label } for a product's stock badge; level is 'out', 'low' or 'in'
+export const getStockStatus = (stockQuantity) => {
+  if (isOutOfStock(stockQuantity)) {
+    return { level: 'out', label: 'Out of stock' };
+  }
+  if (stockQuantity <= LOW_STOCK_THRESHOLD) {
+    return { level: 'low', label: `Only ${stockQuantity} left` };
+  }
+  return { level: 'in', label: 'In stock' };
+};
@@ -0,0 +1,11 @@
+// Display helpers for tax lines on carts, checkout totals and orders (see api/cart.js)
+
+// 0.0725 -> "7.25%"
+export const formatTaxRate = (rate) => `${parseFloat((rate * 100).toFixed(3))}%`;
+
+// "California Sales Tax (7.25%)", or "Includes VAT (20%)" when the prices already contain it
+export const getTaxLineLabel = (line, taxIncluded) =>
+  `${taxIncluded ? 'Includes ' : ''}${line.name} (${formatTaxRate(line.rate)})`;
+
+// Tax only adds to what the customer pays when it isn't already part of the prices
+export const getTaxSurcharge = ({ taxAmount = 0, taxIncluded = false }) => (taxIncluded ? 0 : taxAmount);
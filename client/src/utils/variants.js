@@ -0,0 +1,37 @@
+// Helpers for products with options (Size, Color...) and variants, mirroring ProductVariant on the API.
+
+// Matches Product.MaxOptions on the API
+export const MAX_PRODUCT_OPTIONS = 3;
+
+export const hasVariants = (product) => Boolean(product?.variants?.length);
+
+// The variant's values in option order, one per option
+export const getVariantValues = (variant, optionCount = MAX_PRODUCT_OPTIONS) =>
+  [variant.option1, variant.option2, variant.option3].slice(0, optionCount);
+
+// e.g. "Size: M, Color: Red", the same text the API puts on cart and order lines
+export const describeVariant = (product, variant) =>
+  product.options
+    .map((option, index) => `${option.name}: ${getVariantValues(variant)[index]}`)
+    .join(', ');
+
+export const getVariantPrice = (product, variant) => variant?.price ?? product.price;
+
+// The variant matching one value per option, or undefined while the selection is incomplete
+export const findVariant = (product, selection) => {
+  if (selection.length < product.options.length || selection.some(value => !value)) return undefined;
+  return product.variants.find(variant =>
+    getVariantValues(variant, product.options.length).every((value, index) => value === selection[index]));
+};
+
+// Distinct values of one option in the order the variants list them
+export const getOptionValues = (product, optionIndex) => [
+  ...new Set(product.variants.map(variant => getVariantValues(variant)[optionIndex]).filter(Boolean))
+];
+
+// { min, max } across the variants, or the product price for both when there are none
+export const getPriceRange = (product) => {
+  if (!hasVariants(product)) return { min: product.price, max: product.price };
+  const prices = product.variants.map(variant => getVariantPrice(product, variant));
+  return { min: Math.min(...prices), max: Math.max(...prices) };
+};
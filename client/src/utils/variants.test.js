@@ -0,0 +1,77 @@
+import {
+  hasVariants,
+  getVariantValues,
+  describeVariant,
+  getVariantPrice,
+  findVariant,
+  getOptionValues,
+  getPriceRange
+} from './variants';
+
+const shirt = {
+  id: 2,
+  price: 20,
+  options: [{ name: 'Size' }, { name: 'Color' }],
+  variants: [
+    { id: 21, option1: 'M', option2: 'Red', option3: null, price: 25 },
+    { id: 22, option1: 'M', option2: 'Blue', option3: null, price: null },
+    { id: 23, option1: 'L', option2: 'Red', option3: null, price: 18 }
+  ]
+};
+
+const mug = { id: 1, price: 10, options: [], variants: [] };
+
+test('hasVariants is false for products without a variant list', () => {
+  expect(hasVariants(shirt)).toBe(true);
+  expect(hasVariants(mug)).toBe(false);
+  expect(hasVariants({ price: 5 })).toBe(false);
+  expect(hasVariants(null)).toBe(false);
+});
+
+test('getVariantValues returns one value per option', () => {
+  expect(getVariantValues(shirt.variants[0], 2)).toEqual(['M', 'Red']);
+  expect(getVariantValues(shirt.variants[0])).toEqual(['M', 'Red', null]);
+});
+
+test('describeVariant names each option with its value', () => {
+  expect(describeVariant(shirt, shirt.variants[1])).toBe('Size: M, Color: Blue');
+});
+
+test('getVariantPrice falls back to the product price', () => {
+  expect(getVariantPrice(shirt, shirt.variants[0])).toBe(25);
+  expect(getVariantPrice(shirt, shirt.variants[1])).toBe(20);
+  expect(getVariantPrice(shirt, null)).toBe(20);
+});
+
+describe('findVariant', () => {
+  test('matches a complete selection', () => {
+    expect(findVariant(shirt, ['M', 'Blue'])).toBe(shirt.variants[1]);
+    expect(findVariant(shirt, ['L', 'Red'])).toBe(shirt.variants[2]);
+  });
+
+  test('is undefined while the selection is incomplete', () => {
+    expect(findVariant(shirt, ['M'])).toBeUndefined();
+    expect(findVariant(shirt, ['M', ''])).toBeUndefined();
+    expect(findVariant(shirt, [null, 'Red'])).toBeUndefined();
+  });
+
+  test('is undefined for a combination that is not sold', () => {
+    expect(findVariant(shirt, ['L', 'Blue'])).toBeUndefined();
+  });
+
+  test('ignores values beyond the product options', () => {
+    expect(findVariant(shirt, ['M', 'Red', 'Cotton'])).toBe(shirt.variants[0]);
+  });
+});
+
+test('getOptionValues lists distinct values in variant order', () => {
+  expect(getOptionValues(shirt, 0)).toEqual(['M', 'L']);
+  expect(getOptionValues(shirt, 1)).toEqual(['Red', 'Blue']);
+  expect(getOptionValues(shirt, 2)).toEqual([]);
+});
+
+test('getPriceRange spans the variant prices, counting inherited ones', () => {
+  expect(getPriceRange(shirt)).toEqual({ min: 18, max: 25 });
+  expect(getPriceRange({ ...shirt, variants: [shirt.variants[1]] })).toEqual({ min: 20, max: 20 });
+  expect(getPriceRange(mug)).toEqual({ min: 10, max: 10 });
+});